@@ -28,10 +28,30 @@ COMMANDS:
   start                 Start the proxy server (default port: 8080)
   accounts              Manage Google accounts (interactive)
   accounts add          Add a new Google account via OAuth
-  accounts list         List all configured accounts
-  accounts remove       Remove accounts interactively
-  accounts verify       Verify account tokens are valid
-  accounts clear        Remove all accounts
+  accounts list         List all configured accounts (--json)
+  accounts remove       Remove accounts interactively, or one by email
+  accounts enable <email> / accounts disable <email>
+                        Enable or disable an account
+  accounts reauth <email>
+                        Sign in again when a refresh token stops working,
+                        keeping the account's settings
+  accounts verify       Verify account tokens are valid (--json; exits
+                        with 1 if any is rejected)
+  accounts import <file|->
+                        Add accounts from exported refresh tokens
+  accounts export [file]
+                        Export refresh tokens (stdout by default)
+  accounts clear        Remove all accounts (--yes to skip the prompt)
+  accounts encrypt      Encrypt refresh tokens and API keys in
+                        accounts.json (accounts decrypt to undo)
+  keys                  Manage proxy API keys (list, create, update,
+                        enable, disable, revoke)
+  config validate       Check config.json and accounts.json for unknown
+                        keys, wrong types and out-of-range values
+  replay <file>         Replay captured requests offline through the
+                        converters (record them with start --capture)
+  mock-upstream         Run an offline mock Cloud Code server for tests
+                        (--port, --script, --no-signature-check)
 
 OPTIONS:
   --help, -h            Show this help message
@@ -39,12 +59,24 @@ OPTIONS:
 
 ENVIRONMENT:
   PORT                  Server port (default: 8080)
+  ACCOUNTS_ENCRYPTION_KEY
+                        Passphrase for an encrypted accounts.json (asked
+                        for at startup on a terminal if unset)
+  ANTIGRAVITY_ENDPOINT_FALLBACKS
+                        Comma-separated Cloud Code base URLs to use instead
+                        of the Google endpoints (e.g. the mock server)
 
 EXAMPLES:
   antigravity-claude-proxy start
   PORT=3000 antigravity-claude-proxy start
   antigravity-claude-proxy accounts add
-  antigravity-claude-proxy accounts list
+  antigravity-claude-proxy accounts list --json
+  antigravity-claude-proxy accounts export | ssh host antigravity-claude-proxy accounts import -
+  antigravity-claude-proxy keys create --label "CI agent" --rpm 30
+  antigravity-claude-proxy config validate
+  antigravity-claude-proxy start --capture
+  antigravity-claude-proxy replay data/captures.jsonl --last
+  antigravity-claude-proxy mock-upstream --port 8099
 
 CONFIGURATION:
   Claude Code CLI (~/.claude/settings.json):
@@ -88,6 +120,36 @@ async function main() {
       break;
     }
 
+    case 'keys': {
+      // Pass remaining args to keys CLI
+      const subCommand = args[1] || 'list';
+      process.argv = ['node', 'keys-cli.js', subCommand, ...args.slice(2)];
+      await import('../src/cli/keys.js');
+      break;
+    }
+
+    case 'config': {
+      // Pass remaining args to config CLI
+      const subCommand = args[1] || 'validate';
+      process.argv = ['node', 'config-cli.js', subCommand, ...args.slice(2)];
+      await import('../src/cli/config.js');
+      break;
+    }
+
+    case 'replay': {
+      // Pass remaining args to replay CLI
+      process.argv = ['node', 'replay-cli.js', ...args.slice(1)];
+      await import('../src/cli/replay.js');
+      break;
+    }
+
+    case 'mock-upstream': {
+      // Pass remaining args to mock upstream CLI
+      process.argv = ['node', 'mock-upstream-cli.js', ...args.slice(1)];
+      await import('../src/cli/mock-upstream.js');
+      break;
+    }
+
     case 'help':
       showHelp();
       break;
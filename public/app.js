@@ -82,7 +82,8 @@ document.addEventListener('alpine:init', () => {
         refreshTimer: null,
 
         fetchData() {
-            Alpine.store('data').fetchData();
+            // Manual refresh bypasses the server's quota snapshot cache
+            Alpine.store('data').fetchData({ fresh: true });
         },
 
         startAutoRefresh() {
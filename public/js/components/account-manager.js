@@ -7,6 +7,8 @@ window.Components = window.Components || {};
 window.Components.accountManager = () => ({
     searchQuery: '',
     deleteTarget: '',
+    editingGroups: '',
+    groupsInput: '',
 
     get filteredAccounts() {
         const accounts = Alpine.store('data').accounts || [];
@@ -17,6 +19,7 @@ window.Components.accountManager = () => ({
         const query = this.searchQuery.toLowerCase().trim();
         return accounts.filter(acc => {
             return acc.email.toLowerCase().includes(query) ||
+                   (acc.groups || []).some(group => group.toLowerCase().includes(query)) ||
                    (acc.projectId && acc.projectId.toLowerCase().includes(query)) ||
                    (acc.source && acc.source.toLowerCase().includes(query));
         });
@@ -98,18 +101,51 @@ window.Components.accountManager = () => ({
         }
     },
 
+    startEditingGroups(acc) {
+        this.editingGroups = acc.email;
+        this.groupsInput = (acc.groups || []).join(', ');
+    },
+
+    async saveGroups(email) {
+        const store = Alpine.store('global');
+        const password = store.webuiPassword;
+        const groups = this.groupsInput.split(',').map(g => g.trim()).filter(Boolean);
+
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/accounts/${encodeURIComponent(email)}/groups`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ groups })
+            }, password);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                store.showToast(store.t('groupsSaved', { email }), 'success');
+                this.editingGroups = '';
+                await Alpine.store('data').fetchData();
+            } else {
+                store.showToast(data.error || store.t('groupsSaveFailed'), 'error');
+            }
+        } catch (e) {
+            store.showToast(store.t('groupsSaveFailed') + ': ' + e.message, 'error');
+        }
+    },
+
+    // Re-authenticate in place: only the refresh token is replaced
     async fixAccount(email) {
         const store = Alpine.store('global');
         store.showToast(store.t('reauthenticating', { email }), 'info');
         const password = store.webuiPassword;
         try {
-            const urlPath = `/api/auth/url?email=${encodeURIComponent(email)}`;
-            const { response, newPassword } = await window.utils.request(urlPath, {}, password);
+            const urlPath = `/api/accounts/${encodeURIComponent(email)}/reauth`;
+            const { response, newPassword } = await window.utils.request(urlPath, { method: 'POST' }, password);
             if (newPassword) store.webuiPassword = newPassword;
 
             const data = await response.json();
             if (data.status === 'ok') {
                 window.open(data.url, 'google_oauth', 'width=600,height=700,scrollbars=yes');
+                this.waitForReauth(email, data.flowId, Date.parse(data.expiresAt));
             } else {
                 store.showToast(data.error || store.t('authUrlFailed'), 'error');
             }
@@ -118,6 +154,29 @@ window.Components.accountManager = () => ({
         }
     },
 
+    // Poll a re-authentication flow until it finishes or expires
+    async waitForReauth(email, flowId, expiresAt) {
+        const store = Alpine.store('global');
+        while (Date.now() < expiresAt) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            try {
+                const { response } = await window.utils.request(`/api/accounts/oauth/${flowId}`, {}, store.webuiPassword);
+                const { flow } = await response.json();
+                if (flow?.status === 'done') {
+                    store.showToast(store.t('reauthSuccess', { email }), 'success');
+                    await Alpine.store('data').fetchData();
+                    return;
+                }
+                if (!flow || flow.status === 'failed') {
+                    store.showToast(store.t('reauthFailed', { email }) + (flow?.error ? ': ' + flow.error : ''), 'error');
+                    return;
+                }
+            } catch (e) {
+                // Keep polling through transient network errors
+            }
+        }
+    },
+
     confirmDeleteAccount(email) {
         this.deleteTarget = email;
         document.getElementById('delete_account_modal').showModal();
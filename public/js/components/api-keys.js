@@ -0,0 +1,129 @@
+/**
+ * API Keys Component
+ * Registers itself to window.Components for Alpine.js to consume
+ */
+window.Components = window.Components || {};
+
+window.Components.apiKeys = () => ({
+    keys: [],
+    passwordRequired: false,
+    loading: false,
+    createdSecret: null,
+    newKey: {
+        label: '',
+        models: '',
+        rpm: '',
+        tokensPerDay: ''
+    },
+
+    init() {
+        if (this.activeTab === 'keys') {
+            this.fetchKeys();
+        }
+
+        // Watch local activeTab (from parent settings scope, skip initial trigger)
+        this.$watch('activeTab', (tab, oldTab) => {
+            if (tab === 'keys' && oldTab !== undefined) {
+                this.fetchKeys();
+            }
+        });
+    },
+
+    async fetchKeys() {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request('/api/keys', {}, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            // Keys can only be managed once a WebUI password is set
+            this.passwordRequired = response.status === 403;
+            if (this.passwordRequired) return;
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.keys = data.keys || [];
+        } catch (e) {
+            console.error('Failed to fetch API keys:', e);
+        }
+    },
+
+    async createKey() {
+        const store = Alpine.store('global');
+        if (!this.newKey.label.trim()) {
+            store.showToast(store.t('apiKeyLabelRequired'), 'error');
+            return;
+        }
+
+        this.loading = true;
+        try {
+            const { response, newPassword } = await window.utils.request('/api/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    label: this.newKey.label,
+                    models: this.newKey.models,
+                    rpm: this.newKey.rpm === '' ? null : Number(this.newKey.rpm),
+                    tokensPerDay: this.newKey.tokensPerDay === '' ? null : Number(this.newKey.tokensPerDay)
+                })
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+
+            this.createdSecret = data.secret;
+            this.newKey = { label: '', models: '', rpm: '', tokensPerDay: '' };
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(store.t('apiKeyCreateFailed') + ': ' + e.message, 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    async toggleKey(key) {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/keys/${encodeURIComponent(key.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: !key.enabled })
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(e.message, 'error');
+        }
+    },
+
+    async revokeKey(key) {
+        const store = Alpine.store('global');
+        if (!confirm(store.t('apiKeyRevokeConfirm', { label: key.label }))) return;
+
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/keys/${encodeURIComponent(key.id)}`, {
+                method: 'DELETE'
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+            store.showToast(store.t('apiKeyRevoked'), 'success');
+            await this.fetchKeys();
+        } catch (e) {
+            store.showToast(e.message, 'error');
+        }
+    },
+
+    copySecret() {
+        navigator.clipboard.writeText(this.createdSecret);
+        Alpine.store('global').showToast(Alpine.store('global').t('copiedToClipboard'), 'success');
+    },
+
+    formatNumber(n) {
+        return (n || 0).toLocaleString();
+    }
+});
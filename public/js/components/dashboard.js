@@ -14,6 +14,11 @@ window.Components.dashboard = () => ({
     modelTree: {},
     families: [],
 
+    // Accounts whose refresh token was rejected
+    get needsReauth() {
+        return (Alpine.store('data').accounts || []).filter(acc => acc.status === 'invalid');
+    },
+
     // Filter state (from module)
     ...window.DashboardFilters.getInitialState(),
 
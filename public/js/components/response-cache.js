@@ -0,0 +1,74 @@
+/**
+ * Response Cache Component
+ * Registers itself to window.Components for Alpine.js to consume
+ */
+window.Components = window.Components || {};
+
+window.Components.responseCache = () => ({
+    stats: null,
+    loading: false,
+
+    init() {
+        if (this.activeTab === 'cache') {
+            this.fetchStats();
+        }
+
+        // Watch local activeTab (from parent settings scope, skip initial trigger)
+        this.$watch('activeTab', (tab, oldTab) => {
+            if (tab === 'cache' && oldTab !== undefined) {
+                this.fetchStats();
+            }
+        });
+    },
+
+    async fetchStats() {
+        const store = Alpine.store('global');
+        try {
+            const { response, newPassword } = await window.utils.request('/api/response-cache', {}, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.stats = data.cache;
+        } catch (e) {
+            console.error('Failed to fetch response cache stats:', e);
+        }
+    },
+
+    async purge() {
+        const store = Alpine.store('global');
+        if (!confirm(store.t('responseCachePurgeConfirm'))) return;
+
+        this.loading = true;
+        try {
+            const { response, newPassword } = await window.utils.request('/api/response-cache', {
+                method: 'DELETE'
+            }, store.webuiPassword);
+            if (newPassword) store.webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || `HTTP ${response.status}`);
+            store.showToast(store.t('responseCachePurged', { count: data.removed }), 'success');
+            await this.fetchStats();
+        } catch (e) {
+            store.showToast(e.message, 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    formatHitRate(rate) {
+        return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
+    },
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    formatNumber(n) {
+        return (n || 0).toLocaleString();
+    }
+});
@@ -11,6 +11,8 @@ document.addEventListener('alpine:init', () => {
         accounts: [],
         models: [], // Source of truth
         modelConfig: {}, // Model metadata (hidden, pinned, alias)
+        reserveAccountGroup: null, // Account group held back for when the others are exhausted
+        reauthNotified: [], // Emails already announced as needing re-authentication
         quotaRows: [], // Filtered view
         usageHistory: {}, // Usage statistics history (from /account-limits?includeHistory=true)
         loading: false,
@@ -35,14 +37,15 @@ document.addEventListener('alpine:init', () => {
             // We can manually call compute when filters change.
         },
 
-        async fetchData() {
+        async fetchData({ fresh = false } = {}) {
             this.loading = true;
             try {
                 // Get password from global store
                 const password = Alpine.store('global').webuiPassword;
 
                 // Include history for dashboard (single API call optimization)
-                const url = '/account-limits?includeHistory=true';
+                // Quotas come from the server's cached snapshots unless a fresh fetch is requested
+                const url = '/account-limits?includeHistory=true' + (fresh ? '&fresh=1' : '');
                 const { response, newPassword } = await window.utils.request(url, {}, password);
 
                 if (newPassword) Alpine.store('global').webuiPassword = newPassword;
@@ -55,6 +58,8 @@ document.addEventListener('alpine:init', () => {
                     this.models = data.models;
                 }
                 this.modelConfig = data.modelConfig || {};
+                this.reserveAccountGroup = data.reserveAccountGroup || null;
+                this.notifyReauth();
 
                 // Store usage history if included (for dashboard)
                 if (data.history) {
@@ -75,6 +80,16 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        // Show a notification for each account that newly needs re-authentication
+        notifyReauth() {
+            const invalid = this.accounts.filter(acc => acc.status === 'invalid').map(acc => acc.email);
+            const store = Alpine.store('global');
+            invalid
+                .filter(email => !this.reauthNotified.includes(email))
+                .forEach(email => store.showToast(store.t('needsReauthToast', { email }), 'error'));
+            this.reauthNotified = invalid;
+        },
+
         computeQuotaRows() {
             const models = this.models || [];
             const rows = [];
@@ -147,6 +147,9 @@ document.addEventListener('alpine:init', () => {
                 accountToggled: "Account {email} {status}",
                 toggleFailed: "Toggle failed",
                 reauthenticating: "Re-authenticating {email}...",
+                reauthenticate: "Re-authenticate",
+                reauthSuccess: "{email} re-authenticated",
+                reauthFailed: "Re-authentication failed for {email}",
                 authUrlFailed: "Failed to get auth URL",
                 deletedAccount: "Deleted {email}",
                 deleteFailed: "Delete failed",
@@ -207,7 +210,7 @@ document.addEventListener('alpine:init', () => {
                 maxWaitThreshold: "Max Wait Threshold (Sticky)",
                 maxWaitDesc: "Maximum time to wait for a sticky account to reset before failing or switching.",
                 saveConfigServer: "Save Configuration",
-                serverRestartAlert: "Some changes may require server restart. Config is saved to {path}",
+                serverRestartAlert: "Changes apply immediately, except port, file paths and endpoints, which need a server restart. Config is saved to {path}",
                 changePassword: "Change WebUI Password",
                 changePasswordDesc: "Update the password for accessing this dashboard",
                 currentPassword: "Current Password",
@@ -233,6 +236,15 @@ document.addEventListener('alpine:init', () => {
                 noSearchResults: "No accounts match your search",
                 clearSearch: "Clear Search",
                 disabledAccountsNote: "<strong>Disabled accounts</strong> will not be used for request routing but remain in the configuration. Dashboard statistics only include enabled accounts.",
+                needsReauthBanner: "{count} account(s) need re-authentication",
+                needsReauthToast: "{email} needs re-authentication",
+                groups: "Groups",
+                noGroups: "No groups",
+                editGroups: "Click to edit groups",
+                groupsPlaceholder: "team, reserve",
+                groupsSaved: "Groups updated for {email}",
+                groupsSaveFailed: "Failed to update groups",
+                accountGroupsNote: "<strong>Groups</strong> are pools that models and API keys can be assigned to in config.json. The <strong>reserve</strong> group (highlighted) is only used when the other accounts are exhausted.",
                 dangerousOperation: "⚠️ Dangerous Operation",
                 confirmDeletePrompt: "Are you sure you want to delete account",
                 deleteWarning: "⚠️ This action cannot be undone. All configuration and historical records will be permanently deleted.",
@@ -243,6 +255,41 @@ document.addEventListener('alpine:init', () => {
                 oauthTimeout: "⏱️ OAuth authorization timed out. Please try again.",
                 oauthWindowClosed: "OAuth window was closed. Authorization may be incomplete.",
                 cancelOAuth: "Cancel",
+                // API Keys
+                tabApiKeys: "API Keys",
+                apiKeysDesc: "Proxy-issued keys for /v1/* endpoints. Clients send them as x-api-key or Authorization: Bearer.",
+                apiKeysOpenHint: "No keys yet: /v1/* is open to anyone who can reach this server. Creating a key turns enforcement on.",
+                apiKeysPasswordRequired: "Set a WebUI password (Settings or WEBUI_PASSWORD) to manage API keys.",
+                apiKeyLabel: "Label",
+                apiKeyModels: "Allowed models (e.g. claude-*, empty = all)",
+                apiKeyRpm: "Requests / minute (empty = unlimited)",
+                apiKeyTokensPerDay: "Tokens / day (empty = unlimited)",
+                apiKeyLimits: "Limits",
+                apiKeyUsageToday: "Today",
+                apiKeyAllModels: "All models",
+                apiKeyCreate: "Create Key",
+                apiKeyCreated: "Key created. Copy it now - it will not be shown again.",
+                apiKeyCreateFailed: "Failed to create key",
+                apiKeyLabelRequired: "Label is required",
+                apiKeyRevoke: "Revoke",
+                apiKeyRevokeConfirm: "Revoke API key \"{label}\"? Clients using it will be rejected.",
+                apiKeyRevoked: "API key revoked",
+                // Response Cache
+                tabResponseCache: "Response Cache",
+                responseCacheDesc: "Replays identical requests with temperature 0 (or the x-proxy-cache: 1 header) without spending quota.",
+                responseCacheDisabledHint: "Disabled. Set responseCache.enabled to true in config.json to turn it on.",
+                responseCacheHitRate: "Hit Rate",
+                responseCacheEntries: "Entries",
+                responseCacheSize: "Size",
+                responseCacheEvictions: "Evictions",
+                responseCachePurge: "Purge Cache",
+                responseCachePurgeConfirm: "Remove all cached responses?",
+                responseCachePurged: "Purged {count} cached responses",
+                copy: "Copy",
+                copiedToClipboard: "Copied to clipboard",
+                dismiss: "Dismiss",
+                enable: "Enable",
+                disable: "Disable",
             },
             zh: {
                 dashboard: "仪表盘",
@@ -379,6 +426,9 @@ document.addEventListener('alpine:init', () => {
                 accountToggled: "账号 {email} 已{status}",
                 toggleFailed: "切换失败",
                 reauthenticating: "正在重新认证 {email}...",
+                reauthenticate: "重新认证",
+                reauthSuccess: "{email} 已重新认证",
+                reauthFailed: "{email} 重新认证失败",
                 authUrlFailed: "获取认证链接失败",
                 deletedAccount: "已删除 {email}",
                 deleteFailed: "删除失败",
@@ -439,7 +489,7 @@ document.addEventListener('alpine:init', () => {
                 maxWaitThreshold: "最大等待阈值 (粘性会话)",
                 maxWaitDesc: "粘性账号在失败或切换前等待重置的最长时间。",
                 saveConfigServer: "保存配置",
-                serverRestartAlert: "部分更改可能需要重启服务器。配置已保存至 {path}",
+                serverRestartAlert: "更改立即生效，端口、文件路径和端点除外（需重启服务器）。配置已保存至 {path}",
                 changePassword: "修改 WebUI 密码",
                 changePasswordDesc: "更新访问此仪表盘的密码",
                 currentPassword: "当前密码",
@@ -465,6 +515,15 @@ document.addEventListener('alpine:init', () => {
                 noSearchResults: "没有找到匹配的账号",
                 clearSearch: "清除搜索",
                 disabledAccountsNote: "<strong>已禁用的账号</strong>不会用于请求路由，但仍保留在配置中。仪表盘统计数据仅包含已启用的账号。",
+                needsReauthBanner: "{count} 个账号需要重新认证",
+                needsReauthToast: "{email} 需要重新认证",
+                groups: "分组",
+                noGroups: "无分组",
+                editGroups: "点击编辑分组",
+                groupsPlaceholder: "team, reserve",
+                groupsSaved: "已更新 {email} 的分组",
+                groupsSaveFailed: "更新分组失败",
+                accountGroupsNote: "<strong>分组</strong>是账号池，可在 config.json 中分配给模型和 API 密钥。<strong>备用</strong>分组（高亮显示）仅在其他账号耗尽时使用。",
                 dangerousOperation: "⚠️ 危险操作",
                 confirmDeletePrompt: "确定要删除账号",
                 deleteWarning: "⚠️ 此操作不可撤销，账号的所有配置和历史记录将永久删除。",
@@ -475,6 +534,41 @@ document.addEventListener('alpine:init', () => {
                 oauthTimeout: "⏱️ OAuth 授权超时，请重试。",
                 oauthWindowClosed: "OAuth 窗口已关闭，授权可能未完成。",
                 cancelOAuth: "取消",
+                // API 密钥
+                tabApiKeys: "API 密钥",
+                apiKeysDesc: "代理签发的 /v1/* 接口密钥。客户端通过 x-api-key 或 Authorization: Bearer 发送。",
+                apiKeysOpenHint: "尚无密钥：任何能访问此服务器的人都可以使用 /v1/*。创建密钥后将开启校验。",
+                apiKeysPasswordRequired: "请先设置 WebUI 密码（设置页或 WEBUI_PASSWORD）才能管理 API 密钥。",
+                apiKeyLabel: "标签",
+                apiKeyModels: "允许的模型（如 claude-*，留空为全部）",
+                apiKeyRpm: "每分钟请求数（留空为不限）",
+                apiKeyTokensPerDay: "每日 Token 数（留空为不限）",
+                apiKeyLimits: "限额",
+                apiKeyUsageToday: "今日",
+                apiKeyAllModels: "全部模型",
+                apiKeyCreate: "创建密钥",
+                apiKeyCreated: "密钥已创建。请立即复制，之后将无法再次查看。",
+                apiKeyCreateFailed: "创建密钥失败",
+                apiKeyLabelRequired: "标签不能为空",
+                apiKeyRevoke: "吊销",
+                apiKeyRevokeConfirm: "确定吊销 API 密钥 \"{label}\"？使用该密钥的客户端将被拒绝。",
+                apiKeyRevoked: "API 密钥已吊销",
+                // Response Cache
+                tabResponseCache: "响应缓存",
+                responseCacheDesc: "对 temperature 为 0（或带有 x-proxy-cache: 1 请求头）的相同请求直接返回缓存结果，不消耗配额。",
+                responseCacheDisabledHint: "未启用。在 config.json 中将 responseCache.enabled 设为 true 即可开启。",
+                responseCacheHitRate: "命中率",
+                responseCacheEntries: "条目",
+                responseCacheSize: "大小",
+                responseCacheEvictions: "淘汰次数",
+                responseCachePurge: "清空缓存",
+                responseCachePurgeConfirm: "确定删除所有缓存的响应？",
+                responseCachePurged: "已清除 {count} 条缓存响应",
+                copy: "复制",
+                copiedToClipboard: "已复制到剪贴板",
+                dismiss: "关闭",
+                enable: "启用",
+                disable: "禁用",
             }
         },
 
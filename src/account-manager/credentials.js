@@ -16,6 +16,34 @@ import { getAuthStatus } from '../auth/database.js';
 import { logger } from '../utils/logger.js';
 import { isNetworkError } from '../utils/helpers.js';
 
+// A cached token this close to its real expiry is not handed out any more
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Get the time a cached token stops being served: after the cache TTL, or
+ * shortly before the token itself expires if that comes first
+ *
+ * @param {{extractedAt: number, expiresAt?: number}} entry - Token cache entry
+ * @returns {number} Timestamp (ms)
+ */
+function getCacheExpiry(entry) {
+    const ttlExpiry = entry.extractedAt + TOKEN_REFRESH_INTERVAL_MS;
+    return entry.expiresAt ? Math.min(ttlExpiry, entry.expiresAt - TOKEN_EXPIRY_MARGIN_MS) : ttlExpiry;
+}
+
+/**
+ * Get the refresh and expiry times of an account's cached token
+ *
+ * @param {Map} tokenCache - Token cache map
+ * @param {string} email - Account email
+ * @returns {{refreshedAt: number, expiresAt: number}|null} Times (ms), or null if no token is cached
+ */
+export function getTokenTiming(tokenCache, email) {
+    const cached = tokenCache.get(email);
+    if (!cached) return null;
+    return { refreshedAt: cached.extractedAt, expiresAt: getCacheExpiry(cached) };
+}
+
 /**
  * Get OAuth token for an account
  *
@@ -23,34 +51,40 @@ import { isNetworkError } from '../utils/helpers.js';
  * @param {Map} tokenCache - Token cache map
  * @param {Function} onInvalid - Callback when account is invalid (email, reason)
  * @param {Function} onSave - Callback to save changes
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Refresh even if a cached token is still valid
+ *   (the cached token is kept if the refresh fails)
  * @returns {Promise<string>} OAuth access token
  * @throws {Error} If token refresh fails
  */
-export async function getTokenForAccount(account, tokenCache, onInvalid, onSave) {
+export async function getTokenForAccount(account, tokenCache, onInvalid, onSave, { force = false } = {}) {
     // Check cache first
     const cached = tokenCache.get(account.email);
-    if (cached && (Date.now() - cached.extractedAt) < TOKEN_REFRESH_INTERVAL_MS) {
+    if (!force && cached && Date.now() < getCacheExpiry(cached)) {
         return cached.token;
     }
 
     // Get fresh token based on source
     let token;
+    let expiresAt;
 
     if (account.source === 'oauth' && account.refreshToken) {
         // OAuth account - use refresh token to get new access token
         try {
             const tokens = await refreshAccessToken(account.refreshToken);
             token = tokens.accessToken;
+            if (tokens.expiresIn) expiresAt = Date.now() + tokens.expiresIn * 1000;
             // Clear invalid flag on success
             if (account.isInvalid) {
                 account.isInvalid = false;
                 account.invalidReason = null;
+                account.invalidAt = null;
                 if (onSave) await onSave();
             }
             logger.success(`[AccountManager] Refreshed OAuth token for: ${account.email}`);
         } catch (error) {
-            // Check if it's a transient network error
-            if (isNetworkError(error)) {
+            // Check if it's a transient network or server error
+            if (isNetworkError(error) || error.status >= 500) {
                 logger.warn(`[AccountManager] Failed to refresh token for ${account.email} due to network error: ${error.message}`);
                 // Do NOT mark as invalid, just throw so caller knows it failed
                 throw new Error(`AUTH_NETWORK_ERROR: ${error.message}`);
@@ -73,7 +107,8 @@ export async function getTokenForAccount(account, tokenCache, onInvalid, onSave)
     // Cache the token
     tokenCache.set(account.email, {
         token,
-        extractedAt: Date.now()
+        extractedAt: Date.now(),
+        expiresAt
     });
 
     return token;
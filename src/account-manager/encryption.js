@@ -0,0 +1,263 @@
+/**
+ * Account Secret Encryption
+ *
+ * Optional encryption at rest for the secrets in accounts.json (OAuth
+ * refresh tokens and manual API keys). Everything else stays readable.
+ *
+ * An encrypted file has an "encryption" header with the key derivation
+ * parameters, and each secret is stored as "enc:v1:<iv>:<tag>:<ciphertext>"
+ * (AES-256-GCM, base64). The key is derived with scrypt from a passphrase
+ * taken from ACCOUNTS_ENCRYPTION_KEY or, on a terminal, asked for once at startup.
+ *
+ * Once a file is encrypted every save keeps it encrypted. New files are
+ * encrypted when ACCOUNTS_ENCRYPTION_KEY is set.
+ */
+
+import crypto from 'crypto';
+import { readFile } from 'fs/promises';
+import { createInterface } from 'readline';
+import { AccountsLockedError } from '../errors.js';
+
+export const ENCRYPTION_KEY_ENV = 'ACCOUNTS_ENCRYPTION_KEY';
+
+const SECRET_FIELDS = ['refreshToken', 'apiKey'];
+const SECRET_PREFIX = 'enc:v1:';
+const CIPHER = 'aes-256-gcm';
+
+// Encrypted with the key and stored in the header, so a wrong passphrase is detected up front
+const CHECK_VALUE = 'antigravity-accounts';
+
+// scrypt cost: ~100ms per derivation, done once per process and passphrase
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+// Derived keys by salt, so the passphrase is only asked for once
+const keys = new Map();
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} True if the value is an encrypted secret
+ */
+export function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+/**
+ * Derive the key for a header from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} header - Encryption header (salt and scrypt parameters)
+ * @returns {Buffer} 32-byte key
+ */
+function deriveKey(passphrase, header) {
+    const { N, r, p } = header;
+    return crypto.scryptSync(passphrase, Buffer.from(header.salt, 'base64'), 32, {
+        N, r, p, maxmem: 256 * N * r
+    });
+}
+
+/**
+ * @param {string} value - Plaintext
+ * @param {Buffer} key - Key
+ * @returns {string} Encrypted secret
+ */
+function encryptValue(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return `${SECRET_PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${data.toString('base64')}`;
+}
+
+/**
+ * @param {string} value - Encrypted secret
+ * @param {Buffer} key - Key
+ * @returns {string} Plaintext
+ * @throws {Error} If the key is wrong or the value was tampered with
+ */
+function decryptValue(value, key) {
+    const [iv, tag, data] = value.slice(SECRET_PREFIX.length).split(':');
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check a passphrase against a header and remember the key if it matches
+ * @param {string} passphrase - Passphrase
+ * @param {Object} header - Encryption header
+ * @returns {Buffer|null} Key, or null if the passphrase is wrong
+ */
+function tryPassphrase(passphrase, header) {
+    const key = deriveKey(passphrase, header);
+    try {
+        if (decryptValue(header.check, key) !== CHECK_VALUE) return null;
+    } catch {
+        return null;
+    }
+    keys.set(header.salt, key);
+    return key;
+}
+
+/**
+ * Get the key for an encrypted file: already unlocked, or from ACCOUNTS_ENCRYPTION_KEY
+ * @param {Object} header - Encryption header
+ * @returns {Buffer} Key
+ * @throws {AccountsLockedError} If no passphrase is available or it is wrong
+ */
+function getKey(header) {
+    if (keys.has(header.salt)) return keys.get(header.salt);
+
+    const passphrase = process.env[ENCRYPTION_KEY_ENV];
+    if (!passphrase) {
+        throw new AccountsLockedError(`accounts.json is encrypted: set ${ENCRYPTION_KEY_ENV} or start from a terminal to enter the passphrase`);
+    }
+    const key = tryPassphrase(passphrase, header);
+    if (!key) {
+        throw new AccountsLockedError(`${ENCRYPTION_KEY_ENV} does not match the passphrase accounts.json was encrypted with`);
+    }
+    return key;
+}
+
+/**
+ * Create an encryption header for a new passphrase (and remember its key)
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Header to store in accounts.json
+ */
+export function createEncryptionHeader(passphrase) {
+    if (!passphrase) throw new Error('Passphrase must not be empty');
+    const header = {
+        version: 1,
+        cipher: CIPHER,
+        kdf: 'scrypt',
+        ...SCRYPT_PARAMS,
+        salt: crypto.randomBytes(16).toString('base64')
+    };
+    const key = deriveKey(passphrase, header);
+    header.check = encryptValue(CHECK_VALUE, key);
+    keys.set(header.salt, key);
+    return header;
+}
+
+/**
+ * Decrypt the secrets of a parsed accounts.json. Plaintext files are returned as-is.
+ * @param {Object} data - Parsed accounts.json
+ * @returns {Object} Copy with plaintext secrets and no encryption header
+ * @throws {AccountsLockedError} If the file is encrypted and cannot be unlocked
+ */
+export function decryptAccounts(data) {
+    if (!data?.encryption) return data;
+
+    const key = getKey(data.encryption);
+    const { encryption, ...rest } = data;
+    return {
+        ...rest,
+        accounts: (data.accounts || []).map(account => {
+            const decrypted = { ...account };
+            for (const field of SECRET_FIELDS) {
+                if (!isEncryptedValue(account[field])) continue;
+                try {
+                    decrypted[field] = decryptValue(account[field], key);
+                } catch {
+                    throw new AccountsLockedError(`Could not decrypt ${field} of ${account.email}: the file may have been modified`);
+                }
+            }
+            return decrypted;
+        })
+    };
+}
+
+/**
+ * Prepare accounts.json for writing: encrypt the secrets if the file on disk
+ * is encrypted, or if ACCOUNTS_ENCRYPTION_KEY is set for a plaintext/new file.
+ *
+ * @param {Object} data - accounts.json contents with plaintext secrets
+ * @param {Object|null} [existingHeader] - Encryption header of the file being replaced
+ * @returns {Object} Contents to write
+ * @throws {AccountsLockedError} If the file is encrypted and cannot be unlocked
+ */
+export function sealAccounts(data, existingHeader = null) {
+    let header = existingHeader;
+    if (!header && process.env[ENCRYPTION_KEY_ENV]) {
+        header = createEncryptionHeader(process.env[ENCRYPTION_KEY_ENV]);
+    }
+    if (!header) return data;
+    return encryptAccounts(data, header);
+}
+
+/**
+ * Encrypt the secrets of accounts.json contents with a header's key
+ * @param {Object} data - accounts.json contents with plaintext secrets
+ * @param {Object} header - Encryption header (its key must be known)
+ * @returns {Object} Contents with encrypted secrets and the header
+ */
+export function encryptAccounts(data, header) {
+    const key = getKey(header);
+    return {
+        ...data,
+        encryption: header,
+        accounts: (data.accounts || []).map(account => {
+            const encrypted = { ...account };
+            for (const field of SECRET_FIELDS) {
+                if (typeof account[field] === 'string' && !isEncryptedValue(account[field])) {
+                    encrypted[field] = encryptValue(account[field], key);
+                }
+            }
+            return encrypted;
+        })
+    };
+}
+
+/**
+ * Ask for a passphrase on the terminal without echoing it
+ * @param {string} question - Prompt
+ * @returns {Promise<string>} Passphrase
+ * @throws {AccountsLockedError} If stdin is not a terminal
+ */
+export function promptPassphrase(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new AccountsLockedError(`No terminal to ask for the passphrase: set ${ENCRYPTION_KEY_ENV}`));
+    }
+    return new Promise(resolve => {
+        const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        // Mask typed characters
+        rl._writeToOutput = text => {
+            if (text.startsWith(question)) rl.output.write(question);
+        };
+    });
+}
+
+/**
+ * Unlock an encrypted accounts.json before it is first loaded. Uses
+ * ACCOUNTS_ENCRYPTION_KEY if set, otherwise asks on the terminal (up to 3 tries).
+ * Does nothing for plaintext or missing files.
+ *
+ * @param {string} configPath - Path to accounts.json
+ * @param {Object} [options]
+ * @param {boolean} [options.prompt=true] - Ask on the terminal if no key is set
+ * @returns {Promise<boolean>} True if the file is encrypted (and now unlocked)
+ * @throws {AccountsLockedError} If the file cannot be unlocked
+ */
+export async function unlockAccountsFile(configPath, { prompt = true } = {}) {
+    let header;
+    try {
+        header = JSON.parse(await readFile(configPath, 'utf-8')).encryption;
+    } catch {
+        return false;
+    }
+    if (!header) return false;
+
+    if (keys.has(header.salt) || process.env[ENCRYPTION_KEY_ENV] || !prompt || !process.stdin.isTTY) {
+        getKey(header);
+        return true;
+    }
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const passphrase = await promptPassphrase(`Passphrase for ${configPath}: `);
+        if (tryPassphrase(passphrase, header)) return true;
+        console.error('Wrong passphrase.');
+    }
+    throw new AccountsLockedError('accounts.json is encrypted and the passphrase was not entered correctly');
+}
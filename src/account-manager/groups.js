@@ -0,0 +1,144 @@
+/**
+ * Account Groups
+ *
+ * Named subsets of accounts ("personal", "team", "reserve"), so traffic can
+ * be kept on specific accounts. A request's groups come from, in order:
+ *   1. the routing rule that matched it (see model-routing.js)
+ *   2. the proxy API key it was sent with ("accountGroups" on the key)
+ *   3. the first "modelAccountGroups" pattern matching the model
+ * Requests without groups select from all accounts.
+ *
+ * The "reserveAccountGroup" is held back: its accounts are left out of every
+ * pool and are only used once no primary account is available for the model.
+ * Models matching "reserveExcludedModels" never use it.
+ *
+ * Config (config.json):
+ *   "accountGroups": { "team": ["a@gmail.com"], "reserve": ["spare@gmail.com"] },
+ *   "modelAccountGroups": { "claude-opus-*": ["team"] },
+ *   "reserveAccountGroup": "reserve",
+ *   "reserveExcludedModels": ["claude-opus-*"]
+ */
+
+import { config } from '../config.js';
+import { matchesPattern } from '../model-routing.js';
+import { logger } from '../utils/logger.js';
+
+// Groups already warned about, so a misconfigured group is logged once
+const warnedGroups = new Set();
+
+/**
+ * Normalize a group selection to a list of names
+ * @param {string|string[]|null} group - Group name(s)
+ * @returns {string[]}
+ */
+function toGroupList(group) {
+    if (!group) return [];
+    return (Array.isArray(group) ? group : [group]).filter(Boolean);
+}
+
+/**
+ * Get the lower-cased member emails of some groups
+ * @param {string[]} groups - Group names
+ * @returns {Set<string>}
+ */
+function getMemberEmails(groups) {
+    const emails = new Set();
+    for (const group of groups) {
+        const members = config.accountGroups?.[group];
+        if (Array.isArray(members)) members.forEach(email => emails.add(email.toLowerCase()));
+    }
+    return emails;
+}
+
+/**
+ * Get the accounts in one or more groups.
+ * Undefined or empty groups give an empty pool, so requests routed to them
+ * fail instead of spilling onto accounts outside the group. With
+ * fallBackToAll they use all accounts instead (for "modelAccountGroups",
+ * which apply to every request for a model). Either way this is logged once.
+ *
+ * @param {Array} accounts - All accounts
+ * @param {string|string[]|null} group - Group name(s), or null for all accounts
+ * @param {boolean} [fallBackToAll=false] - Use all accounts when the groups have none
+ * @returns {Array} Accounts in the groups (the original array when not narrowed)
+ */
+export function getGroupAccounts(accounts, group, fallBackToAll = false) {
+    const groups = toGroupList(group);
+    if (groups.length === 0) return accounts;
+
+    const emails = getMemberEmails(groups);
+    const pool = accounts.filter(account => emails.has(account.email.toLowerCase()));
+    const key = groups.join(',');
+
+    if (pool.length === 0) {
+        if (!warnedGroups.has(key)) {
+            warnedGroups.add(key);
+            const defined = groups.some(name => config.accountGroups?.[name]);
+            const reason = defined ? 'has none of the configured accounts' : 'is not defined in accountGroups';
+            const outcome = fallBackToAll ? 'using all accounts' : 'requests for it will fail';
+            logger.warn(`[AccountManager] Account group "${key}" ${reason}; ${outcome}`);
+        }
+        return fallBackToAll ? accounts : pool;
+    }
+    warnedGroups.delete(key);
+    return pool;
+}
+
+/**
+ * Get the groups "modelAccountGroups" assigns to a model (first matching pattern)
+ * @param {string|null} modelId - Model ID
+ * @returns {string[]} Group names (empty if no pattern matches)
+ */
+export function getModelGroups(modelId) {
+    if (!modelId) return [];
+    for (const [pattern, groups] of Object.entries(config.modelAccountGroups || {})) {
+        if (matchesPattern(pattern, modelId)) return toGroupList(groups);
+    }
+    return [];
+}
+
+/**
+ * Split the accounts a request may use into its primary pool and the reserve.
+ *
+ * @param {Array} accounts - All accounts
+ * @param {string|null} modelId - Model ID
+ * @param {string|string[]|null} [group] - Groups chosen by a routing rule or API key
+ *   (when empty, the model's "modelAccountGroups" apply). Unlike model groups,
+ *   these never fall back to all accounts.
+ * @returns {{primary: Array, reserve: Array}} Primary accounts, and the reserve
+ *   accounts to use once none of them is available (empty for excluded models)
+ */
+export function getAccountPools(accounts, modelId, group = null) {
+    const explicit = toGroupList(group).length > 0;
+    const groups = explicit ? toGroupList(group) : getModelGroups(modelId);
+    const primary = getGroupAccounts(accounts, groups, !explicit);
+
+    // A rule or key naming a group without accounts gets nothing, not the reserve either
+    if (primary.length === 0) return { primary, reserve: [] };
+
+    // Asking for the reserve group by name makes it a primary group
+    const reserveGroup = config.reserveAccountGroup;
+    if (!reserveGroup || groups.includes(reserveGroup)) return { primary, reserve: [] };
+
+    const reserveEmails = getMemberEmails([reserveGroup]);
+    if (reserveEmails.size === 0) return { primary, reserve: [] };
+
+    const isReserve = account => reserveEmails.has(account.email.toLowerCase());
+    const excluded = modelId && (config.reserveExcludedModels || []).some(pattern => matchesPattern(pattern, modelId));
+    return {
+        primary: primary.filter(account => !isReserve(account)),
+        reserve: excluded ? [] : accounts.filter(isReserve)
+    };
+}
+
+/**
+ * Get the groups an account belongs to
+ * @param {string} email - Account email
+ * @returns {string[]} Group names
+ */
+export function getAccountGroupNames(email) {
+    const target = email.toLowerCase();
+    return Object.entries(config.accountGroups || {})
+        .filter(([, members]) => Array.isArray(members) && members.some(m => m.toLowerCase() === target))
+        .map(([name]) => name);
+}
@@ -1,7 +1,8 @@
 /**
  * Account Manager
- * Manages multiple Antigravity accounts with sticky selection,
- * automatic failover, and smart cooldown for rate-limited accounts.
+ * Manages multiple Antigravity accounts with pluggable selection strategies
+ * (sticky by default), per-conversation account affinity, automatic failover,
+ * and smart cooldown for rate-limited accounts.
  */
 
 import { ACCOUNT_CONFIG_PATH } from '../constants.js';
@@ -20,7 +21,8 @@ import {
     getTokenForAccount as fetchToken,
     getProjectForAccount as fetchProject,
     clearProjectCache as clearProject,
-    clearTokenCache as clearToken
+    clearTokenCache as clearToken,
+    getTokenTiming
 } from './credentials.js';
 import {
     pickNext as selectNext,
@@ -28,6 +30,15 @@ import {
     shouldWaitForCurrentAccount as shouldWait,
     pickStickyAccount as selectSticky
 } from './selection.js';
+import {
+    resolveSessionIndex,
+    bindSession,
+    pruneExpiredSessions,
+    countSessionsByAccount
+} from './session-affinity.js';
+import { getStrategy, getStrategySummary } from './strategies.js';
+import { getQuotaPool, isQuotaDrained } from './quota-routing.js';
+import { getAccountPools, getAccountGroupNames } from './groups.js';
 import { logger } from '../utils/logger.js';
 
 export class AccountManager {
@@ -38,9 +49,19 @@ export class AccountManager {
     #initialized = false;
 
     // Per-account caches
-    #tokenCache = new Map(); // email -> { token, extractedAt }
+    #tokenCache = new Map(); // email -> { token, extractedAt, expiresAt }
     #projectCache = new Map(); // email -> projectId
 
+    // Conversation affinity
+    #sessionAffinity = new Map(); // sessionId -> { email, lastSeen }
+
+    // Last known quota snapshots (filled by the quota poller), used by
+    // /health, /account-limits and the quota-weighted strategy
+    #quotaCache = new Map(); // email -> { quotas, fetchedAt, error, errorAt }
+
+    // Model/group pairs currently served from the reserve group (see groups.js)
+    #reserveModels = new Set();
+
     constructor(configPath = ACCOUNT_CONFIG_PATH) {
         this.#configPath = configPath;
     }
@@ -92,10 +113,14 @@ export class AccountManager {
     /**
      * Check if all accounts are rate-limited
      * @param {string} [modelId] - Optional model ID
-     * @returns {boolean} True if all accounts are rate-limited
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to check instead of all accounts
+     * @returns {boolean} True if all accounts are rate-limited (including the reserve, if the model may use it)
      */
-    isAllRateLimited(modelId = null) {
-        return checkAllRateLimited(this.#accounts, modelId);
+    isAllRateLimited(modelId = null, accountGroup = null) {
+        const accounts = this.#groupAccounts(modelId, accountGroup);
+        // A group without accounts has nothing to wait for (see groups.js)
+        if (accounts.length === 0 && this.#accounts.length > 0) return false;
+        return checkAllRateLimited(accounts, modelId);
     }
 
     /**
@@ -136,15 +161,93 @@ export class AccountManager {
         resetLimits(this.#accounts);
     }
 
+    /**
+     * Get the sticky index to start selection from.
+     * Without a session ID this is the global index; with one it is the
+     * session's bound account (or the least-loaded account for a new session).
+     * @param {string|null} sessionId - Conversation session ID
+     * @param {string|null} modelId - Model ID
+     * @param {Array} [pool] - Accounts the index refers to
+     * @returns {number} Index into pool
+     */
+    #indexFor(sessionId, modelId, pool = this.#accounts) {
+        // Translate the global index into the pool (low-quota accounts may be left out)
+        let currentIndex = this.#currentIndex;
+        if (pool !== this.#accounts) {
+            currentIndex = Math.max(0, pool.indexOf(this.#accounts[this.#currentIndex]));
+        }
+        if (!sessionId) return currentIndex;
+        return resolveSessionIndex(pool, this.#sessionAffinity, sessionId, currentIndex, modelId);
+    }
+
+    /**
+     * Store the selected index, either globally or as the session's binding
+     * @param {string|null} sessionId - Conversation session ID
+     * @param {number} newIndex - Selected index within the pool
+     * @param {Array} [pool] - Accounts the index refers to
+     */
+    #commitIndex(sessionId, newIndex, pool = this.#accounts) {
+        const account = pool[newIndex];
+        if (!sessionId) {
+            if (pool === this.#accounts) {
+                this.#currentIndex = newIndex;
+            } else if (account) {
+                this.#currentIndex = this.#accounts.indexOf(account);
+            }
+            return;
+        }
+        if (account) bindSession(this.#sessionAffinity, sessionId, account.email);
+    }
+
+    /**
+     * Get every account a request may end up on: its primary pool and the reserve
+     * @param {string|null} modelId - Model ID
+     * @param {string|string[]|null} [accountGroup] - Account group(s) chosen by a routing rule or API key
+     * @returns {Array} Accounts
+     */
+    #groupAccounts(modelId, accountGroup = null) {
+        const { primary, reserve } = getAccountPools(this.#accounts, modelId, accountGroup);
+        return reserve.length > 0 ? [...primary, ...reserve] : primary;
+    }
+
+    /**
+     * Get the accounts to select from for a model: the request's primary
+     * accounts, or the reserve group while none of them is available (see
+     * groups.js), leaving out accounts whose cached quota is at or below the
+     * quota routing threshold (see quota-routing.js)
+     * @param {string|null} modelId - Model ID
+     * @param {string|string[]|null} [accountGroup] - Account group(s) chosen by a routing rule or API key
+     * @returns {Array} Account pool
+     */
+    #poolFor(modelId, accountGroup = null) {
+        const { primary, reserve } = getAccountPools(this.#accounts, modelId, accountGroup);
+        const useReserve = getAvailable(primary, modelId).length === 0 && getAvailable(reserve, modelId).length > 0;
+
+        const model = modelId || 'any model';
+        const key = `${model} ${[accountGroup || []].flat().join(',')}`;
+        if (useReserve && !this.#reserveModels.has(key)) {
+            this.#reserveModels.add(key);
+            logger.warn(`[AccountManager] No primary account available for ${model}. Using the reserve group`);
+        } else if (!useReserve && this.#reserveModels.delete(key)) {
+            logger.info(`[AccountManager] Primary accounts available again for ${model}`);
+        }
+
+        const accounts = useReserve ? reserve : primary;
+        return getQuotaPool(accounts, modelId, (email, model) => this.getQuotaFraction(email, model));
+    }
+
     /**
      * Pick the next available account (fallback when current is unavailable).
-     * Sets activeIndex to the selected account's index.
+     * Sets activeIndex (or the session's binding) to the selected account.
      * @param {string} [modelId] - Optional model ID
+     * @param {string} [sessionId] - Optional conversation session ID for affinity
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to select from
      * @returns {Object|null} The next available account or null if none available
      */
-    pickNext(modelId = null) {
-        const { account, newIndex } = selectNext(this.#accounts, this.#currentIndex, () => this.saveToDisk(), modelId);
-        this.#currentIndex = newIndex;
+    pickNext(modelId = null, sessionId = null, accountGroup = null) {
+        const pool = this.#poolFor(modelId, accountGroup);
+        const { account, newIndex } = selectNext(pool, this.#indexFor(sessionId, modelId, pool), () => this.saveToDisk(), modelId);
+        this.#commitIndex(sessionId, newIndex, pool);
         return account;
     }
 
@@ -152,11 +255,14 @@ export class AccountManager {
      * Get the current account without advancing the index (sticky selection).
      * Used for cache continuity - sticks to the same account until rate-limited.
      * @param {string} [modelId] - Optional model ID
+     * @param {string} [sessionId] - Optional conversation session ID for affinity
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to select from
      * @returns {Object|null} The current account or null if unavailable/rate-limited
      */
-    getCurrentStickyAccount(modelId = null) {
-        const { account, newIndex } = getSticky(this.#accounts, this.#currentIndex, () => this.saveToDisk(), modelId);
-        this.#currentIndex = newIndex;
+    getCurrentStickyAccount(modelId = null, sessionId = null, accountGroup = null) {
+        const pool = this.#poolFor(modelId, accountGroup);
+        const { account, newIndex } = getSticky(pool, this.#indexFor(sessionId, modelId, pool), () => this.saveToDisk(), modelId);
+        this.#commitIndex(sessionId, newIndex, pool);
         return account;
     }
 
@@ -164,10 +270,13 @@ export class AccountManager {
      * Check if we should wait for the current account's rate limit to reset.
      * Used for sticky account selection - wait if rate limit is short (≤ threshold).
      * @param {string} [modelId] - Optional model ID
+     * @param {string} [sessionId] - Optional conversation session ID for affinity
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to select from
      * @returns {{shouldWait: boolean, waitMs: number, account: Object|null}}
      */
-    shouldWaitForCurrentAccount(modelId = null) {
-        return shouldWait(this.#accounts, this.#currentIndex, modelId);
+    shouldWaitForCurrentAccount(modelId = null, sessionId = null, accountGroup = null) {
+        const pool = this.#poolFor(modelId, accountGroup);
+        return shouldWait(pool, this.#indexFor(sessionId, modelId, pool), modelId);
     }
 
     /**
@@ -175,15 +284,119 @@ export class AccountManager {
      * Prefers the current account for cache continuity, only switches when:
      * - Current account is rate-limited for > 2 minutes
      * - Current account is invalid
+     * With a session ID, "current" is the account bound to that conversation,
+     * so concurrent conversations stick to (and fail over from) their own accounts.
      * @param {string} [modelId] - Optional model ID
+     * @param {string} [sessionId] - Optional conversation session ID for affinity
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to select from
      * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time
      */
-    pickStickyAccount(modelId = null) {
-        const { account, waitMs, newIndex } = selectSticky(this.#accounts, this.#currentIndex, () => this.saveToDisk(), modelId);
-        this.#currentIndex = newIndex;
+    pickStickyAccount(modelId = null, sessionId = null, accountGroup = null) {
+        const pool = this.#poolFor(modelId, accountGroup);
+        const { account, waitMs, newIndex } = selectSticky(pool, this.#indexFor(sessionId, modelId, pool), () => this.saveToDisk(), modelId);
+        this.#commitIndex(sessionId, newIndex, pool);
         return { account, waitMs };
     }
 
+    /**
+     * Select an account using the strategy configured for the model's family
+     * (config.accountSelection). The sticky strategy honors session affinity;
+     * the others spread requests regardless of conversation.
+     * @param {string} [modelId] - Optional model ID
+     * @param {string} [sessionId] - Optional conversation session ID for affinity
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to select from
+     * @returns {{account: Object|null, waitMs: number}} Account to use and optional wait time
+     */
+    selectAccount(modelId = null, sessionId = null, accountGroup = null) {
+        const strategy = getStrategy(modelId);
+        const affinityId = strategy.usesAffinity ? sessionId : null;
+        const pool = this.#poolFor(modelId, accountGroup);
+        const { account, waitMs, newIndex } = strategy.select(
+            pool,
+            this.#indexFor(affinityId, modelId, pool),
+            () => this.saveToDisk(),
+            modelId,
+            { getQuota: (email, model) => this.getQuotaFraction(email, model) }
+        );
+        this.#commitIndex(affinityId, newIndex, pool);
+        return { account, waitMs };
+    }
+
+    /**
+     * Check whether every usable account is nearly out of quota for a model,
+     * based on the cached quota snapshots. Callers can fall back to another
+     * model instead of spending a request on a near-certain 429.
+     * @param {string} modelId - Model ID
+     * @param {string|string[]|null} [accountGroup] - Account group(s) chosen by a routing rule or API key
+     * @returns {boolean} True if all usable accounts the request may use are at or below the quota threshold
+     */
+    isQuotaDrained(modelId, accountGroup = null) {
+        const accounts = this.#groupAccounts(modelId, accountGroup);
+        return isQuotaDrained(accounts, modelId, (email, model) => this.getQuotaFraction(email, model));
+    }
+
+    /**
+     * Get the effective selection strategy per model family
+     * @returns {{default: string, families: Object<string, string>, available: string[]}}
+     */
+    getSelectionStrategies() {
+        return getStrategySummary();
+    }
+
+    /**
+     * Remember the latest quotas fetched for an account
+     * @param {string} email - Account email
+     * @param {Object} quotas - Map of modelId -> { remainingFraction, resetTime } (from getModelQuotas)
+     */
+    updateQuotas(email, quotas) {
+        this.#quotaCache.set(email, { quotas: quotas || {}, fetchedAt: Date.now(), error: null, errorAt: null });
+    }
+
+    /**
+     * Record a failed quota fetch. The previous snapshot (if any) is kept.
+     * @param {string} email - Account email
+     * @param {string} error - Error message
+     */
+    recordQuotaError(email, error) {
+        const previous = this.#quotaCache.get(email) || { quotas: null, fetchedAt: null };
+        this.#quotaCache.set(email, { ...previous, error, errorAt: Date.now() });
+    }
+
+    /**
+     * Get the cached quota snapshot for an account
+     * @param {string} email - Account email
+     * @returns {{quotas: Object|null, fetchedAt: number|null, error: string|null, errorAt: number|null}|null} Snapshot or null if never fetched
+     */
+    getQuotaSnapshot(email) {
+        const snapshot = this.#quotaCache.get(email);
+        return snapshot ? { ...snapshot } : null;
+    }
+
+    /**
+     * Get the last known remaining quota fraction for an account and model
+     * @param {string} email - Account email
+     * @param {string} modelId - Model ID
+     * @returns {number|null} Remaining fraction (0-1) or null if unknown
+     */
+    getQuotaFraction(email, modelId) {
+        const quota = this.#quotaCache.get(email)?.quotas?.[modelId];
+        if (!quota || typeof quota.remainingFraction !== 'number') return null;
+
+        // Quota has reset since the snapshot was taken
+        if (quota.resetTime && new Date(quota.resetTime).getTime() <= Date.now()) return null;
+
+        return quota.remainingFraction;
+    }
+
+    /**
+     * Get the number of live conversation bindings
+     * @returns {number} Number of sessions bound to an account
+     */
+    getSessionCount() {
+        pruneExpiredSessions(this.#sessionAffinity);
+        return this.#sessionAffinity.size;
+    }
+
     /**
      * Mark an account as rate-limited
      * @param {string} email - Email of the account to mark
@@ -205,30 +418,68 @@ export class AccountManager {
         this.saveToDisk();
     }
 
+    /**
+     * Store a new refresh token for an OAuth account that signed in again.
+     * The live account is updated and saved from here, so a save already
+     * under way cannot write the old token back. Clears the invalid flag and
+     * the token cached from the old refresh token.
+     * @param {string} email - Account email
+     * @param {string} refreshToken - New refresh token
+     * @returns {Promise<void>} Resolves once the account is saved
+     * @throws {Error} If the account does not exist or is not an OAuth account
+     */
+    async replaceRefreshToken(email, refreshToken) {
+        const account = this.#accounts.find(a => a.email === email);
+        if (!account) {
+            throw new Error(`Account ${email} not found`);
+        }
+        if (account.source !== 'oauth') {
+            throw new Error(`Account ${email} does not sign in with OAuth`);
+        }
+
+        Object.assign(account, { refreshToken, isInvalid: false, invalidReason: null, invalidAt: null });
+        clearToken(this.#tokenCache, email);
+        await this.saveToDisk();
+        logger.info(`[AccountManager] Stored a new refresh token for ${email}`);
+    }
+
     /**
      * Get the minimum wait time until any account becomes available
      * @param {string} [modelId] - Optional model ID
+     * @param {string|string[]} [accountGroup] - Optional account group(s) to check instead of all accounts
      * @returns {number} Wait time in milliseconds
      */
-    getMinWaitTimeMs(modelId = null) {
-        return getMinWait(this.#accounts, modelId);
+    getMinWaitTimeMs(modelId = null, accountGroup = null) {
+        return getMinWait(this.#groupAccounts(modelId, accountGroup), modelId);
     }
 
     /**
      * Get OAuth token for an account
      * @param {Object} account - Account object with email and credentials
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Refresh even if the cached token is still valid
      * @returns {Promise<string>} OAuth access token
      * @throws {Error} If token refresh fails
      */
-    async getTokenForAccount(account) {
+    async getTokenForAccount(account, options = {}) {
         return fetchToken(
             account,
             this.#tokenCache,
             (email, reason) => this.markInvalid(email, reason),
-            () => this.saveToDisk()
+            () => this.saveToDisk(),
+            options
         );
     }
 
+    /**
+     * Get when an account's cached token was refreshed and when it stops being served
+     * @param {string} email - Account email
+     * @returns {{refreshedAt: number, expiresAt: number}|null} Times (ms), or null if no token is cached
+     */
+    getTokenTiming(email) {
+        return getTokenTiming(this.#tokenCache, email);
+    }
+
     /**
      * Get project ID for an account
      * @param {Object} account - Account object
@@ -256,11 +507,17 @@ export class AccountManager {
     }
 
     /**
-     * Save current state to disk (async)
+     * Save current state to disk (async). A failed write is logged by the
+     * store and not thrown: the live state stays in memory and the next save
+     * writes it again.
      * @returns {Promise<void>}
      */
     async saveToDisk() {
-        await saveAccounts(this.#configPath, this.#accounts, this.#settings, this.#currentIndex);
+        try {
+            await saveAccounts(this.#configPath, this.#accounts, this.#settings, this.#currentIndex);
+        } catch {
+            // Already logged by saveAccounts
+        }
     }
 
     /**
@@ -270,6 +527,8 @@ export class AccountManager {
     getStatus() {
         const available = this.getAvailableAccounts();
         const invalid = this.getInvalidAccounts();
+        const sessions = this.getSessionCount();
+        const sessionCounts = countSessionsByAccount(this.#sessionAffinity);
 
         // Count accounts that have any active model-specific rate limits
         const rateLimited = this.#accounts.filter(a => {
@@ -284,6 +543,7 @@ export class AccountManager {
             available: available.length,
             rateLimited: rateLimited.length,
             invalid: invalid.length,
+            sessions,
             summary: `${this.#accounts.length} total, ${available.length} available, ${rateLimited.length} rate-limited, ${invalid.length} invalid`,
             accounts: this.#accounts.map(a => ({
                 email: a.email,
@@ -293,7 +553,10 @@ export class AccountManager {
                 modelRateLimits: a.modelRateLimits || {},
                 isInvalid: a.isInvalid || false,
                 invalidReason: a.invalidReason || null,
-                lastUsed: a.lastUsed
+                invalidAt: a.invalidAt || null,
+                lastUsed: a.lastUsed,
+                groups: getAccountGroupNames(a.email),
+                activeSessions: sessionCounts.get(a.email) || 0
             }))
         };
     }
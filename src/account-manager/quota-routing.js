@@ -0,0 +1,87 @@
+/**
+ * Quota-Aware Routing
+ *
+ * Uses the cached quota snapshots (remainingFraction per model) to steer
+ * selection away from accounts that are about to return 429s, before a
+ * request is spent finding out.
+ *
+ * Config (config.json):
+ *   "quotaRouting": { "enabled": true, "threshold": 0.05 }
+ */
+
+import { config } from '../config.js';
+import { getAvailableAccounts } from './rate-limits.js';
+
+const DEFAULT_THRESHOLD = 0.05;
+
+/**
+ * Get the remaining-fraction threshold at or below which an account is considered drained
+ * @returns {number|null} Threshold (0-1), or null when quota routing is disabled
+ */
+export function getQuotaThreshold() {
+    const settings = config?.quotaRouting || {};
+    if (settings.enabled === false) return null;
+    const threshold = typeof settings.threshold === 'number' ? settings.threshold : DEFAULT_THRESHOLD;
+    return Math.min(1, Math.max(0, threshold));
+}
+
+/**
+ * Split the usable accounts for a model into healthy and low-quota ones.
+ * Accounts without quota data count as healthy.
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {string} modelId - Model ID
+ * @param {Function} getQuota - (email, modelId) => remainingFraction|null
+ * @returns {{healthy: Array, low: Array}} Usable accounts by quota state
+ */
+export function partitionByQuota(accounts, modelId, getQuota) {
+    const threshold = getQuotaThreshold();
+    const usable = getAvailableAccounts(accounts, modelId);
+    if (threshold === null || !modelId) {
+        return { healthy: usable, low: [] };
+    }
+
+    const healthy = [];
+    const low = [];
+    for (const account of usable) {
+        const fraction = getQuota(account.email, modelId);
+        if (fraction !== null && fraction <= threshold) {
+            low.push(account);
+        } else {
+            healthy.push(account);
+        }
+    }
+    return { healthy, low };
+}
+
+/**
+ * Get the accounts selection should choose from for a model.
+ * Low-quota accounts are left out while any healthy account remains;
+ * if every usable account is low, all accounts stay eligible.
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {string} modelId - Model ID
+ * @param {Function} getQuota - (email, modelId) => remainingFraction|null
+ * @returns {Array} Accounts to select from (the original array when nothing is excluded)
+ */
+export function getQuotaPool(accounts, modelId, getQuota) {
+    const { healthy, low } = partitionByQuota(accounts, modelId, getQuota);
+    if (low.length === 0 || healthy.length === 0) return accounts;
+
+    const lowEmails = new Set(low.map(a => a.email));
+    return accounts.filter(a => !lowEmails.has(a.email));
+}
+
+/**
+ * Check whether every usable account is at or below the quota threshold for a model
+ * (a request would almost certainly be rate-limited)
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {string} modelId - Model ID
+ * @param {Function} getQuota - (email, modelId) => remainingFraction|null
+ * @returns {boolean} True if all usable accounts are nearly drained
+ */
+export function isQuotaDrained(accounts, modelId, getQuota) {
+    const { healthy, low } = partitionByQuota(accounts, modelId, getQuota);
+    return low.length > 0 && healthy.length === 0;
+}
@@ -5,7 +5,7 @@
  * All rate limits are model-specific.
  */
 
-import { DEFAULT_COOLDOWN_MS } from '../constants.js';
+import { getDefaultCooldownMs } from '../constants.js';
 import { formatDuration } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 
@@ -119,7 +119,7 @@ export function markRateLimited(accounts, email, resetMs = null, settings = {},
     const account = accounts.find(a => a.email === email);
     if (!account) return false;
 
-    const cooldownMs = resetMs || settings.cooldownDurationMs || DEFAULT_COOLDOWN_MS;
+    const cooldownMs = resetMs || settings.cooldownDurationMs || getDefaultCooldownMs();
     const resetTime = Date.now() + cooldownMs;
 
     if (!account.modelRateLimits) {
@@ -161,7 +161,7 @@ export function markInvalid(accounts, email, reason = 'Unknown error') {
         `[AccountManager]   Reason: ${reason}`
     );
     logger.error(
-        `[AccountManager]   Run 'npm run accounts' to re-authenticate this account`
+        `[AccountManager]   Run 'npm run accounts -- reauth ${email}' or use Fix in the WebUI to re-authenticate`
     );
 
     return true;
@@ -198,5 +198,5 @@ export function getMinWaitTimeMs(accounts, modelId) {
         logger.info(`[AccountManager] Shortest wait: ${formatDuration(minWait)} (account: ${soonestAccount.email})`);
     }
 
-    return minWait === Infinity ? DEFAULT_COOLDOWN_MS : minWait;
+    return minWait === Infinity ? getDefaultCooldownMs() : minWait;
 }
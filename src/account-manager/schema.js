@@ -0,0 +1,114 @@
+/**
+ * accounts.json Schema
+ *
+ * Versioned schema for accounts.json, with migrations from older versions.
+ * Used by loadAccounts() and by `config validate`.
+ */
+
+import { validateSchema, runMigrations } from '../utils/schema.js';
+
+export const ACCOUNTS_SCHEMA_VERSION = 1;
+
+export const ACCOUNTS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'record the source and enabled state of every account',
+        up(data) {
+            for (const account of Array.isArray(data.accounts) ? data.accounts : []) {
+                if (!account || typeof account !== 'object') continue;
+                // Early files only had OAuth accounts and no source field
+                if (!account.source) {
+                    account.source = account.apiKey ? 'manual' : account.dbPath ? 'database' : 'oauth';
+                }
+                if (account.enabled === undefined) account.enabled = true;
+            }
+            return data;
+        }
+    }
+];
+
+const optionalString = { type: 'string', nullable: true };
+
+export const ACCOUNTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'integer', min: 0 },
+        accounts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string' },
+                    source: { type: 'string', enum: ['oauth', 'manual', 'database'] },
+                    enabled: { type: 'boolean' },
+                    refreshToken: { type: 'string' },
+                    apiKey: { type: 'string' },
+                    projectId: optionalString,
+                    dbPath: optionalString,
+                    addedAt: optionalString,
+                    isInvalid: { type: 'boolean' },
+                    invalidReason: optionalString,
+                    modelRateLimits: { type: 'object' },
+                    lastUsed: { type: 'integer', min: 0, nullable: true }
+                }
+            }
+        },
+        settings: {
+            type: 'object',
+            properties: {
+                cooldownDurationMs: { type: 'integer', min: 0 },
+                maxRetries: { type: 'integer', min: 1 }
+            }
+        },
+        activeIndex: { type: 'integer', min: 0 },
+        // Present when secrets are encrypted (see encryption.js)
+        encryption: {
+            type: 'object',
+            properties: {
+                version: { type: 'integer', min: 1 },
+                cipher: { type: 'string', enum: ['aes-256-gcm'] },
+                kdf: { type: 'string', enum: ['scrypt'] },
+                N: { type: 'integer', min: 1024 },
+                r: { type: 'integer', min: 1 },
+                p: { type: 'integer', min: 1 },
+                salt: { type: 'string' },
+                check: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Migrate and validate a parsed accounts.json.
+ * Accounts without an email, or without the credential their source needs,
+ * cannot be used and are left out (and reported as errors).
+ *
+ * @param {Object} raw - Parsed accounts.json
+ * @returns {{data: Object, migrated: Object, errors: Array, warnings: Array, fromVersion: number, applied: string[]}}
+ *   data is migrated with invalid values and unusable accounts removed;
+ *   migrated is the migrated file as-is (what gets written back)
+ * @throws {Error} If the file is not a JSON object or is newer than this proxy supports
+ */
+export function checkAccounts(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('accounts.json must contain a JSON object');
+    }
+
+    const { data: migrated, fromVersion, applied } = runMigrations(raw, ACCOUNTS_MIGRATIONS);
+    const { value, errors, warnings } = validateSchema(migrated, ACCOUNTS_SCHEMA);
+
+    const accounts = [];
+    (value.accounts || []).forEach((account, index) => {
+        const missing = !account.email ? 'email'
+            : account.source === 'oauth' && !account.refreshToken ? 'refreshToken'
+                : account.source === 'manual' && !account.apiKey ? 'apiKey'
+                    : null;
+        if (missing) {
+            errors.push({ path: `accounts[${index}]`, message: `has no valid ${missing}, account skipped` });
+        } else {
+            accounts.push(account);
+        }
+    });
+
+    return { data: { ...value, accounts }, migrated, errors, warnings, fromVersion, applied };
+}
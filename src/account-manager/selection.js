@@ -5,7 +5,7 @@
  * All rate limit checks are model-specific.
  */
 
-import { MAX_WAIT_BEFORE_ERROR_MS } from '../constants.js';
+import { getMaxWaitBeforeErrorMs } from '../constants.js';
 import { formatDuration } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { clearExpiredLimits, getAvailableAccounts } from './rate-limits.js';
@@ -149,7 +149,7 @@ export function shouldWaitForCurrentAccount(accounts, currentIndex, modelId = nu
     }
 
     // If wait time is within threshold, recommend waiting
-    if (waitMs > 0 && waitMs <= MAX_WAIT_BEFORE_ERROR_MS) {
+    if (waitMs > 0 && waitMs <= getMaxWaitBeforeErrorMs()) {
         return { shouldWait: true, waitMs, account };
     }
 
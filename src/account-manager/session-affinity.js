@@ -0,0 +1,108 @@
+/**
+ * Session Affinity
+ *
+ * Maps conversation session IDs (see deriveSessionId) to the account that
+ * serves them, so concurrent conversations each keep their own account and
+ * prompt cache instead of sharing one global sticky index.
+ * Bindings are keyed by email so they survive account reloads, and expire
+ * after SESSION_AFFINITY_TTL_MS without use.
+ */
+
+import { SESSION_AFFINITY_TTL_MS } from '../constants.js';
+import { getAvailableAccounts } from './rate-limits.js';
+
+/**
+ * Remove bindings that have not been used within the TTL
+ *
+ * @param {Map<string, {email: string, lastSeen: number}>} affinity - Session affinity table
+ * @param {number} [ttlMs] - Time-to-live in milliseconds
+ * @returns {number} Number of bindings removed
+ */
+export function pruneExpiredSessions(affinity, ttlMs = SESSION_AFFINITY_TTL_MS) {
+    const cutoff = Date.now() - ttlMs;
+    let removed = 0;
+
+    for (const [sessionId, entry] of affinity) {
+        if (entry.lastSeen <= cutoff) {
+            affinity.delete(sessionId);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Count live session bindings per account email
+ *
+ * @param {Map<string, {email: string, lastSeen: number}>} affinity - Session affinity table
+ * @returns {Map<string, number>} email -> number of bound sessions
+ */
+export function countSessionsByAccount(affinity) {
+    const counts = new Map();
+    for (const { email } of affinity.values()) {
+        counts.set(email, (counts.get(email) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Resolve the account index a session should start from.
+ * Known sessions return their bound account; new sessions (and sessions whose
+ * account became unavailable) are assigned the available account with the
+ * fewest bound sessions, scanning from currentIndex so ties rotate like the
+ * global sticky index.
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {Map<string, {email: string, lastSeen: number}>} affinity - Session affinity table
+ * @param {string} sessionId - Session ID derived from the conversation
+ * @param {number} currentIndex - Global sticky index (used as tie-breaker start)
+ * @param {string} [modelId] - Model ID to check rate limits for
+ * @returns {number} Account index to use as the session's sticky index
+ */
+export function resolveSessionIndex(accounts, affinity, sessionId, currentIndex, modelId = null) {
+    pruneExpiredSessions(affinity);
+
+    const available = new Set(getAvailableAccounts(accounts, modelId).map(a => a.email));
+
+    const entry = affinity.get(sessionId);
+    if (entry) {
+        const index = accounts.findIndex(a => a.email === entry.email);
+        // Keep the bound account while usable, or when there is nowhere else to go
+        // (the sticky logic then decides whether to wait for it)
+        if (index !== -1 && (available.has(entry.email) || available.size === 0)) return index;
+        affinity.delete(sessionId);
+    }
+
+    if (available.size === 0) return currentIndex;
+
+    const counts = countSessionsByAccount(affinity);
+    const start = currentIndex < accounts.length ? currentIndex : 0;
+    let best = -1;
+    let bestCount = Infinity;
+
+    for (let i = 0; i < accounts.length; i++) {
+        const idx = (start + i) % accounts.length;
+        const email = accounts[idx].email;
+        if (!available.has(email)) continue;
+
+        const count = counts.get(email) || 0;
+        if (count < bestCount) {
+            best = idx;
+            bestCount = count;
+        }
+    }
+
+    return best === -1 ? currentIndex : best;
+}
+
+/**
+ * Bind (or refresh) a session to an account
+ *
+ * @param {Map<string, {email: string, lastSeen: number}>} affinity - Session affinity table
+ * @param {string} sessionId - Session ID derived from the conversation
+ * @param {string} email - Email of the serving account
+ */
+export function bindSession(affinity, sessionId, email) {
+    affinity.set(sessionId, { email, lastSeen: Date.now() });
+}
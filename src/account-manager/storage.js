@@ -2,14 +2,43 @@
  * Account Storage
  *
  * Handles loading and saving account configuration to disk.
+ * Secrets can be encrypted at rest (see encryption.js).
  */
 
-import { readFile, writeFile, mkdir, access } from 'fs/promises';
+import { readFile, writeFile, mkdir, access, copyFile, rename, unlink } from 'fs/promises';
 import { constants as fsConstants } from 'fs';
+import { randomBytes } from 'crypto';
 import { dirname } from 'path';
-import { ACCOUNT_CONFIG_PATH } from '../constants.js';
+import { ACCOUNT_CONFIG_PATH, MAX_ACCOUNTS } from '../constants.js';
 import { getAuthStatus } from '../auth/database.js';
 import { logger } from '../utils/logger.js';
+import { formatDiagnostics } from '../utils/schema.js';
+import { checkAccounts, ACCOUNTS_SCHEMA_VERSION } from './schema.js';
+import { decryptAccounts, sealAccounts } from './encryption.js';
+import { AccountsLockedError } from '../errors.js';
+
+// Saves from this process run one at a time, in order, so an older snapshot
+// can never land on disk after a newer one
+let saveQueue = Promise.resolve();
+
+/**
+ * Replace a file in one step: write a temp file next to it, then rename it
+ * over the original. Other readers and writers (the CLI, a second server)
+ * see either the old or the new contents, never a partial write.
+ *
+ * @param {string} filePath - File to replace
+ * @param {string} data - New contents
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await writeFile(tempPath, data, { mode: 0o600 });
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
 
 /**
  * Load accounts from the config file
@@ -22,7 +51,7 @@ export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
         // Check if config file exists using async access
         await access(configPath, fsConstants.F_OK);
         const configData = await readFile(configPath, 'utf-8');
-        const config = JSON.parse(configData);
+        const config = decryptAccounts(await checkAccountsFile(configPath, configData));
 
         const accounts = (config.accounts || []).map(acc => ({
             ...acc,
@@ -31,6 +60,7 @@ export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
             // Reset invalid flag on startup - give accounts a fresh chance to refresh
             isInvalid: false,
             invalidReason: null,
+            invalidAt: null,
             modelRateLimits: acc.modelRateLimits || {}
         }));
 
@@ -49,6 +79,13 @@ export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
         if (error.code === 'ENOENT') {
             // No config file - return empty
             logger.info('[AccountManager] No config file found. Using Antigravity database (single account mode)');
+        } else if (error instanceof AccountsLockedError) {
+            logger.error(`[AccountManager] ${error.message}. No accounts loaded; changes will not be saved until it is unlocked.`);
+        } else if (error instanceof SyntaxError) {
+            // Keep the broken file: the next save would otherwise overwrite it with no accounts
+            const backupPath = `${configPath}.invalid.bak`;
+            await copyFile(configPath, backupPath).catch(() => {});
+            logger.error(`[AccountManager] ${configPath} is not valid JSON (${error.message}). A copy was saved as ${backupPath}; fix it or restore from there.`);
         } else {
             logger.error('[AccountManager] Failed to load config:', error.message);
         }
@@ -56,6 +93,36 @@ export async function loadAccounts(configPath = ACCOUNT_CONFIG_PATH) {
     }
 }
 
+/**
+ * Parse, migrate and validate accounts.json, logging what is wrong with it.
+ * A file from an older schema version is migrated and written back, keeping
+ * the original as a .bak.
+ *
+ * @param {string} configPath - Path to accounts.json
+ * @param {string} configData - File contents
+ * @returns {Promise<Object>} Accounts file with invalid values and unusable accounts removed
+ * @throws {SyntaxError} If the file is not valid JSON
+ */
+async function checkAccountsFile(configPath, configData) {
+    const result = checkAccounts(JSON.parse(configData));
+
+    for (const line of formatDiagnostics(result.errors)) {
+        logger.warn(`[AccountManager] accounts.json ${line}`);
+    }
+    for (const line of formatDiagnostics(result.warnings)) {
+        logger.warn(`[AccountManager] accounts.json ${line}`);
+    }
+
+    if (result.applied.length > 0) {
+        const backupPath = `${configPath}.v${result.fromVersion}.bak`;
+        await copyFile(configPath, backupPath);
+        await writeFileAtomic(configPath, JSON.stringify(result.migrated, null, 2));
+        logger.info(`[AccountManager] Migrated ${configPath} to schema v${ACCOUNTS_SCHEMA_VERSION} (${result.applied.join('; ')}), original saved as ${backupPath}`);
+    }
+
+    return result.data;
+}
+
 /**
  * Load the default account from Antigravity's database
  *
@@ -91,20 +158,40 @@ export function loadDefaultAccount(dbPath) {
 }
 
 /**
- * Save account configuration to disk
+ * Save account configuration to disk (atomically, see writeFileAtomic)
  *
  * @param {string} configPath - Path to the config file
  * @param {Array} accounts - Array of account objects
  * @param {Object} settings - Settings object
  * @param {number} activeIndex - Current active account index
+ * @returns {Promise<void>} Resolves once this save (and earlier ones) are on disk
+ * @throws {Error} If the file could not be written (later saves still run)
  */
-export async function saveAccounts(configPath, accounts, settings, activeIndex) {
+export function saveAccounts(configPath, accounts, settings, activeIndex) {
+    // Snapshot now: callers keep mutating the same account objects
+    const snapshot = accounts.map(acc => ({ ...acc }));
+    const save = saveQueue.then(() => writeAccounts(configPath, snapshot, settings, activeIndex));
+    saveQueue = save.catch(() => {});
+    return save;
+}
+
+/**
+ * Write account configuration
+ * @throws {Error} If the file could not be written
+ */
+async function writeAccounts(configPath, accounts, settings, activeIndex) {
     try {
         // Ensure directory exists
         const dir = dirname(configPath);
         await mkdir(dir, { recursive: true });
 
+        // Keep an encrypted file encrypted (with the same passphrase)
+        const existingHeader = await readFile(configPath, 'utf-8')
+            .then(data => JSON.parse(data).encryption || null)
+            .catch(() => null);
+
         const config = {
+            schemaVersion: ACCOUNTS_SCHEMA_VERSION,
             accounts: accounts.map(acc => ({
                 email: acc.email,
                 source: acc.source,
@@ -123,8 +210,88 @@ export async function saveAccounts(configPath, accounts, settings, activeIndex)
             activeIndex: activeIndex
         };
 
-        await writeFile(configPath, JSON.stringify(config, null, 2));
+        await writeFileAtomic(configPath, JSON.stringify(sealAccounts(config, existingHeader), null, 2));
     } catch (error) {
         logger.error('[AccountManager] Failed to save config:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Add OAuth accounts to the config file from exported refresh tokens.
+ * Accounts that already exist get the new refresh token and keep their
+ * other settings.
+ *
+ * @param {string} configPath - Path to the config file
+ * @param {Array<{email: string, refreshToken: string, projectId?: string, enabled?: boolean}>} entries - Accounts to import
+ * @returns {Promise<{added: string[], updated: string[]}>} Emails of the added and updated accounts
+ * @throws {Error} If an entry has no email or refresh token, the import would exceed MAX_ACCOUNTS, or the file could not be written
+ */
+export async function importAccounts(configPath, entries) {
+    for (const [index, entry] of entries.entries()) {
+        if (typeof entry?.email !== 'string' || !entry.email || typeof entry.refreshToken !== 'string' || !entry.refreshToken) {
+            throw new Error(`Entry ${index + 1} needs an email and a refreshToken`);
+        }
+    }
+
+    const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+    const added = [];
+    const updated = [];
+
+    for (const entry of entries) {
+        const existing = accounts.find(a => a.email === entry.email);
+        if (existing) {
+            existing.source = 'oauth';
+            existing.refreshToken = entry.refreshToken;
+            existing.projectId = entry.projectId || existing.projectId;
+            updated.push(entry.email);
+        } else {
+            accounts.push({
+                email: entry.email,
+                source: 'oauth',
+                refreshToken: entry.refreshToken,
+                projectId: entry.projectId || undefined,
+                enabled: entry.enabled !== false,
+                modelRateLimits: {},
+                lastUsed: null,
+                addedAt: new Date().toISOString()
+            });
+            added.push(entry.email);
+        }
+    }
+
+    if (accounts.length > MAX_ACCOUNTS) {
+        throw new Error(`Importing would make ${accounts.length} accounts; the maximum is ${MAX_ACCOUNTS}`);
     }
+
+    await saveAccounts(configPath, accounts, settings, activeIndex);
+    logger.info(`[AccountManager] Imported ${added.length} new and ${updated.length} existing account(s)`);
+    return { added, updated };
+}
+
+/**
+ * Store the new refresh token of an OAuth account that signed in again.
+ * Only the token changes: enabled state, project, addedAt and rate limits
+ * are kept, and the account is no longer marked invalid.
+ * For the CLI while no server is running; the server updates its live
+ * account with AccountManager.replaceRefreshToken instead.
+ *
+ * @param {string} configPath - Path to the config file
+ * @param {string} email - Account email
+ * @param {string} refreshToken - New refresh token
+ * @throws {Error} If the account does not exist or is not an OAuth account, or the file could not be written
+ */
+export async function replaceRefreshToken(configPath, email, refreshToken) {
+    const { accounts, settings, activeIndex } = await loadAccounts(configPath);
+    const account = accounts.find(a => a.email === email);
+    if (!account) {
+        throw new Error(`Account ${email} not found`);
+    }
+    if (account.source !== 'oauth') {
+        throw new Error(`Account ${email} does not sign in with OAuth`);
+    }
+
+    Object.assign(account, { refreshToken, isInvalid: false, invalidReason: null, invalidAt: null });
+    await saveAccounts(configPath, accounts, settings, activeIndex);
+    logger.info(`[AccountManager] Stored a new refresh token for ${email}`);
 }
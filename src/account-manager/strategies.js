@@ -0,0 +1,190 @@
+/**
+ * Account Selection Strategies
+ *
+ * Pluggable strategies for choosing which account serves a request.
+ * The strategy is configured per model family:
+ *
+ *   "accountSelection": { "default": "sticky", "gemini": "quota-weighted" }
+ *
+ * Every strategy implements the same interface:
+ *   select(accounts, currentIndex, onSave, modelId, context)
+ *     -> { account: Object|null, waitMs: number, newIndex: number }
+ * where context.getQuota(email, modelId) returns the last known
+ * remainingFraction (0-1) for that account and model, or null.
+ */
+
+import { config } from '../config.js';
+import { getModelFamily } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { clearExpiredLimits, getAvailableAccounts } from './rate-limits.js';
+import { pickNext, pickStickyAccount } from './selection.js';
+
+export const DEFAULT_STRATEGY = 'sticky';
+
+// Families shown in the strategy summary
+const MODEL_FAMILIES = ['claude', 'gemini', 'gpt'];
+
+// Unknown names are only warned about once
+const warnedNames = new Set();
+
+/**
+ * Use a specific account picked by a strategy
+ *
+ * @param {Array} accounts - Array of account objects
+ * @param {Object} account - Chosen account
+ * @param {Function} onSave - Callback to save changes
+ * @param {string} reason - Strategy name for logging
+ * @returns {{account: Object, waitMs: number, newIndex: number}}
+ */
+function useAccount(accounts, account, onSave, reason) {
+    account.lastUsed = Date.now();
+    const index = accounts.indexOf(account);
+    logger.info(`[AccountManager] Using account: ${account.email} (${index + 1}/${accounts.length}, ${reason})`);
+
+    // Trigger save (don't await to avoid blocking)
+    if (onSave) onSave();
+
+    return { account, waitMs: 0, newIndex: index };
+}
+
+/**
+ * Least-recently-used ordering (never-used accounts first)
+ * @param {Object} a - Account
+ * @param {Object} b - Account
+ * @returns {number} Sort order
+ */
+function byLastUsed(a, b) {
+    return (a.lastUsed || 0) - (b.lastUsed || 0);
+}
+
+const STRATEGIES = {
+    'sticky': {
+        description: 'Stay on one account until it is rate-limited (best prompt cache reuse)',
+        usesAffinity: true,
+        select(accounts, currentIndex, onSave, modelId) {
+            return pickStickyAccount(accounts, currentIndex, onSave, modelId);
+        }
+    },
+
+    'round-robin': {
+        description: 'Rotate to the next available account on every request',
+        usesAffinity: false,
+        select(accounts, currentIndex, onSave, modelId) {
+            const { account, newIndex } = pickNext(accounts, currentIndex, onSave, modelId);
+            return { account, waitMs: 0, newIndex };
+        }
+    },
+
+    'least-recently-used': {
+        description: 'Use the available account that has been idle the longest',
+        usesAffinity: false,
+        select(accounts, currentIndex, onSave, modelId) {
+            clearExpiredLimits(accounts);
+            const available = getAvailableAccounts(accounts, modelId);
+            if (available.length === 0) {
+                return { account: null, waitMs: 0, newIndex: currentIndex };
+            }
+            const [account] = [...available].sort(byLastUsed);
+            return useAccount(accounts, account, onSave, 'least-recently-used');
+        }
+    },
+
+    'quota-weighted': {
+        description: 'Pick accounts at random, weighted by remaining quota for the model',
+        usesAffinity: false,
+        select(accounts, currentIndex, onSave, modelId, context = {}) {
+            clearExpiredLimits(accounts);
+            const available = getAvailableAccounts(accounts, modelId);
+            if (available.length === 0) {
+                return { account: null, waitMs: 0, newIndex: currentIndex };
+            }
+
+            const fractions = available.map(acc => context.getQuota?.(acc.email, modelId) ?? null);
+            const known = fractions.filter(f => f !== null);
+
+            // No quota data yet: behave like least-recently-used
+            if (known.length === 0) {
+                const [account] = [...available].sort(byLastUsed);
+                return useAccount(accounts, account, onSave, 'quota-weighted, no quota data');
+            }
+
+            // Accounts without data get the average weight of the known ones
+            const unknownWeight = known.reduce((sum, f) => sum + f, 0) / known.length;
+            const weights = fractions.map(f => Math.max(0, f ?? unknownWeight));
+            const total = weights.reduce((sum, w) => sum + w, 0);
+
+            // Every account reports an empty quota: fall back to the longest idle one
+            if (total === 0) {
+                const [account] = [...available].sort(byLastUsed);
+                return useAccount(accounts, account, onSave, 'quota-weighted, all exhausted');
+            }
+
+            let roll = Math.random() * total;
+            let chosen = available[available.length - 1];
+            for (let i = 0; i < available.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) {
+                    chosen = available[i];
+                    break;
+                }
+            }
+            return useAccount(accounts, chosen, onSave, 'quota-weighted');
+        }
+    }
+};
+
+/**
+ * Get the names of all built-in strategies
+ * @returns {string[]} Strategy names
+ */
+export function listStrategies() {
+    return Object.keys(STRATEGIES);
+}
+
+/**
+ * Get the configured strategy name for a model.
+ * Looks up config.accountSelection[family], then .default, then 'sticky'.
+ * Unknown names fall back to the default strategy.
+ *
+ * @param {string} [modelId] - Model ID
+ * @returns {string} Strategy name
+ */
+export function getStrategyName(modelId = null) {
+    const selection = config?.accountSelection || {};
+    const family = getModelFamily(modelId);
+    const name = selection[family] || selection.default || DEFAULT_STRATEGY;
+
+    if (!STRATEGIES[name]) {
+        if (!warnedNames.has(name)) {
+            warnedNames.add(name);
+            logger.warn(`[AccountManager] Unknown selection strategy "${name}", using ${DEFAULT_STRATEGY}. Available: ${listStrategies().join(', ')}`);
+        }
+        return DEFAULT_STRATEGY;
+    }
+    return name;
+}
+
+/**
+ * Get the strategy object for a model
+ * @param {string} [modelId] - Model ID
+ * @returns {{description: string, usesAffinity: boolean, select: Function}} Strategy
+ */
+export function getStrategy(modelId = null) {
+    return STRATEGIES[getStrategyName(modelId)];
+}
+
+/**
+ * Summarize the effective strategy per model family (for /health)
+ * @returns {{default: string, families: Object<string, string>, available: string[]}}
+ */
+export function getStrategySummary() {
+    const families = {};
+    for (const family of MODEL_FAMILIES) {
+        families[family] = getStrategyName(family);
+    }
+    return {
+        default: getStrategyName(null),
+        families,
+        available: listStrategies()
+    };
+}
@@ -33,9 +33,10 @@ function generatePKCE() {
  * Returns the URL and the PKCE verifier (needed for token exchange)
  *
  * @param {string} [customRedirectUri] - Optional custom redirect URI (e.g. for WebUI)
+ * @param {string} [loginHint] - Email to preselect on Google's sign-in page (re-authentication)
  * @returns {{url: string, verifier: string, state: string}} Auth URL and PKCE data
  */
-export function getAuthorizationUrl(customRedirectUri = null) {
+export function getAuthorizationUrl(customRedirectUri = null, loginHint = null) {
     const { verifier, challenge } = generatePKCE();
     const state = crypto.randomBytes(16).toString('hex');
 
@@ -50,6 +51,7 @@ export function getAuthorizationUrl(customRedirectUri = null) {
         code_challenge_method: 'S256',
         state: state
     });
+    if (loginHint) params.set('login_hint', loginHint);
 
     return {
         url: `${OAUTH_CONFIG.authUrl}?${params.toString()}`,
@@ -114,9 +116,10 @@ export function extractCodeFromInput(input) {
  *
  * @param {string} expectedState - Expected state parameter for CSRF protection
  * @param {number} timeoutMs - Timeout in milliseconds (default 120000)
+ * @param {AbortSignal} [signal] - Stops the server early (e.g. when the code was pasted instead)
  * @returns {Promise<string>} Authorization code from OAuth callback
  */
-export function startCallbackServer(expectedState, timeoutMs = 120000) {
+export function startCallbackServer(expectedState, timeoutMs = 120000, signal = null) {
     return new Promise((resolve, reject) => {
         const server = http.createServer((req, res) => {
             const url = new URL(req.url, `http://localhost:${OAUTH_CONFIG.callbackPort}`);
@@ -212,10 +215,16 @@ export function startCallbackServer(expectedState, timeoutMs = 120000) {
         });
 
         // Timeout after specified duration
-        setTimeout(() => {
+        const timer = setTimeout(() => {
             server.close();
             reject(new Error('OAuth callback timeout - no response received'));
         }, timeoutMs);
+
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            server.close();
+            reject(new Error('OAuth callback server stopped'));
+        }, { once: true });
     });
 }
 
@@ -285,8 +294,9 @@ export async function refreshAccessToken(refreshToken) {
     });
 
     if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Token refresh failed: ${error}`);
+        const error = new Error(`Token refresh failed: ${await response.text()}`);
+        error.status = response.status;
+        throw error;
     }
 
     const tokens = await response.json();
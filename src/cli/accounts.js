@@ -7,19 +7,51 @@
  * for the Antigravity Claude Proxy.
  *
  * Usage:
- *   node src/cli/accounts.js          # Interactive mode
- *   node src/cli/accounts.js add      # Add new account(s)
- *   node src/cli/accounts.js list     # List all accounts
- *   node src/cli/accounts.js clear    # Remove all accounts
+ *   node src/cli/accounts.js                  # Interactive mode
+ *   node src/cli/accounts.js add              # Add new account(s)
+ *   node src/cli/accounts.js list [--json]    # List all accounts
+ *   node src/cli/accounts.js verify [--json]  # Test refresh tokens
+ *   node src/cli/accounts.js remove <email>   # Remove an account
+ *   node src/cli/accounts.js enable <email>   # Enable / disable an account
+ *   node src/cli/accounts.js disable <email>
+ *   node src/cli/accounts.js reauth <email>   # Sign in again, keeping the account's settings
+ *   node src/cli/accounts.js import <file|->  # Add accounts from exported refresh tokens
+ *   node src/cli/accounts.js export [file]    # Export refresh tokens (stdout by default)
+ *   node src/cli/accounts.js clear [--yes]    # Remove all accounts
+ *   node src/cli/accounts.js encrypt          # Encrypt secrets in accounts.json
+ *   node src/cli/accounts.js decrypt          # Decrypt them again
+ *
+ * While the server is running, changes go through its WebUI API (adding an
+ * account runs the OAuth flow on the server), so the CLI and the server never
+ * both write accounts.json; encrypt and decrypt, which have no API, refuse to
+ * run. Otherwise the CLI edits the file directly.
+ * Commands exit with status 1 on failure (for verify: when any refresh token
+ * is rejected).
  */
 
 import { createInterface } from 'readline/promises';
 import { stdin, stdout } from 'process';
-import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
-import { dirname } from 'path';
+import { existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
 import { exec } from 'child_process';
-import net from 'net';
-import { ACCOUNT_CONFIG_PATH, DEFAULT_PORT, MAX_ACCOUNTS } from '../constants.js';
+import { ACCOUNT_CONFIG_PATH, MAX_ACCOUNTS } from '../constants.js';
+import {
+    ENCRYPTION_KEY_ENV,
+    unlockAccountsFile,
+    decryptAccounts,
+    encryptAccounts,
+    createEncryptionHeader,
+    promptPassphrase
+} from '../account-manager/encryption.js';
+import {
+    loadAccounts as loadAccountStore,
+    saveAccounts as saveAccountStore,
+    importAccounts,
+    replaceRefreshToken
+} from '../account-manager/storage.js';
+import { AccountsLockedError } from '../errors.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { SERVER_PORT, isServerRunning, callServer } from './server-client.js';
 import {
     getAuthorizationUrl,
     startCallbackServer,
@@ -29,51 +61,8 @@ import {
     extractCodeFromInput
 } from '../auth/oauth.js';
 
-const SERVER_PORT = process.env.PORT || DEFAULT_PORT;
-
-/**
- * Check if the Antigravity Proxy server is running
- * Returns true if port is occupied
- */
-function isServerRunning() {
-    return new Promise((resolve) => {
-        const socket = new net.Socket();
-        socket.setTimeout(1000);
-
-        socket.on('connect', () => {
-            socket.destroy();
-            resolve(true); // Server is running
-        });
-
-        socket.on('timeout', () => {
-            socket.destroy();
-            resolve(false);
-        });
-
-        socket.on('error', (err) => {
-            socket.destroy();
-            resolve(false); // Port free
-        });
-
-        socket.connect(SERVER_PORT, 'localhost');
-    });
-}
-
-/**
- * Enforce that server is stopped before proceeding
- */
-async function ensureServerStopped() {
-    const isRunning = await isServerRunning();
-    if (isRunning) {
-        console.error(`
-\x1b[31mError: Antigravity Proxy server is currently running on port ${SERVER_PORT}.\x1b[0m
-
-Please stop the server (Ctrl+C) before adding or managing accounts.
-This ensures that your account changes are loaded correctly when you restart the server.
-`);
-        process.exit(1);
-    }
-}
+// How long to wait for the browser sign-in of an OAuth flow run by the server
+const SERVER_OAUTH_WAIT_MS = 120000;
 
 /**
  * Create readline interface
@@ -112,49 +101,87 @@ function loadAccounts() {
     try {
         if (existsSync(ACCOUNT_CONFIG_PATH)) {
             const data = readFileSync(ACCOUNT_CONFIG_PATH, 'utf-8');
-            const config = JSON.parse(data);
+            const config = decryptAccounts(JSON.parse(data));
             return config.accounts || [];
         }
     } catch (error) {
         console.error('Error loading accounts:', error.message);
+        // Never continue with an empty list: saving it would replace the locked file
+        if (error instanceof AccountsLockedError) process.exit(1);
     }
     return [];
 }
 
 /**
- * Save accounts to config
+ * Replace the accounts file in one step (write a temp file, then rename)
+ * @param {Object} config - File contents
  */
-function saveAccounts(accounts, settings = {}) {
-    try {
-        const dir = dirname(ACCOUNT_CONFIG_PATH);
-        if (!existsSync(dir)) {
-            mkdirSync(dir, { recursive: true });
+function writeAccountsFile(config) {
+    const tempPath = `${ACCOUNT_CONFIG_PATH}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    renameSync(tempPath, ACCOUNT_CONFIG_PATH);
+}
+
+/**
+ * Encrypt the secrets in an existing plaintext accounts file
+ */
+async function encryptAccountsFile() {
+    if (!existsSync(ACCOUNT_CONFIG_PATH)) {
+        console.log(`\nNo accounts file at ${ACCOUNT_CONFIG_PATH}.`);
+        return;
+    }
+    const data = JSON.parse(readFileSync(ACCOUNT_CONFIG_PATH, 'utf-8'));
+    if (data.encryption) {
+        console.log('\naccounts.json is already encrypted.');
+        return;
+    }
+
+    let passphrase = process.env[ENCRYPTION_KEY_ENV];
+    if (passphrase) {
+        console.log(`\nUsing the passphrase from ${ENCRYPTION_KEY_ENV}.`);
+    } else {
+        passphrase = await promptPassphrase('\nNew passphrase: ');
+        if (await promptPassphrase('Repeat passphrase: ') !== passphrase) {
+            throw new Error('Passphrases do not match');
         }
+    }
 
-        const config = {
-            accounts: accounts.map(acc => ({
-                email: acc.email,
-                source: 'oauth',
-                refreshToken: acc.refreshToken,
-                projectId: acc.projectId,
-                addedAt: acc.addedAt || new Date().toISOString(),
-                lastUsed: acc.lastUsed || null,
-                modelRateLimits: acc.modelRateLimits || {}
-            })),
-            settings: {
-                cooldownDurationMs: 60000,
-                maxRetries: 5,
-                ...settings
-            },
-            activeIndex: 0
-        };
+    writeAccountsFile(encryptAccounts(data, createEncryptionHeader(passphrase)));
+    console.log(`\n✓ Encrypted ${(data.accounts || []).length} account(s) in ${ACCOUNT_CONFIG_PATH}`);
+    console.log(`Start the server with ${ENCRYPTION_KEY_ENV} set, or enter the passphrase when asked.`);
+}
 
-        writeFileSync(ACCOUNT_CONFIG_PATH, JSON.stringify(config, null, 2));
-        console.log(`\n✓ Saved ${accounts.length} account(s) to ${ACCOUNT_CONFIG_PATH}`);
-    } catch (error) {
-        console.error('Error saving accounts:', error.message);
-        throw error;
+/**
+ * Turn an encrypted accounts file back into plaintext
+ */
+async function decryptAccountsFile() {
+    if (!existsSync(ACCOUNT_CONFIG_PATH)) {
+        console.log(`\nNo accounts file at ${ACCOUNT_CONFIG_PATH}.`);
+        return;
     }
+    const data = JSON.parse(readFileSync(ACCOUNT_CONFIG_PATH, 'utf-8'));
+    if (!data.encryption) {
+        console.log('\naccounts.json is not encrypted.');
+        return;
+    }
+
+    writeAccountsFile(decryptAccounts(data));
+    console.log(`\n✓ Decrypted ${ACCOUNT_CONFIG_PATH}. Secrets are stored in plaintext again.`);
+    if (process.env[ENCRYPTION_KEY_ENV]) {
+        console.log(`Unset ${ENCRYPTION_KEY_ENV}, or the next save will encrypt it again.`);
+    }
+}
+
+/**
+ * Save accounts to config through the account store, which keeps each
+ * account's source, enabled state, API key and invalid flag
+ * @param {Array} accounts - Accounts to keep
+ * @param {boolean} [resetIndex=false] - Point activeIndex back at the first account
+ */
+async function saveAccounts(accounts, resetIndex = false) {
+    const { settings, activeIndex } = await loadAccountStore(ACCOUNT_CONFIG_PATH);
+    await saveAccountStore(ACCOUNT_CONFIG_PATH, accounts, settings, resetIndex ? 0 : activeIndex);
+    console.log(`\n✓ Saved ${accounts.length} account(s) to ${ACCOUNT_CONFIG_PATH}`);
 }
 
 /**
@@ -172,11 +199,35 @@ function displayAccounts(accounts) {
         const hasActiveLimit = Object.values(acc.modelRateLimits || {}).some(
             limit => limit.isRateLimited && limit.resetTime > Date.now()
         );
-        const status = hasActiveLimit ? ' (rate-limited)' : '';
+        const flags = [
+            acc.enabled === false && 'disabled',
+            acc.isInvalid && 'invalid',
+            hasActiveLimit && 'rate-limited'
+        ].filter(Boolean);
+        const status = flags.length > 0 ? ` (${flags.join(', ')})` : '';
         console.log(`  ${i + 1}. ${acc.email}${status}`);
     });
 }
 
+/**
+ * Summarize an account for --json output (no secrets)
+ * @param {Object} acc - Account from accounts.json or the server
+ * @returns {Object} Account summary
+ */
+function summarizeAccount(acc) {
+    return {
+        email: acc.email,
+        source: acc.source || 'oauth',
+        enabled: acc.enabled !== false,
+        invalid: Boolean(acc.isInvalid),
+        invalidReason: acc.invalidReason || null,
+        rateLimited: Object.values(acc.modelRateLimits || {}).some(
+            limit => limit.isRateLimited && limit.resetTime > Date.now()
+        ),
+        lastUsed: acc.lastUsed || null
+    };
+}
+
 /**
  * Add a new account via OAuth with automatic callback
  */
@@ -206,9 +257,14 @@ async function addAccount(existingAccounts) {
         const existing = existingAccounts.find(a => a.email === result.email);
         if (existing) {
             console.log(`\n⚠ Account ${result.email} already exists. Updating tokens.`);
-            existing.refreshToken = result.refreshToken;
-            existing.projectId = result.projectId;
-            existing.addedAt = new Date().toISOString();
+            Object.assign(existing, {
+                source: 'oauth',
+                refreshToken: result.refreshToken,
+                projectId: result.projectId,
+                addedAt: new Date().toISOString(),
+                isInvalid: false,
+                invalidReason: null
+            });
             return null; // Don't add duplicate
         }
 
@@ -219,9 +275,12 @@ async function addAccount(existingAccounts) {
 
         return {
             email: result.email,
+            source: 'oauth',
             refreshToken: result.refreshToken,
             projectId: result.projectId,
+            enabled: true,
             addedAt: new Date().toISOString(),
+            lastUsed: null,
             modelRateLimits: {}
         };
     } catch (error) {
@@ -263,9 +322,14 @@ async function addAccountNoBrowser(existingAccounts, rl) {
         const existing = existingAccounts.find(a => a.email === result.email);
         if (existing) {
             console.log(`\n⚠ Account ${result.email} already exists. Updating tokens.`);
-            existing.refreshToken = result.refreshToken;
-            existing.projectId = result.projectId;
-            existing.addedAt = new Date().toISOString();
+            Object.assign(existing, {
+                source: 'oauth',
+                refreshToken: result.refreshToken,
+                projectId: result.projectId,
+                addedAt: new Date().toISOString(),
+                isInvalid: false,
+                invalidReason: null
+            });
             return null; // Don't add duplicate
         }
 
@@ -276,9 +340,12 @@ async function addAccountNoBrowser(existingAccounts, rl) {
 
         return {
             email: result.email,
+            source: 'oauth',
             refreshToken: result.refreshToken,
             projectId: result.projectId,
+            enabled: true,
             addedAt: new Date().toISOString(),
+            lastUsed: null,
             modelRateLimits: {}
         };
     } catch (error) {
@@ -287,12 +354,139 @@ async function addAccountNoBrowser(existingAccounts, rl) {
     }
 }
 
+/**
+ * Add an account through the running server, device-style: the server runs
+ * the OAuth flow and stores the account, and the sign-in can happen in a
+ * browser on any machine.
+ * @param {Object} rl - readline interface
+ * @param {boolean} noBrowser - Paste the redirect URL instead of waiting for the callback
+ * @returns {Promise<string>} Email of the added account
+ * @throws {Error} If authentication fails or times out
+ */
+async function addAccountViaServer(rl, noBrowser) {
+    console.log(`\n=== Add Google Account (via the server on port ${SERVER_PORT}) ===\n`);
+    return completeServerFlow(rl, noBrowser, await callServer('POST', '/api/accounts/oauth'));
+}
+
+/**
+ * Sign in for an OAuth flow started on the running server, and wait until
+ * the server has finished it
+ * @param {Object} rl - readline interface
+ * @param {boolean} noBrowser - Paste the redirect URL instead of waiting for the callback
+ * @param {{flowId: string, url: string}} flow - Flow returned by the server
+ * @returns {Promise<string>} Email of the signed-in account
+ * @throws {Error} If authentication fails or times out
+ */
+async function completeServerFlow(rl, noBrowser, { flowId, url }) {
+    if (noBrowser) {
+        console.log('Copy the following URL and open it in a browser on another device:\n');
+        console.log(`   ${url}\n`);
+        console.log('After signing in, you will be redirected to a localhost URL.');
+        console.log('Copy the ENTIRE redirect URL or just the authorization code.\n');
+
+        const input = await rl.question('Paste the callback URL or authorization code: ');
+        console.log('\nExchanging authorization code for tokens...');
+        const { email } = await callServer('POST', `/api/accounts/oauth/${flowId}/complete`, { input });
+        console.log(`\n✓ Successfully authenticated: ${email}`);
+        return email;
+    }
+
+    console.log('Opening browser for Google sign-in...');
+    console.log('(If browser does not open, copy this URL manually)\n');
+    console.log(`   ${url}\n`);
+    openBrowser(url);
+
+    console.log('Waiting for authentication (timeout: 2 minutes)...\n');
+    const deadline = Date.now() + SERVER_OAUTH_WAIT_MS;
+    while (Date.now() < deadline) {
+        await sleep(2000);
+        const { flow } = await callServer('GET', `/api/accounts/oauth/${flowId}`);
+        if (flow.status === 'done') {
+            console.log(`✓ Successfully authenticated: ${flow.email}`);
+            return flow.email;
+        }
+        if (flow.status === 'failed') {
+            throw new Error(`Authentication failed: ${flow.error}`);
+        }
+    }
+    throw new Error('Authentication timed out. Run the command again, or use --no-browser to paste the code.');
+}
+
+/**
+ * Re-authenticate an OAuth account whose refresh token stopped working.
+ * Only the refresh token is replaced, so the account keeps its enabled
+ * state, groups, addedAt and rate-limit history.
+ * @param {string} email - Account email
+ * @param {Object} rl - readline interface
+ * @param {boolean} noBrowser - Paste the redirect URL instead of waiting for the callback
+ * @param {boolean} serverRunning - Whether to go through the running server
+ * @throws {Error} If the account does not exist, authentication fails, or another account signs in
+ */
+async function reauthAccount(email, rl, noBrowser, serverRunning) {
+    if (serverRunning) {
+        console.log(`\n=== Re-authenticate ${email} (via the server on port ${SERVER_PORT}) ===\n`);
+        await completeServerFlow(rl, noBrowser, await callServer('POST', `/api/accounts/${encodeURIComponent(email)}/reauth`));
+        console.log(`✓ Re-authenticated ${email}`);
+        return;
+    }
+
+    const { accounts } = await loadAccountStore(ACCOUNT_CONFIG_PATH);
+    const account = accounts.find(a => a.email === email);
+    if (!account) {
+        throw new Error(`Account ${email} not found`);
+    }
+    if (account.source !== 'oauth') {
+        throw new Error(`Account ${email} does not sign in with OAuth`);
+    }
+
+    console.log(`\n=== Re-authenticate ${email} ===\n`);
+    const { url, verifier, state } = getAuthorizationUrl(null, email);
+
+    let code;
+    if (noBrowser) {
+        console.log('Copy the following URL and open it in a browser on another device:\n');
+        console.log(`   ${url}\n`);
+        const extracted = extractCodeFromInput(await rl.question('Paste the callback URL or authorization code: '));
+        if (extracted.state && extracted.state !== state) {
+            throw new Error('State mismatch: the redirect URL belongs to another sign-in');
+        }
+        code = extracted.code;
+    } else {
+        console.log('Opening browser for Google sign-in...');
+        console.log('(If browser does not open, copy this URL manually)\n');
+        console.log(`   ${url}\n`);
+        openBrowser(url);
+        console.log('Waiting for authentication (timeout: 2 minutes)...\n');
+        code = await startCallbackServer(state);
+    }
+
+    console.log('Exchanging authorization code for tokens...');
+    const result = await completeOAuthFlow(code, verifier);
+    if (result.email.toLowerCase() !== email.toLowerCase()) {
+        throw new Error(`Signed in as ${result.email}, not ${email}`);
+    }
+
+    await replaceRefreshToken(ACCOUNT_CONFIG_PATH, email, result.refreshToken);
+    console.log(`✓ Re-authenticated ${email}`);
+}
+
+/**
+ * Get the accounts, from the running server or from accounts.json
+ * @param {boolean} serverRunning - Whether to ask the running server
+ * @returns {Promise<Array>} Accounts
+ */
+async function getAccounts(serverRunning) {
+    return serverRunning ? (await callServer('GET', '/api/accounts')).accounts : loadAccounts();
+}
+
 /**
  * Interactive remove accounts flow
+ * @param {Object} rl - readline interface
+ * @param {boolean} serverRunning - Whether to go through the running server
  */
-async function interactiveRemove(rl) {
+async function interactiveRemove(rl, serverRunning) {
     while (true) {
-        const accounts = loadAccounts();
+        const accounts = await getAccounts(serverRunning);
         if (accounts.length === 0) {
             console.log('\nNo accounts to remove.');
             return;
@@ -317,9 +511,7 @@ async function interactiveRemove(rl) {
         const confirm = await rl.question(`\nAre you sure you want to remove ${removed.email}? [y/N]: `);
 
         if (confirm.toLowerCase() === 'y') {
-            accounts.splice(index - 1, 1);
-            saveAccounts(accounts);
-            console.log(`\n✓ Removed ${removed.email}`);
+            await removeAccount(removed.email, serverRunning);
         } else {
             console.log('\nCancelled.');
         }
@@ -335,13 +527,15 @@ async function interactiveRemove(rl) {
  * Interactive add accounts flow (Main Menu)
  * @param {Object} rl - readline interface
  * @param {boolean} noBrowser - if true, use manual code input mode
+ * @param {boolean} serverRunning - Whether to go through the running server
  */
-async function interactiveAdd(rl, noBrowser = false) {
+async function interactiveAdd(rl, noBrowser = false, serverRunning = false) {
     if (noBrowser) {
         console.log('\n📋 No-browser mode: You will manually paste the authorization code.\n');
     }
 
-    const accounts = loadAccounts();
+    const accounts = await getAccounts(serverRunning);
+    let replaced = [];
 
     if (accounts.length > 0) {
         displayAccounts(accounts);
@@ -350,10 +544,11 @@ async function interactiveAdd(rl, noBrowser = false) {
         const c = choice.toLowerCase();
 
         if (c === 'r') {
-            await interactiveRemove(rl);
+            await interactiveRemove(rl, serverRunning);
             return; // Return to main or exit? Given this is "add", we probably exit after sub-task.
         } else if (c === 'f') {
             console.log('\nStarting fresh - existing accounts will be replaced.');
+            replaced = accounts.map(acc => acc.email);
             accounts.length = 0;
         } else if (c === 'a') {
             console.log('\nAdding to existing accounts.');
@@ -371,6 +566,17 @@ async function interactiveAdd(rl, noBrowser = false) {
         return;
     }
 
+    if (serverRunning) {
+        const email = await addAccountViaServer(rl, noBrowser);
+        // Fresh start: drop the old accounts only once the new one is in
+        for (const old of replaced.filter(old => old !== email)) {
+            await removeAccount(old, true);
+        }
+        displayAccounts(await getAccounts(true));
+        console.log('\nTo add more accounts, run this command again.');
+        return;
+    }
+
     // Use appropriate add function based on mode
     const newAccount = noBrowser
         ? await addAccountNoBrowser(accounts, rl)
@@ -378,10 +584,10 @@ async function interactiveAdd(rl, noBrowser = false) {
 
     if (newAccount) {
         accounts.push(newAccount);
-        saveAccounts(accounts);
+        await saveAccounts(accounts, replaced.length > 0);
     } else if (accounts.length > 0) {
         // Even if newAccount is null (duplicate update), save the updated accounts
-        saveAccounts(accounts);
+        await saveAccounts(accounts);
     }
 
     if (accounts.length > 0) {
@@ -393,61 +599,189 @@ async function interactiveAdd(rl, noBrowser = false) {
 }
 
 /**
- * List accounts
+ * List accounts (live status from the server when it is running)
+ * @param {boolean} serverRunning - Whether to ask the running server
+ * @param {boolean} json - Print JSON instead of a list
  */
-async function listAccounts() {
-    const accounts = loadAccounts();
-    displayAccounts(accounts);
+async function listAccounts(serverRunning, json) {
+    const accounts = await getAccounts(serverRunning);
+
+    if (json) {
+        console.log(JSON.stringify(accounts.map(summarizeAccount), null, 2));
+        return;
+    }
 
+    displayAccounts(accounts);
     if (accounts.length > 0) {
-        console.log(`\nConfig file: ${ACCOUNT_CONFIG_PATH}`);
+        console.log(`\nConfig file: ${ACCOUNT_CONFIG_PATH}${serverRunning ? ` (status from the server on port ${SERVER_PORT})` : ''}`);
+    }
+}
+
+/**
+ * Enable or disable an account
+ * @param {string} email - Account email
+ * @param {boolean} enabled - New state
+ * @param {boolean} serverRunning - Whether to go through the running server
+ * @throws {Error} If the account does not exist
+ */
+async function setAccountEnabled(email, enabled, serverRunning) {
+    if (serverRunning) {
+        await callServer('POST', `/api/accounts/${encodeURIComponent(email)}/toggle`, { enabled });
+    } else {
+        const { accounts, settings, activeIndex } = await loadAccountStore(ACCOUNT_CONFIG_PATH);
+        const account = accounts.find(a => a.email === email);
+        if (!account) {
+            throw new Error(`Account ${email} not found`);
+        }
+        account.enabled = enabled;
+        await saveAccountStore(ACCOUNT_CONFIG_PATH, accounts, settings, activeIndex);
+    }
+    console.log(`✓ ${enabled ? 'Enabled' : 'Disabled'} ${email}`);
+}
+
+/**
+ * Remove one account
+ * @param {string} email - Account email
+ * @param {boolean} serverRunning - Whether to go through the running server
+ * @throws {Error} If the account does not exist
+ */
+async function removeAccount(email, serverRunning) {
+    if (serverRunning) {
+        await callServer('DELETE', `/api/accounts/${encodeURIComponent(email)}`);
+    } else {
+        const { accounts, settings, activeIndex } = await loadAccountStore(ACCOUNT_CONFIG_PATH);
+        const index = accounts.findIndex(a => a.email === email);
+        if (index === -1) {
+            throw new Error(`Account ${email} not found`);
+        }
+        accounts.splice(index, 1);
+        const newActiveIndex = activeIndex >= accounts.length ? Math.max(0, accounts.length - 1) : activeIndex;
+        await saveAccountStore(ACCOUNT_CONFIG_PATH, accounts, settings, newActiveIndex);
+    }
+    console.log(`✓ Removed ${email}`);
+}
+
+/**
+ * Read a file, or stdin for "-"
+ * @param {string} source - File path or "-"
+ * @returns {Promise<string>} Contents
+ */
+async function readInput(source) {
+    if (source !== '-') return readFileSync(source, 'utf-8');
+
+    const chunks = [];
+    for await (const chunk of stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Import accounts from exported refresh tokens: a JSON array of
+ * { email, refreshToken, projectId?, enabled? }, or the output of export
+ * @param {string} source - File path or "-" for stdin
+ * @param {boolean} serverRunning - Whether to go through the running server
+ */
+async function importAccountsFrom(source, serverRunning) {
+    const data = JSON.parse(await readInput(source));
+    const entries = Array.isArray(data) ? data : data?.accounts;
+    if (!Array.isArray(entries)) {
+        throw new Error('Expected a JSON array of accounts or an object with an "accounts" array');
     }
+
+    const { added, updated } = serverRunning
+        ? await callServer('POST', '/api/accounts/import', { accounts: entries })
+        : await importAccounts(ACCOUNT_CONFIG_PATH, entries);
+    console.log(`✓ Imported ${added.length} new and ${updated.length} existing account(s)`);
+}
+
+/**
+ * Export the refresh tokens of OAuth accounts in the format import reads
+ * @param {string|undefined} target - File to write (mode 600), or stdout when omitted or "-"
+ */
+function exportAccounts(target) {
+    const accounts = loadAccounts()
+        .filter(acc => acc.refreshToken)
+        .map(acc => ({
+            email: acc.email,
+            refreshToken: acc.refreshToken,
+            projectId: acc.projectId || undefined,
+            enabled: acc.enabled !== false
+        }));
+    const output = JSON.stringify({ exportedAt: new Date().toISOString(), accounts }, null, 2) + '\n';
+
+    if (!target || target === '-') {
+        stdout.write(output);
+        return;
+    }
+    writeFileSync(target, output, { mode: 0o600 });
+    console.log(`✓ Exported ${accounts.length} account(s) to ${target}. It contains refresh tokens; keep it private.`);
 }
 
 /**
  * Clear all accounts
+ * @param {Object} rl - readline interface
+ * @param {boolean} yes - Skip the confirmation
+ * @param {boolean} serverRunning - Whether to go through the running server
  */
-async function clearAccounts(rl) {
-    const accounts = loadAccounts();
+async function clearAccounts(rl, yes, serverRunning) {
+    const accounts = await getAccounts(serverRunning);
 
     if (accounts.length === 0) {
         console.log('No accounts to clear.');
         return;
     }
 
-    displayAccounts(accounts);
+    if (!yes) {
+        displayAccounts(accounts);
+        const confirm = await rl.question('\nAre you sure you want to remove all accounts? [y/N]: ');
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('Cancelled.');
+            return;
+        }
+    }
 
-    const confirm = await rl.question('\nAre you sure you want to remove all accounts? [y/N]: ');
-    if (confirm.toLowerCase() === 'y') {
-        saveAccounts([]);
-        console.log('All accounts removed.');
+    if (serverRunning) {
+        for (const account of accounts) await removeAccount(account.email, true);
     } else {
-        console.log('Cancelled.');
+        await saveAccounts([], true);
     }
+    console.log('All accounts removed.');
 }
 
 /**
  * Verify accounts (test refresh tokens)
+ * @param {boolean} json - Print JSON results instead of a list
+ * @returns {Promise<boolean>} False if any refresh token was rejected
  */
-async function verifyAccounts() {
+async function verifyAccounts(json) {
     const accounts = loadAccounts();
+    const results = [];
 
-    if (accounts.length === 0) {
+    if (accounts.length === 0 && !json) {
         console.log('No accounts to verify.');
-        return;
+        return true;
     }
 
-    console.log('\nVerifying accounts...\n');
+    if (!json) console.log('\nVerifying accounts...\n');
 
     for (const account of accounts) {
+        if (!account.refreshToken) {
+            results.push({ email: account.email, status: 'skipped', error: null });
+            if (!json) console.log(`  - ${account.email} - skipped (no refresh token)`);
+            continue;
+        }
         try {
             const tokens = await refreshAccessToken(account.refreshToken);
             const email = await getUserEmail(tokens.accessToken);
-            console.log(`  ✓ ${email} - OK`);
+            results.push({ email: account.email, status: 'ok', error: null });
+            if (!json) console.log(`  ✓ ${email} - OK`);
         } catch (error) {
-            console.log(`  ✗ ${account.email} - ${error.message}`);
+            results.push({ email: account.email, status: 'invalid', error: error.message });
+            if (!json) console.log(`  ✗ ${account.email} - ${error.message}`);
         }
     }
+
+    if (json) console.log(JSON.stringify(results, null, 2));
+    return results.every(result => result.status !== 'invalid');
 }
 
 /**
@@ -457,53 +791,126 @@ async function main() {
     const args = process.argv.slice(2);
     const command = args[0] || 'add';
     const noBrowser = args.includes('--no-browser');
+    const json = args.includes('--json');
+    const yes = args.includes('--yes') || args.includes('-y');
+    const target = args.slice(1).find(arg => arg === '-' || !arg.startsWith('-'));
+
+    // Scripted commands print only their result
+    const interactive = command === 'add' || command === 'reauth' || command === 'help' ||
+        (command === 'remove' && !target) || (command === 'clear' && !yes);
+    if (interactive) {
+        console.log('╔════════════════════════════════════════╗');
+        console.log('║   Antigravity Proxy Account Manager    ║');
+        console.log('║   Use --no-browser for headless mode   ║');
+        console.log('╚════════════════════════════════════════╝');
+    }
+    logger.setLevel('warn');
 
-    console.log('╔════════════════════════════════════════╗');
-    console.log('║   Antigravity Proxy Account Manager    ║');
-    console.log('║   Use --no-browser for headless mode   ║');
-    console.log('╚════════════════════════════════════════╝');
+    // Changes go through the running server, which then owns accounts.json
+    const serverRunning = await isServerRunning();
+    const viaServer = serverRunning && ['add', 'reauth', 'list', 'remove', 'enable', 'disable', 'import', 'clear'].includes(command);
 
-    const rl = createRL();
+    // Passphrase prompts need the terminal before the shared readline interface takes it
+    try {
+        if ((command === 'encrypt' || command === 'decrypt') && serverRunning) {
+            // The server would keep saving with its old passphrase (or none)
+            throw new Error(`The server is running on port ${SERVER_PORT}. Stop it before running ${command}.`);
+        }
+        if (command === 'encrypt') {
+            await encryptAccountsFile();
+            process.exit(0);
+        }
+        if (!viaServer) await unlockAccountsFile(ACCOUNT_CONFIG_PATH);
+        if (command === 'decrypt') {
+            await decryptAccountsFile();
+            process.exit(0);
+        }
+    } catch (error) {
+        console.error(`\n✗ ${error.message}`);
+        process.exit(1);
+    }
+
+    const rl = interactive ? createRL() : null;
+    let exitCode = 0;
 
     try {
         switch (command) {
             case 'add':
-                await ensureServerStopped();
-                await interactiveAdd(rl, noBrowser);
+                await interactiveAdd(rl, noBrowser, serverRunning);
                 break;
             case 'list':
-                await listAccounts();
+                await listAccounts(serverRunning, json);
                 break;
             case 'clear':
-                await ensureServerStopped();
-                await clearAccounts(rl);
+                await clearAccounts(rl, yes, serverRunning);
                 break;
             case 'verify':
-                await verifyAccounts();
+                if (!await verifyAccounts(json)) exitCode = 1;
+                break;
+            case 'remove':
+                if (target) {
+                    await removeAccount(target, serverRunning);
+                } else {
+                    await interactiveRemove(rl, serverRunning);
+                }
+                break;
+            case 'enable':
+            case 'disable':
+                if (!target) throw new Error(`Usage: accounts ${command} <email>`);
+                await setAccountEnabled(target, command === 'enable', serverRunning);
+                break;
+            case 'reauth':
+                if (!target) throw new Error('Usage: accounts reauth <email>');
+                await reauthAccount(target, rl, noBrowser, serverRunning);
+                break;
+            case 'import':
+                if (!target) throw new Error('Usage: accounts import <file> (or - to read stdin)');
+                await importAccountsFrom(target, serverRunning);
+                break;
+            case 'export':
+                exportAccounts(target);
                 break;
             case 'help':
                 console.log('\nUsage:');
-                console.log('  node src/cli/accounts.js add     Add new account(s)');
-                console.log('  node src/cli/accounts.js list    List all accounts');
-                console.log('  node src/cli/accounts.js verify  Verify account tokens');
-                console.log('  node src/cli/accounts.js clear   Remove all accounts');
-                console.log('  node src/cli/accounts.js help    Show this help');
+                console.log('  node src/cli/accounts.js add              Add new account(s)');
+                console.log('  node src/cli/accounts.js list [--json]    List all accounts');
+                console.log('  node src/cli/accounts.js verify [--json]  Verify account tokens (exit 1 if any is rejected)');
+                console.log('  node src/cli/accounts.js remove [email]   Remove an account (interactive without an email)');
+                console.log('  node src/cli/accounts.js enable <email>   Enable an account');
+                console.log('  node src/cli/accounts.js disable <email>  Disable an account');
+                console.log('  node src/cli/accounts.js reauth <email>   Sign in again, replacing only the refresh token');
+                console.log('  node src/cli/accounts.js import <file|->  Add accounts from exported refresh tokens');
+                console.log('  node src/cli/accounts.js export [file]    Export refresh tokens (to stdout by default)');
+                console.log('  node src/cli/accounts.js clear [--yes]    Remove all accounts');
+                console.log('  node src/cli/accounts.js encrypt          Encrypt refresh tokens and API keys in accounts.json');
+                console.log('  node src/cli/accounts.js decrypt          Store them in plaintext again');
+                console.log('  node src/cli/accounts.js help             Show this help');
                 console.log('\nOptions:');
                 console.log('  --no-browser    Manual authorization code input (for headless servers)');
-                break;
-            case 'remove':
-                await ensureServerStopped();
-                await interactiveRemove(rl);
+                console.log('  --json          Machine-readable output for list and verify');
+                console.log('  --yes           Do not ask for confirmation (clear)');
+                console.log('\nWhile the server is running, all commands except verify and export go through');
+                console.log('its API (with the WebUI password from config.json or WEBUI_PASSWORD).');
+                console.log('encrypt and decrypt only run while it is stopped.');
+                console.log('\nEnvironment:');
+                console.log(`  ${ENCRYPTION_KEY_ENV}   Passphrase for an encrypted accounts.json (asked for if unset)`);
                 break;
             default:
-                console.log(`Unknown command: ${command}`);
-                console.log('Run with "help" for usage information.');
+                console.error(`Unknown command: ${command}`);
+                console.error('Run with "help" for usage information.');
+                exitCode = 1;
         }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        exitCode = 1;
     } finally {
-        rl.close();
+        rl?.close();
         // Force exit to prevent hanging
-        process.exit(0);
+        process.exit(exitCode);
     }
 }
 
-main().catch(console.error);
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Config CLI
+ *
+ * Checks config.json and accounts.json against their schemas without
+ * starting the server. Exits with 1 if either file has errors.
+ *
+ * Usage:
+ *   node src/cli/config.js validate [--config <path>] [--accounts <path>]
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join, resolve } from 'path';
+import { checkConfig, CONFIG_SCHEMA_VERSION } from '../config-schema.js';
+import { checkAccounts, ACCOUNTS_SCHEMA_VERSION } from '../account-manager/schema.js';
+import { formatDiagnostics } from '../utils/schema.js';
+
+// Resolved here rather than imported from config.js/constants.js: importing
+// those loads (and migrates) the files this command is meant to inspect
+const CONFIG_DIR = join(homedir(), '.config', 'antigravity-proxy');
+
+/**
+ * Parse --flag value pairs
+ * @param {string[]} args - CLI arguments
+ * @returns {Object} Parsed options
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) continue;
+        options[arg.slice(2)] = args[i + 1];
+        i++;
+    }
+    return options;
+}
+
+/**
+ * Find the config.json the server would load
+ * @returns {string|null} Path, or null if there is none
+ */
+function findConfigPath() {
+    const homeConfig = join(CONFIG_DIR, 'config.json');
+    if (existsSync(homeConfig)) return homeConfig;
+    const localConfig = resolve('config.json');
+    return existsSync(localConfig) ? localConfig : null;
+}
+
+/**
+ * Validate one file and print the result
+ * @param {string} label - File description
+ * @param {string} filePath - Path to the file
+ * @param {Function} check - checkConfig or checkAccounts
+ * @param {number} currentVersion - Current schema version
+ * @returns {{ok: boolean, result: Object|null}} ok is false if the file has errors
+ */
+function validateFile(label, filePath, check, currentVersion) {
+    console.log(`\n${label}: ${filePath}`);
+
+    let result;
+    try {
+        result = check(JSON.parse(readFileSync(filePath, 'utf-8')));
+    } catch (error) {
+        console.log(`  ✗ ${error.message}`);
+        return { ok: false, result: null };
+    }
+
+    if (result.applied.length > 0) {
+        console.log(`  ↻ Schema v${result.fromVersion}, will be migrated to v${currentVersion} on next start:`);
+        for (const step of result.applied) console.log(`      ${step}`);
+    }
+    for (const line of formatDiagnostics(result.errors)) console.log(`  ✗ ${line}`);
+    for (const line of formatDiagnostics(result.warnings)) console.log(`  ! ${line}`);
+
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+        console.log('  ✓ Valid');
+    } else {
+        console.log(`  ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    }
+    return { ok: result.errors.length === 0, result };
+}
+
+/**
+ * Validate config.json and accounts.json
+ * @param {Object} options - Parsed options (config, accounts)
+ * @returns {boolean} True if neither file has errors
+ */
+function validate(options) {
+    let ok = true;
+
+    const configPath = options.config ? resolve(options.config) : findConfigPath();
+    let accountsPath = options.accounts ? resolve(options.accounts) : null;
+
+    if (!configPath) {
+        console.log('\nconfig.json: not found (defaults are used)');
+    } else if (!existsSync(configPath)) {
+        console.log(`\nconfig.json: ${configPath} does not exist`);
+        ok = false;
+    } else {
+        const checked = validateFile('config.json', configPath, checkConfig, CONFIG_SCHEMA_VERSION);
+        ok = checked.ok && ok;
+        accountsPath = accountsPath || checked.result?.config.accountConfigPath || null;
+    }
+
+    accountsPath = accountsPath || join(CONFIG_DIR, 'accounts.json');
+    if (!existsSync(accountsPath)) {
+        console.log(`\naccounts.json: ${accountsPath} not found (no accounts added yet)`);
+    } else {
+        ok = validateFile('accounts.json', accountsPath, checkAccounts, ACCOUNTS_SCHEMA_VERSION).ok && ok;
+    }
+
+    console.log('');
+    return ok;
+}
+
+/**
+ * Main CLI
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] || 'validate';
+    const options = parseOptions(args.slice(1));
+
+    switch (command) {
+        case 'validate':
+            process.exit(validate(options) ? 0 : 1);
+            break;
+        case 'help':
+            console.log('\nUsage:');
+            console.log('  node src/cli/config.js validate     Check config.json and accounts.json');
+            console.log('\nOptions:');
+            console.log('  --config <path>      config.json to check (default: the one the server loads)');
+            console.log('  --accounts <path>    accounts.json to check (default: accountConfigPath or ~/.config/antigravity-proxy/accounts.json)');
+            break;
+        default:
+            console.log(`Unknown command: ${command}`);
+            console.log('Run with "help" for usage information.');
+            process.exit(1);
+    }
+}
+
+main();
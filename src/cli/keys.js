@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management CLI
+ *
+ * Create, list and revoke proxy API keys. Changes are written to
+ * ~/.config/antigravity-proxy/api-keys.json and picked up by a running
+ * server automatically.
+ *
+ * Usage:
+ *   node src/cli/keys.js list
+ *   node src/cli/keys.js create --label "CI agent" [--models "claude-*,gemini-3-flash"] [--rpm 30] [--tokens-per-day 2000000] [--groups team]
+ *   node src/cli/keys.js update <id> [--label ...] [--models ...] [--rpm ...] [--tokens-per-day ...] [--groups ...]
+ *   node src/cli/keys.js enable <id>
+ *   node src/cli/keys.js disable <id>
+ *   node src/cli/keys.js revoke <id>
+ */
+
+import apiKeys from '../modules/api-keys.js';
+import { API_KEYS_CONFIG_PATH } from '../constants.js';
+
+/**
+ * Parse --flag value pairs
+ * @param {string[]} args - CLI arguments
+ * @returns {Object} Parsed options
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) continue;
+        const name = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        options[name] = args[i + 1];
+        i++;
+    }
+    return options;
+}
+
+/**
+ * Format a limit for display
+ */
+function formatLimit(value, unit) {
+    return value ? `${value.toLocaleString()} ${unit}` : 'unlimited';
+}
+
+/**
+ * List all keys
+ */
+function listKeys() {
+    const keys = apiKeys.listKeys();
+    if (keys.length === 0) {
+        console.log('\nNo API keys configured. /v1/* endpoints are open to anyone who can reach the server.');
+        console.log('Create one with: antigravity-claude-proxy keys create --label "my agent"');
+        return;
+    }
+
+    console.log(`\n${keys.length} API key(s):\n`);
+    for (const key of keys) {
+        const status = key.enabled ? '' : ' (disabled)';
+        console.log(`  ${key.id}  ${key.label}${status}`);
+        console.log(`      key:     ${key.preview}`);
+        console.log(`      models:  ${key.models.length > 0 ? key.models.join(', ') : 'all'}`);
+        console.log(`      limits:  ${formatLimit(key.rpm, 'req/min')}, ${formatLimit(key.tokensPerDay, 'tokens/day')}`);
+        if (key.accountGroups?.length > 0) console.log(`      groups:  ${key.accountGroups.join(', ')}`);
+    }
+    console.log(`\nConfig: ${API_KEYS_CONFIG_PATH}`);
+}
+
+/**
+ * Main CLI
+ */
+function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] || 'list';
+    const options = parseOptions(args.slice(1));
+    const id = args[1] && !args[1].startsWith('--') ? args[1] : null;
+
+    try {
+        switch (command) {
+            case 'list':
+                listKeys();
+                break;
+            case 'create': {
+                const { key, secret } = apiKeys.createKey({
+                    label: options.label,
+                    models: options.models,
+                    rpm: options.rpm,
+                    tokensPerDay: options.tokensPerDay,
+                    accountGroups: options.groups
+                });
+                console.log(`\n✓ Created API key ${key.id} (${key.label})\n`);
+                console.log(`  ${secret}\n`);
+                console.log('Store it now - it cannot be shown again.');
+                console.log('Clients send it as "x-api-key: <key>" or "Authorization: Bearer <key>".');
+                break;
+            }
+            case 'update': {
+                if (!id) throw new Error('Key ID is required');
+                const key = apiKeys.updateKey(id, {
+                    label: options.label,
+                    models: options.models,
+                    rpm: options.rpm,
+                    tokensPerDay: options.tokensPerDay,
+                    accountGroups: options.groups
+                });
+                console.log(`✓ Updated API key ${key.id} (${key.label})`);
+                break;
+            }
+            case 'enable':
+            case 'disable': {
+                if (!id) throw new Error('Key ID is required');
+                const key = apiKeys.updateKey(id, { enabled: command === 'enable' });
+                console.log(`✓ API key ${key.id} (${key.label}) ${command}d`);
+                break;
+            }
+            case 'revoke':
+                if (!id) throw new Error('Key ID is required');
+                apiKeys.revokeKey(id);
+                console.log(`✓ Revoked API key ${id}`);
+                break;
+            case 'help':
+                console.log('\nUsage:');
+                console.log('  node src/cli/keys.js list                 List API keys');
+                console.log('  node src/cli/keys.js create --label <l>   Create a key (prints the secret once)');
+                console.log('  node src/cli/keys.js update <id>          Change label, models, limits or groups');
+                console.log('  node src/cli/keys.js enable <id>          Enable a key');
+                console.log('  node src/cli/keys.js disable <id>         Disable a key');
+                console.log('  node src/cli/keys.js revoke <id>          Delete a key');
+                console.log('\nOptions (create/update):');
+                console.log('  --label <text>             Human-readable label');
+                console.log('  --models <list>            Comma-separated allowed models, "*" wildcards (default: all)');
+                console.log('  --rpm <n>                  Requests per minute (0 = unlimited)');
+                console.log('  --tokens-per-day <n>       Daily token budget (0 = unlimited)');
+                console.log('  --groups <list>            Comma-separated account groups for the key\'s requests');
+                break;
+            default:
+                console.log(`Unknown command: ${command}`);
+                console.log('Run with "help" for usage information.');
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
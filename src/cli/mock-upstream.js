@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Upstream CLI
+ *
+ * Runs the offline mock Cloud Code server (see cloudcode/mock-server.js).
+ * Start the proxy against it with
+ *   ANTIGRAVITY_ENDPOINT_FALLBACKS=http://127.0.0.1:8099 antigravity-claude-proxy start
+ *
+ * Usage:
+ *   node src/cli/mock-upstream.js [--port 8099] [--host 127.0.0.1] [--script responses.json]
+ *                                 [--chunk-delay-ms 0] [--no-signature-check]
+ */
+
+import fs from 'fs';
+import { createMockServer } from '../cloudcode/mock-server.js';
+
+const DEFAULT_MOCK_PORT = 8099;
+
+/**
+ * Read the value following a flag
+ * @param {string[]} args - CLI arguments
+ * @param {string} flag - Flag name
+ * @returns {string|undefined} Value
+ */
+function option(args, flag) {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('help')) {
+        console.log('\nUsage:');
+        console.log('  node src/cli/mock-upstream.js [--port 8099] [--host 127.0.0.1]');
+        console.log('  --script <file>        JSON array of scripted responses to queue at start');
+        console.log('  --chunk-delay-ms <ms>  Delay between streamed chunks');
+        console.log('  --no-signature-check   Accept thinking signatures the mock did not issue');
+        console.log('\nControl API: POST /mock/responses, POST /mock/errors, GET /mock/requests, POST /mock/reset');
+        process.exit(0);
+    }
+
+    const scriptFile = option(args, '--script');
+    const mock = createMockServer({
+        validateSignatures: !args.includes('--no-signature-check'),
+        chunkDelayMs: parseInt(option(args, '--chunk-delay-ms') || '0', 10),
+        responses: scriptFile ? JSON.parse(fs.readFileSync(scriptFile, 'utf8')) : undefined
+    });
+
+    const port = parseInt(option(args, '--port') || process.env.MOCK_UPSTREAM_PORT || DEFAULT_MOCK_PORT, 10);
+    const url = await mock.listen(port, option(args, '--host') || '127.0.0.1');
+
+    console.log(`Mock Cloud Code server listening on ${url}`);
+    console.log(`Point the proxy at it with: ANTIGRAVITY_ENDPOINT_FALLBACKS=${url}`);
+
+    const shutdown = async () => {
+        await mock.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Capture Replay CLI
+ *
+ * Replays requests recorded with --capture through the request/response
+ * converters, offline. Reports where the rebuilt Cloud Code payload differs
+ * from the recorded one and what the recorded upstream body converts to.
+ *
+ * Usage:
+ *   node src/cli/replay.js <captures.jsonl> [--id <capture id>] [--last] [--json]
+ *
+ * Exit code is 1 if any payload differs or a replay fails.
+ */
+
+import capture from '../modules/capture.js';
+import { replayCapture } from '../cloudcode/replay.js';
+
+/**
+ * Summarize converted output for the terminal
+ * @param {Object|null} output - { events } or { message }
+ * @returns {string} One-line summary
+ */
+function summarizeOutput(output) {
+    if (!output) return 'no upstream body';
+    const message = output.message;
+    if (message) {
+        const blocks = message.content.map(block => block.type).join(', ');
+        return `message [${blocks}] stop_reason=${message.stop_reason}`;
+    }
+    const blocks = output.events.filter(e => e.type === 'content_block_start').map(e => e.content_block.type);
+    const stop = output.events.find(e => e.type === 'message_delta')?.delta?.stop_reason;
+    return `${output.events.length} events [${blocks.join(', ')}] stop_reason=${stop}`;
+}
+
+/**
+ * Format a value for a diff line
+ * @param {*} value - Value
+ * @returns {string} Truncated JSON
+ */
+function formatValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 120 ? text.slice(0, 117) + '...' : text;
+}
+
+/**
+ * Main CLI
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const idIndex = args.indexOf('--id');
+    const id = idIndex >= 0 ? args[idIndex + 1] : null;
+    const json = args.includes('--json');
+
+    if (!file || args.includes('help')) {
+        console.log('\nUsage:');
+        console.log('  node src/cli/replay.js <captures.jsonl>            Replay every capture in the file');
+        console.log('  node src/cli/replay.js <captures.jsonl> --id <id>  Replay one capture');
+        console.log('  node src/cli/replay.js <captures.jsonl> --last     Replay the most recent capture');
+        console.log('  --json                                             Print rebuilt payloads and output as JSON lines');
+        console.log('\nRecord captures by starting the server with --capture (or "capture": { "enabled": true } in config.json).');
+        process.exit(file ? 0 : 1);
+    }
+
+    // Replay must never reach Cloud Code
+    globalThis.fetch = async () => {
+        throw new Error('Network access is disabled during replay');
+    };
+
+    let captures = capture.readCaptures(file);
+    if (id) captures = captures.filter(entry => entry.id === id);
+    if (args.includes('--last')) captures = captures.slice(-1);
+    if (captures.length === 0) {
+        console.error(id ? `No capture with id ${id} in ${file}` : `No captures in ${file}`);
+        process.exit(1);
+    }
+
+    let failures = 0;
+    for (const entry of captures) {
+        try {
+            const result = await replayCapture(entry);
+            if (result.payloadDiffs.length > 0) failures++;
+
+            if (json) {
+                console.log(JSON.stringify(result));
+                continue;
+            }
+
+            const status = result.payloadDiffs.length === 0 ? '✓' : '✗';
+            console.log(`\n${status} ${entry.id}  ${entry.route} ${entry.model}${entry.stream ? ' (stream)' : ''}  ${entry.capturedAt}`);
+            if (entry.error) console.log(`    original error: ${entry.error}`);
+            if (!entry.payload) {
+                console.log('    payload: not recorded (request failed before reaching Cloud Code)');
+            } else if (result.payloadDiffs.length === 0) {
+                console.log('    payload: matches recording');
+            } else {
+                console.log(`    payload: ${result.payloadDiffs.length} difference(s)`);
+                for (const diff of result.payloadDiffs) {
+                    console.log(`      ${diff.path}`);
+                    console.log(`        recorded: ${formatValue(diff.expected)}`);
+                    console.log(`        replayed: ${formatValue(diff.actual)}`);
+                }
+            }
+            if (result.upstreamError) console.log(`    upstream: ${result.upstreamError}`);
+            console.log(`    output:  ${summarizeOutput(result.output)}`);
+        } catch (error) {
+            failures++;
+            console.log(`\n✗ ${entry.id}  replay failed: ${error.message}`);
+        }
+    }
+
+    if (!json) {
+        console.log(`\n${captures.length} capture(s) replayed, ${failures} with differences or errors.`);
+    }
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
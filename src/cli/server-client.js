@@ -0,0 +1,74 @@
+/**
+ * Running Server Client
+ *
+ * Lets the CLIs change accounts through a running proxy's WebUI API instead
+ * of writing accounts.json underneath it. Requests carry the WebUI password
+ * from config.json (or WEBUI_PASSWORD) when one is set.
+ */
+
+import net from 'net';
+import { DEFAULT_PORT } from '../constants.js';
+import { config } from '../config.js';
+
+export const SERVER_PORT = process.env.PORT || DEFAULT_PORT;
+
+/**
+ * Check if the Antigravity Proxy server is running
+ * @returns {Promise<boolean>} True if the server port is occupied
+ */
+export function isServerRunning() {
+    return new Promise((resolve) => {
+        const socket = new net.Socket();
+        socket.setTimeout(1000);
+
+        socket.on('connect', () => {
+            socket.destroy();
+            resolve(true); // Server is running
+        });
+
+        socket.on('timeout', () => {
+            socket.destroy();
+            resolve(false);
+        });
+
+        socket.on('error', () => {
+            socket.destroy();
+            resolve(false); // Port free
+        });
+
+        socket.connect(SERVER_PORT, 'localhost');
+    });
+}
+
+/**
+ * Call the running server's WebUI API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. /api/accounts)
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} If the request fails or the server answers with an error
+ */
+export async function callServer(method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.webuiPassword) headers['x-webui-password'] = config.webuiPassword;
+
+    let response;
+    try {
+        response = await fetch(`http://localhost:${SERVER_PORT}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new Error(`Cannot reach the server on port ${SERVER_PORT}: ${error.message}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        throw new Error('The server rejected the WebUI password. Set WEBUI_PASSWORD or webuiPassword in config.json.');
+    }
+    if (!response.ok || data.status === 'error') {
+        throw new Error(data.error || `Server returned HTTP ${response.status}`);
+    }
+    return data;
+}
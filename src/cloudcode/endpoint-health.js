@@ -0,0 +1,201 @@
+/**
+ * Endpoint Health for Cloud Code
+ *
+ * Tracks success rate and latency per Cloud Code endpoint, with a circuit
+ * breaker so requests stop going to an endpoint that keeps failing:
+ *
+ *   closed     Normal. ENDPOINT_FAILURE_THRESHOLD consecutive failures open it.
+ *   open       Skipped for ENDPOINT_OPEN_MS, then moves to half-open.
+ *   half_open  One request is let through as a probe (tried first).
+ *              Success closes the circuit, failure opens it again.
+ *
+ * Only 5xx responses and network errors count as failures. 4xx responses
+ * (rate limits, auth, bad requests) show the endpoint is up.
+ */
+
+import {
+    ANTIGRAVITY_ENDPOINT_FALLBACKS,
+    ENDPOINT_FAILURE_THRESHOLD,
+    ENDPOINT_OPEN_MS,
+    ENDPOINT_HEALTH_WINDOW
+} from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+// A probe that never reports back (e.g. the client disconnected) frees the slot after this long
+const PROBE_LEASE_MS = 30 * 1000;
+
+// Weight of the newest sample in the average latency
+const LATENCY_SMOOTHING = 0.2;
+
+const endpoints = new Map();
+
+/**
+ * Get (or create) the health entry for an endpoint
+ * @param {string} endpoint - Endpoint base URL
+ * @returns {Object} Health entry
+ */
+function getEntry(endpoint) {
+    let entry = endpoints.get(endpoint);
+    if (!entry) {
+        entry = {
+            state: 'closed',
+            consecutiveFailures: 0,
+            recent: [],
+            successes: 0,
+            failures: 0,
+            avgLatencyMs: null,
+            lastLatencyMs: null,
+            lastError: null,
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            openedAt: null,
+            probeStartedAt: null
+        };
+        endpoints.set(endpoint, entry);
+    }
+    return entry;
+}
+
+/**
+ * Add a result to the sliding window used for the success rate
+ * @param {Object} entry - Health entry
+ * @param {boolean} ok - Whether the request succeeded
+ */
+function pushResult(entry, ok) {
+    entry.recent.push(ok);
+    if (entry.recent.length > ENDPOINT_HEALTH_WINDOW) entry.recent.shift();
+}
+
+/**
+ * Get the endpoints to try, in order, for one request.
+ * A half-open endpoint due for a probe comes first, then closed endpoints in
+ * configured order. Open endpoints are skipped, unless every endpoint is open,
+ * in which case all are returned so requests still have somewhere to go.
+ *
+ * @param {string[]} [configured] - Endpoint base URLs in fallback order
+ * @returns {string[]} Endpoints to try
+ */
+export function getEndpointOrder(configured = ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    const now = Date.now();
+    const probes = [];
+    const healthy = [];
+
+    for (const endpoint of configured) {
+        const entry = getEntry(endpoint);
+
+        if (entry.state === 'open' && now - entry.openedAt >= ENDPOINT_OPEN_MS) {
+            entry.state = 'half_open';
+            entry.probeStartedAt = null;
+            logger.info(`[EndpointHealth] ${endpoint} is half-open, probing`);
+        }
+
+        if (entry.state === 'closed') {
+            healthy.push(endpoint);
+        } else if (entry.state === 'half_open' && (!entry.probeStartedAt || now - entry.probeStartedAt >= PROBE_LEASE_MS)) {
+            entry.probeStartedAt = now;
+            probes.push(endpoint);
+        }
+    }
+
+    const order = [...probes, ...healthy];
+    if (order.length > 0) return order;
+
+    logger.debug('[EndpointHealth] All endpoint circuits are open, trying every endpoint');
+    return [...configured];
+}
+
+/**
+ * Record a response from an endpoint that shows it is up (2xx-4xx)
+ * @param {string} endpoint - Endpoint base URL
+ * @param {number} latencyMs - Time until the response headers arrived
+ */
+export function recordEndpointSuccess(endpoint, latencyMs) {
+    const entry = getEntry(endpoint);
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = Date.now();
+    entry.lastLatencyMs = latencyMs;
+    entry.avgLatencyMs = entry.avgLatencyMs === null
+        ? latencyMs
+        : Math.round(entry.avgLatencyMs + LATENCY_SMOOTHING * (latencyMs - entry.avgLatencyMs));
+    pushResult(entry, true);
+
+    if (entry.state !== 'closed') {
+        logger.success(`[EndpointHealth] ${endpoint} recovered, circuit closed`);
+        entry.state = 'closed';
+        entry.openedAt = null;
+        entry.probeStartedAt = null;
+    }
+}
+
+/**
+ * Record a failed request to an endpoint (5xx or network error)
+ * @param {string} endpoint - Endpoint base URL
+ * @param {string} reason - Status or error message
+ */
+export function recordEndpointFailure(endpoint, reason) {
+    const entry = getEntry(endpoint);
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastFailureAt = Date.now();
+    entry.lastError = reason;
+    pushResult(entry, false);
+
+    const tripped = entry.state === 'half_open' ||
+        (entry.state === 'closed' && entry.consecutiveFailures >= ENDPOINT_FAILURE_THRESHOLD);
+    if (tripped) {
+        logger.warn(`[EndpointHealth] ${endpoint} failed ${entry.consecutiveFailures} time(s) in a row (${reason}), circuit open for ${Math.round(ENDPOINT_OPEN_MS / 1000)}s`);
+        entry.state = 'open';
+        entry.openedAt = Date.now();
+        entry.probeStartedAt = null;
+    }
+}
+
+/**
+ * Record an endpoint response by status: 5xx is a failure, anything else shows the endpoint is up
+ * @param {string} endpoint - Endpoint base URL
+ * @param {number} status - HTTP status
+ * @param {number} startedAt - When the request was sent (ms)
+ */
+export function recordEndpointResponse(endpoint, status, startedAt) {
+    if (status >= 500) {
+        recordEndpointFailure(endpoint, `HTTP ${status}`);
+    } else {
+        recordEndpointSuccess(endpoint, Date.now() - startedAt);
+    }
+}
+
+/**
+ * Get the health of each configured endpoint (for /health)
+ * @param {string[]} [configured] - Endpoint base URLs in fallback order
+ * @returns {Array<Object>} One entry per endpoint
+ */
+export function getEndpointHealth(configured = ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    const now = Date.now();
+    return configured.map(endpoint => {
+        const entry = getEntry(endpoint);
+        const okCount = entry.recent.filter(Boolean).length;
+        const iso = ms => (ms ? new Date(ms).toISOString() : null);
+        return {
+            endpoint,
+            state: entry.state,
+            successRate: entry.recent.length > 0 ? okCount / entry.recent.length : null,
+            requests: entry.successes + entry.failures,
+            failures: entry.failures,
+            consecutiveFailures: entry.consecutiveFailures,
+            avgLatencyMs: entry.avgLatencyMs,
+            lastLatencyMs: entry.lastLatencyMs,
+            lastError: entry.lastError,
+            lastSuccessAt: iso(entry.lastSuccessAt),
+            lastFailureAt: iso(entry.lastFailureAt),
+            retryInMs: entry.state === 'open' ? Math.max(0, entry.openedAt + ENDPOINT_OPEN_MS - now) : null
+        };
+    });
+}
+
+/**
+ * Forget all endpoint health (for tests)
+ */
+export function resetEndpointHealth() {
+    endpoints.clear();
+}
@@ -0,0 +1,153 @@
+/**
+ * Model Fallback Chains
+ *
+ * Runs a request down its model's fallback chain (see fallback-config.js).
+ * Each model is tried with the full account/endpoint retry loop; when it
+ * fails in a way the chain's triggers cover, the request moves to the next
+ * model in the chain:
+ *
+ *   quota    Every account is rate-limited or out of quota for the model
+ *            (also checked up front from the cached quota snapshots)
+ *   5xx      Upstream server errors or network failures on every attempt
+ *   timeout  No response within the chain's timeoutMs (for streams, until
+ *            the upstream stream starts)
+ *
+ * Streams only fall back before their first event has been sent.
+ */
+
+import { NoAccountsError, MaxRetriesError, RequestTimeoutError, isRateLimitError } from '../errors.js';
+import { getFallbackChain } from '../fallback-config.js';
+import { formatDuration, isNetworkError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import metrics from '../modules/metrics.js';
+
+/**
+ * Classify a failed attempt by the fallback trigger it matches
+ * @param {Error} error - Error from a model's retry loop
+ * @returns {'quota'|'5xx'|'timeout'|null} Trigger, or null if the error should not cause a fallback
+ */
+export function getFallbackTrigger(error) {
+    if (error instanceof RequestTimeoutError) return 'timeout';
+    if (error instanceof NoAccountsError || isRateLimitError(error)) return 'quota';
+    if (error instanceof MaxRetriesError || /API error 5\d\d/.test(error.message) || isNetworkError(error)) return '5xx';
+    return null;
+}
+
+/**
+ * Start the timeout for one model of a chain
+ * @param {Object|null} chain - Fallback chain
+ * @param {string} model - Model being tried
+ * @param {boolean} isLast - Whether this is the last model (which is never timed out)
+ * @returns {{signal: AbortSignal, clear: Function}|null} Deadline passed to the handler, or null for no timeout
+ */
+function startDeadline(chain, model, isLast) {
+    if (!chain?.on.includes('timeout') || isLast) return null;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new RequestTimeoutError(
+            `${model} did not respond within ${formatDuration(chain.timeoutMs)}`, model, chain.timeoutMs
+        ));
+    }, chain.timeoutMs);
+    return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Get the models to try for a request, in order
+ * @param {string} model - Requested model
+ * @param {boolean} fallbackEnabled - Whether --fallback is on
+ * @returns {{chain: Object|null, models: string[]}}
+ */
+function planChain(model, fallbackEnabled) {
+    const chain = getFallbackChain(model, fallbackEnabled);
+    return { chain, models: [model, ...(chain?.models || [])] };
+}
+
+/**
+ * Check whether a model should be skipped up front because every account the
+ * request may use is nearly out of quota for it, while the next model still has quota
+ * @returns {boolean}
+ */
+function skipDrained(chain, model, next, accountManager, accountGroup) {
+    if (!next || !chain.on.includes('quota')) return false;
+    if (!accountManager.isQuotaDrained(model, accountGroup) || accountManager.isQuotaDrained(next, accountGroup)) return false;
+
+    logger.warn(`[CloudCode] All accounts nearly out of quota for ${model}. Falling back to ${next} early`);
+    metrics.recordFallback(model, next, 'quota');
+    return true;
+}
+
+/**
+ * Decide whether a failed model moves the request to the next one
+ * @returns {boolean} True if the request should continue with `next`
+ */
+function shouldFallBack(chain, model, next, error) {
+    const trigger = getFallbackTrigger(error);
+    if (!next || !trigger || !chain.on.includes(trigger)) return false;
+
+    logger.warn(`[CloudCode] ${model} failed (${trigger}: ${error.message}). Falling back to ${next}`);
+    // 'exhausted' keeps the metric label used before chains had triggers
+    metrics.recordFallback(model, next, trigger === 'quota' ? 'exhausted' : trigger);
+    return true;
+}
+
+/**
+ * Run a request down its fallback chain
+ * @param {string} model - Requested model
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} fallbackEnabled - Whether --fallback is on
+ * @param {string|string[]|null} accountGroup - Account group(s) the request selects from
+ * @param {Function} attempt - (model, deadline) => Promise of the response for one model
+ * @returns {Promise<*>} Response of the first model that succeeds
+ * @throws {Error} The last model's error, or the first error no trigger covers
+ */
+export async function runWithFallback(model, accountManager, fallbackEnabled, accountGroup, attempt) {
+    const { chain, models } = planChain(model, fallbackEnabled);
+
+    for (let i = 0; i < models.length; i++) {
+        const [current, next] = [models[i], models[i + 1]];
+        if (chain && skipDrained(chain, current, next, accountManager, accountGroup)) continue;
+
+        const deadline = startDeadline(chain, current, !next);
+        try {
+            return await attempt(current, deadline);
+        } catch (error) {
+            if (!chain || !shouldFallBack(chain, current, next, error)) throw error;
+        } finally {
+            deadline?.clear();
+        }
+    }
+}
+
+/**
+ * Stream a request down its fallback chain. A model that fails after its
+ * first event has been yielded is not retried on another model.
+ * @param {string} model - Requested model
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} fallbackEnabled - Whether --fallback is on
+ * @param {string|string[]|null} accountGroup - Account group(s) the request selects from
+ * @param {Function} attempt - (model, deadline) => async generator of events for one model
+ * @yields {Object} Events of the first model that starts streaming
+ */
+export async function* streamWithFallback(model, accountManager, fallbackEnabled, accountGroup, attempt) {
+    const { chain, models } = planChain(model, fallbackEnabled);
+
+    for (let i = 0; i < models.length; i++) {
+        const [current, next] = [models[i], models[i + 1]];
+        if (chain && skipDrained(chain, current, next, accountManager, accountGroup)) continue;
+
+        const deadline = startDeadline(chain, current, !next);
+        let started = false;
+        try {
+            for await (const event of attempt(current, deadline)) {
+                started = true;
+                yield event;
+            }
+            return;
+        } catch (error) {
+            if (started || !chain || !shouldFallBack(chain, current, next, error)) throw error;
+        } finally {
+            deadline?.clear();
+        }
+    }
+}
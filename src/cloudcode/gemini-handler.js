@@ -0,0 +1,122 @@
+/**
+ * Native Gemini Handler for Cloud Code
+ *
+ * Serves Gemini REST requests (generateContent / streamGenerateContent)
+ * without the Anthropic conversion. The Gemini body is wrapped in the
+ * Cloud Code envelope, sent with the same multi-account selection, retry
+ * and endpoint failover as the Anthropic handlers, and the `response`
+ * envelope is unwrapped again on the way back.
+ */
+
+import { logger } from '../utils/logger.js';
+import { buildCloudCodeGeminiRequest } from './request-builder.js';
+import { runWithFallback } from './fallback.js';
+import { sendUpstream } from './upstream.js';
+import { deriveSessionIdFromContents } from './session-manager.js';
+
+/**
+ * Unwrap a Cloud Code response envelope ({ response: {...}, traceId })
+ * @param {Object} data - Cloud Code response
+ * @returns {Object} Gemini API response
+ */
+function unwrapResponse(data) {
+    return data?.response || data;
+}
+
+/**
+ * Send an upstream request, handling the model's fallback chain, account
+ * selection, retries and endpoint failover
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Gemini API request body
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} stream - Whether to call streamGenerateContent
+ * @param {boolean} fallbackEnabled - Whether --fallback is on (fallbackChains from config.json always apply)
+ * @param {Object} [requestMeta] - Optional object that receives the serving `account` and `model` (and may carry the `accountGroup` to select from)
+ * @param {Function} [consume] - Reads a successful response (see upstream.js); the Response itself is returned without it
+ * @returns {Promise<*>} What consume returned, or the successful upstream response
+ * @throws {Error} If max retries exceeded or no accounts available
+ */
+async function requestGemini(model, geminiRequest, accountManager, stream, fallbackEnabled, requestMeta, consume) {
+    return runWithFallback(model, accountManager, fallbackEnabled, requestMeta?.accountGroup || null, (current, deadline) => {
+        if (requestMeta) requestMeta.model = current;
+        return sendUpstream({
+            model: current,
+            // Conversation key for account affinity (same hash as the Cloud Code sessionId)
+            sessionId: deriveSessionIdFromContents(geminiRequest.contents),
+            stream,
+            buildPayload: project => buildCloudCodeGeminiRequest(geminiRequest, current, project),
+            consume,
+            accountManager,
+            requestMeta,
+            deadline
+        });
+    });
+}
+
+/**
+ * Send a native Gemini generateContent request
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Gemini API request body
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether --fallback is on (fallbackChains from config.json always apply)
+ * @param {Object} [requestMeta] - Optional object that receives the serving `account` and `model` (and may carry the `accountGroup` to select from)
+ * @returns {Promise<Object>} Gemini API GenerateContentResponse
+ */
+export async function sendGeminiMessage(model, geminiRequest, accountManager, fallbackEnabled = false, requestMeta = null) {
+    return requestGemini(model, geminiRequest, accountManager, false, fallbackEnabled, requestMeta,
+        async (response) => unwrapResponse(await response.json()));
+}
+
+/**
+ * Send a native Gemini streamGenerateContent request
+ *
+ * @param {string} model - Model name
+ * @param {Object} geminiRequest - Gemini API request body
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether --fallback is on (fallbackChains from config.json always apply)
+ * @param {Object} [requestMeta] - Optional object that receives the serving `account` and `model` (and may carry the `accountGroup` to select from)
+ * @yields {Object} Gemini API GenerateContentResponse chunks
+ */
+export async function* sendGeminiMessageStream(model, geminiRequest, accountManager, fallbackEnabled = false, requestMeta = null) {
+    const response = await requestGemini(model, geminiRequest, accountManager, true, fallbackEnabled, requestMeta);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseLine = (line) => {
+        if (!line.startsWith('data:')) return null;
+        const jsonText = line.slice(5).trim();
+        if (!jsonText) return null;
+        try {
+            return unwrapResponse(JSON.parse(jsonText));
+        } catch (e) {
+            logger.warn('[CloudCode] SSE parse error:', e.message);
+            return null;
+        }
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                const chunk = parseLine(line);
+                if (chunk) yield chunk;
+            }
+        }
+
+        const last = parseLine(buffer);
+        if (last) yield last;
+    } finally {
+        // Stop the upstream request when the client goes away mid-stream
+        reader.cancel().catch(() => {});
+    }
+}
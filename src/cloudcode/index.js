@@ -13,16 +13,26 @@
 export { sendMessage } from './message-handler.js';
 export { sendMessageStream } from './streaming-handler.js';
 export { listModels, fetchAvailableModels, getModelQuotas } from './model-api.js';
+export { countTokens } from './token-counter.js';
+export { sendGeminiMessage, sendGeminiMessageStream } from './gemini-handler.js';
+export { getEndpointHealth } from './endpoint-health.js';
 
 // Default export for backwards compatibility
 import { sendMessage } from './message-handler.js';
 import { sendMessageStream } from './streaming-handler.js';
 import { listModels, fetchAvailableModels, getModelQuotas } from './model-api.js';
+import { countTokens } from './token-counter.js';
+import { sendGeminiMessage, sendGeminiMessageStream } from './gemini-handler.js';
+import { getEndpointHealth } from './endpoint-health.js';
 
 export default {
     sendMessage,
     sendMessageStream,
     listModels,
     fetchAvailableModels,
-    getModelQuotas
+    getModelQuotas,
+    countTokens,
+    sendGeminiMessage,
+    sendGeminiMessageStream,
+    getEndpointHealth
 };
@@ -0,0 +1,495 @@
+/**
+ * Mock Cloud Code Server
+ *
+ * An offline stand-in for the Cloud Code API, so the proxy and the test
+ * suites can run without Google accounts. Point the proxy at it with
+ *   ANTIGRAVITY_ENDPOINT_FALLBACKS=http://127.0.0.1:8099
+ *
+ * Implements v1internal:generateContent, streamGenerateContent?alt=sse,
+ * countTokens, fetchAvailableModels and loadCodeAssist. Routes also answer
+ * under a path prefix (http://127.0.0.1:8099/daily/v1internal:...), so a
+ * single server can stand in for several fallback endpoints.
+ *
+ * Responses are scripted (queued with script() or POST /mock/responses) or,
+ * when the queue is empty, generated: thinking + a call to the first declared
+ * tool, or thinking + text once a tool result comes back. Thinking signatures
+ * are issued by the server and checked when they are sent back, like the
+ * real API does. Errors (429, 401, 5xx, ...) are injected with injectError()
+ * or POST /mock/errors.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { GEMINI_SKIP_SIGNATURE, getModelFamily } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+export const MOCK_PROJECT_ID = 'mock-project';
+
+// Models reported by fetchAvailableModels
+export const MOCK_MODELS = [
+    'claude-sonnet-4-6-thinking',
+    'claude-opus-4-6-thinking',
+    'claude-sonnet-4-5-thinking',
+    'claude-sonnet-4-5',
+    'gemini-3-flash',
+    'gemini-3-1-pro-high',
+    'gemini-3-1-pro-low'
+];
+
+const GOOGLE_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE'
+};
+
+const DEFAULT_RESET_DELAY_MS = 2000;
+
+/**
+ * Match a value against a pattern with * wildcards
+ * @param {string} pattern - Pattern (undefined matches everything)
+ * @param {string} value - Value to test
+ * @returns {boolean} True if it matches
+ */
+function matches(pattern, value) {
+    if (pattern === undefined || pattern === null) return true;
+    const regex = new RegExp('^' + String(pattern).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(value || '');
+}
+
+/**
+ * Rough token estimate (4 characters per token)
+ * @param {*} value - Any JSON value
+ * @returns {number} Token count
+ */
+function estimateTokens(value) {
+    return Math.max(1, Math.ceil(JSON.stringify(value ?? '').length / 4));
+}
+
+/**
+ * Build a Google-style error body
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Array} [details] - Error details
+ * @returns {Object} Error body
+ */
+function errorBody(status, message, details) {
+    return {
+        error: {
+            code: status,
+            message,
+            status: GOOGLE_STATUS[status] || 'UNKNOWN',
+            ...(details ? { details } : {})
+        }
+    };
+}
+
+/**
+ * Make sample arguments for a function declaration
+ * @param {Object} parameters - JSON schema of the parameters
+ * @returns {Object} Arguments with a placeholder for each required property
+ */
+function sampleArgs(parameters) {
+    const args = {};
+    const properties = parameters?.properties || {};
+    const required = parameters?.required || Object.keys(properties).slice(0, 1);
+    for (const name of required) {
+        const type = String(properties[name]?.type || 'string').toLowerCase();
+        if (type === 'number' || type === 'integer') args[name] = 1;
+        else if (type === 'boolean') args[name] = true;
+        else if (type === 'array') args[name] = [];
+        else if (type === 'object') args[name] = {};
+        else args[name] = name === 'pattern' ? '**/package.json' : `mock-${name}`;
+    }
+    return args;
+}
+
+/**
+ * Create a mock Cloud Code server
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.validateSignatures=true] - Reject thinking signatures this server did not issue
+ * @param {number} [options.chunkDelayMs=0] - Delay between streamed chunks
+ * @param {Array} [options.responses] - Scripted responses to queue at start
+ * @returns {Object} { app, listen, close, script, injectError, reset, getRequests }
+ */
+export function createMockServer(options = {}) {
+    const validateSignatures = options.validateSignatures !== false;
+    const chunkDelayMs = options.chunkDelayMs || 0;
+
+    let scripted = [];
+    let errorRules = [];
+    let requests = [];
+    const signatures = new Map();   // signature -> model family
+    const sessions = new Map();     // model + sessionId -> prompt tokens of the previous request
+    let server = null;
+
+    /**
+     * Queue scripted responses (consumed in order by generate requests)
+     * @param {Object|Object[]} responses - { model?, thinking?, text?, toolCalls?, parts?, finishReason?, usage?, delayMs? }
+     */
+    function script(responses) {
+        scripted.push(...[].concat(responses));
+    }
+
+    /**
+     * Inject an error
+     * @param {Object} rule - { status, method?, model?, endpoint?, token?, count? (default 1, 0 = until reset),
+     *   message?, body?, headers?, resetDelayMs? }. model, endpoint and token accept * wildcards.
+     */
+    function injectError(rule) {
+        errorRules.push({ count: 1, ...rule, remaining: rule.count ?? 1 });
+    }
+
+    /**
+     * Clear scripted responses, injected errors, the request log and session state
+     */
+    function reset() {
+        scripted = [];
+        errorRules = [];
+        requests = [];
+        sessions.clear();
+    }
+
+    /**
+     * @returns {Object[]} Requests received since the last reset
+     */
+    function getRequests() {
+        return requests;
+    }
+
+    /**
+     * Issue a thinking signature for a model family
+     * @param {string} family - Model family
+     * @returns {string} Signature
+     */
+    function issueSignature(family) {
+        const signature = `mock-${family}-` + crypto.randomBytes(32).toString('base64url');
+        signatures.set(signature, family);
+        return signature;
+    }
+
+    /**
+     * Check the signatures in the conversation history the way the real API does
+     * @param {Object} payload - Cloud Code payload
+     * @returns {string|null} Error message, or null if the history is valid
+     */
+    function checkSignatures(payload) {
+        const family = getModelFamily(payload.model);
+        for (const content of payload.request?.contents || []) {
+            if (content.role !== 'model') continue;
+            for (const part of content.parts || []) {
+                const signature = part.thoughtSignature;
+                if (part.thought) {
+                    if (family === 'claude' && !signature) {
+                        return 'messages: thinking blocks must include a signature';
+                    }
+                    // Claude backends drop thinking signed by another family; Gemini rejects it
+                    const issuedFor = signatures.get(signature);
+                    if (signature && (!issuedFor || (family === 'gemini' && issuedFor !== 'gemini'))) {
+                        return 'Invalid `signature` in `thinking` block';
+                    }
+                }
+                if (part.functionCall && family === 'gemini') {
+                    if (!signature) {
+                        return `Function call ${part.functionCall.name} is missing a thought_signature`;
+                    }
+                    if (signature !== GEMINI_SKIP_SIGNATURE && signatures.get(signature) !== 'gemini') {
+                        return 'Corrupted thought signature.';
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find and consume the first matching injected error
+     * @param {Object} info - { method, model, endpoint, token }
+     * @returns {Object|null} Matching rule
+     */
+    function takeError(info) {
+        const rule = errorRules.find(r =>
+            matches(r.method, info.method) &&
+            matches(r.model, info.model) &&
+            matches(r.endpoint, info.endpoint) &&
+            matches(r.token, info.token));
+        if (!rule) return null;
+        if (rule.count !== 0 && --rule.remaining <= 0) {
+            errorRules = errorRules.filter(r => r !== rule);
+        }
+        return rule;
+    }
+
+    /**
+     * Send an injected error
+     * @param {Object} res - Express response
+     * @param {Object} rule - Error rule
+     * @param {string} model - Requested model
+     */
+    function sendError(res, rule, model) {
+        const status = rule.status;
+        if (rule.headers) res.set(rule.headers);
+        if (rule.body !== undefined) {
+            return res.status(status).send(typeof rule.body === 'string' ? rule.body : JSON.stringify(rule.body));
+        }
+        if (status === 429) {
+            const resetDelayMs = rule.resetDelayMs ?? DEFAULT_RESET_DELAY_MS;
+            res.set('Retry-After', String(Math.ceil(resetDelayMs / 1000)));
+            return res.status(429).json(errorBody(429,
+                rule.message || `You have exhausted your capacity on this model. Your quota will reset after ${Math.ceil(resetDelayMs / 1000)}s.`,
+                [{
+                    '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+                    reason: 'RATE_LIMIT_EXCEEDED',
+                    metadata: { model, quotaResetDelay: `${resetDelayMs}ms` }
+                }]));
+        }
+        const defaults = {
+            401: 'Request had invalid authentication credentials.',
+            500: 'Internal error encountered.',
+            503: 'The service is currently unavailable.'
+        };
+        return res.status(status).json(errorBody(status, rule.message || defaults[status] || `Injected error ${status}`));
+    }
+
+    /**
+     * Build the response parts for a generate request
+     * @param {Object} payload - Cloud Code payload
+     * @returns {{parts: Object[], finishReason: string, usage: Object, delayMs: number}}
+     */
+    function buildResponse(payload) {
+        const model = payload.model;
+        const family = getModelFamily(model);
+        const request = payload.request || {};
+        const thinking = !!request.generationConfig?.thinkingConfig;
+
+        const index = scripted.findIndex(entry => matches(entry.model, model));
+        const entry = index >= 0 ? scripted.splice(index, 1)[0] : defaultResponse(request);
+
+        let parts;
+        if (entry.parts) {
+            parts = entry.parts.map(part => (part.thought && !part.thoughtSignature)
+                ? { ...part, thoughtSignature: issueSignature(family) }
+                : { ...part });
+        } else {
+            parts = [];
+            if (thinking && entry.thinking) {
+                parts.push({ text: entry.thinking, thought: true, thoughtSignature: issueSignature(family) });
+            }
+            if (entry.text) parts.push({ text: entry.text });
+            for (const call of entry.toolCalls || []) {
+                const part = {
+                    functionCall: {
+                        name: call.name,
+                        args: call.args || {},
+                        ...(family === 'claude' ? { id: call.id || `toolu_mock_${crypto.randomBytes(8).toString('hex')}` } : {})
+                    }
+                };
+                // Gemini 3+ attaches the signature to the function call
+                if (family === 'gemini') part.thoughtSignature = issueSignature(family);
+                parts.push(part);
+            }
+        }
+
+        // Report the previous turn's prompt as cached, like implicit caching does (per model)
+        const sessionKey = `${model}:${request.sessionId}`;
+        const promptTokenCount = estimateTokens([request.systemInstruction, request.contents, request.tools]);
+        const cachedContentTokenCount = Math.min(sessions.get(sessionKey) || 0, promptTokenCount);
+        if (request.sessionId) sessions.set(sessionKey, promptTokenCount);
+
+        return {
+            parts,
+            finishReason: entry.finishReason || 'STOP',
+            delayMs: entry.delayMs || 0,
+            usage: {
+                promptTokenCount,
+                candidatesTokenCount: estimateTokens(parts),
+                totalTokenCount: promptTokenCount + estimateTokens(parts),
+                ...(cachedContentTokenCount ? { cachedContentTokenCount } : {}),
+                ...entry.usage
+            }
+        };
+    }
+
+    /**
+     * Generated response when nothing is scripted: call the first tool until
+     * a tool result comes back, then answer in text
+     * @param {Object} request - Google-format request
+     * @returns {Object} Scripted-response shape
+     */
+    function defaultResponse(request) {
+        const lastParts = request.contents?.at(-1)?.parts || [];
+        const afterToolResult = lastParts.some(part => part.functionResponse);
+        const declarations = (request.tools || []).flatMap(tool => tool.functionDeclarations || []);
+        const prompt = lastParts.map(part => part.text || '').join(' ').trim().slice(0, 80);
+
+        if (declarations.length > 0 && !afterToolResult) {
+            const tool = declarations[0];
+            return {
+                thinking: `The user needs ${tool.name}. I will call it first.`,
+                toolCalls: [{ name: tool.name, args: sampleArgs(tool.parameters || tool.parametersJsonSchema) }]
+            };
+        }
+        return {
+            thinking: afterToolResult
+                ? 'The tool returned what I need. I can answer now.'
+                : 'Let me think about how to answer this briefly.',
+            text: afterToolResult
+                ? 'Here is a summary of the tool result.'
+                : `Mock response to: ${prompt || 'your message'}`
+        };
+    }
+
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+
+    // ==========================================
+    // Control API
+    // ==========================================
+
+    app.post('/mock/responses', (req, res) => {
+        script(req.body.responses || req.body);
+        res.json({ status: 'ok', queued: scripted.length });
+    });
+
+    app.post('/mock/errors', (req, res) => {
+        for (const rule of [].concat(req.body.errors || req.body)) injectError(rule);
+        res.json({ status: 'ok', rules: errorRules.length });
+    });
+
+    app.get('/mock/requests', (req, res) => {
+        res.json({ status: 'ok', requests });
+    });
+
+    app.post('/mock/reset', (req, res) => {
+        reset();
+        res.json({ status: 'ok' });
+    });
+
+    // ==========================================
+    // Cloud Code API (optionally under a path prefix)
+    // ==========================================
+
+    app.post(/^(?:\/([\w.-]+))?\/v1internal:(\w+)$/, async (req, res) => {
+        const endpoint = req.params[0] || '';
+        const method = req.params[1];
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const model = req.body?.model || '';
+        const record = { at: Date.now(), method, endpoint, model, token, status: 200 };
+        requests.push(record);
+
+        const rule = takeError({ method, model, endpoint, token });
+        if (rule) {
+            record.status = rule.status;
+            logger.debug(`[MockServer] Injecting ${rule.status} for ${method} (${model || 'no model'})`);
+            return sendError(res, rule, model);
+        }
+        if (!token) {
+            record.status = 401;
+            return res.status(401).json(errorBody(401, 'Request is missing required authentication credential.'));
+        }
+
+        switch (method) {
+            case 'loadCodeAssist':
+                return res.json({ cloudaicompanionProject: MOCK_PROJECT_ID, currentTier: { id: 'free-tier' } });
+
+            case 'fetchAvailableModels': {
+                const resetTime = new Date(Date.now() + 5 * 60 * 60 * 1000).toISOString();
+                const models = {};
+                for (const id of MOCK_MODELS) {
+                    models[id] = { displayName: id, quotaInfo: { remainingFraction: 1, resetTime } };
+                }
+                return res.json({ models });
+            }
+
+            case 'countTokens':
+                return res.json({ totalTokens: estimateTokens(req.body?.request?.contents) });
+
+            case 'generateContent':
+            case 'streamGenerateContent':
+                break;
+
+            default:
+                record.status = 404;
+                return res.status(404).json(errorBody(404, `Method ${method} is not implemented by the mock server.`));
+        }
+
+        if (validateSignatures) {
+            const signatureError = checkSignatures(req.body);
+            if (signatureError) {
+                record.status = 400;
+                return res.status(400).json(errorBody(400, signatureError));
+            }
+        }
+
+        const { parts, finishReason, usage, delayMs } = buildResponse(req.body);
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        if (method === 'generateContent') {
+            return res.json({
+                response: {
+                    candidates: [{ content: { role: 'model', parts }, finishReason }],
+                    usageMetadata: usage,
+                    modelVersion: model
+                }
+            });
+        }
+
+        // One chunk per part (text split in two), usage on every chunk, finishReason on the last
+        const chunks = [];
+        for (const part of parts) {
+            if (part.text && part.text.length > 1) {
+                const middle = Math.ceil(part.text.length / 2);
+                chunks.push({ ...part, text: part.text.slice(0, middle), thoughtSignature: undefined });
+                chunks.push({ ...part, text: part.text.slice(middle) });
+            } else {
+                chunks.push(part);
+            }
+        }
+
+        res.set('Content-Type', 'text/event-stream');
+        for (let i = 0; i < chunks.length; i++) {
+            const last = i === chunks.length - 1;
+            const candidate = { content: { role: 'model', parts: [chunks[i]] }, ...(last ? { finishReason } : {}) };
+            res.write(`data: ${JSON.stringify({ response: { candidates: [candidate], usageMetadata: usage, modelVersion: model } })}\n\n`);
+            if (chunkDelayMs) await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+        }
+        res.end();
+    });
+
+    if (options.responses) script(options.responses);
+
+    return {
+        app,
+        script,
+        injectError,
+        reset,
+        getRequests,
+
+        /**
+         * Start listening
+         * @param {number} [port=0] - Port (0 picks a free one)
+         * @param {string} [host='127.0.0.1'] - Host
+         * @returns {Promise<string>} Base URL to use as an endpoint
+         */
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server = app.listen(port, host, () => {
+                    resolve(`http://${host}:${server.address().port}`);
+                });
+                server.on('error', reject);
+            });
+        },
+
+        /**
+         * Stop listening
+         * @returns {Promise<void>}
+         */
+        close() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        }
+    };
+}
@@ -0,0 +1,130 @@
+/**
+ * Capture Replay
+ *
+ * Feeds a capture (see modules/capture.js) back through the same code the
+ * live handlers use: buildCloudCodeRequest for the request side, and
+ * streamSSEResponse / parseThinkingSSEResponse / convertGoogleToAnthropic
+ * against the recorded upstream body for the response side. Nothing is
+ * sent over the network.
+ */
+
+import { getModelFamily } from '../constants.js';
+import { convertGoogleToAnthropic } from '../format/index.js';
+import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { REDACTED, redact } from '../modules/capture.js';
+import { buildCloudCodeRequest } from './request-builder.js';
+import { streamSSEResponse } from './sse-streamer.js';
+import { parseThinkingSSEResponse } from './sse-parser.js';
+
+const MAX_DIFFS = 20;
+
+/**
+ * Collect the paths where two JSON values differ
+ * @param {*} expected - Recorded value
+ * @param {*} actual - Replayed value
+ * @param {string} path - Path of the current value
+ * @param {Array} diffs - Output list of { path, expected, actual }
+ */
+function diffValues(expected, actual, path, diffs) {
+    if (diffs.length >= MAX_DIFFS) return;
+    if (expected === actual) return;
+
+    const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+        Array.isArray(expected) === Array.isArray(actual);
+    if (!bothObjects) {
+        diffs.push({ path: path || '(root)', expected, actual });
+        return;
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        const childPath = Array.isArray(expected) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+        diffValues(expected[key], actual[key], childPath, diffs);
+    }
+}
+
+/**
+ * Seed the signature cache from the recorded payload, so signatures that the
+ * live server restored from its cache are restored the same way on replay
+ * @param {Object} payload - Recorded Cloud Code payload
+ * @param {string} model - Model the payload was sent to
+ */
+function seedSignatures(payload, model) {
+    for (const content of payload?.request?.contents || []) {
+        for (const part of content.parts || []) {
+            if (!part.thoughtSignature) continue;
+            if (part.functionCall?.id) {
+                cacheSignature(part.functionCall.id, part.thoughtSignature);
+            } else if (part.thought) {
+                cacheThinkingSignature(part.thoughtSignature, getModelFamily(model));
+            }
+        }
+    }
+}
+
+/**
+ * Run the recorded upstream body through the response converters
+ * @param {Object} capture - Capture entry
+ * @returns {Promise<Object|null>} { events } for streaming requests, { message } otherwise,
+ *   or null when there is no successful upstream body
+ */
+async function replayUpstream(capture) {
+    const upstream = capture.upstream;
+    if (!upstream || upstream.status < 200 || upstream.status >= 300) return null;
+
+    const body = upstream.lines.join('\n') + '\n';
+    const response = new Response(body, { status: upstream.status, headers: { 'content-type': upstream.contentType } });
+
+    if (!upstream.contentType.includes('text/event-stream')) {
+        return { message: convertGoogleToAnthropic(JSON.parse(body), capture.model) };
+    }
+    if (!capture.stream) {
+        return { message: await parseThinkingSSEResponse(response, capture.model) };
+    }
+
+    const events = [];
+    for await (const event of streamSSEResponse(response, capture.model)) {
+        events.push(event);
+    }
+    return { events };
+}
+
+/**
+ * Replay one capture
+ * @param {Object} capture - Capture entry (one line of the capture file)
+ * @returns {Promise<Object>} { id, payload, payloadDiffs, output, upstreamError }
+ */
+export async function replayCapture(capture) {
+    const result = {
+        id: capture.id,
+        route: capture.route,
+        model: capture.model,
+        stream: capture.stream,
+        payload: null,
+        payloadDiffs: [],
+        output: null,
+        upstreamError: null
+    };
+
+    // Handlers pass { ...request, model: fallbackModel } after a fallback
+    const request = { ...structuredClone(capture.request), model: capture.model };
+
+    seedSignatures(capture.payload, capture.model);
+    const { requestId, ...rebuilt } = buildCloudCodeRequest(request, REDACTED);
+    result.payload = redact(rebuilt);
+
+    if (capture.payload) {
+        // sessionId hashes the first user message, which redaction may have changed
+        const { requestId: recordedRequestId, ...recorded } = capture.payload;
+        const { sessionId, ...recordedRequest } = recorded.request || {};
+        const { sessionId: replayedSessionId, ...replayedRequest } = result.payload.request;
+        diffValues({ ...recorded, request: recordedRequest }, { ...result.payload, request: replayedRequest }, '', result.payloadDiffs);
+    }
+
+    if (capture.upstream && (capture.upstream.status < 200 || capture.upstream.status >= 300)) {
+        result.upstreamError = `${capture.upstream.status}: ${capture.upstream.lines.join('\n')}`;
+    }
+    result.output = await replayUpstream(capture);
+
+    return result;
+}
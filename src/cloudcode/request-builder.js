@@ -11,7 +11,7 @@ import {
     isThinkingModel
 } from '../constants.js';
 import { convertAnthropicToGoogle } from '../format/index.js';
-import { deriveSessionId } from './session-manager.js';
+import { deriveSessionId, deriveSessionIdFromContents } from './session-manager.js';
 
 /**
  * Build the wrapped request body for Cloud Code API
@@ -38,6 +38,48 @@ export function buildCloudCodeRequest(anthropicRequest, projectId) {
     return payload;
 }
 
+/**
+ * Build the wrapped request body for a native Gemini-format request.
+ * The request is passed through unchanged apart from the session ID.
+ *
+ * @param {Object} geminiRequest - Gemini API request body (contents, systemInstruction, tools, generationConfig, ...)
+ * @param {string} model - Model name
+ * @param {string} projectId - The project ID to use
+ * @returns {Object} The Cloud Code API request payload
+ */
+export function buildCloudCodeGeminiRequest(geminiRequest, model, projectId) {
+    const request = { ...geminiRequest };
+
+    // Gemini REST accepts snake_case for these; Cloud Code expects camelCase
+    if (request.system_instruction && !request.systemInstruction) {
+        request.systemInstruction = request.system_instruction;
+    }
+    if (request.generation_config && !request.generationConfig) {
+        request.generationConfig = request.generation_config;
+    }
+    if (request.tool_config && !request.toolConfig) {
+        request.toolConfig = request.tool_config;
+    }
+    if (request.safety_settings && !request.safetySettings) {
+        request.safetySettings = request.safety_settings;
+    }
+    delete request.system_instruction;
+    delete request.generation_config;
+    delete request.tool_config;
+    delete request.safety_settings;
+    delete request.model;
+
+    request.sessionId = deriveSessionIdFromContents(request.contents);
+
+    return {
+        project: projectId,
+        model: model,
+        request,
+        userAgent: 'antigravity',
+        requestId: 'agent-' + crypto.randomUUID()
+    };
+}
+
 /**
  * Build headers for Cloud Code API requests
  *
@@ -45,3 +45,28 @@ export function deriveSessionId(anthropicRequest) {
     // Fallback to random UUID if no user message found
     return crypto.randomUUID();
 }
+
+/**
+ * Derive a stable session ID from native Gemini-format contents.
+ * Same scheme as deriveSessionId, using the text parts of the first user turn.
+ *
+ * @param {Array} contents - Google Generative AI contents array
+ * @returns {string} A stable session ID (32 hex characters) or random UUID if no user text
+ */
+export function deriveSessionIdFromContents(contents = []) {
+    for (const content of contents) {
+        if ((content.role || 'user') !== 'user') continue;
+
+        const text = (content.parts || [])
+            .filter(part => typeof part.text === 'string' && part.text && !part.thought)
+            .map(part => part.text)
+            .join('\n');
+
+        if (text) {
+            const hash = crypto.createHash('sha256').update(text).digest('hex');
+            return hash.substring(0, 32);
+        }
+    }
+
+    return crypto.randomUUID();
+}
@@ -278,6 +278,7 @@ export async function* streamSSEResponse(response, originalModel) {
         type: 'message_delta',
         delta: { stop_reason: stopReason, stop_sequence: null },
         usage: {
+            input_tokens: inputTokens - cacheReadTokens,
             output_tokens: outputTokens,
             cache_read_input_tokens: cacheReadTokens,
             cache_creation_input_tokens: 0
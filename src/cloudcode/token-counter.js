@@ -0,0 +1,302 @@
+/**
+ * Token Counter for Cloud Code
+ *
+ * Implements /v1/messages/count_tokens. The Anthropic request is converted
+ * with convertAnthropicToGoogle (so system prompts, sanitized tool schemas,
+ * images and documents are counted as they would actually be sent), then
+ * counted upstream via v1internal:countTokens. If the upstream call is not
+ * possible, a local estimate is returned instead.
+ */
+
+import { getModelFamily } from '../constants.js';
+import { convertAnthropicToGoogle } from '../format/index.js';
+import { logger } from '../utils/logger.js';
+import { buildHeaders } from './request-builder.js';
+import { getEndpointOrder, recordEndpointResponse, recordEndpointFailure } from './endpoint-health.js';
+
+// Gemini bills images/PDF pages in fixed 258-token units
+const GEMINI_MEDIA_TOKENS = 258;
+const GEMINI_TILE_SIZE = 768;
+
+// Claude resizes images so the long edge is at most 1568px, ~750px² per token
+const CLAUDE_MAX_IMAGE_EDGE = 1568;
+const CLAUDE_PIXELS_PER_TOKEN = 750;
+
+// Small per-message overhead for role/turn markers
+const TOKENS_PER_CONTENT = 4;
+
+// Give up on the upstream count (across all endpoints) and estimate after this long
+const UPSTREAM_COUNT_TIMEOUT_MS = 10000;
+
+/**
+ * Estimate tokens for a text string.
+ * ASCII text averages ~4 characters per token; non-ASCII characters
+ * (CJK, emoji, etc.) are counted as roughly one token each.
+ *
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    let other = 0;
+    for (const char of text) {
+        if (char.charCodeAt(0) < 128) {
+            ascii++;
+        } else {
+            other++;
+        }
+    }
+    return Math.ceil(ascii / 4) + other;
+}
+
+/**
+ * Read image dimensions from base64 PNG, JPEG or GIF data
+ *
+ * @param {string} base64 - Base64-encoded image data
+ * @returns {{width: number, height: number}|null} Dimensions or null if unknown
+ */
+export function getImageDimensions(base64) {
+    let buf;
+    try {
+        buf = Buffer.from(base64, 'base64');
+    } catch (e) {
+        return null;
+    }
+    if (buf.length < 24) return null;
+
+    // PNG: IHDR chunk holds big-endian width/height at offset 16
+    if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47) {
+        return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // GIF: little-endian width/height at offset 6
+    if (buf[0] === 0x47 && buf[1] === 0x49 && buf[2] === 0x46) {
+        return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    // JPEG: walk segments until a SOFn marker
+    if (buf[0] === 0xff && buf[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buf.length) {
+            if (buf[offset] !== 0xff) return null;
+            const marker = buf[offset + 1];
+            const length = buf.readUInt16BE(offset + 2);
+            const isSOF = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isSOF) {
+                return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Estimate tokens for an image
+ *
+ * @param {string} base64 - Base64-encoded image data
+ * @param {string} modelFamily - Target model family
+ * @returns {number} Estimated token count
+ */
+function estimateImageTokens(base64, modelFamily) {
+    const dims = getImageDimensions(base64);
+    if (!dims || !dims.width || !dims.height) return GEMINI_MEDIA_TOKENS;
+
+    if (modelFamily === 'claude') {
+        const scale = Math.min(1, CLAUDE_MAX_IMAGE_EDGE / Math.max(dims.width, dims.height));
+        const width = Math.round(dims.width * scale);
+        const height = Math.round(dims.height * scale);
+        return Math.ceil((width * height) / CLAUDE_PIXELS_PER_TOKEN);
+    }
+
+    // Gemini: small images are one unit, larger ones are tiled
+    if (dims.width <= 384 && dims.height <= 384) return GEMINI_MEDIA_TOKENS;
+    const tiles = Math.ceil(dims.width / GEMINI_TILE_SIZE) * Math.ceil(dims.height / GEMINI_TILE_SIZE);
+    return tiles * GEMINI_MEDIA_TOKENS;
+}
+
+/**
+ * Estimate tokens for a PDF by counting its pages
+ *
+ * @param {string} base64 - Base64-encoded PDF data
+ * @returns {number} Estimated token count
+ */
+function estimatePdfTokens(base64) {
+    const text = Buffer.from(base64, 'base64').toString('latin1');
+    const pages = (text.match(/\/Type\s*\/Page(?!s)/g) || []).length;
+    return Math.max(1, pages) * GEMINI_MEDIA_TOKENS;
+}
+
+/**
+ * Estimate tokens for a single Google-format part
+ *
+ * @param {Object} part - Google Generative AI part
+ * @param {string} modelFamily - Target model family
+ * @returns {number} Estimated token count
+ */
+function estimatePartTokens(part, modelFamily) {
+    if (!part) return 0;
+    if (part.text !== undefined) {
+        return estimateTextTokens(part.text);
+    }
+    if (part.functionCall) {
+        return estimateTextTokens(part.functionCall.name) + estimateTextTokens(JSON.stringify(part.functionCall.args || {}));
+    }
+    if (part.functionResponse) {
+        return estimateTextTokens(JSON.stringify(part.functionResponse.response || {}));
+    }
+    if (part.inlineData) {
+        const { mimeType = '', data = '' } = part.inlineData;
+        if (mimeType.startsWith('image/')) return estimateImageTokens(data, modelFamily);
+        if (mimeType === 'application/pdf') return estimatePdfTokens(data);
+        return GEMINI_MEDIA_TOKENS;
+    }
+    if (part.fileData) {
+        return GEMINI_MEDIA_TOKENS;
+    }
+    return 0;
+}
+
+/**
+ * Estimate input tokens for a Google-format request without calling upstream
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @param {string} model - Target model name
+ * @returns {number} Estimated input token count
+ */
+export function estimateGoogleRequestTokens(googleRequest, model) {
+    const modelFamily = getModelFamily(model);
+    let total = 0;
+
+    for (const part of googleRequest.systemInstruction?.parts || []) {
+        total += estimatePartTokens(part, modelFamily);
+    }
+
+    for (const content of googleRequest.contents || []) {
+        total += TOKENS_PER_CONTENT;
+        for (const part of content.parts || []) {
+            total += estimatePartTokens(part, modelFamily);
+        }
+    }
+
+    for (const tool of googleRequest.tools || []) {
+        for (const declaration of tool.functionDeclarations || []) {
+            total += estimateTextTokens(JSON.stringify(declaration));
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Build the contents sent to v1internal:countTokens.
+ * The endpoint only accepts contents, so the system instruction and tool
+ * declarations are prepended as a user turn to keep them in the count.
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @returns {Array} Contents array
+ */
+function buildCountContents(googleRequest) {
+    const preamble = [...(googleRequest.systemInstruction?.parts || [])];
+    for (const tool of googleRequest.tools || []) {
+        for (const declaration of tool.functionDeclarations || []) {
+            preamble.push({ text: JSON.stringify(declaration) });
+        }
+    }
+
+    const contents = [...(googleRequest.contents || [])];
+    if (preamble.length > 0) {
+        contents.unshift({ role: 'user', parts: preamble });
+    }
+    return contents;
+}
+
+/**
+ * Count tokens using the Cloud Code countTokens endpoint
+ *
+ * @param {Object} googleRequest - Request produced by convertAnthropicToGoogle
+ * @param {string} model - Target model name
+ * @param {string} token - OAuth access token
+ * @returns {Promise<number>} Total token count
+ * @throws {Error} If all endpoints fail or UPSTREAM_COUNT_TIMEOUT_MS passes
+ */
+async function countTokensUpstream(googleRequest, model, token) {
+    const signal = AbortSignal.timeout(UPSTREAM_COUNT_TIMEOUT_MS);
+    const body = JSON.stringify({
+        request: {
+            model: `models/${model}`,
+            contents: buildCountContents(googleRequest)
+        }
+    });
+
+    let lastError = null;
+    for (const endpoint of getEndpointOrder()) {
+        try {
+            const requestStart = Date.now();
+            const response = await fetch(`${endpoint}/v1internal:countTokens`, {
+                method: 'POST',
+                headers: buildHeaders(token, model),
+                body,
+                signal
+            });
+            recordEndpointResponse(endpoint, response.status, requestStart);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                logger.debug(`[TokenCounter] countTokens error at ${endpoint}: ${response.status} - ${errorText}`);
+                lastError = new Error(`API error ${response.status}: ${errorText}`);
+                continue;
+            }
+
+            const data = await response.json();
+            const totalTokens = data.totalTokens ?? data.response?.totalTokens;
+            if (typeof totalTokens === 'number') {
+                return totalTokens;
+            }
+            lastError = new Error('countTokens response did not include totalTokens');
+        } catch (error) {
+            logger.debug(`[TokenCounter] countTokens failed at ${endpoint}:`, error.message);
+            lastError = error;
+            // Out of time: the remaining endpoints would fail the same way
+            if (signal.aborted) break;
+            recordEndpointFailure(endpoint, error.message);
+        }
+    }
+
+    throw lastError || new Error('countTokens failed on all endpoints');
+}
+
+/**
+ * Count input tokens for an Anthropic-format request
+ * Tries the upstream countTokens endpoint with the current account,
+ * falling back to a local estimate.
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @returns {Promise<{input_tokens: number, estimated: boolean}>} Token count and whether it is an estimate
+ */
+export async function countTokens(anthropicRequest, accountManager) {
+    const model = anthropicRequest.model;
+    const googleRequest = convertAnthropicToGoogle(anthropicRequest);
+
+    // Don't rotate accounts just to count tokens - use the sticky one
+    const account = accountManager.getCurrentStickyAccount(model)
+        || accountManager.getAvailableAccounts(model)[0];
+
+    if (account) {
+        try {
+            const token = await accountManager.getTokenForAccount(account);
+            const inputTokens = await countTokensUpstream(googleRequest, model, token);
+            return { input_tokens: inputTokens, estimated: false };
+        } catch (error) {
+            logger.debug(`[TokenCounter] Upstream count failed, using local estimate: ${error.message}`);
+        }
+    }
+
+    return {
+        input_tokens: estimateGoogleRequestTokens(googleRequest, model),
+        estimated: true
+    };
+}
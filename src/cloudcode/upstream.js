@@ -0,0 +1,237 @@
+/**
+ * Upstream Request Loop for Cloud Code
+ *
+ * The account and endpoint failover shared by the message, streaming and
+ * native Gemini handlers: select an account with the model family's
+ * strategy, wait out short rate limits, try each endpoint in health order,
+ * and move on to the next account on 429s, invalid credentials, 5xx and
+ * network errors.
+ */
+
+import {
+    getMaxRetries,
+    getMaxWaitBeforeErrorMs
+} from '../constants.js';
+import { isRateLimitError, isAuthError, NoAccountsError, MaxRetriesError } from '../errors.js';
+import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { parseResetTime } from './rate-limit-parser.js';
+import { getEndpointOrder, recordEndpointResponse, recordEndpointFailure } from './endpoint-health.js';
+import { buildHeaders } from './request-builder.js';
+import metrics from '../modules/metrics.js';
+import capture from '../modules/capture.js';
+
+/**
+ * Select the account for the next attempt, waiting for a sticky account or
+ * for every account's rate limit to reset when the wait is short enough
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {string} model - Model name
+ * @param {string} sessionId - Conversation key for account affinity
+ * @param {string|string[]|null} accountGroup - Account group(s) to select from
+ * @param {AbortSignal} [signal] - Fallback chain deadline, which cuts the waits short
+ * @returns {Promise<Object>} Account to use
+ * @throws {NoAccountsError|Error} If no account is available (RESOURCE_EXHAUSTED if the wait is too long)
+ */
+async function acquireAccount(accountManager, model, sessionId, accountGroup, signal) {
+    // Select an account with the model family's strategy (sticky by default, for cache continuity)
+    const { account: selectedAccount, waitMs } = accountManager.selectAccount(model, sessionId, accountGroup);
+    let account = selectedAccount;
+
+    // Handle waiting for sticky account
+    if (!account && waitMs > 0) {
+        logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for sticky account...`);
+        await sleep(waitMs, signal);
+        accountManager.clearExpiredLimits();
+        account = accountManager.getCurrentStickyAccount(model, sessionId, accountGroup);
+    }
+    if (account) return account;
+
+    // Handle all accounts rate-limited
+    if (accountManager.isAllRateLimited(model, accountGroup)) {
+        const allWaitMs = accountManager.getMinWaitTimeMs(model, accountGroup);
+        const resetTime = new Date(Date.now() + allWaitMs).toISOString();
+
+        // If wait time is too long (> 2 minutes), throw error immediately
+        if (allWaitMs > getMaxWaitBeforeErrorMs()) {
+            throw new Error(
+                `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(allWaitMs)}. Next available: ${resetTime}`
+            );
+        }
+
+        // Wait for reset (applies to both single and multi-account modes)
+        const accountCount = accountManager.getAccountCount();
+        logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(allWaitMs)}...`);
+        await sleep(allWaitMs, signal);
+        accountManager.clearExpiredLimits();
+        account = accountManager.pickNext(model, sessionId, accountGroup);
+    }
+
+    if (!account) {
+        // The fallback chain (if any) takes over from here
+        throw new NoAccountsError('No accounts available', accountManager.isAllRateLimited(model, accountGroup));
+    }
+    return account;
+}
+
+/**
+ * Send a request for one model, failing over between accounts and endpoints.
+ *
+ * `consume` runs before the next endpoint is given up on, so an error while
+ * reading the body (a dropped connection) still fails over. Streaming
+ * callers leave it out and read the returned Response themselves, because a
+ * stream that has started sending cannot be retried.
+ *
+ * @param {Object} options
+ * @param {string} options.model - Model name
+ * @param {string} options.sessionId - Conversation key for account affinity
+ * @param {boolean} options.stream - Call streamGenerateContent (SSE) instead of generateContent
+ * @param {Function} options.buildPayload - (project) => Cloud Code request body
+ * @param {Function} [options.consume] - (response, endpoint) => result for a successful response
+ * @param {import('../account-manager/index.js').default} options.accountManager - The account manager instance
+ * @param {Object|null} [options.requestMeta] - Receives the serving `account`; may carry the `accountGroup`
+ *   to select from and a `capture` session
+ * @param {{signal: AbortSignal, clear: Function}|null} [options.deadline] - Fallback chain timeout,
+ *   cleared once a response arrives
+ * @returns {Promise<*>} What consume returned, or the successful Response
+ * @throws {NoAccountsError|MaxRetriesError|RequestTimeoutError|Error}
+ */
+export async function sendUpstream({
+    model,
+    sessionId,
+    stream,
+    buildPayload,
+    consume = response => response,
+    accountManager,
+    requestMeta = null,
+    deadline = null
+}) {
+    // Account group chosen by a routing rule or API key (see account-manager/groups.js), if any
+    const accountGroup = requestMeta?.accountGroup || null;
+
+    // Ensure we try at least as many times as there are accounts to cycle through everyone
+    // +1 to ensure we hit the "all accounts rate-limited" check at the start of the next loop
+    const maxAttempts = Math.max(getMaxRetries(), accountManager.getAccountCount() + 1);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        deadline?.signal.throwIfAborted();
+
+        const account = await acquireAccount(accountManager, model, sessionId, accountGroup, deadline?.signal);
+        if (requestMeta) requestMeta.account = account.email;
+
+        try {
+            // Get token and project for this account
+            const token = await accountManager.getTokenForAccount(account);
+            const project = await accountManager.getProjectForAccount(account, token);
+            const payload = buildPayload(project);
+            capture.recordPayload(requestMeta?.capture, payload);
+
+            logger.debug(`[CloudCode] Sending ${stream ? 'streaming ' : ''}request for model: ${model}`);
+
+            // Try each endpoint
+            let lastError = null;
+            for (const endpoint of getEndpointOrder()) {
+                try {
+                    const url = stream
+                        ? `${endpoint}/v1internal:streamGenerateContent?alt=sse`
+                        : `${endpoint}/v1internal:generateContent`;
+
+                    const requestStart = Date.now();
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: buildHeaders(token, model, stream ? 'text/event-stream' : 'application/json'),
+                        body: JSON.stringify(payload),
+                        signal: deadline?.signal
+                    });
+                    recordEndpointResponse(endpoint, response.status, requestStart);
+
+                    if (response.ok) {
+                        deadline?.clear();
+                        return await consume(capture.tapResponse(requestMeta?.capture, response, endpoint), endpoint);
+                    }
+
+                    const errorText = await response.text();
+                    logger.warn(`[CloudCode] Error at ${endpoint}: ${response.status} - ${errorText}`);
+                    capture.recordErrorResponse(requestMeta?.capture, endpoint, response, errorText);
+                    metrics.recordUpstreamError(endpoint, response.status, model);
+
+                    if (response.status === 401) {
+                        // Auth error - clear caches and retry with fresh token
+                        logger.warn('[CloudCode] Auth error, refreshing token...');
+                        accountManager.clearTokenCache(account.email);
+                        accountManager.clearProjectCache(account.email);
+                        continue;
+                    }
+
+                    if (response.status === 429) {
+                        // Rate limited on this endpoint - try next endpoint first (DAILY → PROD)
+                        logger.debug(`[CloudCode] Rate limited at ${endpoint}, trying next endpoint...`);
+                        const resetMs = parseResetTime(response, errorText);
+                        // Keep minimum reset time across all 429 responses
+                        if (!lastError?.is429 || (resetMs && (!lastError.resetMs || resetMs < lastError.resetMs))) {
+                            lastError = { is429: true, response, errorText, resetMs };
+                        }
+                        continue;
+                    }
+
+                    lastError = new Error(`API error ${response.status}: ${errorText}`);
+                    // If it's a 5xx error, wait a bit before trying the next endpoint
+                    if (response.status >= 500) {
+                        logger.warn(`[CloudCode] ${response.status} error, waiting 1s before retry...`);
+                        await sleep(1000, deadline?.signal);
+                    }
+                } catch (endpointError) {
+                    if (deadline?.signal.aborted) throw deadline.signal.reason;
+                    if (isRateLimitError(endpointError)) {
+                        throw endpointError; // Re-throw to trigger account switch
+                    }
+                    logger.warn(`[CloudCode] Error at ${endpoint}:`, endpointError.message);
+                    metrics.recordUpstreamError(endpoint, 'network', model);
+                    recordEndpointFailure(endpoint, endpointError.message);
+                    lastError = endpointError;
+                }
+            }
+
+            // If all endpoints failed for this account
+            if (lastError) {
+                // If all endpoints returned 429, mark account as rate-limited
+                if (lastError.is429) {
+                    logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
+                    accountManager.markRateLimited(account.email, lastError.resetMs, model);
+                    throw new Error(`Rate limited: ${lastError.errorText}`);
+                }
+                throw lastError;
+            }
+        } catch (error) {
+            if (deadline?.signal.aborted) throw deadline.signal.reason;
+            if (isRateLimitError(error)) {
+                // Rate limited - already marked, continue to next account
+                logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                continue;
+            }
+            if (isAuthError(error)) {
+                // Auth invalid - already marked, continue to next account
+                logger.warn(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                continue;
+            }
+            // Non-rate-limit error: throw immediately
+            // UNLESS it's a 500 error, then we treat it as a "soft" failure for this account and try the next one
+            if (error.message.includes('API error 5') || error.message.includes('500') || error.message.includes('503')) {
+                logger.warn(`[CloudCode] Account ${account.email} failed with 5xx error, trying next...`);
+                accountManager.pickNext(model, sessionId, accountGroup); // Force advance to next account
+                continue;
+            }
+
+            if (isNetworkError(error)) {
+                logger.warn(`[CloudCode] Network error for ${account.email}, trying next account... (${error.message})`);
+                await sleep(1000, deadline?.signal); // Brief pause before retry
+                accountManager.pickNext(model, sessionId, accountGroup); // Advance to next account
+                continue;
+            }
+
+            throw error;
+        }
+    }
+
+    throw new MaxRetriesError('Max retries exceeded', maxAttempts);
+}
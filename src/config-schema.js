@@ -0,0 +1,212 @@
+/**
+ * config.json Schema
+ *
+ * Versioned schema for config.json, with migrations from older versions.
+ * Used when the config is loaded (and reloaded) and by `config validate`.
+ *
+ * Bump CONFIG_SCHEMA_VERSION and add a migration whenever a setting is
+ * renamed or changes shape, so existing files keep working.
+ */
+
+import { validateSchema, runMigrations } from './utils/schema.js';
+
+export const CONFIG_SCHEMA_VERSION = 1;
+
+export const CONFIG_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'accept shorthand forms of accountSelection and endpoints',
+        up(data) {
+            // "accountSelection": "round-robin" -> { "default": "round-robin" }
+            if (typeof data.accountSelection === 'string') {
+                data.accountSelection = { default: data.accountSelection };
+            }
+            // "endpoints": "https://a,https://b" -> ["https://a", "https://b"]
+            if (typeof data.endpoints === 'string') {
+                data.endpoints = data.endpoints.split(',').map(url => url.trim()).filter(Boolean);
+            }
+            return data;
+        }
+    }
+];
+
+const ms = (min, max) => ({ type: 'integer', min, max });
+const flag = { type: 'boolean' };
+const count = { type: 'integer', min: 1 };
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'integer', min: 0 },
+
+        // Server
+        webuiPassword: { type: 'string' },
+        port: { type: 'integer', min: 1, max: 65535 },
+        requestBodyLimit: { type: 'string', pattern: /^\d+(?:b|kb|mb|gb)?$/i, patternHint: 'a size like "50mb"' },
+        requestTimeoutMs: ms(1000),
+        accountConfigPath: { type: 'string' },
+        apiKeysConfigPath: { type: 'string' },
+
+        // Logging
+        debug: flag,
+        logLevel: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+
+        // Retries and rate limits
+        maxRetries: { type: 'integer', min: 1, max: 20 },
+        retryBaseMs: ms(100, 10000),
+        retryMaxMs: ms(1000, 120000),
+        defaultCooldownMs: ms(1000, 300000),
+        maxWaitBeforeErrorMs: ms(0, 600000),
+        maxAccounts: { type: 'integer', min: 1, max: 100 },
+        tokenCacheTtlMs: ms(1000),
+        persistTokenCache: flag,
+
+        // Models
+        modelMapping: {
+            type: 'object',
+            values: {
+                type: 'object',
+                additional: true,
+                properties: {
+                    mapping: { type: 'string' },
+                    alias: { type: 'string' },
+                    hidden: flag,
+                    pinned: flag
+                }
+            }
+        },
+        fallback: flag,
+        modelFallbacks: { type: 'object', values: { type: 'string' } },
+        fallbackChains: {
+            type: 'object',
+            values: {
+                type: 'object',
+                properties: {
+                    models: { type: 'array', items: { type: 'string' }, required: true },
+                    on: { type: 'array', items: { type: 'string', enum: ['quota', '5xx', 'timeout'] } },
+                    timeoutMs: ms(1000),
+                    enabled: flag
+                }
+            }
+        },
+
+        modelRouting: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    enabled: flag,
+                    match: {
+                        type: 'object',
+                        properties: {
+                            model: { type: 'string' },
+                            tools: flag,
+                            thinking: flag,
+                            minInputTokens: { type: 'integer', min: 0 },
+                            maxInputTokens: { type: 'integer', min: 0 },
+                            headers: { type: 'object', values: { type: 'string' } }
+                        }
+                    },
+                    target: { type: 'string', required: true },
+                    overrides: {
+                        type: 'object',
+                        properties: {
+                            maxTokens: count,
+                            thinkingBudget: { type: 'integer', min: 0 }
+                        }
+                    },
+                    accountGroup: { type: 'string' }
+                }
+            }
+        },
+
+        // Account selection
+        accountGroups: { type: 'object', values: { type: 'array', items: { type: 'string' } } },
+        modelAccountGroups: { type: 'object', values: { type: 'array', items: { type: 'string' } } },
+        reserveAccountGroup: { type: 'string', nullable: true },
+        reserveExcludedModels: { type: 'array', items: { type: 'string' } },
+        sessionAffinityTtlMs: ms(1000),
+        accountSelection: { type: 'object', values: { type: 'string' } },
+        quotaPolling: {
+            type: 'object',
+            properties: { enabled: flag, intervalMs: ms(30000), jitterMs: ms(0) }
+        },
+        quotaRouting: {
+            type: 'object',
+            properties: { enabled: flag, threshold: { type: 'number', min: 0, max: 1 } }
+        },
+        tokenRefresh: {
+            type: 'object',
+            properties: {
+                enabled: flag,
+                checkIntervalMs: ms(10000),
+                refreshAheadMs: ms(0),
+                validateIntervalMs: ms(60000),
+                webhookUrl: { type: 'string', pattern: /^(https?:\/\/\S+)?$/, patternHint: 'an http(s) URL' }
+            }
+        },
+
+        // Upstream
+        endpoints: {
+            type: 'array',
+            items: { type: 'string', pattern: /^https?:\/\/\S+$/, patternHint: 'an http(s) URL' }
+        },
+        endpointHealth: {
+            type: 'object',
+            properties: { failureThreshold: count, openMs: ms(1000), window: count }
+        },
+
+        // Caches and recording
+        signatureCache: {
+            type: 'object',
+            properties: { persist: flag, maxEntries: count }
+        },
+        responseCache: {
+            type: 'object',
+            properties: { enabled: flag, ttlMs: ms(1000), maxEntries: count, maxBytes: count }
+        },
+        capture: {
+            type: 'object',
+            properties: { enabled: flag, path: { type: 'string' }, maxFileBytes: count }
+        },
+        usageLedger: {
+            type: 'object',
+            properties: {
+                enabled: flag,
+                retentionDays: count,
+                pricing: {
+                    type: 'object',
+                    values: {
+                        type: 'object',
+                        properties: {
+                            input: { type: 'number', min: 0 },
+                            output: { type: 'number', min: 0 },
+                            cacheRead: { type: 'number', min: 0 }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Migrate and validate a parsed config.json
+ *
+ * @param {Object} raw - Parsed config.json
+ * @returns {{config: Object, migrated: Object, errors: Array, warnings: Array, fromVersion: number, applied: string[]}}
+ *   config is migrated and has invalid values removed (so defaults apply);
+ *   migrated is the migrated file as-is (what gets written back);
+ *   applied lists the migrations that ran (empty if the file was current)
+ * @throws {Error} If the file is not a JSON object or is newer than this proxy supports
+ */
+export function checkConfig(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('config.json must contain a JSON object');
+    }
+
+    const { data, fromVersion, applied } = runMigrations(raw, CONFIG_MIGRATIONS);
+    const { value, errors, warnings } = validateSchema(data, CONFIG_SCHEMA);
+    return { config: value, migrated: data, errors, warnings, fromVersion, applied };
+}
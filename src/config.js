@@ -1,10 +1,14 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { EventEmitter } from 'events';
 import { logger } from './utils/logger.js';
+import { formatDiagnostics } from './utils/schema.js';
+import { checkConfig, CONFIG_SCHEMA_VERSION } from './config-schema.js';
 
 // Default config
 const DEFAULT_CONFIG = {
+    schemaVersion: CONFIG_SCHEMA_VERSION,
     webuiPassword: '',
     debug: false,
     logLevel: 'info',
@@ -14,7 +18,15 @@ const DEFAULT_CONFIG = {
     persistTokenCache: false,
     defaultCooldownMs: 60000,  // 1 minute
     maxWaitBeforeErrorMs: 120000, // 2 minutes
-    modelMapping: {}
+    fallback: false, // Same as --fallback
+    modelFallbacks: {}, // Overrides for the built-in MODEL_FALLBACK_MAP
+    fallbackChains: {}, // Model -> chain for cloudcode/fallback.js
+    modelMapping: {},
+    modelRouting: [], // Rules for model-routing.js
+    accountGroups: {}, // Group name -> account emails
+    modelAccountGroups: {}, // Model pattern -> group names
+    reserveAccountGroup: null, // Group only used when the primary accounts are exhausted
+    reserveExcludedModels: [] // Model patterns that never use the reserve group
 };
 
 // Config locations
@@ -22,6 +34,9 @@ const HOME_DIR = os.homedir();
 const CONFIG_DIR = path.join(HOME_DIR, '.config', 'antigravity-proxy');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
+// Wait for a burst of file events to settle before reloading
+const CONFIG_RELOAD_DEBOUNCE_MS = 200;
+
 // Ensure config dir exists
 if (!fs.existsSync(CONFIG_DIR)) {
     try {
@@ -32,31 +47,96 @@ if (!fs.existsSync(CONFIG_DIR)) {
 }
 
 // Load config
-let config = { ...DEFAULT_CONFIG };
+const config = { ...DEFAULT_CONFIG };
 
-function loadConfig() {
-    try {
-        // Env vars take precedence for initial defaults, but file overrides them if present?
-        // Usually Env > File > Default.
+// Emits 'change' (changedKeys, source) whenever the live config changes,
+// from saveConfig() ('api') or from an edit to config.json on disk ('file')
+export const configEvents = new EventEmitter();
+
+/**
+ * Find the config.json in use: the config dir first, then ./config.json as a fallback
+ * @returns {string|null} Path to the file, or null if there is none
+ */
+export function getConfigPath() {
+    if (fs.existsSync(CONFIG_FILE)) return CONFIG_FILE;
+    const localConfigPath = path.resolve('config.json');
+    return fs.existsSync(localConfigPath) ? localConfigPath : null;
+}
+
+/**
+ * Parse, migrate and validate a config file, logging what is wrong with it.
+ * Invalid values are dropped so their defaults apply. A file from an older
+ * schema version is migrated and written back, keeping the original as a .bak.
+ *
+ * @param {string} configPath - Path to config.json
+ * @returns {Object} Valid settings from the file
+ */
+function readConfigFile(configPath) {
+    const fileContent = fs.readFileSync(configPath, 'utf8');
+    const result = checkConfig(JSON.parse(fileContent));
 
-        if (fs.existsSync(CONFIG_FILE)) {
-            const fileContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-            const userConfig = JSON.parse(fileContent);
-            config = { ...DEFAULT_CONFIG, ...userConfig };
+    for (const line of formatDiagnostics(result.errors)) {
+        logger.warn(`[Config] Ignoring invalid setting ${line}`);
+    }
+    for (const line of formatDiagnostics(result.warnings)) {
+        logger.warn(`[Config] ${line}`);
+    }
+
+    if (result.applied.length > 0) {
+        const backupPath = `${configPath}.v${result.fromVersion}.bak`;
+        fs.copyFileSync(configPath, backupPath);
+        fs.writeFileSync(configPath, JSON.stringify(result.migrated, null, 2), 'utf8');
+        logger.info(`[Config] Migrated ${configPath} to schema v${CONFIG_SCHEMA_VERSION} (${result.applied.join('; ')}), original saved as ${backupPath}`);
+    }
+
+    return result.config;
+}
+
+/**
+ * Read config.json and merge it over the defaults and env overrides
+ * @returns {Object} Full config
+ */
+function readConfig() {
+    let next = { ...DEFAULT_CONFIG };
+
+    // Env vars take precedence for initial defaults, but file overrides them if present?
+    // Usually Env > File > Default.
+
+    const configPath = getConfigPath();
+    if (configPath) {
+        next = { ...DEFAULT_CONFIG, ...readConfigFile(configPath) };
+    }
+
+    // Environment overrides
+    if (process.env.WEBUI_PASSWORD) next.webuiPassword = process.env.WEBUI_PASSWORD;
+    if (process.env.DEBUG === 'true') next.debug = true;
+
+    return next;
+}
+
+/**
+ * Replace the contents of the live config object in place, so every module
+ * holding a reference to it sees the new values
+ * @param {Object} next - Full config
+ * @returns {string[]} Keys whose value changed
+ */
+function applyConfig(next) {
+    const changed = [];
+    for (const key of new Set([...Object.keys(config), ...Object.keys(next)])) {
+        if (JSON.stringify(config[key]) === JSON.stringify(next[key])) continue;
+        changed.push(key);
+        if (key in next) {
+            config[key] = next[key];
         } else {
-             // Try looking in current dir for config.json as fallback
-             const localConfigPath = path.resolve('config.json');
-             if (fs.existsSync(localConfigPath)) {
-                 const fileContent = fs.readFileSync(localConfigPath, 'utf8');
-                 const userConfig = JSON.parse(fileContent);
-                 config = { ...DEFAULT_CONFIG, ...userConfig };
-             }
+            delete config[key];
         }
+    }
+    return changed;
+}
 
-        // Environment overrides
-        if (process.env.WEBUI_PASSWORD) config.webuiPassword = process.env.WEBUI_PASSWORD;
-        if (process.env.DEBUG === 'true') config.debug = true;
-
+function loadConfig() {
+    try {
+        applyConfig(readConfig());
     } catch (error) {
         console.error('[Config] Error loading config:', error);
     }
@@ -65,17 +145,80 @@ function loadConfig() {
 // Initial load
 loadConfig();
 
+/**
+ * Re-read config.json and apply it. An unreadable or invalid file is
+ * reported and ignored, so a half-saved edit never wipes the running config.
+ * @returns {string[]} Keys whose value changed
+ */
+export function reloadConfig() {
+    let next;
+    try {
+        next = readConfig();
+    } catch (error) {
+        logger.warn(`[Config] Ignoring config.json change: ${error.message}`);
+        return [];
+    }
+
+    const changed = applyConfig(next);
+    if (changed.length > 0) {
+        logger.info(`[Config] Reloaded config.json (${changed.join(', ')})`);
+        configEvents.emit('change', changed, 'file');
+    }
+    return changed;
+}
+
+let watchers = [];
+
+/**
+ * Watch config.json for edits and reload it when it changes.
+ * Watches the directory rather than the file, because editors often save by
+ * writing a new file and renaming it over the old one.
+ * @returns {Function} Stops watching
+ */
+export function watchConfig() {
+    if (watchers.length > 0) return unwatchConfig;
+
+    let timer = null;
+    const onEvent = (eventType, filename) => {
+        if (filename && filename !== 'config.json') return;
+        // Editors fire several events per save; reload once they settle
+        clearTimeout(timer);
+        timer = setTimeout(reloadConfig, CONFIG_RELOAD_DEBOUNCE_MS);
+    };
+
+    for (const dir of new Set([CONFIG_DIR, path.resolve('.')])) {
+        try {
+            const watcher = fs.watch(dir, onEvent);
+            watcher.on('error', error => logger.warn(`[Config] Stopped watching ${dir}: ${error.message}`));
+            watchers.push(watcher);
+        } catch (error) {
+            logger.warn(`[Config] Cannot watch ${dir} for config changes: ${error.message}`);
+        }
+    }
+
+    return unwatchConfig;
+}
+
+/**
+ * Stop watching config.json
+ */
+export function unwatchConfig() {
+    for (const watcher of watchers) watcher.close();
+    watchers = [];
+}
+
 export function getPublicConfig() {
     return { ...config };
 }
 
 export function saveConfig(updates) {
     try {
-        // Apply updates
-        config = { ...config, ...updates };
-
         // Save to disk
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+        fs.writeFileSync(CONFIG_FILE, JSON.stringify({ ...config, ...updates }, null, 2), 'utf8');
+
+        // Apply updates
+        const changed = applyConfig({ ...config, ...updates });
+        if (changed.length > 0) configEvents.emit('change', changed, 'api');
         return true;
     } catch (error) {
         logger.error('[Config] Failed to save config:', error);
@@ -83,4 +226,4 @@ export function saveConfig(updates) {
     }
 }
 
-export { config };
\ No newline at end of file
+export { config };
@@ -43,11 +43,28 @@ function getPlatformUserAgent() {
 const ANTIGRAVITY_ENDPOINT_DAILY = 'https://daily-cloudcode-pa.sandbox.googleapis.com';
 const ANTIGRAVITY_ENDPOINT_PROD = 'https://cloudcode-pa.googleapis.com';
 
+/**
+ * Normalize a list of endpoint base URLs
+ * @param {string|string[]} urls - Comma-separated string or array of URLs
+ * @returns {string[]} Trimmed URLs without trailing slashes
+ */
+function parseEndpoints(urls) {
+    const list = Array.isArray(urls) ? urls : String(urls).split(',');
+    return list.map(url => String(url).trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
 // Endpoint fallback order (daily → prod)
-export const ANTIGRAVITY_ENDPOINT_FALLBACKS = [
-    ANTIGRAVITY_ENDPOINT_DAILY,
-    ANTIGRAVITY_ENDPOINT_PROD
-];
+// Overridden by the ANTIGRAVITY_ENDPOINT_FALLBACKS env var (comma-separated base URLs,
+// e.g. the offline mock server from `antigravity-claude-proxy mock-upstream`) or "endpoints" in config.json.
+// Handlers try them in this order, skipping endpoints whose circuit is open (see cloudcode/endpoint-health.js).
+export const ANTIGRAVITY_ENDPOINT_FALLBACKS = process.env.ANTIGRAVITY_ENDPOINT_FALLBACKS
+    ? parseEndpoints(process.env.ANTIGRAVITY_ENDPOINT_FALLBACKS)
+    : config?.endpoints?.length
+        ? parseEndpoints(config.endpoints)
+        : [
+            ANTIGRAVITY_ENDPOINT_DAILY,
+            ANTIGRAVITY_ENDPOINT_PROD
+        ];
 
 // Required headers for Antigravity API requests
 export const ANTIGRAVITY_HEADERS = {
@@ -75,16 +92,28 @@ export const ACCOUNT_CONFIG_PATH = config?.accountConfigPath || join(
     '.config/antigravity-proxy/accounts.json'
 );
 
+// Proxy-issued API keys (guards /v1/* once at least one key exists)
+export const API_KEYS_CONFIG_PATH = config?.apiKeysConfigPath || join(
+    homedir(),
+    '.config/antigravity-proxy/api-keys.json'
+);
+
 // Antigravity app database path (for legacy single-account token extraction)
 // Uses platform-specific path detection
 export const ANTIGRAVITY_DB_PATH = getAntigravityDbPath();
 
-export const DEFAULT_COOLDOWN_MS = config?.defaultCooldownMs || (60 * 1000); // From config or 1 minute
-export const MAX_RETRIES = config?.maxRetries || 5; // From config or 5
 export const MAX_ACCOUNTS = config?.maxAccounts || 10; // From config or 10
 
+// Retry and rate-limit settings are read on every use, so edits to config.json
+// (from the WebUI or by hand) apply without a restart
+export const getDefaultCooldownMs = () => config?.defaultCooldownMs || (60 * 1000); // From config or 1 minute
+export const getMaxRetries = () => config?.maxRetries || 5; // From config or 5
+
 // Rate limit wait thresholds
-export const MAX_WAIT_BEFORE_ERROR_MS = config?.maxWaitBeforeErrorMs || 120000; // From config or 2 minutes
+export const getMaxWaitBeforeErrorMs = () => config?.maxWaitBeforeErrorMs ?? 120000; // From config or 2 minutes
+
+// Conversation -> account affinity expiry
+export const SESSION_AFFINITY_TTL_MS = config?.sessionAffinityTtlMs || (60 * 60 * 1000); // From config or 1 hour
 
 // Thinking model constants
 export const MIN_SIGNATURE_LENGTH = 50; // Minimum valid thinking signature length
@@ -100,6 +129,15 @@ export const GEMINI_SKIP_SIGNATURE = 'skip_thought_signature_validator';
 // Cache TTL for Gemini thoughtSignatures (2 hours)
 export const GEMINI_SIGNATURE_CACHE_TTL_MS = 2 * 60 * 60 * 1000;
 
+// Endpoint circuit breaker: open after this many consecutive failures (5xx or network),
+// then let one probe request through after the cool-down
+export const ENDPOINT_FAILURE_THRESHOLD = config?.endpointHealth?.failureThreshold || 3;
+export const ENDPOINT_OPEN_MS = config?.endpointHealth?.openMs || (60 * 1000); // From config or 1 minute
+export const ENDPOINT_HEALTH_WINDOW = config?.endpointHealth?.window || 50; // Recent results used for the success rate
+
+// Maximum entries per signature cache (least recently used are evicted first)
+export const SIGNATURE_CACHE_MAX_ENTRIES = config?.signatureCache?.maxEntries || 10000; // From config or 10000
+
 /**
  * Get the model family from model name (dynamic detection, no hardcoded list).
  * @param {string} modelName - The model name from the request
@@ -174,15 +212,21 @@ export default {
     ANTIGRAVITY_AUTH_PORT,
     DEFAULT_PORT,
     ACCOUNT_CONFIG_PATH,
+    API_KEYS_CONFIG_PATH,
     ANTIGRAVITY_DB_PATH,
-    DEFAULT_COOLDOWN_MS,
-    MAX_RETRIES,
+    getDefaultCooldownMs,
+    getMaxRetries,
     MAX_ACCOUNTS,
-    MAX_WAIT_BEFORE_ERROR_MS,
+    getMaxWaitBeforeErrorMs,
+    SESSION_AFFINITY_TTL_MS,
     MIN_SIGNATURE_LENGTH,
     GEMINI_MAX_OUTPUT_TOKENS,
     GEMINI_SKIP_SIGNATURE,
     GEMINI_SIGNATURE_CACHE_TTL_MS,
+    SIGNATURE_CACHE_MAX_ENTRIES,
+    ENDPOINT_FAILURE_THRESHOLD,
+    ENDPOINT_OPEN_MS,
+    ENDPOINT_HEALTH_WINDOW,
     DEFAULT_MODEL,
     getModelFamily,
     isThinkingModel,
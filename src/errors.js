@@ -118,6 +118,23 @@ export class ApiError extends AntigravityError {
     }
 }
 
+/**
+ * A model took longer than its fallback chain's timeout to respond
+ */
+export class RequestTimeoutError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     * @param {string} model - Model that timed out
+     * @param {number} timeoutMs - Timeout that was exceeded
+     */
+    constructor(message, model = null, timeoutMs = null) {
+        super(message, 'REQUEST_TIMEOUT', true, { model, timeoutMs });
+        this.name = 'RequestTimeoutError';
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
 /**
  * Native module error (version mismatch, rebuild required)
  */
@@ -135,6 +152,19 @@ export class NativeModuleError extends AntigravityError {
     }
 }
 
+/**
+ * accounts.json is encrypted and no (correct) passphrase is available
+ */
+export class AccountsLockedError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message, 'ACCOUNTS_LOCKED', false);
+        this.name = 'AccountsLockedError';
+    }
+}
+
 /**
  * Check if an error is a rate limit error
  * Works with both custom error classes and legacy string-based errors
@@ -171,7 +201,9 @@ export default {
     NoAccountsError,
     MaxRetriesError,
     ApiError,
+    RequestTimeoutError,
     NativeModuleError,
+    AccountsLockedError,
     isRateLimitError,
     isAuthError
 };
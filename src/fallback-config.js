@@ -1,22 +1,52 @@
 /**
  * Model Fallback Configuration
  *
- * Defines fallback mappings for when a model's quota is exhausted across all accounts.
- * Enables graceful degradation to alternative models with similar capabilities.
+ * Defines fallback chains: the models a request moves to, in order, when its
+ * model fails in a way the chain covers (see cloudcode/fallback.js).
+ *
+ * "fallbackChains" in config.json defines chains with their own triggers:
+ *   "fallbackChains": {
+ *     "claude-opus-4-6-thinking": {
+ *       "models": ["claude-sonnet-4-6-thinking", "gemini-3-1-pro-high"],
+ *       "on": ["quota", "5xx", "timeout"],
+ *       "timeoutMs": 60000
+ *     }
+ *   }
+ * These always apply. With --fallback (or "fallback": true), models without
+ * a chain also fall back one step on quota exhaustion, using MODEL_FALLBACK_MAP
+ * with "modelFallbacks" from config.json over it.
  */
 
 import { MODEL_FALLBACK_MAP } from './constants.js';
+import { config } from './config.js';
 
 // Re-export for convenience
 export { MODEL_FALLBACK_MAP };
 
+// Triggers a chain can react to
+export const FALLBACK_TRIGGERS = ['quota', '5xx', 'timeout'];
+
+// Chains without "on" only react to quota exhaustion, like --fallback
+const DEFAULT_TRIGGERS = ['quota'];
+
+// Time a model gets before a chain with the "timeout" trigger moves on
+export const DEFAULT_FALLBACK_TIMEOUT_MS = 60000;
+
+/**
+ * Get the fallback map in effect: "modelFallbacks" from config.json over the built-in map
+ * @returns {Object<string, string>} Primary model ID -> fallback model ID
+ */
+function getFallbackMap() {
+    return { ...MODEL_FALLBACK_MAP, ...config.modelFallbacks };
+}
+
 /**
  * Get fallback model for a given model ID
  * @param {string} model - Primary model ID
  * @returns {string|null} Fallback model ID or null if no fallback exists
  */
 export function getFallbackModel(model) {
-    return MODEL_FALLBACK_MAP[model] || null;
+    return getFallbackMap()[model] || null;
 }
 
 /**
@@ -25,5 +55,30 @@ export function getFallbackModel(model) {
  * @returns {boolean} True if fallback exists
  */
 export function hasFallback(model) {
-    return model in MODEL_FALLBACK_MAP;
+    return Boolean(getFallbackMap()[model]);
+}
+
+/**
+ * Get the fallback chain for a model
+ * @param {string} model - Model the request was sent to
+ * @param {boolean} [fallbackEnabled=false] - Whether --fallback is on (enables the one-step map)
+ * @returns {{models: string[], on: string[], timeoutMs: number}|null} Models to try after this one,
+ *   the triggers that move a request along, and the timeout; null if the model has no chain
+ */
+export function getFallbackChain(model, fallbackEnabled = false) {
+    const chain = config.fallbackChains?.[model];
+    if (chain && chain.enabled !== false && Array.isArray(chain.models)) {
+        const models = [...new Set(chain.models.filter(m => m && m !== model))];
+        if (models.length > 0) {
+            return {
+                models,
+                on: Array.isArray(chain.on) && chain.on.length > 0 ? chain.on : DEFAULT_TRIGGERS,
+                timeoutMs: chain.timeoutMs || DEFAULT_FALLBACK_TIMEOUT_MS
+            };
+        }
+    }
+
+    const fallbackModel = fallbackEnabled ? getFallbackModel(model) : null;
+    if (!fallbackModel || fallbackModel === model) return null;
+    return { models: [fallbackModel], on: DEFAULT_TRIGGERS, timeoutMs: DEFAULT_FALLBACK_TIMEOUT_MS };
 }
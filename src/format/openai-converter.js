@@ -0,0 +1,405 @@
+/**
+ * OpenAI Converter
+ * Converts between OpenAI Chat Completions format and Anthropic Messages API format
+ *
+ * OpenAI requests are translated to Anthropic requests so they can flow through
+ * the same sendMessage/sendMessageStream path (account selection, retries,
+ * fallback). Responses and stream events are translated back afterwards.
+ */
+
+import crypto from 'crypto';
+import { isThinkingModel } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+// Thinking budgets used when an OpenAI client sends reasoning_effort
+const REASONING_EFFORT_BUDGETS = {
+    low: 4096,
+    medium: 10000,
+    high: 24576
+};
+
+/**
+ * Convert OpenAI message content to Anthropic content blocks
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {Array} Anthropic content blocks
+ */
+function convertContentToBlocks(content) {
+    if (content === null || content === undefined) return [];
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) {
+        return [{ type: 'text', text: String(content) }];
+    }
+
+    const blocks = [];
+    for (const part of content) {
+        if (!part) continue;
+
+        if (part.type === 'text' && part.text) {
+            blocks.push({ type: 'text', text: part.text });
+        } else if (part.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            if (!url) continue;
+
+            // Data URLs carry the image inline: data:image/png;base64,....
+            const dataMatch = url.match(/^data:([^;]+);base64,(.+)$/);
+            if (dataMatch) {
+                blocks.push({
+                    type: 'image',
+                    source: { type: 'base64', media_type: dataMatch[1], data: dataMatch[2] }
+                });
+            } else {
+                blocks.push({
+                    type: 'image',
+                    source: { type: 'url', url }
+                });
+            }
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Get plain text from OpenAI message content (used for system and tool messages)
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {string} Joined text content
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(part => part && part.type === 'text' && part.text)
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * Parse tool call arguments, which OpenAI sends as a JSON string
+ * @param {string|Object} args - Tool call arguments
+ * @returns {Object} Parsed arguments object
+ */
+function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        logger.warn(`[OpenAIConverter] Could not parse tool arguments, passing as raw string: ${e.message}`);
+        return { raw: args };
+    }
+}
+
+/**
+ * Append content blocks to the conversation, merging into the previous
+ * message when the role is unchanged (Anthropic expects alternating roles)
+ * @param {Array} messages - Anthropic messages being built
+ * @param {string} role - 'user' or 'assistant'
+ * @param {Array} blocks - Content blocks to append
+ */
+function pushBlocks(messages, role, blocks) {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+        last.content.push(...blocks);
+    } else {
+        messages.push({ role, content: [...blocks] });
+    }
+}
+
+/**
+ * Convert OpenAI tool_choice to Anthropic tool_choice
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @returns {Object|undefined} Anthropic tool_choice
+ */
+function convertToolChoice(toolChoice) {
+    if (!toolChoice) return undefined;
+    if (toolChoice === 'auto') return { type: 'auto' };
+    if (toolChoice === 'required') return { type: 'any' };
+    if (toolChoice === 'none') return { type: 'none' };
+    if (toolChoice.type === 'function' && toolChoice.function?.name) {
+        return { type: 'tool', name: toolChoice.function.name };
+    }
+    return undefined;
+}
+
+/**
+ * Convert an OpenAI Chat Completions request to an Anthropic Messages request
+ *
+ * @param {Object} openaiRequest - OpenAI format request
+ * @returns {Object} Anthropic format request (without model mapping applied)
+ */
+export function convertOpenAIToAnthropic(openaiRequest) {
+    const {
+        model,
+        messages = [],
+        tools,
+        tool_choice,
+        max_tokens,
+        max_completion_tokens,
+        temperature,
+        top_p,
+        stop,
+        stream,
+        reasoning_effort
+    } = openaiRequest;
+
+    const systemTexts = [];
+    const anthropicMessages = [];
+
+    for (const msg of messages) {
+        if (!msg) continue;
+
+        switch (msg.role) {
+            case 'system':
+            case 'developer': {
+                const text = contentToText(msg.content);
+                if (text) systemTexts.push(text);
+                break;
+            }
+            case 'user':
+                pushBlocks(anthropicMessages, 'user', convertContentToBlocks(msg.content));
+                break;
+            case 'assistant': {
+                const blocks = convertContentToBlocks(msg.content);
+                for (const toolCall of msg.tool_calls || []) {
+                    // Keep the original tool call id so cached Gemini thought
+                    // signatures (keyed by tool_use id) can be restored
+                    blocks.push({
+                        type: 'tool_use',
+                        id: toolCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`,
+                        name: toolCall.function?.name,
+                        input: parseToolArguments(toolCall.function?.arguments)
+                    });
+                }
+                pushBlocks(anthropicMessages, 'assistant', blocks);
+                break;
+            }
+            case 'tool':
+                pushBlocks(anthropicMessages, 'user', [{
+                    type: 'tool_result',
+                    tool_use_id: msg.tool_call_id,
+                    content: contentToText(msg.content)
+                }]);
+                break;
+            default:
+                logger.debug(`[OpenAIConverter] Skipping message with unsupported role: ${msg.role}`);
+        }
+    }
+
+    const anthropicRequest = {
+        model,
+        messages: anthropicMessages,
+        max_tokens: max_completion_tokens || max_tokens || 4096,
+        stream: !!stream,
+        temperature,
+        top_p
+    };
+
+    if (systemTexts.length > 0) {
+        anthropicRequest.system = systemTexts.join('\n\n');
+    }
+
+    if (stop) {
+        anthropicRequest.stop_sequences = Array.isArray(stop) ? stop : [stop];
+    }
+
+    if (Array.isArray(tools) && tools.length > 0) {
+        anthropicRequest.tools = tools
+            .filter(tool => tool.type === 'function' && tool.function)
+            .map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description || '',
+                input_schema: tool.function.parameters || { type: 'object' }
+            }));
+        anthropicRequest.tool_choice = convertToolChoice(tool_choice);
+    }
+
+    if (reasoning_effort && REASONING_EFFORT_BUDGETS[reasoning_effort] && isThinkingModel(model)) {
+        anthropicRequest.thinking = {
+            type: 'enabled',
+            budget_tokens: REASONING_EFFORT_BUDGETS[reasoning_effort]
+        };
+    }
+
+    return anthropicRequest;
+}
+
+/**
+ * Map an Anthropic stop_reason to an OpenAI finish_reason
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string} OpenAI finish reason
+ */
+function convertStopReason(stopReason) {
+    if (stopReason === 'max_tokens') return 'length';
+    if (stopReason === 'tool_use') return 'tool_calls';
+    return 'stop';
+}
+
+/**
+ * Convert Anthropic usage to OpenAI usage
+ * Anthropic input_tokens excludes cached tokens, OpenAI prompt_tokens includes them.
+ * @param {Object} usage - Anthropic usage object
+ * @returns {Object} OpenAI usage object
+ */
+function convertUsage(usage = {}) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cachedTokens;
+    const completionTokens = usage.output_tokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: cachedTokens }
+    };
+}
+
+/**
+ * Generate an OpenAI-style completion ID
+ * @returns {string} Completion ID
+ */
+function generateCompletionId() {
+    return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Convert an Anthropic Messages response to an OpenAI Chat Completion
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} model - The model name to report
+ * @returns {Object} OpenAI format chat completion
+ */
+export function convertAnthropicToOpenAI(anthropicResponse, model) {
+    const textParts = [];
+    const reasoningParts = [];
+    const toolCalls = [];
+
+    for (const block of anthropicResponse.content || []) {
+        if (block.type === 'text' && block.text) {
+            textParts.push(block.text);
+        } else if (block.type === 'thinking' && block.thinking) {
+            reasoningParts.push(block.thinking);
+        } else if (block.type === 'tool_use') {
+            toolCalls.push({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: JSON.stringify(block.input || {})
+                }
+            });
+        }
+    }
+
+    const message = {
+        role: 'assistant',
+        content: textParts.length > 0 ? textParts.join('') : null
+    };
+    if (reasoningParts.length > 0) {
+        message.reasoning_content = reasoningParts.join('\n');
+    }
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+
+    return {
+        id: generateCompletionId(),
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model || anthropicResponse.model,
+        choices: [{
+            index: 0,
+            message,
+            finish_reason: convertStopReason(anthropicResponse.stop_reason)
+        }],
+        usage: convertUsage(anthropicResponse.usage)
+    };
+}
+
+/**
+ * Convert a stream of Anthropic SSE events to OpenAI chat.completion.chunk objects
+ *
+ * @param {AsyncIterable<Object>} events - Anthropic-format stream events
+ * @param {string} model - The model name to report
+ * @param {Object} [options] - Stream options
+ * @param {boolean} [options.includeUsage=false] - Emit a final usage chunk (stream_options.include_usage)
+ * @yields {Object} OpenAI format chunk objects
+ */
+export async function* streamAnthropicToOpenAI(events, model, options = {}) {
+    const id = generateCompletionId();
+    const created = Math.floor(Date.now() / 1000);
+    const usage = {};
+    let finishReason = null;
+    // Maps Anthropic content block index -> OpenAI tool_calls index
+    const toolIndexes = new Map();
+
+    const chunk = (delta, finish = null) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finish }]
+    });
+
+    for await (const event of events) {
+        switch (event.type) {
+            case 'message_start':
+                Object.assign(usage, event.message?.usage || {});
+                yield chunk({ role: 'assistant', content: '' });
+                break;
+
+            case 'content_block_start':
+                if (event.content_block?.type === 'tool_use') {
+                    const toolIndex = toolIndexes.size;
+                    toolIndexes.set(event.index, toolIndex);
+                    yield chunk({
+                        tool_calls: [{
+                            index: toolIndex,
+                            id: event.content_block.id,
+                            type: 'function',
+                            function: { name: event.content_block.name, arguments: '' }
+                        }]
+                    });
+                }
+                break;
+
+            case 'content_block_delta': {
+                const delta = event.delta || {};
+                if (delta.type === 'text_delta') {
+                    yield chunk({ content: delta.text });
+                } else if (delta.type === 'thinking_delta') {
+                    yield chunk({ reasoning_content: delta.thinking });
+                } else if (delta.type === 'input_json_delta' && toolIndexes.has(event.index)) {
+                    yield chunk({
+                        tool_calls: [{
+                            index: toolIndexes.get(event.index),
+                            function: { arguments: delta.partial_json }
+                        }]
+                    });
+                }
+                break;
+            }
+
+            case 'message_delta':
+                Object.assign(usage, event.usage || {});
+                finishReason = convertStopReason(event.delta?.stop_reason);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    yield chunk({}, finishReason || 'stop');
+
+    if (options.includeUsage) {
+        yield {
+            id,
+            object: 'chat.completion.chunk',
+            created,
+            model,
+            choices: [],
+            usage: convertUsage(usage)
+        };
+    }
+}
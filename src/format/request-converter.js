@@ -149,8 +149,14 @@ export function convertAnthropicToGoogle(anthropicRequest) {
         googleRequest.generationConfig.stopSequences = stop_sequences;
     }
 
-    // Enable thinking for thinking models (Claude and Gemini 3+)
-    if (isThinking) {
+    // Enable thinking for thinking models (Claude and Gemini 3+), unless the request turns it off
+    if (isThinking && thinking?.type === 'disabled') {
+        if (isGeminiModel) {
+            // Gemini 3+ thinks by default, so the budget has to be set to 0
+            googleRequest.generationConfig.thinkingConfig = { includeThoughts: false, thinkingBudget: 0 };
+        }
+        logger.debug('[RequestConverter] Thinking disabled by the request');
+    } else if (isThinking) {
         if (isClaudeModel) {
             // Claude thinking config
             const thinkingConfig = {
@@ -8,13 +8,89 @@
  *
  * Also caches thinking block signatures with model family for cross-model
  * compatibility checking.
+ *
+ * With "signatureCache": { "persist": true } in config.json, entries are
+ * also written through to SQLite (see signature-store.js) so a restart
+ * mid tool loop does not lose them. Both layers cap their size with
+ * least-recently-used eviction.
  */
 
-import { GEMINI_SIGNATURE_CACHE_TTL_MS, MIN_SIGNATURE_LENGTH } from '../constants.js';
+import { GEMINI_SIGNATURE_CACHE_TTL_MS, MIN_SIGNATURE_LENGTH, SIGNATURE_CACHE_MAX_ENTRIES } from '../constants.js';
+import { config } from '../config.js';
+import signatureStore from './signature-store.js';
+
+// Memory hits mark the stored entry as used at most this often per key,
+// so the store's LRU keeps hot entries without a write on every lookup
+const STORE_TOUCH_INTERVAL_MS = 60 * 1000;
 
 const signatureCache = new Map();
 const thinkingSignatureCache = new Map();
 
+/**
+ * Insert an entry as most recently used, evicting the oldest over the cap
+ * (Maps iterate in insertion order, so the first key is least recently used)
+ * @param {Map} cache - Cache map
+ * @param {string} key - Entry key
+ * @param {Object} entry - Entry value
+ */
+function setEntry(cache, key, entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+    while (cache.size > SIGNATURE_CACHE_MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Look up an entry in memory, falling back to the persistent store
+ * @param {Map} cache - Cache map
+ * @param {string} kind - Store kind ('tool' or 'thinking')
+ * @param {string} key - Entry key
+ * @param {Function} fromRow - Builds a memory entry from a store value
+ * @returns {Object|null} Entry, or null if not found/expired
+ */
+function getEntry(cache, kind, key, fromRow) {
+    const now = Date.now();
+    let entry = cache.get(key);
+    if (!entry) {
+        // Reading from the store marks the row as used
+        const row = signatureStore.get(kind, key);
+        if (!row) return null;
+        entry = { ...fromRow(row.value), timestamp: row.createdAt, touchedAt: now };
+    }
+
+    // Check TTL
+    if (now - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
+        cache.delete(key);
+        signatureStore.remove(kind, key);
+        return null;
+    }
+
+    if (now - entry.touchedAt >= STORE_TOUCH_INTERVAL_MS) {
+        signatureStore.touch(kind, key);
+        entry.touchedAt = now;
+    }
+
+    setEntry(cache, key, entry);
+    return entry;
+}
+
+/**
+ * Open the persistent store when enabled in config.
+ * Safe to call more than once.
+ * @param {Object} [options]
+ * @param {string} [options.dbPath] - Override the SQLite path (tests)
+ * @returns {boolean} True if entries are persisted
+ */
+export function initSignatureCache({ dbPath } = {}) {
+    if (!dbPath && !config?.signatureCache?.persist) return false;
+    return signatureStore.initialize({
+        dbPath,
+        ttlMs: GEMINI_SIGNATURE_CACHE_TTL_MS,
+        maxEntries: SIGNATURE_CACHE_MAX_ENTRIES
+    });
+}
+
 /**
  * Store a signature for a tool_use_id
  * @param {string} toolUseId - The tool use ID
@@ -22,10 +98,9 @@ const thinkingSignatureCache = new Map();
  */
 export function cacheSignature(toolUseId, signature) {
     if (!toolUseId || !signature) return;
-    signatureCache.set(toolUseId, {
-        signature,
-        timestamp: Date.now()
-    });
+    const timestamp = Date.now();
+    setEntry(signatureCache, toolUseId, { signature, timestamp, touchedAt: timestamp });
+    signatureStore.put('tool', toolUseId, signature, timestamp);
 }
 
 /**
@@ -35,16 +110,8 @@ export function cacheSignature(toolUseId, signature) {
  */
 export function getCachedSignature(toolUseId) {
     if (!toolUseId) return null;
-    const entry = signatureCache.get(toolUseId);
-    if (!entry) return null;
-
-    // Check TTL
-    if (Date.now() - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
-        signatureCache.delete(toolUseId);
-        return null;
-    }
-
-    return entry.signature;
+    const entry = getEntry(signatureCache, 'tool', toolUseId, signature => ({ signature }));
+    return entry ? entry.signature : null;
 }
 
 /**
@@ -63,6 +130,7 @@ export function cleanupCache() {
             thinkingSignatureCache.delete(key);
         }
     }
+    signatureStore.prune();
 }
 
 /**
@@ -80,10 +148,9 @@ export function getCacheSize() {
  */
 export function cacheThinkingSignature(signature, modelFamily) {
     if (!signature || signature.length < MIN_SIGNATURE_LENGTH) return;
-    thinkingSignatureCache.set(signature, {
-        modelFamily,
-        timestamp: Date.now()
-    });
+    const timestamp = Date.now();
+    setEntry(thinkingSignatureCache, signature, { modelFamily, timestamp, touchedAt: timestamp });
+    signatureStore.put('thinking', signature, modelFamily, timestamp);
 }
 
 /**
@@ -93,16 +160,8 @@ export function cacheThinkingSignature(signature, modelFamily) {
  */
 export function getCachedSignatureFamily(signature) {
     if (!signature) return null;
-    const entry = thinkingSignatureCache.get(signature);
-    if (!entry) return null;
-
-    // Check TTL
-    if (Date.now() - entry.timestamp > GEMINI_SIGNATURE_CACHE_TTL_MS) {
-        thinkingSignatureCache.delete(signature);
-        return null;
-    }
-
-    return entry.modelFamily;
+    const entry = getEntry(thinkingSignatureCache, 'thinking', signature, modelFamily => ({ modelFamily }));
+    return entry ? entry.modelFamily : null;
 }
 
 /**
@@ -112,3 +171,41 @@ export function getCachedSignatureFamily(signature) {
 export function getThinkingCacheSize() {
     return thinkingSignatureCache.size;
 }
+
+/**
+ * Describe the cache for the WebUI
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Most recently used persisted entries to include per kind
+ * @returns {Object} Settings, memory/persisted counts and recent entries
+ */
+export function getSignatureCacheStats({ limit = 20 } = {}) {
+    const preview = value => value.length > 24 ? `${value.slice(0, 24)}…` : value;
+    const recent = kind => signatureStore.list(kind, limit).map(row => ({
+        key: preview(row.key),
+        value: kind === 'tool' ? preview(row.value) : row.value,
+        createdAt: row.createdAt,
+        lastUsed: row.lastUsed
+    }));
+
+    return {
+        persistent: signatureStore.isEnabled(),
+        ttlMs: GEMINI_SIGNATURE_CACHE_TTL_MS,
+        maxEntries: SIGNATURE_CACHE_MAX_ENTRIES,
+        memory: { tool: signatureCache.size, thinking: thinkingSignatureCache.size },
+        persisted: signatureStore.isEnabled() ? signatureStore.counts() : null,
+        recent: signatureStore.isEnabled() ? { tool: recent('tool'), thinking: recent('thinking') } : null
+    };
+}
+
+/**
+ * Drop every cached signature, in memory and on disk
+ * @returns {number} Number of entries removed
+ */
+export function clearSignatureCache() {
+    // Persisted rows are a superset of memory when the store is enabled
+    const inMemory = signatureCache.size + thinkingSignatureCache.size;
+    const removed = signatureStore.isEnabled() ? signatureStore.clear() : inMemory;
+    signatureCache.clear();
+    thinkingSignatureCache.clear();
+    return removed;
+}
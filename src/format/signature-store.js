@@ -0,0 +1,240 @@
+/**
+ * Signature Store
+ * Optional SQLite backing for the signature cache (data/signature-cache.db),
+ * so Gemini tool loops survive a proxy restart.
+ *
+ * Rows are keyed by (kind, key):
+ *   kind 'tool'     - key: tool_use_id, value: thoughtSignature
+ *   kind 'thinking' - key: thinking signature, value: model family
+ *
+ * Entries expire after the cache TTL (from created_at) and the table is
+ * capped with least-recently-used eviction (by last_used).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadDatabaseModule } from '../auth/database.js';
+import { logger } from '../utils/logger.js';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+export const SIGNATURE_STORE_FILE = path.join(DATA_DIR, 'signature-cache.db');
+
+// Run eviction every N writes instead of on every insert
+const PRUNE_EVERY_WRITES = 100;
+
+let db = null;
+let statements = null;
+let writesSincePrune = 0;
+let limits = { ttlMs: 0, maxEntries: 0 };
+
+/**
+ * Open the store and create the schema if needed.
+ * Failure to load SQLite leaves the cache memory-only.
+ *
+ * @param {Object} options
+ * @param {string} [options.dbPath] - Path to the SQLite file (':memory:' for tests)
+ * @param {number} options.ttlMs - Entry time-to-live in milliseconds
+ * @param {number} options.maxEntries - Maximum rows per kind
+ * @returns {boolean} True if the store is available
+ */
+function initialize({ dbPath = SIGNATURE_STORE_FILE, ttlMs, maxEntries }) {
+    limits = { ttlMs, maxEntries };
+    if (db) return true;
+
+    try {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        const Database = loadDatabaseModule();
+        db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS signatures (
+                kind TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                last_used INTEGER NOT NULL,
+                PRIMARY KEY (kind, key)
+            );
+            CREATE INDEX IF NOT EXISTS idx_signatures_last_used ON signatures(kind, last_used);
+        `);
+
+        statements = {
+            put: db.prepare(`
+                INSERT INTO signatures (kind, key, value, created_at, last_used)
+                VALUES (@kind, @key, @value, @createdAt, @createdAt)
+                ON CONFLICT(kind, key) DO UPDATE SET
+                    value = excluded.value, created_at = excluded.created_at, last_used = excluded.last_used
+            `),
+            get: db.prepare('SELECT value, created_at AS createdAt FROM signatures WHERE kind = ? AND key = ?'),
+            touch: db.prepare('UPDATE signatures SET last_used = ? WHERE kind = ? AND key = ?'),
+            remove: db.prepare('DELETE FROM signatures WHERE kind = ? AND key = ?'),
+            expire: db.prepare('DELETE FROM signatures WHERE created_at < ?'),
+            evict: db.prepare(`
+                DELETE FROM signatures WHERE kind = @kind AND key IN (
+                    SELECT key FROM signatures WHERE kind = @kind
+                    ORDER BY last_used DESC LIMIT -1 OFFSET @maxEntries
+                )
+            `),
+            count: db.prepare('SELECT kind, COUNT(*) AS count FROM signatures GROUP BY kind'),
+            list: db.prepare(`
+                SELECT key, value, created_at AS createdAt, last_used AS lastUsed
+                FROM signatures WHERE kind = ? ORDER BY last_used DESC LIMIT ?
+            `),
+            clear: db.prepare('DELETE FROM signatures')
+        };
+
+        const removed = prune();
+        logger.info(`[SignatureCache] Persistent store opened at ${dbPath}${removed ? ` (pruned ${removed} entries)` : ''}`);
+        return true;
+    } catch (error) {
+        logger.warn(`[SignatureCache] Persistent store unavailable, using memory only: ${error.message}`);
+        close();
+        return false;
+    }
+}
+
+/**
+ * Close the store
+ */
+function close() {
+    try {
+        db?.close();
+    } catch {
+        // Ignore
+    }
+    db = null;
+    statements = null;
+}
+
+/**
+ * @returns {boolean} True if the store is open
+ */
+function isEnabled() {
+    return db !== null;
+}
+
+/**
+ * Run a statement, disabling the store if SQLite starts failing
+ * @param {Function} fn - Function using the prepared statements
+ * @returns {*} Result of fn, or null on failure
+ */
+function safely(fn) {
+    if (!statements) return null;
+    try {
+        return fn();
+    } catch (error) {
+        logger.warn(`[SignatureCache] Persistent store error, using memory only: ${error.message}`);
+        close();
+        return null;
+    }
+}
+
+/**
+ * Store an entry
+ * @param {string} kind - 'tool' or 'thinking'
+ * @param {string} key - Entry key
+ * @param {string} value - Entry value
+ * @param {number} createdAt - Timestamp the entry was cached
+ */
+function put(kind, key, value, createdAt) {
+    safely(() => statements.put.run({ kind, key, value, createdAt }));
+    if (++writesSincePrune >= PRUNE_EVERY_WRITES) prune();
+}
+
+/**
+ * Read an entry and mark it as recently used
+ * @param {string} kind - 'tool' or 'thinking'
+ * @param {string} key - Entry key
+ * @returns {{value: string, createdAt: number}|null} Entry, or null if missing/expired
+ */
+function get(kind, key) {
+    return safely(() => {
+        const row = statements.get.get(kind, key);
+        if (!row) return null;
+        if (Date.now() - row.createdAt > limits.ttlMs) {
+            statements.remove.run(kind, key);
+            return null;
+        }
+        statements.touch.run(Date.now(), kind, key);
+        return row;
+    });
+}
+
+/**
+ * Mark an entry as recently used without reading it
+ * @param {string} kind - 'tool' or 'thinking'
+ * @param {string} key - Entry key
+ */
+function touch(kind, key) {
+    safely(() => statements.touch.run(Date.now(), kind, key));
+}
+
+/**
+ * Delete an entry
+ * @param {string} kind - 'tool' or 'thinking'
+ * @param {string} key - Entry key
+ */
+function remove(kind, key) {
+    safely(() => statements.remove.run(kind, key));
+}
+
+/**
+ * Delete expired entries and evict least-recently-used rows over the cap
+ * @returns {number} Number of rows removed
+ */
+function prune() {
+    writesSincePrune = 0;
+    return safely(() => {
+        let removed = statements.expire.run(Date.now() - limits.ttlMs).changes;
+        for (const kind of ['tool', 'thinking']) {
+            removed += statements.evict.run({ kind, maxEntries: limits.maxEntries }).changes;
+        }
+        return removed;
+    }) || 0;
+}
+
+/**
+ * Count rows per kind
+ * @returns {{tool: number, thinking: number}}
+ */
+function counts() {
+    const result = { tool: 0, thinking: 0 };
+    for (const row of safely(() => statements.count.all()) || []) {
+        result[row.kind] = row.count;
+    }
+    return result;
+}
+
+/**
+ * List the most recently used entries of a kind
+ * @param {string} kind - 'tool' or 'thinking'
+ * @param {number} limit - Maximum rows
+ * @returns {Array<{key: string, value: string, createdAt: number, lastUsed: number}>}
+ */
+function list(kind, limit) {
+    return safely(() => statements.list.all(kind, limit)) || [];
+}
+
+/**
+ * Delete every entry
+ * @returns {number} Number of rows removed
+ */
+function clear() {
+    return safely(() => statements.clear.run().changes) || 0;
+}
+
+export default {
+    initialize,
+    close,
+    isEnabled,
+    put,
+    get,
+    touch,
+    remove,
+    prune,
+    counts,
+    list,
+    clear
+};
@@ -4,18 +4,36 @@
  */
 
 import app from './server.js';
-import { DEFAULT_PORT } from './constants.js';
+import { DEFAULT_PORT, ACCOUNT_CONFIG_PATH } from './constants.js';
 import { logger } from './utils/logger.js';
+import { config, configEvents, watchConfig } from './config.js';
+import { unlockAccountsFile } from './account-manager/encryption.js';
 import path from 'path';
 import os from 'os';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const isDebug = args.includes('--debug') || process.env.DEBUG === 'true';
-const isFallbackEnabled = args.includes('--fallback') || process.env.FALLBACK === 'true';
+const isFallbackEnabled = args.includes('--fallback') || process.env.FALLBACK === 'true' || config.fallback === true;
+const isCaptureEnabled = args.includes('--capture') || process.env.CAPTURE === 'true';
+
+/**
+ * Apply the logging settings from config.json (debug, logLevel) on top of --debug
+ */
+function applyLogSettings() {
+    logger.setDebug(isDebug || config.debug === true);
+    logger.setLevel(config.logLevel || 'info'); // A removed logLevel goes back to the default
+}
 
 // Initialize logger
-logger.setDebug(isDebug);
+applyLogSettings();
+
+// Pick up config.json changes (WebUI or hand edits) without a restart.
+// Settings read per request (retries, cooldowns, model mapping, fallback) need nothing more.
+configEvents.on('change', changed => {
+    if (changed.includes('debug') || changed.includes('logLevel')) applyLogSettings();
+});
+watchConfig();
 
 if (isDebug) {
     logger.debug('Debug mode enabled');
@@ -34,6 +52,13 @@ const PORT = process.env.PORT || DEFAULT_PORT;
 const HOME_DIR = os.homedir();
 const CONFIG_DIR = path.join(HOME_DIR, '.antigravity-claude-proxy');
 
+// An encrypted accounts.json is unlocked here, so the passphrase prompt comes before the banner
+try {
+    await unlockAccountsFile(ACCOUNT_CONFIG_PATH);
+} catch (error) {
+    logger.error(`[AccountManager] ${error.message}`);
+}
+
 app.listen(PORT, () => {
     // Clear console for a clean start
     console.clear();
@@ -51,11 +76,14 @@ app.listen(PORT, () => {
     if (!isFallbackEnabled) {
         controlSection += '║    --fallback         Enable model fallback on quota exhaust ║\n';
     }
+    if (!isCaptureEnabled) {
+        controlSection += '║    --capture          Record requests for offline replay     ║\n';
+    }
     controlSection += '║    Ctrl+C             Stop server                            ║';
 
     // Build status section if any modes are active
     let statusSection = '';
-    if (isDebug || isFallbackEnabled) {
+    if (isDebug || isFallbackEnabled || isCaptureEnabled) {
         statusSection = '║                                                              ║\n';
         statusSection += '║  Active Modes:                                               ║\n';
         if (isDebug) {
@@ -64,6 +92,9 @@ app.listen(PORT, () => {
         if (isFallbackEnabled) {
             statusSection += '║    ✓ Model fallback enabled                                  ║\n';
         }
+        if (isCaptureEnabled) {
+            statusSection += '║    ✓ Request capture enabled                                 ║\n';
+        }
     }
 
     logger.log(`
@@ -77,9 +108,12 @@ ${controlSection}
 ║                                                              ║
 ║  Endpoints:                                                  ║
 ║    POST /v1/messages         - Anthropic Messages API        ║
+║    POST /v1/chat/completions - OpenAI Chat Completions API   ║
+║    POST /v1beta/models/{m}:generateContent - Gemini API      ║
 ║    GET  /v1/models           - List available models         ║
 ║    GET  /health              - Health check                  ║
 ║    GET  /account-limits      - Account status & quotas       ║
+║    GET  /metrics             - Prometheus metrics            ║
 ║    POST /refresh-token       - Force token refresh           ║
 ║                                                              ║
 ${border}  ${align(`Configuration:`)}${border}
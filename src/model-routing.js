@@ -0,0 +1,219 @@
+/**
+ * Model Routing
+ *
+ * Rule-based routing of requests to models ("modelRouting" in config.json).
+ * A rule matches on the requested model and on request traits, and picks a
+ * target model, optional generation overrides and an optional account group:
+ *
+ *   {
+ *     "name": "background",
+ *     "match": { "model": "claude-*haiku*", "tools": false },
+ *     "target": "gemini-3-flash",
+ *     "overrides": { "maxTokens": 8192, "thinkingBudget": 0 },
+ *     "accountGroup": "background"
+ *   }
+ *
+ * Match conditions (all given ones must hold):
+ *   model            Glob ("claude-*-4-5*", case-insensitive) or "/regex/flags"
+ *   tools            true: the request defines tools; false: it does not
+ *   thinking         true: thinking is enabled; false: it is not
+ *   minInputTokens   Estimated input size (messages, system prompt and tools)
+ *   maxInputTokens
+ *   headers          { "user-agent": "claude-cli/*" }, same pattern syntax
+ *
+ * Overrides: maxTokens caps max_tokens; thinkingBudget sets the budget of
+ * requests that use thinking (0 turns thinking off).
+ *
+ * Rules are tried in order and the first match wins. When no rule matches,
+ * the one-to-one modelMapping ("mapping" per model) still applies.
+ */
+
+import { config } from './config.js';
+import { DEFAULT_MODEL } from './constants.js';
+import { estimateTextTokens, estimateGoogleRequestTokens } from './cloudcode/token-counter.js';
+import { logger } from './utils/logger.js';
+
+// Compiled patterns by source, reused across requests
+const patternCache = new Map();
+
+/**
+ * Compile a rule pattern: "/regex/flags" or a glob where * matches anything
+ * @param {string} pattern - Pattern
+ * @returns {RegExp|null} Regex, or null if the pattern is not a valid regex
+ */
+function compilePattern(pattern) {
+    if (patternCache.has(pattern)) return patternCache.get(pattern);
+
+    let regex = null;
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        regex = literal
+            ? new RegExp(literal[1], literal[2])
+            : new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+    } catch (error) {
+        logger.warn(`[Router] Ignoring invalid pattern ${pattern}: ${error.message}`);
+    }
+    patternCache.set(pattern, regex);
+    return regex;
+}
+
+/**
+ * Test a value against a pattern: "/regex/flags" or a glob (case-insensitive)
+ * @param {string} pattern - Pattern
+ * @param {string|undefined} value - Value to test
+ * @returns {boolean} True if the value matches
+ */
+export function matchesPattern(pattern, value) {
+    if (typeof value !== 'string') return false;
+    const regex = compilePattern(pattern);
+    return regex ? regex.test(value) : false;
+}
+
+/**
+ * Estimate the input tokens of an Anthropic-format request.
+ * Counts all text (including tool inputs/results and tool definitions) and
+ * skips base64 image/document data, which would otherwise dominate the count.
+ *
+ * @param {Object} request - Anthropic-format request
+ * @returns {number} Estimated input tokens
+ */
+export function estimateRequestTokens(request) {
+    let total = 0;
+    const visit = value => {
+        if (typeof value === 'string') {
+            total += estimateTextTokens(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object' && value.type !== 'base64') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit([request.system, request.messages, request.tools]);
+    return total;
+}
+
+/**
+ * Check a rule's match conditions against a request
+ * @param {Object} match - Rule conditions
+ * @param {Object} traits - { model, tools, thinking, inputTokens() }
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {boolean} True if every given condition holds
+ */
+function matchesRule(match, traits, headers) {
+    if (match.model !== undefined && !matchesPattern(match.model, traits.model)) return false;
+    if (match.tools !== undefined && match.tools !== traits.tools) return false;
+    if (match.thinking !== undefined && match.thinking !== traits.thinking) return false;
+
+    for (const [name, pattern] of Object.entries(match.headers || {})) {
+        const value = headers[name.toLowerCase()];
+        if (!matchesPattern(pattern, Array.isArray(value) ? value.join(', ') : value)) return false;
+    }
+
+    if (match.minInputTokens !== undefined || match.maxInputTokens !== undefined) {
+        const tokens = traits.inputTokens();
+        if (match.minInputTokens !== undefined && tokens < match.minInputTokens) return false;
+        if (match.maxInputTokens !== undefined && tokens > match.maxInputTokens) return false;
+    }
+    return true;
+}
+
+/**
+ * Find the route for a request
+ * @param {Object} traits - { model, tools, thinking, inputTokens() }
+ * @param {Object} [headers] - Request headers
+ * @returns {{model: string, rule: string|null, overrides: Object, accountGroup: string|null}}
+ *   rule is the matching rule's name (or index), null if none matched
+ */
+export function findRoute(traits, headers = {}) {
+    const rules = Array.isArray(config.modelRouting) ? config.modelRouting : [];
+
+    // Estimate the size once, and only if a rule asks for it
+    let tokens;
+    const sized = { ...traits, inputTokens: () => (tokens ??= traits.inputTokens()) };
+
+    for (const [index, rule] of rules.entries()) {
+        if (!rule || rule.enabled === false || !rule.target) continue;
+        if (!matchesRule(rule.match || {}, sized, headers)) continue;
+
+        const name = rule.name || `#${index + 1}`;
+        logger.info(`[Router] Rule ${name}: ${traits.model} -> ${rule.target}${rule.accountGroup ? ` (accounts: ${rule.accountGroup})` : ''}`);
+        return { model: rule.target, rule: name, overrides: rule.overrides || {}, accountGroup: rule.accountGroup || null };
+    }
+
+    const mapped = config.modelMapping?.[traits.model]?.mapping;
+    if (mapped) {
+        logger.info(`[Server] Mapping model ${traits.model} -> ${mapped}`);
+    }
+    return { model: mapped || traits.model, rule: null, overrides: {}, accountGroup: null };
+}
+
+/**
+ * Route an Anthropic-format request (/v1/messages, /v1/chat/completions)
+ * @param {Object} request - Anthropic-format request
+ * @param {Object} [headers] - Request headers
+ * @returns {{request: Object, model: string, rule: string|null, accountGroup: string|null}}
+ *   request is a copy with the target model and overrides applied
+ */
+export function routeRequest(request, headers = {}) {
+    const model = request.model || DEFAULT_MODEL;
+    const thinking = Boolean(request.thinking) && request.thinking.type !== 'disabled';
+    const route = findRoute({
+        model,
+        tools: Array.isArray(request.tools) && request.tools.length > 0,
+        thinking,
+        inputTokens: () => estimateRequestTokens(request)
+    }, headers);
+
+    const routed = { ...request, model: route.model };
+    const { maxTokens, thinkingBudget } = route.overrides;
+    if (maxTokens !== undefined) {
+        routed.max_tokens = Math.min(routed.max_tokens || maxTokens, maxTokens);
+    }
+    if (thinkingBudget !== undefined && thinking) {
+        if (thinkingBudget === 0) {
+            // Explicit, since the converter enables thinking on thinking models by default
+            routed.thinking = { type: 'disabled' };
+        } else {
+            routed.thinking = { ...request.thinking, budget_tokens: thinkingBudget };
+        }
+    }
+    return { request: routed, model: route.model, rule: route.rule, accountGroup: route.accountGroup };
+}
+
+/**
+ * Route a native Gemini request (/v1beta/models/{model}:generateContent)
+ * @param {string} model - Model from the URL
+ * @param {Object} body - Gemini request body
+ * @param {Object} [headers] - Request headers
+ * @returns {{body: Object, model: string, rule: string|null, accountGroup: string|null}}
+ *   body is a copy with the overrides applied to generationConfig
+ */
+export function routeGeminiRequest(model, body, headers = {}) {
+    const thinkingConfig = body.generationConfig?.thinkingConfig;
+    const thinking = Boolean(thinkingConfig) && thinkingConfig.thinkingBudget !== 0;
+    const route = findRoute({
+        model,
+        tools: Array.isArray(body.tools) && body.tools.length > 0,
+        thinking,
+        inputTokens: () => estimateGoogleRequestTokens(body, model)
+    }, headers);
+
+    const { maxTokens, thinkingBudget } = route.overrides;
+    if (maxTokens === undefined && (thinkingBudget === undefined || !thinking)) {
+        return { body, model: route.model, rule: route.rule, accountGroup: route.accountGroup };
+    }
+
+    const generationConfig = { ...body.generationConfig };
+    if (maxTokens !== undefined) {
+        generationConfig.maxOutputTokens = Math.min(generationConfig.maxOutputTokens || maxTokens, maxTokens);
+    }
+    if (thinkingBudget !== undefined && thinking) {
+        if (thinkingBudget === 0) {
+            // Gemini 3 models think by default, so leaving thinkingConfig out is not enough
+            generationConfig.thinkingConfig = { ...thinkingConfig, includeThoughts: false, thinkingBudget: 0 };
+        } else {
+            generationConfig.thinkingConfig = { ...thinkingConfig, thinkingBudget };
+        }
+    }
+    return { body: { ...body, generationConfig }, model: route.model, rule: route.rule, accountGroup: route.accountGroup };
+}
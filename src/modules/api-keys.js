@@ -0,0 +1,597 @@
+/**
+ * Proxy API Keys
+ *
+ * Proxy-issued API keys that guard the /v1/* and /v1beta/* endpoints. Clients
+ * send a key via `x-api-key`, `Authorization: Bearer`, or (Gemini clients)
+ * `x-goog-api-key` / `?key=`. Each key has a label, an optional model
+ * allow-list (glob patterns such as "claude-*"), an optional requests-per-minute
+ * limit, an optional tokens-per-day budget and optional account groups its
+ * requests are served from (see account-manager/groups.js).
+ *
+ * While no keys exist, both stay open (previous behaviour). Creating the
+ * first key turns enforcement on.
+ *
+ * Key definitions live in ~/.config/antigravity-proxy/api-keys.json and only
+ * the SHA-256 hash of each secret is stored. The file is re-read when it
+ * changes, so keys created from the CLI apply to a running server.
+ * Per-key usage counters are kept in data/api-key-usage.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { API_KEYS_CONFIG_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+const USAGE_FILE = path.join(process.cwd(), 'data', 'api-key-usage.json');
+
+const SECRET_PREFIX = 'agp-';
+const RELOAD_CHECK_INTERVAL_MS = 2000;
+const RPM_WINDOW_MS = 60 * 1000;
+
+// Google RPC status names for Gemini-format errors
+const GEMINI_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    429: 'RESOURCE_EXHAUSTED'
+};
+
+// Key definitions and hash index
+let keys = [];
+let keysByHash = new Map();
+let keysMtimeMs = 0;
+let lastReloadCheck = 0;
+
+// Usage counters: { [keyId]: { day, dayRequests, dayTokens, totalRequests, inputTokens, outputTokens, cacheReadTokens, lastUsedAt } }
+let usage = {};
+let usageDirty = false;
+
+// Sliding request windows for RPM limits: keyId -> timestamps (ms)
+const requestWindows = new Map();
+
+/**
+ * Hash a secret for storage and lookup
+ * @param {string} secret - Raw API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Current UTC day as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Load key definitions from disk
+ */
+function loadKeys() {
+    try {
+        if (!fs.existsSync(API_KEYS_CONFIG_PATH)) {
+            keys = [];
+            keysMtimeMs = 0;
+        } else {
+            const data = JSON.parse(fs.readFileSync(API_KEYS_CONFIG_PATH, 'utf8'));
+            keys = Array.isArray(data.keys) ? data.keys : [];
+            keysMtimeMs = fs.statSync(API_KEYS_CONFIG_PATH).mtimeMs;
+        }
+    } catch (error) {
+        logger.error('[ApiKeys] Failed to load API keys:', error.message);
+        keys = [];
+    }
+    keysByHash = new Map(keys.map(key => [key.hash, key]));
+}
+
+/**
+ * Write key definitions to disk (owner-only permissions, atomic rename)
+ */
+function saveKeys() {
+    const dir = path.dirname(API_KEYS_CONFIG_PATH);
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${API_KEYS_CONFIG_PATH}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, API_KEYS_CONFIG_PATH);
+    keysMtimeMs = fs.statSync(API_KEYS_CONFIG_PATH).mtimeMs;
+    keysByHash = new Map(keys.map(key => [key.hash, key]));
+}
+
+/**
+ * Re-read key definitions if the file changed on disk (e.g. from the CLI)
+ */
+function reloadIfChanged() {
+    const now = Date.now();
+    if (now - lastReloadCheck < RELOAD_CHECK_INTERVAL_MS) return;
+    lastReloadCheck = now;
+
+    let mtimeMs = 0;
+    try {
+        mtimeMs = fs.statSync(API_KEYS_CONFIG_PATH).mtimeMs;
+    } catch (e) {
+        // File removed - treat as no keys
+    }
+    if (mtimeMs !== keysMtimeMs) {
+        loadKeys();
+        logger.info(`[ApiKeys] Reloaded ${keys.length} API key(s) from disk`);
+    }
+}
+
+/**
+ * Load usage counters from disk
+ */
+function loadUsage() {
+    try {
+        if (fs.existsSync(USAGE_FILE)) {
+            usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+        }
+    } catch (error) {
+        logger.error('[ApiKeys] Failed to load key usage:', error.message);
+        usage = {};
+    }
+}
+
+/**
+ * Save usage counters to disk
+ */
+function saveUsage() {
+    if (!usageDirty) return;
+    try {
+        fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+        fs.writeFileSync(USAGE_FILE, JSON.stringify(usage, null, 2));
+        usageDirty = false;
+    } catch (error) {
+        logger.error('[ApiKeys] Failed to save key usage:', error.message);
+    }
+}
+
+/**
+ * Get usage counters for a key, rolling the daily counters over at UTC midnight
+ * @param {string} id - Key ID
+ * @returns {Object} Usage counters
+ */
+function getUsage(id) {
+    const day = today();
+    if (!usage[id]) {
+        usage[id] = {
+            day,
+            dayRequests: 0,
+            dayTokens: 0,
+            totalRequests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cacheReadTokens: 0,
+            lastUsedAt: null
+        };
+    } else if (usage[id].day !== day) {
+        usage[id].day = day;
+        usage[id].dayRequests = 0;
+        usage[id].dayTokens = 0;
+    }
+    return usage[id];
+}
+
+/**
+ * Normalize an optional positive integer limit (null = unlimited)
+ * @param {*} value - Raw value
+ * @param {string} name - Field name for error messages
+ * @returns {number|null}
+ */
+function parseLimit(value, name) {
+    if (value === undefined || value === null || value === '' || value === 0) return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return n;
+}
+
+/**
+ * Normalize a model allow-list or group list (array or comma-separated string)
+ * @param {*} value - Raw value
+ * @returns {string[]} Entries (empty = all models / no groups)
+ */
+function parseList(value) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(m => String(m).trim()).filter(Boolean);
+}
+
+/**
+ * Public view of a key (no hash) with usage attached
+ * @param {Object} key - Stored key definition
+ * @returns {Object}
+ */
+function toPublicKey(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, usage: { ...getUsage(key.id) } };
+}
+
+/**
+ * Find a stored key by ID
+ * @param {string} id - Key ID
+ * @returns {Object} Stored key definition
+ * @throws {Error} If the key does not exist
+ */
+function findKey(id) {
+    const key = keys.find(k => k.id === id);
+    if (!key) {
+        throw new Error(`API key ${id} not found`);
+    }
+    return key;
+}
+
+/**
+ * List all keys
+ * @returns {Array<Object>} Public key views
+ */
+function listKeys() {
+    loadKeys();
+    return keys.map(toPublicKey);
+}
+
+/**
+ * Create a new API key. The secret is only returned here.
+ *
+ * @param {Object} options - Key options
+ * @param {string} options.label - Human-readable label
+ * @param {string[]|string} [options.models] - Allowed model patterns (empty = all)
+ * @param {number} [options.rpm] - Requests per minute limit
+ * @param {number} [options.tokensPerDay] - Daily token budget
+ * @param {string[]|string} [options.accountGroups] - Account groups to serve the key's requests from (empty = by model)
+ * @returns {{key: Object, secret: string}} Public key view and raw secret
+ */
+function createKey({ label, models, rpm, tokensPerDay, accountGroups } = {}) {
+    if (!label || typeof label !== 'string' || !label.trim()) {
+        throw new Error('label is required');
+    }
+
+    loadKeys();
+    const secret = SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        label: label.trim(),
+        hash: hashSecret(secret),
+        preview: `${secret.slice(0, 8)}…${secret.slice(-4)}`,
+        models: parseList(models),
+        rpm: parseLimit(rpm, 'rpm'),
+        tokensPerDay: parseLimit(tokensPerDay, 'tokensPerDay'),
+        accountGroups: parseList(accountGroups),
+        enabled: true,
+        createdAt: new Date().toISOString()
+    };
+    keys.push(key);
+    saveKeys();
+    logger.info(`[ApiKeys] Created API key ${key.id} (${key.label})`);
+    return { key: toPublicKey(key), secret };
+}
+
+/**
+ * Update an existing key's label, allow-list, limits, account groups or enabled state
+ *
+ * @param {string} id - Key ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated public key view
+ */
+function updateKey(id, updates = {}) {
+    loadKeys();
+    const key = findKey(id);
+    if (updates.label !== undefined) {
+        if (!String(updates.label).trim()) throw new Error('label cannot be empty');
+        key.label = String(updates.label).trim();
+    }
+    if (updates.models !== undefined) key.models = parseList(updates.models);
+    if (updates.accountGroups !== undefined) key.accountGroups = parseList(updates.accountGroups);
+    if (updates.rpm !== undefined) key.rpm = parseLimit(updates.rpm, 'rpm');
+    if (updates.tokensPerDay !== undefined) key.tokensPerDay = parseLimit(updates.tokensPerDay, 'tokensPerDay');
+    if (updates.enabled !== undefined) {
+        if (typeof updates.enabled !== 'boolean') throw new Error('enabled must be a boolean');
+        key.enabled = updates.enabled;
+    }
+    saveKeys();
+    logger.info(`[ApiKeys] Updated API key ${key.id} (${key.label})`);
+    return toPublicKey(key);
+}
+
+/**
+ * Revoke (delete) a key
+ * @param {string} id - Key ID
+ */
+function revokeKey(id) {
+    loadKeys();
+    const key = findKey(id);
+    keys = keys.filter(k => k.id !== id);
+    saveKeys();
+    requestWindows.delete(id);
+    logger.info(`[ApiKeys] Revoked API key ${key.id} (${key.label})`);
+}
+
+/**
+ * Extract the client-supplied key from request headers
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function extractSecret(req) {
+    const apiKey = req.headers['x-api-key'] || req.headers['x-goog-api-key'];
+    if (apiKey) return String(apiKey).trim();
+    const auth = req.headers['authorization'];
+    if (auth && /^Bearer\s+/i.test(auth)) {
+        return auth.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (req.path.startsWith('/v1beta/') && req.query.key) {
+        return String(req.query.key).trim();
+    }
+    return null;
+}
+
+/**
+ * Check whether a model matches any allow-list pattern ("*" is a wildcard)
+ * @param {string[]} patterns - Allowed model patterns
+ * @param {string} model - Model ID
+ * @returns {boolean}
+ */
+function isModelAllowed(patterns, model) {
+    if (!patterns || patterns.length === 0) return true;
+    return patterns.some(pattern => {
+        const regex = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+        return regex.test(model);
+    });
+}
+
+/**
+ * Check whether a key may use the model a request was routed to. A model the
+ * key allows still works when modelMapping renames it; a routing rule's
+ * target must be allowed itself, so rules cannot lift a request past the
+ * allow-list.
+ *
+ * @param {Object} key - Stored key definition
+ * @param {string|undefined} requested - Model the client asked for
+ * @param {{model: string, rule: string|null}} route - Routing result (see model-routing.js)
+ * @returns {boolean}
+ */
+function isRouteAllowed(key, requested, route) {
+    if (isModelAllowed(key.models, route.model)) return true;
+    return !route.rule && !!requested && isModelAllowed(key.models, requested);
+}
+
+/**
+ * Check a request against a key's budgets. Nothing is counted here: the
+ * handler calls commitRequest once the request is accepted, so a request
+ * rejected later does not use up the key's limits. The model allow-list is
+ * checked after routing (rejectRoutedModel).
+ *
+ * @param {Object} key - Stored key definition
+ * @param {boolean} metered - Whether the request counts towards limits
+ * @returns {{status: number, type: string, message: string, retryAfter?: number}|null} Rejection or null if allowed
+ */
+function checkRequest(key, metered) {
+    if (!metered) return null;
+
+    const keyUsage = getUsage(key.id);
+    if (key.tokensPerDay && keyUsage.dayTokens >= key.tokensPerDay) {
+        // Same approach as upstream quota exhaustion: 400 so clients stop instead of retrying
+        return {
+            status: 400,
+            type: 'invalid_request_error',
+            message: `API key "${key.label}" has used its daily budget of ${key.tokensPerDay} tokens. Budget resets at 00:00 UTC.`
+        };
+    }
+
+    if (key.rpm) {
+        const now = Date.now();
+        const window = (requestWindows.get(key.id) || []).filter(t => now - t < RPM_WINDOW_MS);
+        requestWindows.set(key.id, window);
+        if (window.length >= key.rpm) {
+            return {
+                status: 429,
+                type: 'rate_limit_error',
+                message: `API key "${key.label}" exceeded ${key.rpm} requests per minute`,
+                retryAfter: Math.max(1, Math.ceil((RPM_WINDOW_MS - (now - window[0])) / 1000))
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Count an accepted request towards its key's RPM window and request
+ * counters. Call after the last check that can reject it (rejectRoutedModel).
+ * @param {import('express').Request} req - Request with req.apiKey set by the middleware
+ */
+function commitRequest(req) {
+    const key = req.apiKey;
+    if (!key || !req.apiKeyMetered) return;
+    req.apiKeyMetered = false; // Once per request
+
+    if (key.rpm) {
+        const window = requestWindows.get(key.id) || [];
+        window.push(Date.now());
+        requestWindows.set(key.id, window);
+    }
+
+    const keyUsage = getUsage(key.id);
+    keyUsage.dayRequests++;
+    keyUsage.totalRequests++;
+    keyUsage.lastUsedAt = new Date().toISOString();
+    usageDirty = true;
+}
+
+/**
+ * Reject a request whose model the key may not use (see isRouteAllowed).
+ * Checked after routing, since rules can change the model (and the client
+ * can leave it out).
+ *
+ * @param {import('express').Request} req - Request with req.apiKey set by the middleware
+ * @param {import('express').Response} res
+ * @param {string|undefined} requested - Model the client asked for
+ * @param {{model: string, rule: string|null}} route - Routing result
+ * @returns {boolean} True if an error response was sent
+ */
+function rejectRoutedModel(req, res, requested, route) {
+    if (!req.apiKey || isRouteAllowed(req.apiKey, requested, route)) return false;
+    const via = requested && requested !== route.model ? ` (requested as ${requested})` : '';
+    logger.warn(`[ApiKeys] Rejected request for key ${req.apiKey.id}: model ${route.model} not allowed`);
+    sendError(req, res, {
+        status: 403,
+        type: 'permission_error',
+        message: `API key "${req.apiKey.label}" is not allowed to use model ${route.model}${via}`
+    });
+    return true;
+}
+
+/**
+ * Get the account groups a key's requests are served from
+ * @param {Object|undefined} key - Stored key definition (req.apiKey)
+ * @returns {string[]|null} Group names, or null to use the model's groups
+ */
+function getAccountGroups(key) {
+    return key?.accountGroups?.length > 0 ? key.accountGroups : null;
+}
+
+/**
+ * Add token usage from a finished usage-ledger record to its API key
+ * @param {Object} record - Record from usageLedger.startRecord
+ */
+function recordUsage(record) {
+    if (!record?.apiKey) return;
+    const keyUsage = getUsage(record.apiKey);
+    keyUsage.inputTokens += record.inputTokens;
+    keyUsage.outputTokens += record.outputTokens;
+    keyUsage.cacheReadTokens += record.cacheReadTokens;
+    keyUsage.dayTokens += record.inputTokens + record.outputTokens + record.cacheReadTokens;
+    usageDirty = true;
+}
+
+/**
+ * Send an error in the format of the endpoint being called
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} rejection - { status, type, message, retryAfter }
+ */
+function sendError(req, res, { status, type, message, retryAfter }) {
+    if (retryAfter) res.setHeader('retry-after', String(retryAfter));
+    if (req.path.startsWith('/v1beta/')) {
+        return res.status(status).json({ error: { code: status, message, status: GEMINI_STATUS[status] || 'UNKNOWN' } });
+    }
+    if (req.path === '/v1/chat/completions') {
+        return res.status(status).json({ error: { type, message, code: null } });
+    }
+    return res.status(status).json({ type: 'error', error: { type, message } });
+}
+
+/**
+ * Setup Express Middleware
+ * Must run after express.json() so the requested model is available.
+ * @param {import('express').Application} app
+ */
+function setupMiddleware(app) {
+    loadKeys();
+    loadUsage();
+
+    setInterval(saveUsage, 60 * 1000).unref();
+    process.on('exit', saveUsage);
+
+    if (keys.length > 0) {
+        logger.info(`[ApiKeys] ${keys.length} API key(s) loaded, /v1/* requires a key`);
+    }
+
+    app.use((req, res, next) => {
+        if (!req.path.startsWith('/v1/') && !req.path.startsWith('/v1beta/')) return next();
+
+        reloadIfChanged();
+        if (keys.length === 0) return next();
+
+        const secret = extractSecret(req);
+        const key = secret ? keysByHash.get(hashSecret(secret)) : null;
+        if (!key || !key.enabled) {
+            return sendError(req, res, {
+                status: 401,
+                type: 'authentication_error',
+                message: !key ? 'Invalid or missing API key' : `API key "${key.label}" is disabled`
+            });
+        }
+
+        const metered = req.method === 'POST' && !req.path.endsWith('/count_tokens');
+        const rejection = checkRequest(key, metered);
+        if (rejection) {
+            logger.warn(`[ApiKeys] Rejected request for key ${key.id}: ${rejection.message}`);
+            return sendError(req, res, rejection);
+        }
+
+        req.apiKey = key;
+        req.apiKeyMetered = metered;
+        next();
+    });
+}
+
+/**
+ * Setup API Routes (protected by the WebUI password, and refused while none
+ * is set; see server.js)
+ * @param {import('express').Application} app
+ */
+function setupRoutes(app) {
+    /**
+     * GET /api/keys - List keys with usage
+     */
+    app.get('/api/keys', (req, res) => {
+        try {
+            const list = listKeys();
+            res.json({ status: 'ok', enforced: list.length > 0, keys: list });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/keys - Create a key. The secret is only returned once.
+     */
+    app.post('/api/keys', (req, res) => {
+        try {
+            const { key, secret } = createKey(req.body || {});
+            res.json({ status: 'ok', key, secret });
+        } catch (error) {
+            res.status(400).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /api/keys/:id - Update label, models, limits, account groups or enabled state
+     */
+    app.patch('/api/keys/:id', (req, res) => {
+        try {
+            const key = updateKey(req.params.id, req.body || {});
+            res.json({ status: 'ok', key });
+        } catch (error) {
+            res.status(error.message.includes('not found') ? 404 : 400).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/keys/:id - Revoke a key
+     */
+    app.delete('/api/keys/:id', (req, res) => {
+        try {
+            revokeKey(req.params.id);
+            res.json({ status: 'ok', message: `API key ${req.params.id} revoked` });
+        } catch (error) {
+            res.status(error.message.includes('not found') ? 404 : 500).json({ status: 'error', error: error.message });
+        }
+    });
+}
+
+export default {
+    setupMiddleware,
+    setupRoutes,
+    listKeys,
+    createKey,
+    updateKey,
+    revokeKey,
+    isModelAllowed,
+    rejectRoutedModel,
+    commitRequest,
+    getAccountGroups,
+    recordUsage
+};
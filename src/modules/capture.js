@@ -0,0 +1,256 @@
+/**
+ * Capture Module
+ * Records Anthropic-format requests, the Cloud Code payload built for them
+ * and the raw upstream response to a JSONL file, so conversion bugs can be
+ * reproduced offline with `antigravity-claude-proxy replay <file>`.
+ *
+ * Enable with --capture, CAPTURE=true, or in config.json:
+ *   "capture": { "enabled": true, "path": "data/captures.jsonl", "maxFileBytes": 52428800 }
+ *
+ * Secrets are redacted before anything is written: the Cloud Code project
+ * and anything that looks like an OAuth token, refresh token or API key.
+ * Prompts and responses are written as-is.
+ *
+ * Each line:
+ *   { v, id, capturedAt, route, stream, model, durationMs, error,
+ *     request, payload, upstream: { endpoint, status, contentType, lines } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+export const CAPTURE_VERSION = 1;
+
+const DEFAULT_PATH = path.join(process.cwd(), 'data', 'captures.jsonl');
+const DEFAULT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+const CLI_ENABLED = process.argv.slice(2).includes('--capture') || process.env.CAPTURE === 'true';
+
+// Object keys whose values are always secrets
+const SECRET_KEYS = /^(authorization|access_?token|refresh_?token|api_?key|x-api-key|password|client_?secret|token)$/i;
+
+// Secret-looking substrings inside free text
+const SECRET_PATTERNS = [
+    /\bya29\.[\w.-]+/g,             // Google OAuth access tokens
+    /\b1\/\/[\w-]{20,}/g,           // Google refresh tokens
+    /\bAIza[\w-]{35}/g,             // Google API keys
+    /\bsk-[\w-]{20,}/g,             // Anthropic/OpenAI style keys
+    /\bagp-[\w-]{20,}/g             // Proxy-issued API keys
+];
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * @returns {{enabled: boolean, path: string, maxFileBytes: number}} Capture settings
+ */
+function getSettings() {
+    const settings = config?.capture || {};
+    return {
+        enabled: CLI_ENABLED || settings.enabled === true,
+        path: settings.path ? path.resolve(settings.path) : DEFAULT_PATH,
+        maxFileBytes: settings.maxFileBytes || DEFAULT_MAX_FILE_BYTES
+    };
+}
+
+/**
+ * @returns {boolean} True if requests are being captured
+ */
+function isEnabled() {
+    return getSettings().enabled;
+}
+
+/**
+ * Redact secrets from a value (deep copy)
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+export function redact(value) {
+    if (typeof value === 'string') {
+        return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    }
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const [key, inner] of Object.entries(value)) {
+        result[key] = SECRET_KEYS.test(key) && inner ? REDACTED : redact(inner);
+    }
+    return result;
+}
+
+/**
+ * Start capturing a request. The returned session is stored on the usage
+ * record (requestMeta.capture) so the Cloud Code handlers can add to it.
+ *
+ * @param {Object} anthropicRequest - Anthropic-format request as sent to the handlers
+ * @param {string} route - API path that received the request
+ * @returns {Object|null} Capture session, or null when capture is off
+ */
+function start(anthropicRequest, route) {
+    if (!isEnabled()) return null;
+    return {
+        id: crypto.randomUUID(),
+        startedAt: Date.now(),
+        route,
+        stream: !!anthropicRequest.stream,
+        model: anthropicRequest.model,
+        // Copied: conversion may modify the request in place
+        request: structuredClone(anthropicRequest),
+        payload: null,
+        upstream: null
+    };
+}
+
+/**
+ * Record the Cloud Code payload for the current attempt
+ * (retries and fallbacks overwrite it, so the last attempt is kept)
+ * @param {Object|null} session - Capture session
+ * @param {Object} payload - Payload from buildCloudCodeRequest
+ */
+function recordPayload(session, payload) {
+    if (!session) return;
+    session.payload = payload;
+    session.model = payload.model;
+    session.upstream = null;
+}
+
+/**
+ * Tee an upstream response body into the capture session.
+ * Returns a Response that reads exactly like the original.
+ *
+ * @param {Object|null} session - Capture session
+ * @param {Response} response - Upstream fetch response
+ * @param {string} endpoint - Endpoint base URL
+ * @returns {Response} Response to consume instead of the original
+ */
+function tapResponse(session, response, endpoint) {
+    if (!session || !response.body) return response;
+
+    const upstream = {
+        endpoint,
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        lines: []
+    };
+    session.upstream = upstream;
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const tap = new TransformStream({
+        transform(chunk, controller) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            upstream.lines.push(...lines.filter(line => line.trim()));
+            controller.enqueue(chunk);
+        },
+        flush() {
+            buffer += decoder.decode();
+            if (buffer.trim()) upstream.lines.push(buffer);
+        }
+    });
+
+    return new Response(response.body.pipeThrough(tap), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Record a non-OK upstream response (e.g. the 400 a mangled conversation produces)
+ * @param {Object|null} session - Capture session
+ * @param {string} endpoint - Endpoint base URL
+ * @param {Response} response - Upstream fetch response
+ * @param {string} errorText - Response body, already read
+ */
+function recordErrorResponse(session, endpoint, response, errorText) {
+    if (!session) return;
+    session.upstream = {
+        endpoint,
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        lines: errorText.split('\n').filter(line => line.trim())
+    };
+}
+
+/**
+ * Move the capture file aside once it grows past the size limit
+ * @param {{path: string, maxFileBytes: number}} settings - Capture settings
+ */
+function rotateIfNeeded(settings) {
+    try {
+        if (fs.statSync(settings.path).size >= settings.maxFileBytes) {
+            fs.renameSync(settings.path, `${settings.path}.1`);
+        }
+    } catch {
+        // File does not exist yet
+    }
+}
+
+/**
+ * Write a finished capture (usage ledger onRecord listener)
+ * @param {Object} record - Finished usage record
+ * @param {Error} [error] - Error the request failed with
+ */
+function finish(record, error = null) {
+    const session = record?.capture;
+    if (!session || session.written) return;
+    session.written = true;
+
+    const settings = getSettings();
+    const { project, ...payload } = session.payload || {};
+    const entry = {
+        v: CAPTURE_VERSION,
+        id: session.id,
+        capturedAt: new Date(session.startedAt).toISOString(),
+        route: session.route,
+        stream: session.stream,
+        model: session.model,
+        durationMs: Date.now() - session.startedAt,
+        error: error ? error.message : null,
+        request: redact(session.request),
+        payload: session.payload ? redact({ project: project ? REDACTED : undefined, ...payload }) : null,
+        upstream: session.upstream ? redact(session.upstream) : null
+    };
+
+    try {
+        fs.mkdirSync(path.dirname(settings.path), { recursive: true });
+        rotateIfNeeded(settings);
+        fs.appendFileSync(settings.path, JSON.stringify(entry) + '\n');
+    } catch (writeError) {
+        logger.warn(`[Capture] Failed to write capture: ${writeError.message}`);
+    }
+}
+
+/**
+ * Read captures from a JSONL file
+ * @param {string} filePath - Capture file
+ * @returns {Object[]} Parsed captures (malformed lines are skipped)
+ */
+function readCaptures(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => entry && entry.v === CAPTURE_VERSION);
+}
+
+export default {
+    isEnabled,
+    start,
+    recordPayload,
+    tapResponse,
+    recordErrorResponse,
+    finish,
+    readCaptures
+};
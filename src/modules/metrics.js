@@ -0,0 +1,288 @@
+/**
+ * Metrics Module
+ * Exposes proxy metrics at /metrics in the Prometheus text exposition format.
+ *
+ * Counters and histograms are kept in memory and reset on restart (Prometheus
+ * handles counter resets). Account, endpoint and cache gauges are read at scrape time.
+ * The route is protected by the WebUI password (see webui createAuthMiddleware).
+ */
+
+import { getCacheSize, getThinkingCacheSize } from '../format/signature-cache.js';
+import { getEndpointHealth } from '../cloudcode/endpoint-health.js';
+import { logger } from '../utils/logger.js';
+
+// Request latency buckets in seconds (thinking models routinely take minutes)
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const METRICS = {
+    antigravity_requests_total: {
+        type: 'counter',
+        help: 'Generation requests handled by the proxy'
+    },
+    antigravity_request_duration_seconds: {
+        type: 'histogram',
+        help: 'Generation request latency in seconds (until the last byte for streams)'
+    },
+    antigravity_upstream_errors_total: {
+        type: 'counter',
+        help: 'Non-OK responses and network errors from Cloud Code endpoints'
+    },
+    antigravity_upstream_rate_limits_total: {
+        type: 'counter',
+        help: '429 responses from Cloud Code endpoints'
+    },
+    antigravity_fallback_activations_total: {
+        type: 'counter',
+        help: 'Requests moved to a fallback model'
+    }
+};
+
+// name -> Map(labelKey -> { labels, value } | { labels, buckets, sum, count })
+const series = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label set
+ * @returns {string} Formatted labels (empty string for no labels)
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+/**
+ * Increment a counter
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label set
+ * @param {number} [by=1] - Increment
+ */
+function inc(name, labels, by = 1) {
+    const store = series.get(name);
+    const key = formatLabels(labels);
+    const entry = store.get(key) || { labels, value: 0 };
+    entry.value += by;
+    store.set(key, entry);
+}
+
+/**
+ * Observe a histogram value
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label set
+ * @param {number} value - Observed value
+ */
+function observe(name, labels, value) {
+    const store = series.get(name);
+    const key = formatLabels(labels);
+    let entry = store.get(key);
+    if (!entry) {
+        entry = { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        store.set(key, entry);
+    }
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (value <= bound) entry.buckets[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+}
+
+/**
+ * Map a Cloud Code endpoint URL to a short label (daily / prod)
+ * @param {string} endpoint - Endpoint base URL
+ * @returns {string} Endpoint label
+ */
+export function endpointLabel(endpoint) {
+    if (!endpoint) return 'unknown';
+    if (endpoint.includes('daily-cloudcode-pa')) return 'daily';
+    if (endpoint.includes('cloudcode-pa.googleapis.com')) return 'prod';
+    try {
+        return new URL(endpoint).host;
+    } catch {
+        return endpoint;
+    }
+}
+
+/**
+ * Record a finished generation request (usage ledger onRecord listener)
+ * @param {Object} record - Usage ledger record
+ * @param {number} status - HTTP status the request resolved to
+ */
+function recordRequest(record, status) {
+    const stream = record.stream ? 'true' : 'false';
+    inc('antigravity_requests_total', {
+        route: record.endpoint,
+        model: record.model || 'unknown',
+        account: record.account || 'none',
+        status,
+        stream
+    });
+    observe('antigravity_request_duration_seconds', {
+        route: record.endpoint,
+        model: record.model || 'unknown',
+        stream
+    }, (Date.now() - record.startedAt) / 1000);
+}
+
+/**
+ * Record an upstream error from a Cloud Code endpoint
+ * @param {string} endpoint - Endpoint base URL
+ * @param {number|string} status - HTTP status, or 'network' for connection errors
+ * @param {string} [model] - Model requested
+ */
+function recordUpstreamError(endpoint, status, model = null) {
+    const label = endpointLabel(endpoint);
+    inc('antigravity_upstream_errors_total', { endpoint: label, status });
+    if (status === 429) {
+        inc('antigravity_upstream_rate_limits_total', { endpoint: label, model: model || 'unknown' });
+    }
+}
+
+/**
+ * Record a fallback to another model
+ * @param {string} from - Original model
+ * @param {string} to - Fallback model
+ * @param {string} reason - 'exhausted' (all accounts rate-limited), 'quota' (pre-emptive),
+ *   '5xx' (upstream errors) or 'timeout' (no response within the chain's timeoutMs)
+ */
+function recordFallback(from, to, reason) {
+    inc('antigravity_fallback_activations_total', { from, to, reason });
+}
+
+/**
+ * Get fallback activations since startup, for /health
+ * @returns {{total: number, routes: Array<{from: string, to: string, reason: string, count: number}>}}
+ */
+function getFallbackCounts() {
+    const routes = [...series.get('antigravity_fallback_activations_total').values()]
+        .map(({ labels, value }) => ({ ...labels, count: value }));
+    return { total: routes.reduce((sum, route) => sum + route.count, 0), routes };
+}
+
+/**
+ * Render a stored metric family
+ * @param {string} name - Metric name
+ * @param {string[]} lines - Output lines
+ */
+function renderFamily(name, lines) {
+    const { type, help } = METRICS[name];
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+
+    for (const entry of series.get(name).values()) {
+        if (type === 'histogram') {
+            entry.buckets.forEach((count, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: LATENCY_BUCKETS[i] })} ${count}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        } else {
+            lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        }
+    }
+}
+
+/**
+ * Render a gauge read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<[Object, number]>} samples - [labels, value] pairs
+ * @param {string[]} lines - Output lines
+ */
+function renderGauge(name, help, samples, lines) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    for (const [labels, value] of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @param {import('../account-manager/index.js').default} [accountManager] - For account gauges
+ * @returns {string} Exposition text
+ */
+function render(accountManager = null) {
+    const lines = [];
+
+    for (const name of Object.keys(METRICS)) {
+        renderFamily(name, lines);
+    }
+
+    renderGauge('antigravity_signature_cache_entries', 'Entries in the signature caches', [
+        [{ cache: 'tool' }, getCacheSize()],
+        [{ cache: 'thinking' }, getThinkingCacheSize()]
+    ], lines);
+
+    const endpoints = getEndpointHealth();
+    renderGauge('antigravity_endpoint_circuit_open', 'Whether the endpoint circuit breaker is open or half-open (1) or closed (0)',
+        endpoints.map(e => [{ endpoint: endpointLabel(e.endpoint) }, e.state === 'closed' ? 0 : 1]), lines);
+    renderGauge('antigravity_endpoint_success_ratio', 'Share of recent requests to the endpoint without a 5xx or network error',
+        endpoints.filter(e => e.successRate !== null).map(e => [{ endpoint: endpointLabel(e.endpoint) }, e.successRate]), lines);
+
+    if (accountManager) {
+        const now = Date.now();
+        const accounts = accountManager.getAllAccounts();
+        const status = accountManager.getStatus();
+
+        renderGauge('antigravity_accounts', 'Accounts by state', [
+            [{ state: 'total' }, status.total],
+            [{ state: 'available' }, status.available],
+            [{ state: 'rate_limited' }, status.rateLimited],
+            [{ state: 'invalid' }, status.invalid]
+        ], lines);
+
+        const accountSamples = [];
+        const modelSamples = [];
+        for (const account of accounts) {
+            const limited = Object.entries(account.modelRateLimits || {})
+                .filter(([, limit]) => limit.isRateLimited && limit.resetTime > now);
+            accountSamples.push([{ account: account.email }, limited.length > 0 ? 1 : 0]);
+            for (const [model, limit] of limited) {
+                modelSamples.push([{ account: account.email, model }, (limit.resetTime - now) / 1000]);
+            }
+        }
+
+        renderGauge('antigravity_account_rate_limited', 'Whether the account is rate-limited on any model (1) or not (0)', accountSamples, lines);
+        renderGauge('antigravity_account_rate_limit_remaining_seconds', 'Seconds until a model rate limit on the account resets', modelSamples, lines);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Setup API Routes
+ * @param {import('express').Application} app
+ * @param {import('../account-manager/index.js').default} accountManager - Account manager instance
+ * @param {Function} [beforeRender] - Awaited before rendering (e.g. account initialization)
+ */
+function setupRoutes(app, accountManager, beforeRender = null) {
+    app.get('/metrics', async (req, res) => {
+        try {
+            if (beforeRender) await beforeRender();
+            res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(render(accountManager));
+        } catch (error) {
+            logger.error('[Metrics] Failed to render metrics:', error.message);
+            res.status(500).send(`# metrics unavailable: ${error.message}\n`);
+        }
+    });
+}
+
+export default {
+    setupRoutes,
+    recordRequest,
+    recordUpstreamError,
+    recordFallback,
+    getFallbackCounts,
+    render
+};
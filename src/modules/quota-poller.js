@@ -0,0 +1,166 @@
+/**
+ * Quota Poller Module
+ * Periodically fetches model quotas for every account in the background and
+ * stores the snapshots on the AccountManager. /health, /account-limits (and
+ * the dashboard) and the quota-weighted selection strategy read from that
+ * cache instead of fanning out to the API on every call.
+ *
+ * Config (config.json):
+ *   "quotaPolling": { "enabled": true, "intervalMs": 300000, "jitterMs": 30000 }
+ */
+
+import { getModelQuotas } from '../cloudcode/index.js';
+import { config } from '../config.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { createPeriodicJob } from '../utils/periodic-job.js';
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_JITTER_MS = 30 * 1000; // 30 seconds
+const MIN_INTERVAL_MS = 30 * 1000;
+
+let manager = null;
+let running = null; // In-flight poll cycle
+const inFlight = new Map(); // email -> Promise (dedupes concurrent live fetches)
+
+/**
+ * Get the effective polling settings
+ * @returns {{enabled: boolean, intervalMs: number, jitterMs: number}}
+ */
+function getSettings() {
+    const settings = config?.quotaPolling || {};
+    return {
+        enabled: settings.enabled !== false,
+        intervalMs: Math.max(MIN_INTERVAL_MS, settings.intervalMs || DEFAULT_INTERVAL_MS),
+        jitterMs: Math.max(0, settings.jitterMs ?? DEFAULT_JITTER_MS)
+    };
+}
+
+/**
+ * Fetch quotas for one account and store the snapshot.
+ * Concurrent calls for the same account share one request.
+ *
+ * @param {Object} account - Account object
+ * @param {import('../account-manager/index.js').default} [accountManager] - Defaults to the started manager
+ * @returns {Promise<Object>} Snapshot { quotas, fetchedAt, error, errorAt }
+ * @throws {Error} If the fetch fails (the error is also recorded on the snapshot)
+ */
+async function refreshAccount(account, accountManager = manager) {
+    if (!accountManager) throw new Error('Quota poller not started');
+
+    const existing = inFlight.get(account.email);
+    if (existing) return existing;
+
+    const promise = (async () => {
+        try {
+            const token = await accountManager.getTokenForAccount(account);
+            const quotas = await getModelQuotas(token);
+            accountManager.updateQuotas(account.email, quotas);
+            return accountManager.getQuotaSnapshot(account.email);
+        } catch (error) {
+            accountManager.recordQuotaError(account.email, error.message);
+            throw error;
+        } finally {
+            inFlight.delete(account.email);
+        }
+    })();
+
+    inFlight.set(account.email, promise);
+    return promise;
+}
+
+/**
+ * Poll every usable account once, one at a time to keep the API traffic smooth
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+async function pollAll() {
+    if (!manager) return { refreshed: 0, failed: 0 };
+    if (running) return running;
+
+    running = (async () => {
+        let refreshed = 0;
+        let failed = 0;
+
+        for (const account of manager.getAllAccounts()) {
+            if (account.isInvalid || account.enabled === false) continue;
+            try {
+                await refreshAccount(account);
+                refreshed++;
+            } catch (error) {
+                failed++;
+                logger.debug(`[QuotaPoller] Failed to fetch quotas for ${account.email}: ${error.message}`);
+            }
+        }
+
+        logger.debug(`[QuotaPoller] Refreshed ${refreshed} account(s), ${failed} failed`);
+        return { refreshed, failed };
+    })();
+
+    try {
+        return await running;
+    } finally {
+        running = null;
+    }
+}
+
+// Cycles are spread by up to jitterMs, the first one included
+const job = createPeriodicJob({
+    configKey: 'quotaPolling',
+    isEnabled: () => getSettings().enabled,
+    run: pollAll,
+    getDelayMs: first => {
+        const { intervalMs, jitterMs } = getSettings();
+        return (first ? 0 : intervalMs) + Math.floor(Math.random() * (jitterMs + 1));
+    },
+    onEnable: () => logger.info(`[QuotaPoller] Polling account quotas every ${formatDuration(getSettings().intervalMs)}`),
+    onDisable: () => logger.info('[QuotaPoller] Quota polling disabled')
+});
+
+/**
+ * Start background polling. The first cycle runs after the jitter delay so
+ * snapshots are available shortly after startup. Polling follows later
+ * changes to quotaPolling.enabled, so a disabled poller can be turned on
+ * without a restart.
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ */
+function start(accountManager) {
+    manager = accountManager;
+    job.start();
+}
+
+/**
+ * Stop background polling
+ */
+function stop() {
+    job.stop();
+}
+
+/**
+ * Get quotas for an account, from the cached snapshot unless a live fetch is
+ * requested or nothing has been fetched successfully yet.
+ *
+ * @param {Object} account - Account object
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Force a live refresh
+ * @param {import('../account-manager/index.js').default} [options.accountManager] - Defaults to the started manager
+ * @returns {Promise<{quotas: Object, fetchedAt: number, cached: boolean}>}
+ * @throws {Error} If a live fetch was needed and failed
+ */
+async function getQuotas(account, { fresh = false, accountManager = manager } = {}) {
+    const snapshot = accountManager?.getQuotaSnapshot(account.email);
+    if (!fresh && snapshot?.fetchedAt) {
+        return { quotas: snapshot.quotas, fetchedAt: snapshot.fetchedAt, cached: true };
+    }
+
+    const updated = await refreshAccount(account, accountManager);
+    return { quotas: updated.quotas, fetchedAt: updated.fetchedAt, cached: false };
+}
+
+export default {
+    start,
+    stop,
+    pollAll,
+    refreshAccount,
+    getQuotas
+};
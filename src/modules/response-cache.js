@@ -0,0 +1,374 @@
+/**
+ * Response Cache Module
+ * Opt-in cache for identical, deterministic generation requests.
+ *
+ * Requests are keyed by a SHA-256 of the normalized model, system prompt,
+ * messages, tools and generation parameters. A request is only looked up
+ * when caching is enabled and either temperature is 0 or the client sends
+ * `x-proxy-cache: 1`. `x-proxy-cache: 0` always bypasses the cache.
+ *
+ * Entries are full Anthropic messages. Streamed responses are assembled into
+ * a message as they pass through, and a hit on a streaming request is
+ * replayed as a normal Anthropic SSE event sequence.
+ *
+ * Config (config.json):
+ *   "responseCache": { "enabled": true, "ttlMs": 3600000, "maxEntries": 500, "maxBytes": 52428800 }
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { getModelFamily } from '../constants.js';
+import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+export const CACHE_HEADER = 'x-proxy-cache';
+
+// Request fields that affect the generated output
+const KEY_FIELDS = ['model', 'system', 'messages', 'tools', 'tool_choice', 'thinking', 'max_tokens', 'temperature', 'top_p', 'top_k', 'stop_sequences'];
+
+// key -> { message, size, createdAt, hits } (Map order = least recently used first)
+const entries = new Map();
+const stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+let totalBytes = 0;
+
+/**
+ * Get cache settings from config
+ * @returns {{enabled: boolean, ttlMs: number, maxEntries: number, maxBytes: number}}
+ */
+function getSettings() {
+    const settings = config?.responseCache || {};
+    return {
+        enabled: settings.enabled === true,
+        ttlMs: settings.ttlMs || DEFAULT_TTL_MS,
+        maxEntries: settings.maxEntries || DEFAULT_MAX_ENTRIES,
+        maxBytes: settings.maxBytes || DEFAULT_MAX_BYTES
+    };
+}
+
+/**
+ * Normalize a value for hashing: sort object keys, drop cache_control hints
+ * and turn string content into a single text block.
+ * @param {*} value - Request fragment
+ * @returns {*} Normalized copy
+ */
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+        if (key === 'cache_control' || value[key] === undefined) continue;
+        result[key] = key === 'content' && typeof value[key] === 'string'
+            ? [{ text: value[key], type: 'text' }]
+            : normalize(value[key]);
+    }
+    return result;
+}
+
+/**
+ * Compute the cache key for an Anthropic-format request
+ * @param {Object} request - Anthropic Messages API request
+ * @returns {string} Hex SHA-256 key
+ */
+export function computeCacheKey(request) {
+    const fields = {};
+    for (const field of KEY_FIELDS) {
+        if (request[field] !== undefined && request[field] !== null) fields[field] = request[field];
+    }
+    if (typeof fields.system === 'string') {
+        fields.system = [{ type: 'text', text: fields.system }];
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(normalize(fields))).digest('hex');
+}
+
+/**
+ * Decide whether a request may use the cache
+ * @param {Object} request - Anthropic Messages API request
+ * @param {Object} [headers] - Incoming HTTP headers (lower-cased, as Express provides)
+ * @returns {boolean} True if the request should be looked up and stored
+ */
+export function isCacheable(request, headers = {}) {
+    if (!getSettings().enabled) return false;
+
+    const header = String(headers[CACHE_HEADER] ?? '').toLowerCase();
+    if (['0', 'false', 'off', 'bypass'].includes(header)) return false;
+    if (['1', 'true', 'on', 'force'].includes(header)) return true;
+    return request.temperature === 0;
+}
+
+/**
+ * Remove an entry and update the byte count
+ * @param {string} key - Cache key
+ */
+function removeEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+}
+
+/**
+ * Evict least recently used entries until the cache fits its limits
+ * @param {{maxEntries: number, maxBytes: number}} settings - Cache settings
+ */
+function enforceLimits({ maxEntries, maxBytes }) {
+    while (entries.size > 0 && (entries.size > maxEntries || totalBytes > maxBytes)) {
+        removeEntry(entries.keys().next().value);
+        stats.evictions++;
+    }
+}
+
+/**
+ * Look up a request in the cache
+ * @param {Object} request - Anthropic Messages API request
+ * @param {Object} [headers] - Incoming HTTP headers
+ * @returns {{key: string, message: Object|null}|null} Lookup result (message is null on a miss),
+ *   or null when the request is not cacheable
+ */
+function lookup(request, headers = {}) {
+    if (!isCacheable(request, headers)) return null;
+
+    const key = computeCacheKey(request);
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.createdAt <= getSettings().ttlMs) {
+        // Move to the most recently used position
+        entries.delete(key);
+        entries.set(key, entry);
+        entry.hits++;
+        stats.hits++;
+        logger.debug(`[ResponseCache] Hit ${key.slice(0, 12)} (${request.model})`);
+        return { key, message: entry.message };
+    }
+
+    if (entry) removeEntry(key);
+    stats.misses++;
+    return { key, message: null };
+}
+
+/**
+ * Store a completed response
+ * @param {string} key - Cache key
+ * @param {Object} message - Anthropic Messages API response
+ */
+function store(key, message) {
+    if (!message?.stop_reason || !Array.isArray(message.content) || message.content.length === 0) return;
+
+    const settings = getSettings();
+    const size = Buffer.byteLength(JSON.stringify(message));
+    if (size > settings.maxBytes) return;
+
+    removeEntry(key);
+    entries.set(key, { message, size, createdAt: Date.now(), hits: 0 });
+    totalBytes += size;
+    stats.stores++;
+    enforceLimits(settings);
+}
+
+/**
+ * Re-cache the signatures carried by a replayed message, so Gemini tool
+ * loops keep working after the signature cache entry has expired
+ * @param {Object} message - Cached Anthropic message
+ */
+function restoreSignatures(message) {
+    for (const block of message.content) {
+        if (block.type === 'tool_use' && block.thoughtSignature) {
+            cacheSignature(block.id, block.thoughtSignature);
+        } else if (block.type === 'thinking' && block.signature) {
+            cacheThinkingSignature(block.signature, getModelFamily(message.model));
+        }
+    }
+}
+
+/**
+ * Copy a cached message with a fresh message ID
+ * @param {Object} message - Cached Anthropic message
+ * @returns {Object} Response to send
+ */
+function replayMessage(message) {
+    restoreSignatures(message);
+    return { ...message, id: `msg_${crypto.randomBytes(16).toString('hex')}` };
+}
+
+/**
+ * Convert a message into the Anthropic SSE event sequence
+ * @param {Object} message - Cached Anthropic message
+ * @yields {Object} Anthropic-format SSE events
+ */
+function* messageToEvents(message) {
+    const { content, stop_reason, stop_sequence, usage, ...rest } = replayMessage(message);
+
+    yield {
+        type: 'message_start',
+        message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 0 } }
+    };
+
+    for (const [index, block] of content.entries()) {
+        if (block.type === 'text') {
+            yield { type: 'content_block_start', index, content_block: { type: 'text', text: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } };
+        } else if (block.type === 'thinking') {
+            yield { type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } };
+            yield { type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } };
+            if (block.signature) {
+                yield { type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } };
+            }
+        } else if (block.type === 'tool_use') {
+            const { input, ...start } = block;
+            yield { type: 'content_block_start', index, content_block: { ...start, input: {} } };
+            yield { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(input || {}) } };
+        } else {
+            yield { type: 'content_block_start', index, content_block: block };
+        }
+        yield { type: 'content_block_stop', index };
+    }
+
+    yield { type: 'message_delta', delta: { stop_reason, stop_sequence }, usage };
+    yield { type: 'message_stop' };
+}
+
+/**
+ * Assemble streamed events back into a message
+ * @param {Object|null} message - Message being built (null before message_start)
+ * @param {Object} event - Anthropic SSE event
+ * @returns {Object|null} Updated message
+ */
+function applyEvent(message, event) {
+    switch (event.type) {
+        case 'message_start':
+            return { ...event.message, content: [] };
+        case 'content_block_start':
+            message.content[event.index] = { ...event.content_block };
+            break;
+        case 'content_block_delta': {
+            const block = message.content[event.index];
+            const { delta } = event;
+            if (delta.type === 'text_delta') block.text = (block.text || '') + delta.text;
+            else if (delta.type === 'thinking_delta') block.thinking = (block.thinking || '') + delta.thinking;
+            else if (delta.type === 'signature_delta') block.signature = delta.signature;
+            else if (delta.type === 'input_json_delta') block.partialJson = (block.partialJson || '') + delta.partial_json;
+            break;
+        }
+        case 'content_block_stop': {
+            const block = message.content[event.index];
+            if (block?.partialJson !== undefined) {
+                block.input = JSON.parse(block.partialJson || '{}');
+                delete block.partialJson;
+            }
+            break;
+        }
+        case 'message_delta':
+            message.stop_reason = event.delta?.stop_reason ?? message.stop_reason;
+            message.stop_sequence = event.delta?.stop_sequence ?? null;
+            message.usage = { ...message.usage, ...event.usage };
+            break;
+    }
+    return message;
+}
+
+/**
+ * Send a non-streaming request through the cache
+ * @param {{key: string, message: Object|null}|null} cached - Result of lookup()
+ * @param {Function} fetchResponse - Returns a promise for the upstream response on a miss
+ * @returns {Promise<Object>} Anthropic Messages API response
+ */
+async function send(cached, fetchResponse) {
+    if (cached?.message) return replayMessage(cached.message);
+
+    const response = await fetchResponse();
+    if (cached) store(cached.key, response);
+    return response;
+}
+
+/**
+ * Stream a request through the cache. Hits are replayed; misses pass the
+ * upstream events through unchanged and are stored once the stream completes.
+ * @param {{key: string, message: Object|null}|null} cached - Result of lookup()
+ * @param {Function} open - Returns the upstream event iterable on a miss
+ * @yields {Object} Anthropic-format SSE events
+ */
+async function* stream(cached, open) {
+    if (cached?.message) {
+        yield* messageToEvents(cached.message);
+        return;
+    }
+
+    let key = cached?.key || null;
+    let message = null;
+    let complete = false;
+    for await (const event of open()) {
+        if (key) {
+            try {
+                message = applyEvent(message, event);
+                complete = event.type === 'message_stop';
+            } catch (error) {
+                logger.warn(`[ResponseCache] Not caching malformed stream: ${error.message}`);
+                key = null;
+            }
+        }
+        yield event;
+    }
+
+    if (key && complete) store(key, message);
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Settings, entry counts and hit rate
+ */
+function getStats() {
+    const settings = getSettings();
+    const lookups = stats.hits + stats.misses;
+    return {
+        ...settings,
+        ...stats,
+        entries: entries.size,
+        bytes: totalBytes,
+        hitRate: lookups > 0 ? stats.hits / lookups : null
+    };
+}
+
+/**
+ * Drop every cached response
+ * @returns {number} Number of entries removed
+ */
+function purge() {
+    const removed = entries.size;
+    entries.clear();
+    totalBytes = 0;
+    return removed;
+}
+
+/**
+ * Setup API Routes
+ * @param {import('express').Application} app
+ */
+function setupRoutes(app) {
+    /**
+     * GET /api/response-cache - Cache settings, size and hit rate
+     */
+    app.get('/api/response-cache', (req, res) => {
+        res.json({ status: 'ok', cache: getStats() });
+    });
+
+    /**
+     * DELETE /api/response-cache - Purge all cached responses
+     */
+    app.delete('/api/response-cache', (req, res) => {
+        const removed = purge();
+        logger.info(`[ResponseCache] Purged ${removed} entries`);
+        res.json({ status: 'ok', removed });
+    });
+}
+
+export default {
+    setupRoutes,
+    lookup,
+    send,
+    stream,
+    getStats,
+    purge
+};
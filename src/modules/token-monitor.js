@@ -0,0 +1,229 @@
+/**
+ * Token Monitor Module
+ * Keeps OAuth access tokens fresh and checks refresh tokens in the
+ * background, so a revoked refresh token is found here instead of by a
+ * user's request:
+ *
+ *   - Accounts in use get a new access token shortly before the cached one
+ *     expires (tokenCacheTtlMs, or the token's own expiry if sooner)
+ *   - Every refresh token is checked once per validateIntervalMs (and at
+ *     startup) by refreshing it
+ *
+ * A rejected refresh token marks the account invalid ("needs re-auth").
+ * Each newly invalid account, whether found here or by a request, is logged,
+ * posted to the optional webhook, and listed under `auth` on /health.
+ *
+ * Config (config.json):
+ *   "tokenRefresh": {
+ *     "enabled": true, "checkIntervalMs": 60000, "refreshAheadMs": 60000,
+ *     "validateIntervalMs": 21600000, "webhookUrl": "https://hooks.example.com/..."
+ *   }
+ */
+
+import { config } from '../config.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { createPeriodicJob } from '../utils/periodic-job.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+const DEFAULT_REFRESH_AHEAD_MS = 60 * 1000; // 1 minute
+const DEFAULT_VALIDATE_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const MIN_CHECK_INTERVAL_MS = 10 * 1000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+let manager = null;
+let running = null; // In-flight check cycle
+let lastCheckAt = null;
+const validatedAt = new Map(); // email -> last successful refresh by this job (ms)
+const needsReauth = new Map(); // email -> { reason, since } for accounts already reported
+
+/**
+ * Get the effective monitor settings
+ * @returns {{enabled: boolean, checkIntervalMs: number, refreshAheadMs: number, validateIntervalMs: number, webhookUrl: string|null}}
+ */
+function getSettings() {
+    const settings = config?.tokenRefresh || {};
+    return {
+        enabled: settings.enabled !== false,
+        checkIntervalMs: Math.max(MIN_CHECK_INTERVAL_MS, settings.checkIntervalMs || DEFAULT_CHECK_INTERVAL_MS),
+        refreshAheadMs: settings.refreshAheadMs ?? DEFAULT_REFRESH_AHEAD_MS,
+        validateIntervalMs: settings.validateIntervalMs || DEFAULT_VALIDATE_INTERVAL_MS,
+        webhookUrl: settings.webhookUrl || null
+    };
+}
+
+/**
+ * Decide whether an account's token should be refreshed in this cycle
+ * @param {Object} account - Account object
+ * @param {number} now - Current time (ms)
+ * @param {Object} settings - Monitor settings
+ * @returns {'recheck'|'expiring'|'validate'|null} Reason, or null to leave it alone
+ */
+function getRefreshReason(account, now, settings) {
+    // Reported as invalid earlier but no longer flagged (reloaded from disk, or
+    // refreshed by a request): confirm before calling it recovered
+    if (needsReauth.has(account.email)) return 'recheck';
+
+    // Only tokens used since their last refresh are kept warm, so idle
+    // accounts drop out after one cycle
+    const timing = manager.getTokenTiming(account.email);
+    if (timing && account.lastUsed > timing.refreshedAt && timing.expiresAt - now <= settings.refreshAheadMs) {
+        return 'expiring';
+    }
+
+    if (now - (validatedAt.get(account.email) || 0) >= settings.validateIntervalMs) return 'validate';
+    return null;
+}
+
+/**
+ * Tell the webhook (if configured) that an account needs re-authentication
+ * @param {string} email - Account email
+ * @param {string} reason - Why the account was marked invalid
+ */
+async function postWebhook(email, reason) {
+    const { webhookUrl } = getSettings();
+    if (!webhookUrl) return;
+
+    try {
+        const response = await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                event: 'account.needs_reauth',
+                email,
+                reason,
+                timestamp: new Date().toISOString(),
+                text: `Antigravity proxy: ${email} needs re-authentication (${reason}). ` +
+                    `Run "accounts reauth ${email}" or use Fix in the WebUI.`
+            }),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        logger.warn(`[TokenMonitor] Webhook notification for ${email} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Report accounts that became invalid since the last cycle, and forget
+ * accounts that have recovered
+ * @param {Set<string>} recovered - Emails whose re-check succeeded in this cycle
+ */
+function reportChanges(recovered) {
+    for (const account of manager.getAllAccounts()) {
+        if (account.isInvalid && !needsReauth.has(account.email)) {
+            const reason = account.invalidReason || 'Unknown error';
+            needsReauth.set(account.email, { reason, since: account.invalidAt || Date.now() });
+            logger.warn(`[TokenMonitor] ${account.email} needs re-authentication: ${reason}`);
+            postWebhook(account.email, reason);
+        } else if (!account.isInvalid && recovered.has(account.email)) {
+            needsReauth.delete(account.email);
+            logger.success(`[TokenMonitor] ${account.email} is authenticated again`);
+        }
+    }
+
+    // Removed accounts no longer need re-auth
+    const emails = new Set(manager.getAllAccounts().map(a => a.email));
+    for (const email of needsReauth.keys()) {
+        if (!emails.has(email)) needsReauth.delete(email);
+    }
+}
+
+/**
+ * Run one check cycle: refresh expiring and due tokens, one account at a time
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+async function checkAll() {
+    if (!manager) return { refreshed: 0, failed: 0 };
+    if (running) return running;
+
+    running = (async () => {
+        const settings = getSettings();
+        const recovered = new Set();
+        let refreshed = 0;
+        let failed = 0;
+
+        for (const account of manager.getAllAccounts()) {
+            if (account.source !== 'oauth' || !account.refreshToken) continue;
+            if (account.isInvalid || account.enabled === false) continue;
+
+            const reason = getRefreshReason(account, Date.now(), settings);
+            if (!reason) continue;
+
+            try {
+                await manager.getTokenForAccount(account, { force: true });
+                validatedAt.set(account.email, Date.now());
+                if (reason === 'recheck') recovered.add(account.email);
+                refreshed++;
+            } catch (error) {
+                // Rejected refresh tokens are marked invalid by getTokenForAccount
+                failed++;
+                logger.debug(`[TokenMonitor] Token refresh (${reason}) failed for ${account.email}: ${error.message}`);
+            }
+        }
+
+        reportChanges(recovered);
+        lastCheckAt = Date.now();
+        if (refreshed > 0 || failed > 0) {
+            logger.debug(`[TokenMonitor] Refreshed ${refreshed} token(s), ${failed} failed`);
+        }
+        return { refreshed, failed };
+    })();
+
+    try {
+        return await running;
+    } finally {
+        running = null;
+    }
+}
+
+const job = createPeriodicJob({
+    configKey: 'tokenRefresh',
+    isEnabled: () => getSettings().enabled,
+    run: checkAll,
+    getDelayMs: first => (first ? 0 : getSettings().checkIntervalMs),
+    onEnable: () => logger.info(`[TokenMonitor] Refreshing tokens ahead of expiry, checking refresh tokens every ${formatDuration(getSettings().validateIntervalMs)}`),
+    onDisable: () => logger.info('[TokenMonitor] Background token refresh disabled')
+});
+
+/**
+ * Start the monitor. The first cycle runs right away, so every refresh
+ * token is checked shortly after startup. Later changes to
+ * tokenRefresh.enabled start or stop it without a restart.
+ *
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ */
+function start(accountManager) {
+    manager = accountManager;
+    job.start();
+}
+
+/**
+ * Stop the monitor
+ */
+function stop() {
+    job.stop();
+}
+
+/**
+ * Get the monitor state for /health and the dashboard
+ * @returns {{enabled: boolean, lastCheckAt: string|null, needsReauth: Array<{email: string, reason: string, since: string}>}}
+ */
+function getStatus() {
+    return {
+        enabled: getSettings().enabled,
+        lastCheckAt: lastCheckAt ? new Date(lastCheckAt).toISOString() : null,
+        needsReauth: [...needsReauth].map(([email, { reason, since }]) => ({
+            email,
+            reason,
+            since: new Date(since).toISOString()
+        }))
+    };
+}
+
+export default {
+    start,
+    stop,
+    checkAll,
+    getStatus
+};
@@ -0,0 +1,425 @@
+/**
+ * Usage Ledger
+ *
+ * Durable per-request ledger stored in SQLite (data/usage-ledger.db).
+ * Each completed /v1/messages, /v1/chat/completions or native Gemini request becomes one row
+ * with the serving account, model, token counts (input, output, cache read),
+ * latency, stop reason, outcome and proxy API key. Totals can be queried by
+ * account, model, day or API key to see which accounts burn quota and how
+ * effective caching is.
+ *
+ * Optional pricing (USD per million tokens) can be configured per model in
+ * config.json under usageLedger.pricing to get cost estimates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { loadDatabaseModule } from '../auth/database.js';
+import { logger } from '../utils/logger.js';
+
+// Persistence path (same data directory as usage-stats)
+const DATA_DIR = path.join(process.cwd(), 'data');
+const LEDGER_FILE = path.join(DATA_DIR, 'usage-ledger.db');
+
+const DEFAULT_RETENTION_DAYS = 90;
+// Prune old rows every N inserts (and at startup), not on every insert
+const PRUNE_EVERY_INSERTS = 1000;
+const GROUP_BY_COLUMNS = {
+    account: 'account',
+    model: 'model',
+    day: 'day',
+    key: 'api_key'
+};
+
+let db = null;
+let insertStmt = null;
+let insertsSincePrune = 0;
+const recordListeners = [];
+
+/**
+ * Open the ledger database and create the schema if needed.
+ * Failure to load SQLite disables the ledger instead of crashing the server.
+ *
+ * @param {string} [dbPath] - Path to the SQLite file (':memory:' for tests)
+ * @returns {boolean} True if the ledger is available
+ */
+function initialize(dbPath = LEDGER_FILE) {
+    if (db) return true;
+    if (config.usageLedger?.enabled === false) {
+        logger.info('[UsageLedger] Disabled via config');
+        return false;
+    }
+
+    try {
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+        const Database = loadDatabaseModule();
+        db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER NOT NULL,
+                day TEXT NOT NULL,
+                endpoint TEXT,
+                account TEXT,
+                model TEXT,
+                requested_model TEXT,
+                stream INTEGER NOT NULL DEFAULT 0,
+                input_tokens INTEGER NOT NULL DEFAULT 0,
+                output_tokens INTEGER NOT NULL DEFAULT 0,
+                cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+                cost_usd REAL NOT NULL DEFAULT 0,
+                latency_ms INTEGER,
+                stop_reason TEXT,
+                outcome TEXT NOT NULL,
+                error TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_requests_day ON requests(day);
+            CREATE INDEX IF NOT EXISTS idx_requests_account ON requests(account);
+            CREATE INDEX IF NOT EXISTS idx_requests_model ON requests(model);
+        `);
+
+        // Columns added after the initial schema
+        const columns = db.prepare('PRAGMA table_info(requests)').all().map(c => c.name);
+        if (!columns.includes('api_key')) {
+            db.exec('ALTER TABLE requests ADD COLUMN api_key TEXT');
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_requests_api_key ON requests(api_key)');
+
+        insertStmt = db.prepare(`
+            INSERT INTO requests (
+                timestamp, day, endpoint, api_key, account, model, requested_model, stream,
+                input_tokens, output_tokens, cache_read_tokens, cost_usd,
+                latency_ms, stop_reason, outcome, error
+            ) VALUES (
+                @timestamp, @day, @endpoint, @apiKey, @account, @model, @requestedModel, @stream,
+                @inputTokens, @outputTokens, @cacheReadTokens, @costUsd,
+                @latencyMs, @stopReason, @outcome, @error
+            )
+        `);
+
+        prune();
+        return true;
+    } catch (error) {
+        logger.warn(`[UsageLedger] Ledger disabled, could not open database: ${error.message}`);
+        db = null;
+        insertStmt = null;
+        return false;
+    }
+}
+
+/**
+ * Delete rows older than the retention window
+ * @returns {number} Number of rows deleted
+ */
+function prune() {
+    if (!db) return 0;
+    insertsSincePrune = 0;
+    const retentionDays = config.usageLedger?.retentionDays || DEFAULT_RETENTION_DAYS;
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    return db.prepare('DELETE FROM requests WHERE timestamp < ?').run(cutoff).changes;
+}
+
+/**
+ * Estimate cost in USD from configured pricing
+ * @param {string} model - Model ID
+ * @param {Object} record - Usage record with token counts
+ * @returns {number} Cost in USD (0 if no pricing configured)
+ */
+function estimateCost(model, record) {
+    const pricing = config.usageLedger?.pricing?.[model];
+    if (!pricing) return 0;
+    return (
+        record.inputTokens * (pricing.input || 0) +
+        record.outputTokens * (pricing.output || 0) +
+        record.cacheReadTokens * (pricing.cacheRead ?? pricing.input ?? 0)
+    ) / 1e6;
+}
+
+/**
+ * Start a ledger record for an incoming request.
+ * The returned object is also passed to sendMessage/sendMessageStream as
+ * requestMeta so the handlers can fill in the serving account and model.
+ *
+ * @param {Object} info - Request info
+ * @param {string} info.endpoint - API path that received the request
+ * @param {string} info.model - Model ID the request targets
+ * @param {boolean} info.stream - Whether the request is streaming
+ * @param {string} [info.apiKey] - ID of the proxy API key used, if any
+ * @param {string|string[]} [info.accountGroup] - Account group(s) chosen by a routing rule or API key, read by the handlers
+ * @returns {Object} Mutable usage record
+ */
+function startRecord({ endpoint, model, stream, apiKey = null, accountGroup = null }) {
+    return {
+        startedAt: Date.now(),
+        endpoint,
+        apiKey,
+        accountGroup,
+        requestedModel: model,
+        model,
+        account: null,
+        stream: !!stream,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        stopReason: null,
+        finished: false
+    };
+}
+
+/**
+ * Update a record from an Anthropic-format stream event
+ * @param {Object} record - Usage record from startRecord
+ * @param {Object} event - Anthropic SSE event
+ */
+function observeEvent(record, event) {
+    if (event.type === 'message_start') {
+        const usage = event.message?.usage || {};
+        record.inputTokens = usage.input_tokens || record.inputTokens;
+        record.cacheReadTokens = usage.cache_read_input_tokens || record.cacheReadTokens;
+    } else if (event.type === 'message_delta') {
+        const usage = event.usage || {};
+        record.inputTokens = usage.input_tokens ?? record.inputTokens;
+        record.outputTokens = usage.output_tokens ?? record.outputTokens;
+        record.cacheReadTokens = usage.cache_read_input_tokens ?? record.cacheReadTokens;
+        record.stopReason = event.delta?.stop_reason || record.stopReason;
+    }
+}
+
+/**
+ * Update a record from a non-streaming Anthropic-format response
+ * @param {Object} record - Usage record from startRecord
+ * @param {Object} response - Anthropic Messages API response
+ */
+function observeResponse(record, response) {
+    const usage = response?.usage || {};
+    record.inputTokens = usage.input_tokens || 0;
+    record.outputTokens = usage.output_tokens || 0;
+    record.cacheReadTokens = usage.cache_read_input_tokens || 0;
+    record.stopReason = response?.stop_reason || null;
+}
+
+/**
+ * Update a record from a native Gemini usageMetadata object
+ * @param {Object} record - Usage record from startRecord
+ * @param {Object} usageMetadata - Gemini API usageMetadata
+ */
+function observeUsageMetadata(record, usageMetadata) {
+    if (!usageMetadata) return;
+    const cached = usageMetadata.cachedContentTokenCount || 0;
+    record.inputTokens = (usageMetadata.promptTokenCount || 0) - cached;
+    record.outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    record.cacheReadTokens = cached;
+}
+
+/**
+ * Wrap an Anthropic event stream so usage is recorded as events pass through
+ * @param {Object} record - Usage record from startRecord
+ * @param {AsyncIterable<Object>} events - Anthropic SSE events
+ * @yields {Object} The same events, unchanged
+ */
+async function* trackStream(record, events) {
+    for await (const event of events) {
+        observeEvent(record, event);
+        yield event;
+    }
+}
+
+/**
+ * Register a listener called with every finished record
+ * (even when the ledger database is unavailable)
+ * @param {Function} listener - Called with the finished record
+ */
+function onRecord(listener) {
+    recordListeners.push(listener);
+}
+
+/**
+ * Finish a record and write it to the ledger. Safe to call more than once;
+ * only the first call is persisted.
+ *
+ * @param {Object} record - Usage record from startRecord
+ * @param {Error} [error] - Error if the request failed
+ */
+function finishRecord(record, error = null) {
+    if (!record || record.finished) return;
+    record.finished = true;
+
+    for (const listener of recordListeners) {
+        try {
+            listener(record, error);
+        } catch (err) {
+            logger.warn(`[UsageLedger] Record listener failed: ${err.message}`);
+        }
+    }
+
+    if (!insertStmt) return;
+
+    const now = Date.now();
+    try {
+        insertStmt.run({
+            timestamp: record.startedAt,
+            day: new Date(record.startedAt).toISOString().slice(0, 10),
+            endpoint: record.endpoint,
+            apiKey: record.apiKey,
+            account: record.account,
+            model: record.model,
+            requestedModel: record.requestedModel,
+            stream: record.stream ? 1 : 0,
+            inputTokens: record.inputTokens,
+            outputTokens: record.outputTokens,
+            cacheReadTokens: record.cacheReadTokens,
+            costUsd: estimateCost(record.model, record),
+            latencyMs: now - record.startedAt,
+            stopReason: record.stopReason,
+            outcome: error ? 'error' : 'success',
+            error: error ? String(error.message || error).slice(0, 500) : null
+        });
+        if (++insertsSincePrune >= PRUNE_EVERY_INSERTS) prune();
+    } catch (err) {
+        logger.warn(`[UsageLedger] Failed to record request: ${err.message}`);
+    }
+}
+
+/**
+ * Build a WHERE clause from query filters
+ * @param {Object} filters - { from, to, account, model, apiKey }
+ * @returns {{where: string, params: Object}}
+ */
+function buildFilters({ from, to, account, model, apiKey } = {}) {
+    const clauses = [];
+    const params = {};
+    if (from) { clauses.push('day >= @from'); params.from = from; }
+    if (to) { clauses.push('day <= @to'); params.to = to; }
+    if (account) { clauses.push('account = @account'); params.account = account; }
+    if (model) { clauses.push('model = @model'); params.model = model; }
+    if (apiKey) { clauses.push('api_key = @apiKey'); params.apiKey = apiKey; }
+    return {
+        where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Get aggregated totals grouped by account, model, day or API key
+ *
+ * @param {Object} [options] - Query options
+ * @param {'account'|'model'|'day'|'key'} [options.groupBy='day'] - Grouping column
+ * @param {string} [options.from] - Start day (YYYY-MM-DD, inclusive)
+ * @param {string} [options.to] - End day (YYYY-MM-DD, inclusive)
+ * @param {string} [options.account] - Filter by account email
+ * @param {string} [options.model] - Filter by model ID
+ * @param {string} [options.apiKey] - Filter by proxy API key ID
+ * @returns {Array<Object>} One row per group
+ */
+function getTotals(options = {}) {
+    if (!db) return [];
+    const column = GROUP_BY_COLUMNS[options.groupBy || 'day'];
+    if (!column) {
+        throw new Error(`Invalid groupBy: ${options.groupBy}. Use account, model, day or key`);
+    }
+
+    const { where, params } = buildFilters(options);
+    const rows = db.prepare(`
+        SELECT
+            ${column} AS key,
+            COUNT(*) AS requests,
+            SUM(CASE WHEN outcome = 'error' THEN 1 ELSE 0 END) AS errors,
+            SUM(input_tokens) AS inputTokens,
+            SUM(output_tokens) AS outputTokens,
+            SUM(cache_read_tokens) AS cacheReadTokens,
+            SUM(cost_usd) AS costUsd,
+            CAST(AVG(latency_ms) AS INTEGER) AS avgLatencyMs
+        FROM requests
+        ${where}
+        GROUP BY ${column}
+        ORDER BY ${column === 'day' ? 'key ASC' : 'requests DESC'}
+    `).all(params);
+
+    return rows.map(row => {
+        const promptTokens = row.inputTokens + row.cacheReadTokens;
+        return {
+            ...row,
+            // Share of prompt tokens served from the prompt cache
+            cacheHitRate: promptTokens > 0 ? row.cacheReadTokens / promptTokens : 0
+        };
+    });
+}
+
+/**
+ * Get the most recent ledger rows
+ *
+ * @param {Object} [options] - Query options (same filters as getTotals, plus limit)
+ * @param {number} [options.limit=100] - Maximum rows to return
+ * @returns {Array<Object>} Ledger rows, newest first
+ */
+function getRecent(options = {}) {
+    if (!db) return [];
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 1000);
+    const { where, params } = buildFilters(options);
+    return db.prepare(`
+        SELECT * FROM requests
+        ${where}
+        ORDER BY timestamp DESC
+        LIMIT ${limit}
+    `).all(params);
+}
+
+/**
+ * Setup API Routes
+ * @param {import('express').Application} app
+ */
+function setupRoutes(app) {
+    /**
+     * GET /api/usage/totals - Aggregated usage
+     * Query: groupBy=account|model|day|key, from, to, account, model, apiKey
+     */
+    app.get('/api/usage/totals', (req, res) => {
+        try {
+            const { groupBy = 'day', from, to, account, model, apiKey } = req.query;
+            res.json({
+                status: 'ok',
+                enabled: !!db,
+                groupBy,
+                totals: getTotals({ groupBy, from, to, account, model, apiKey })
+            });
+        } catch (error) {
+            res.status(400).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/usage/requests - Most recent ledger rows
+     * Query: limit, from, to, account, model, apiKey
+     */
+    app.get('/api/usage/requests', (req, res) => {
+        try {
+            const { limit, from, to, account, model, apiKey } = req.query;
+            res.json({
+                status: 'ok',
+                enabled: !!db,
+                requests: getRecent({ limit, from, to, account, model, apiKey })
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+}
+
+export default {
+    initialize,
+    prune,
+    startRecord,
+    observeEvent,
+    observeResponse,
+    observeUsageMetadata,
+    trackStream,
+    onRecord,
+    finishRecord,
+    getTotals,
+    getRecent,
+    setupRoutes
+};
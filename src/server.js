@@ -8,22 +8,39 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { sendMessage, sendMessageStream, listModels, getModelQuotas } from './cloudcode/index.js';
-import { mountWebUI } from './webui/index.js';
+import { sendMessage, sendMessageStream, listModels, countTokens, sendGeminiMessage, sendGeminiMessageStream, getEndpointHealth } from './cloudcode/index.js';
+import { convertOpenAIToAnthropic, convertAnthropicToOpenAI, streamAnthropicToOpenAI } from './format/index.js';
+import { mountWebUI, requireWebuiPassword } from './webui/index.js';
 import { config } from './config.js';
+import { routeRequest, routeGeminiRequest } from './model-routing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 import { forceRefresh } from './auth/token-extractor.js';
-import { DEFAULT_MODEL, REQUEST_BODY_LIMIT } from './constants.js';
+import { REQUEST_BODY_LIMIT } from './constants.js';
 import { AccountManager } from './account-manager/index.js';
 import { formatDuration } from './utils/helpers.js';
 import { logger } from './utils/logger.js';
 import usageStats from './modules/usage-stats.js';
+import usageLedger from './modules/usage-ledger.js';
+import apiKeys from './modules/api-keys.js';
+import quotaPoller from './modules/quota-poller.js';
+import tokenMonitor from './modules/token-monitor.js';
+import metrics from './modules/metrics.js';
+import responseCache from './modules/response-cache.js';
+import capture from './modules/capture.js';
+import { initSignatureCache } from './format/signature-cache.js';
 
 // Parse fallback flag directly from command line args to avoid circular dependency
 const args = process.argv.slice(2);
-const FALLBACK_ENABLED = args.includes('--fallback') || process.env.FALLBACK === 'true';
+const FALLBACK_FLAG = args.includes('--fallback') || process.env.FALLBACK === 'true';
+
+/**
+ * Model fallback is on with --fallback / FALLBACK=true, or "fallback": true in
+ * config.json (checked per request so it can be toggled without a restart)
+ * @returns {boolean}
+ */
+const isFallbackEnabled = () => FALLBACK_FLAG || config.fallback === true;
 
 const app = express();
 
@@ -50,6 +67,8 @@ async function ensureInitialized() {
             isInitialized = true;
             const status = accountManager.getStatus();
             logger.success(`[Server] Account pool initialized: ${status.summary}`);
+            quotaPoller.start(accountManager);
+            tokenMonitor.start(accountManager);
         } catch (error) {
             initError = error;
             initPromise = null; // Allow retry on failure
@@ -65,8 +84,20 @@ async function ensureInitialized() {
 app.use(cors());
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
+// Proxy API keys (guards /v1/* once keys exist); runs before usage tracking
+// so rejected requests are not counted
+apiKeys.setupMiddleware(app);
+
 // Setup usage statistics middleware
 usageStats.setupMiddleware(app);
+usageLedger.initialize();
+initSignatureCache();
+usageLedger.onRecord(record => apiKeys.recordUsage(record));
+usageLedger.onRecord((record, error) => metrics.recordRequest(record, error ? parseError(error).statusCode : 200));
+usageLedger.onRecord((record, error) => capture.finish(record, error));
+
+// The WebUI's account routes read and change the account pool, so load it first
+app.use('/api/accounts', (req, res, next) => ensureInitialized().then(() => next(), next));
 
 // Mount WebUI (optional web interface for account management)
 mountWebUI(app, __dirname, accountManager);
@@ -129,9 +160,32 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Check whether a request asks to bypass the quota snapshot cache (?fresh=1)
+ * @param {import('express').Request} req - Express request
+ * @returns {boolean} True if live quotas were requested
+ */
+function isFreshRequested(req) {
+    return req.query.fresh === '1' || req.query.fresh === 'true';
+}
+
+/**
+ * Report the model that answered a request, which differs from the routed
+ * model when a fallback chain moved the request on
+ * @param {import('express').Response} res - Express response (headers not yet sent)
+ * @param {string} modelId - Routed model
+ * @param {Object|null} usageRecord - Usage record the handler filled in
+ */
+function setServedModelHeaders(res, modelId, usageRecord) {
+    const served = usageRecord?.model || modelId;
+    res.setHeader('X-Model', served);
+    if (served !== modelId) res.setHeader('X-Fallback-From', modelId);
+}
+
 /**
  * Health check endpoint - Detailed status
  * Returns status of all accounts including rate limits and model quotas
+ * Quotas come from the background poller's snapshots; use ?fresh=1 for a live fetch
  */
 app.get('/health', async (req, res) => {
     try {
@@ -141,8 +195,9 @@ app.get('/health', async (req, res) => {
         // Get high-level status first
         const status = accountManager.getStatus();
         const allAccounts = accountManager.getAllAccounts();
+        const fresh = isFreshRequested(req);
 
-        // Fetch quotas for each account in parallel to get detailed model info
+        // Read quotas for each account (cached snapshot, or live in parallel) to get detailed model info
         const accountDetails = await Promise.allSettled(
             allAccounts.map(async (account) => {
                 // Check model-specific rate limits
@@ -171,8 +226,7 @@ app.get('/health', async (req, res) => {
                 }
 
                 try {
-                    const token = await accountManager.getTokenForAccount(account);
-                    const quotas = await getModelQuotas(token);
+                    const { quotas, fetchedAt } = await quotaPoller.getQuotas(account, { fresh, accountManager });
 
                     // Format quotas for readability
                     const formattedQuotas = {};
@@ -187,6 +241,7 @@ app.get('/health', async (req, res) => {
                     return {
                         ...baseInfo,
                         status: isRateLimited ? 'rate-limited' : 'ok',
+                        quotaFetchedAt: new Date(fetchedAt).toISOString(),
                         models: formattedQuotas
                     };
                 } catch (error) {
@@ -224,8 +279,13 @@ app.get('/health', async (req, res) => {
                 total: status.total,
                 available: status.available,
                 rateLimited: status.rateLimited,
-                invalid: status.invalid
+                invalid: status.invalid,
+                sessions: status.sessions
             },
+            selection: accountManager.getSelectionStrategies(),
+            endpoints: getEndpointHealth(),
+            fallbacks: metrics.getFallbackCounts(),
+            auth: tokenMonitor.getStatus(),
             accounts: detailedAccounts
         });
 
@@ -243,15 +303,17 @@ app.get('/health', async (req, res) => {
  * Account limits endpoint - fetch quota/limits for all accounts × all models
  * Returns a table showing remaining quota and reset time for each combination
  * Use ?format=table for ASCII table output, default is JSON
+ * Use ?fresh=1 to bypass the cached quota snapshots
  */
 app.get('/account-limits', async (req, res) => {
     try {
         await ensureInitialized();
         const allAccounts = accountManager.getAllAccounts();
+        const fresh = isFreshRequested(req);
         const format = req.query.format || 'json';
         const includeHistory = req.query.includeHistory === 'true';
 
-        // Fetch quotas for each account in parallel
+        // Get quotas for each account (cached snapshot unless ?fresh=1)
         const results = await Promise.allSettled(
             allAccounts.map(async (account) => {
                 // Skip invalid accounts
@@ -265,12 +327,12 @@ app.get('/account-limits', async (req, res) => {
                 }
 
                 try {
-                    const token = await accountManager.getTokenForAccount(account);
-                    const quotas = await getModelQuotas(token);
+                    const { quotas, fetchedAt } = await quotaPoller.getQuotas(account, { fresh, accountManager });
 
                     return {
                         email: account.email,
                         status: 'ok',
+                        quotaFetchedAt: new Date(fetchedAt).toISOString(),
                         models: quotas
                     };
                 } catch (error) {
@@ -436,6 +498,7 @@ app.get('/account-limits', async (req, res) => {
             totalAccounts: allAccounts.length,
             models: sortedModels,
             modelConfig: config.modelMapping || {},
+            reserveAccountGroup: config.reserveAccountGroup || null,
             accounts: accountLimits.map(acc => {
                 // Merge quota data with account metadata
                 const metadata = accountMetadataMap.get(acc.email) || {};
@@ -449,7 +512,9 @@ app.get('/account-limits', async (req, res) => {
                     projectId: metadata.projectId || null,
                     isInvalid: metadata.isInvalid || false,
                     invalidReason: metadata.invalidReason || null,
+                    invalidAt: metadata.invalidAt || null,
                     lastUsed: metadata.lastUsed || null,
+                    groups: metadata.groups || [],
                     modelRateLimits: metadata.modelRateLimits || {},
                     // Quota limits
                     limits: Object.fromEntries(
@@ -541,16 +606,51 @@ app.get('/v1/models', async (req, res) => {
 });
 
 /**
- * Count tokens endpoint (not supported)
+ * Count tokens endpoint - Anthropic count_tokens API compatible
+ * Uses the upstream countTokens endpoint when possible, otherwise a local estimate.
+ * The extra `estimated` field tells whether the count is exact.
  */
-app.post('/v1/messages/count_tokens', (req, res) => {
-    res.status(501).json({
-        type: 'error',
-        error: {
-            type: 'not_implemented',
-            message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+app.post('/v1/messages/count_tokens', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const { model, messages, system, tools, tool_choice, thinking } = req.body || {};
+
+        if (!messages || !Array.isArray(messages)) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: 'messages is required and must be an array'
+                }
+            });
         }
-    });
+
+        const route = routeRequest({
+            model,
+            messages,
+            system,
+            tools,
+            tool_choice,
+            thinking
+        }, req.headers);
+        const { request, model: modelId } = route;
+        if (apiKeys.rejectRoutedModel(req, res, model, route)) return;
+        const result = await countTokens(request, accountManager);
+
+        logger.debug(`[API] Counted ${result.input_tokens} tokens for ${modelId} (${result.estimated ? 'estimated' : 'exact'})`);
+        res.json(result);
+    } catch (error) {
+        logger.error('[API] Error counting tokens:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            type: 'error',
+            error: {
+                type: errorType,
+                message: errorMessage
+            }
+        });
+    }
 });
 
 /**
@@ -563,6 +663,7 @@ app.post('/v1/messages/count_tokens', (req, res) => {
  * POST /v1/messages
  */
 app.post('/v1/messages', async (req, res) => {
+    let usageRecord = null;
     try {
         // Ensure account manager is initialized
         await ensureInitialized();
@@ -581,24 +682,6 @@ app.post('/v1/messages', async (req, res) => {
             temperature
         } = req.body || {};
 
-        // Resolve model mapping if configured
-        let requestedModel = model || DEFAULT_MODEL;
-        const modelMapping = config.modelMapping || {};
-        if (modelMapping[requestedModel] && modelMapping[requestedModel].mapping) {
-            const targetModel = modelMapping[requestedModel].mapping;
-            logger.info(`[Server] Mapping model ${requestedModel} -> ${targetModel}`);
-            requestedModel = targetModel;
-        }
-
-        const modelId = requestedModel;
-
-        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
-        // If we have some available accounts, we try them first.
-        if (accountManager.isAllRateLimited(modelId)) {
-            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
-            accountManager.resetAllRateLimits();
-        }
-
         // Validate required fields
         if (!messages || !Array.isArray(messages)) {
             return res.status(400).json({
@@ -610,9 +693,9 @@ app.post('/v1/messages', async (req, res) => {
             });
         }
 
-        // Build the request object
-        const request = {
-            model: modelId,
+        // Build the request object, then apply routing rules / model mapping
+        const route = routeRequest({
+            model,
             messages,
             max_tokens: max_tokens || 4096,
             stream,
@@ -623,10 +706,30 @@ app.post('/v1/messages', async (req, res) => {
             top_p,
             top_k,
             temperature
-        };
+        }, req.headers);
+        const { request, model: modelId } = route;
+        if (apiKeys.rejectRoutedModel(req, res, model, route)) return;
+        apiKeys.commitRequest(req);
+        const accountGroup = route.accountGroup || apiKeys.getAccountGroups(req.apiKey);
+
+        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
+        // If we have some available accounts, we try them first.
+        if (accountManager.isAllRateLimited(modelId, accountGroup)) {
+            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
 
         logger.info(`[API] Request for model: ${request.model}, stream: ${!!stream}`);
 
+        usageRecord = usageLedger.startRecord({ endpoint: '/v1/messages', model: modelId, stream, apiKey: req.apiKey?.id, accountGroup });
+
+        const cached = responseCache.lookup(request, req.headers);
+        if (cached) {
+            res.setHeader('X-Cache', cached.message ? 'HIT' : 'MISS');
+            if (cached.message) usageRecord.account = 'cache';
+        }
+        if (!cached?.message) usageRecord.capture = capture.start(request, '/v1/messages');
+
         // Debug: Log message structure to diagnose tool_use/tool_result ordering
         if (logger.isDebugEnabled) {
             logger.debug('[API] Message structure:');
@@ -650,15 +753,19 @@ app.post('/v1/messages', async (req, res) => {
 
             try {
                 // Use the streaming generator with account manager
-                for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED)) {
+                const events = responseCache.stream(cached, () => sendMessageStream(request, accountManager, isFallbackEnabled(), usageRecord));
+                for await (const event of events) {
+                    usageLedger.observeEvent(usageRecord, event);
                     res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                     // Flush after each event for real-time streaming
                     if (res.flush) res.flush();
                 }
                 res.end();
+                usageLedger.finishRecord(usageRecord);
 
             } catch (streamError) {
                 logger.error('[API] Stream error:', streamError);
+                usageLedger.finishRecord(usageRecord, streamError);
 
                 const { errorType, errorMessage } = parseError(streamError);
 
@@ -671,12 +778,16 @@ app.post('/v1/messages', async (req, res) => {
 
         } else {
             // Handle non-streaming response
-            const response = await sendMessage(request, accountManager, FALLBACK_ENABLED);
+            const response = await responseCache.send(cached, () => sendMessage(request, accountManager, isFallbackEnabled(), usageRecord));
+            usageLedger.observeResponse(usageRecord, response);
+            usageLedger.finishRecord(usageRecord);
+            setServedModelHeaders(res, modelId, usageRecord);
             res.json(response);
         }
 
     } catch (error) {
         logger.error('[API] Error:', error);
+        usageLedger.finishRecord(usageRecord, error);
 
         let { errorType, statusCode, errorMessage } = parseError(error);
 
@@ -715,10 +826,243 @@ app.post('/v1/messages', async (req, res) => {
     }
 });
 
+/**
+ * OpenAI-compatible Chat Completions API
+ * POST /v1/chat/completions
+ * Requests are converted to the Anthropic format and sent through the same
+ * sendMessage/sendMessageStream path, so account selection, retries and
+ * fallback behave exactly as for /v1/messages.
+ */
+app.post('/v1/chat/completions', async (req, res) => {
+    let usageRecord = null;
+    try {
+        await ensureInitialized();
+
+        const body = req.body || {};
+
+        if (!body.messages || !Array.isArray(body.messages)) {
+            return res.status(400).json({
+                error: {
+                    type: 'invalid_request_error',
+                    message: 'messages is required and must be an array',
+                    code: null
+                }
+            });
+        }
+
+        const route = routeRequest(convertOpenAIToAnthropic(body), req.headers);
+        const { request, model: modelId, accountGroup: ruleGroup } = route;
+        if (apiKeys.rejectRoutedModel(req, res, body.model, route)) return;
+        apiKeys.commitRequest(req);
+        const accountGroup = ruleGroup || apiKeys.getAccountGroups(req.apiKey);
+
+        if (accountManager.isAllRateLimited(modelId, accountGroup)) {
+            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
+        logger.info(`[API] OpenAI request for model: ${modelId}, stream: ${!!body.stream}`);
+
+        usageRecord = usageLedger.startRecord({ endpoint: '/v1/chat/completions', model: modelId, stream: body.stream, apiKey: req.apiKey?.id, accountGroup });
+
+        const cached = responseCache.lookup(request, req.headers);
+        if (cached) {
+            res.setHeader('X-Cache', cached.message ? 'HIT' : 'MISS');
+            if (cached.message) usageRecord.account = 'cache';
+        }
+        if (!cached?.message) usageRecord.capture = capture.start(request, '/v1/chat/completions');
+
+        if (body.stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            try {
+                const chunks = streamAnthropicToOpenAI(
+                    usageLedger.trackStream(usageRecord, responseCache.stream(cached, () => sendMessageStream(request, accountManager, isFallbackEnabled(), usageRecord))),
+                    modelId,
+                    { includeUsage: !!body.stream_options?.include_usage }
+                );
+                for await (const chunk of chunks) {
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                    if (res.flush) res.flush();
+                }
+                res.write('data: [DONE]\n\n');
+                res.end();
+                usageLedger.finishRecord(usageRecord);
+            } catch (streamError) {
+                logger.error('[API] OpenAI stream error:', streamError);
+                usageLedger.finishRecord(usageRecord, streamError);
+
+                const { errorType, errorMessage } = parseError(streamError);
+
+                res.write(`data: ${JSON.stringify({
+                    error: { type: errorType, message: errorMessage, code: null }
+                })}\n\n`);
+                res.end();
+            }
+        } else {
+            const response = await responseCache.send(cached, () => sendMessage(request, accountManager, isFallbackEnabled(), usageRecord));
+            usageLedger.observeResponse(usageRecord, response);
+            usageLedger.finishRecord(usageRecord);
+            setServedModelHeaders(res, modelId, usageRecord);
+            res.json(convertAnthropicToOpenAI(response, modelId));
+        }
+    } catch (error) {
+        logger.error('[API] OpenAI error:', error);
+        usageLedger.finishRecord(usageRecord, error);
+
+        const { errorType, statusCode, errorMessage } = parseError(error);
+
+        logger.warn(`[API] Returning error response: ${statusCode} ${errorType} - ${errorMessage}`);
+
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify({
+                error: { type: errorType, message: errorMessage, code: null }
+            })}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json({
+                error: {
+                    type: errorType,
+                    message: errorMessage,
+                    code: null
+                }
+            });
+        }
+    }
+});
+
+/**
+ * Google RPC status names used in Gemini-format error bodies
+ */
+const GEMINI_ERROR_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE'
+};
+
+/**
+ * Build a Gemini-format error body
+ */
+function geminiError(code, message) {
+    return { error: { code, message, status: GEMINI_ERROR_STATUS[code] || 'UNKNOWN' } };
+}
+
+/**
+ * Native Gemini API
+ * POST /v1beta/models/{model}:generateContent
+ * POST /v1beta/models/{model}:streamGenerateContent[?alt=sse]
+ * The Gemini body is forwarded as-is inside the Cloud Code envelope, using the
+ * same account selection, retries and failover as /v1/messages.
+ */
+app.post(/^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/, async (req, res) => {
+    const [requestedModel, method] = [req.params[0], req.params[1]];
+    const stream = method === 'streamGenerateContent';
+    const useSSE = req.query.alt === 'sse';
+    let usageRecord = null;
+    let chunks = null;
+    let first = true;
+
+    try {
+        await ensureInitialized();
+
+        if (!Array.isArray(req.body?.contents) || req.body.contents.length === 0) {
+            return res.status(400).json(geminiError(400, 'contents is required and must be a non-empty array'));
+        }
+
+        const route = routeGeminiRequest(requestedModel, req.body, req.headers);
+        const { body, model: modelId, accountGroup: ruleGroup } = route;
+        if (apiKeys.rejectRoutedModel(req, res, requestedModel, route)) return;
+        apiKeys.commitRequest(req);
+        const accountGroup = ruleGroup || apiKeys.getAccountGroups(req.apiKey);
+
+        if (accountManager.isAllRateLimited(modelId, accountGroup)) {
+            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
+        logger.info(`[API] Gemini ${method} for model: ${modelId}`);
+        usageStats.track(modelId);
+        usageRecord = usageLedger.startRecord({ endpoint: `/v1beta/models:${method}`, model: modelId, stream, apiKey: req.apiKey?.id, accountGroup });
+
+        if (!stream) {
+            const response = await sendGeminiMessage(modelId, body, accountManager, isFallbackEnabled(), usageRecord);
+            usageLedger.observeUsageMetadata(usageRecord, response.usageMetadata);
+            usageRecord.stopReason = response.candidates?.[0]?.finishReason || null;
+            usageLedger.finishRecord(usageRecord);
+            setServedModelHeaders(res, modelId, usageRecord);
+            return res.json(response);
+        }
+
+        // Open the upstream stream before committing to a 200 so that
+        // account/quota errors can still be returned as proper error responses
+        chunks = sendGeminiMessageStream(modelId, body, accountManager, isFallbackEnabled(), usageRecord);
+        let next = await chunks.next();
+
+        setServedModelHeaders(res, modelId, usageRecord);
+        res.setHeader('Content-Type', useSSE ? 'text/event-stream' : 'application/json');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        // Without alt=sse, Gemini streams a JSON array of responses
+        if (!useSSE) res.write('[');
+        // Stop reading upstream once the client has gone away
+        while (!next.done && !res.destroyed) {
+            const chunk = next.value;
+            if (chunk.usageMetadata) usageLedger.observeUsageMetadata(usageRecord, chunk.usageMetadata);
+            if (chunk.candidates?.[0]?.finishReason) usageRecord.stopReason = chunk.candidates[0].finishReason;
+
+            if (useSSE) {
+                res.write(`data: ${JSON.stringify(chunk)}\r\n\r\n`);
+            } else {
+                res.write(`${first ? '' : ',\r\n'}${JSON.stringify(chunk)}`);
+            }
+            if (res.flush) res.flush();
+            first = false;
+            next = await chunks.next();
+        }
+        if (!useSSE) res.write(']');
+        res.end();
+        usageLedger.finishRecord(usageRecord);
+
+    } catch (error) {
+        logger.error('[API] Gemini error:', error);
+        usageLedger.finishRecord(usageRecord, error);
+
+        const { statusCode, errorMessage } = parseError(error);
+
+        if (res.headersSent) {
+            // Mid-stream failure: emit the error in-band and close
+            const payload = JSON.stringify(geminiError(statusCode, errorMessage));
+            res.write(useSSE ? `data: ${payload}\r\n\r\n` : `${first ? '' : ',\r\n'}${payload}]`);
+            res.end();
+        } else {
+            res.status(statusCode).json(geminiError(statusCode, errorMessage));
+        }
+    } finally {
+        // Cancels the upstream body if the stream ended early
+        await chunks?.return();
+    }
+});
+
 /**
  * Catch-all for unsupported endpoints
  */
 usageStats.setupRoutes(app);
+usageLedger.setupRoutes(app);
+// Anyone able to mint a key could use /v1/*, so keys are never managed without a password
+app.use('/api/keys', requireWebuiPassword('manage API keys'));
+apiKeys.setupRoutes(app);
+responseCache.setupRoutes(app);
+metrics.setupRoutes(app, accountManager, ensureInitialized);
 
 app.use('*', (req, res) => {
     if (logger.isDebugEnabled) {
@@ -27,10 +27,23 @@ export function formatDuration(ms) {
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Duration to sleep in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the sleep short, rejecting with the signal's reason
  * @returns {Promise<void>} Resolves after the specified duration
  */
-export function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
 /**
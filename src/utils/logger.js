@@ -8,6 +8,9 @@
 import { EventEmitter } from 'events';
 import util from 'util';
 
+// Lowest level printed for each logLevel setting (debug output also needs debug mode unless logLevel is 'debug')
+const LEVEL_ORDER = { debug: 0, info: 1, warn: 2, error: 3 };
+
 const COLORS = {
     RESET: '\x1b[0m',
     BRIGHT: '\x1b[1m',
@@ -27,6 +30,7 @@ class Logger extends EventEmitter {
     constructor() {
         super();
         this.isDebugEnabled = false;
+        this.level = 'info';
         this.history = [];
         this.maxHistory = 1000;
     }
@@ -39,6 +43,24 @@ class Logger extends EventEmitter {
         this.isDebugEnabled = !!enabled;
     }
 
+    /**
+     * Set the minimum level to print
+     * @param {'debug'|'info'|'warn'|'error'} level
+     */
+    setLevel(level) {
+        if (level in LEVEL_ORDER) this.level = level;
+    }
+
+    /**
+     * Check whether messages at a level should be printed
+     * @param {'debug'|'info'|'warn'|'error'} level
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        if (level === 'debug') return this.isDebugEnabled || this.level === 'debug';
+        return LEVEL_ORDER[level] >= LEVEL_ORDER[this.level];
+    }
+
     /**
      * Get current timestamp string
      */
@@ -90,6 +112,7 @@ class Logger extends EventEmitter {
      * Standard info log
      */
     info(message, ...args) {
+        if (!this.isLevelEnabled('info')) return;
         this.print('INFO', COLORS.BLUE, message, ...args);
     }
 
@@ -97,6 +120,7 @@ class Logger extends EventEmitter {
      * Success log
      */
     success(message, ...args) {
+        if (!this.isLevelEnabled('info')) return;
         this.print('SUCCESS', COLORS.GREEN, message, ...args);
     }
 
@@ -104,6 +128,7 @@ class Logger extends EventEmitter {
      * Warning log
      */
     warn(message, ...args) {
+        if (!this.isLevelEnabled('warn')) return;
         this.print('WARN', COLORS.YELLOW, message, ...args);
     }
 
@@ -115,10 +140,10 @@ class Logger extends EventEmitter {
     }
 
     /**
-     * Debug log - only prints if debug mode is enabled
+     * Debug log - only prints if debug mode is enabled or logLevel is 'debug'
      */
     debug(message, ...args) {
-        if (this.isDebugEnabled) {
+        if (this.isLevelEnabled('debug')) {
             this.print('DEBUG', COLORS.MAGENTA, message, ...args);
         }
     }
@@ -0,0 +1,90 @@
+/**
+ * Periodic Job
+ *
+ * Runs a background task on a timer that follows one config.json section:
+ * the job starts when the section's enabled flag is turned on and stops when
+ * it is turned off, without a restart. Used by the quota poller and the
+ * token monitor.
+ */
+
+import { configEvents } from '../config.js';
+
+/**
+ * Create a job that runs a task repeatedly while its config section enables it.
+ * Runs never overlap: the next one is scheduled after the previous finishes.
+ *
+ * @param {Object} options
+ * @param {string} options.configKey - Top-level config key whose changes re-check isEnabled
+ * @param {Function} options.isEnabled - Returns whether the job should run
+ * @param {Function} options.run - Async task run on every cycle
+ * @param {Function} options.getDelayMs - Called with true for the first run after a start, false after that; returns the delay before the run
+ * @param {Function} [options.onEnable] - Called when the job starts running (for logging)
+ * @param {Function} [options.onDisable] - Called when config turns the job off (for logging)
+ * @returns {{start: Function, stop: Function}} start() subscribes to config changes and applies the current setting; stop() unsubscribes and cancels the next run
+ */
+export function createPeriodicJob({ configKey, isEnabled, run, getDelayMs, onEnable, onDisable }) {
+    let timer = null;
+    let active = false; // Started and enabled; false stops rescheduling
+
+    /**
+     * Schedule the next run
+     * @param {boolean} first - Whether this is the first run after a start
+     */
+    function schedule(first) {
+        timer = setTimeout(async () => {
+            timer = null;
+            await run();
+            // Not if stopped meanwhile, or restarted with a timer of its own
+            if (active && !timer) schedule(false);
+        }, getDelayMs(first));
+
+        // Don't keep the process alive just for a background job
+        timer.unref?.();
+    }
+
+    /**
+     * Cancel the next run and stop rescheduling
+     */
+    function halt() {
+        active = false;
+        if (timer) clearTimeout(timer);
+        timer = null;
+    }
+
+    /**
+     * Start or stop the job to match isEnabled()
+     */
+    function applySettings() {
+        const enabled = isEnabled();
+        if (enabled === active) return;
+
+        if (enabled) {
+            active = true;
+            onEnable?.();
+            schedule(true);
+        } else {
+            halt();
+            onDisable?.();
+        }
+    }
+
+    /**
+     * @param {string[]} changed - Changed top-level config keys
+     */
+    function onConfigChange(changed) {
+        if (changed.includes(configKey)) applySettings();
+    }
+
+    return {
+        start() {
+            // Removed first, so a repeated start subscribes once
+            configEvents.off('change', onConfigChange);
+            configEvents.on('change', onConfigChange);
+            applySettings();
+        },
+        stop() {
+            configEvents.off('change', onConfigChange);
+            halt();
+        }
+    };
+}
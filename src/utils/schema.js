@@ -0,0 +1,214 @@
+/**
+ * Schema Validation and Migration Utilities
+ *
+ * A small validator for the proxy's JSON files (config.json, accounts.json).
+ * Schemas are plain objects:
+ *
+ *   { type: 'integer', min: 1, max: 20 }
+ *   { type: 'string', enum: ['info', 'warn'] }
+ *   { type: 'object', properties: { ... } }           unknown keys are reported
+ *   { type: 'object', values: { ... } }               map with free-form keys
+ *   { type: 'array', items: { ... } }
+ *
+ * Any node can add `nullable: true`; object properties can add `required: true`.
+ * Keys starting with "_" are treated as comments and never reported.
+ */
+
+/**
+ * Describe a value's JSON type for messages
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', ...
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Levenshtein distance, used to suggest the intended key for a typo
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find the closest known key to an unknown one
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Known keys
+ * @returns {string|null} Suggestion, or null if nothing is close
+ */
+function suggestKey(key, known) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of known) {
+        const distance = editDistance(key, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Check a value's type against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function checkValue(value, schema) {
+    const actual = typeOf(value);
+
+    if (value === null) {
+        return schema.nullable ? null : `expected ${schema.type}, got null`;
+    }
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            if (actual !== 'integer' && (schema.type === 'integer' || actual !== 'number')) {
+                return `expected ${schema.type}, got ${actual}`;
+            }
+            if (schema.min !== undefined && value < schema.min) return `must be at least ${schema.min}, got ${value}`;
+            if (schema.max !== undefined && value > schema.max) return `must be at most ${schema.max}, got ${value}`;
+            return null;
+        case 'string':
+            if (actual !== 'string') return `expected string, got ${actual}`;
+            if (schema.enum && !schema.enum.includes(value)) {
+                return `must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got "${value}"`;
+            }
+            if (schema.pattern && !schema.pattern.test(value)) return `"${value}" is not ${schema.patternHint || 'valid'}`;
+            return null;
+        case 'boolean':
+        case 'array':
+        case 'object':
+            return actual === schema.type ? null : `expected ${schema.type}, got ${actual}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate a value against a schema, and return a copy without the invalid parts.
+ *
+ * Wrong types and out-of-range values are errors; the offending value is left
+ * out of the cleaned copy so callers fall back to their default. Unknown keys
+ * are warnings and are kept.
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema node
+ * @param {string} [path] - Path of the value, for messages
+ * @returns {{value: *, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateSchema(value, schema, path = '') {
+    const errors = [];
+    const warnings = [];
+
+    const problem = checkValue(value, schema);
+    if (problem) {
+        errors.push({ path: path || '(root)', message: problem });
+        return { value: undefined, errors, warnings };
+    }
+    if (value === null) return { value, errors, warnings };
+
+    if (schema.type === 'array' && schema.items) {
+        const items = [];
+        value.forEach((item, index) => {
+            const result = validateSchema(item, schema.items, `${path}[${index}]`);
+            errors.push(...result.errors);
+            warnings.push(...result.warnings);
+            if (result.value !== undefined) items.push(result.value);
+        });
+        return { value: items, errors, warnings };
+    }
+
+    if (schema.type === 'object' && (schema.properties || schema.values)) {
+        const result = {};
+        const join = key => (path ? `${path}.${key}` : key);
+        const known = Object.keys(schema.properties || {});
+
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (propSchema.required && value[key] === undefined) {
+                errors.push({ path: join(key), message: 'is required' });
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] || schema.values;
+            if (!childSchema) {
+                if (!key.startsWith('_') && !schema.additional) {
+                    const suggestion = suggestKey(key, known);
+                    warnings.push({
+                        path: join(key),
+                        message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                    });
+                }
+                result[key] = child;
+                continue;
+            }
+            const childResult = validateSchema(child, childSchema, join(key));
+            errors.push(...childResult.errors);
+            warnings.push(...childResult.warnings);
+            if (childResult.value !== undefined) result[key] = childResult.value;
+        }
+        return { value: result, errors, warnings };
+    }
+
+    return { value, errors, warnings };
+}
+
+/**
+ * Bring a versioned document up to the current version.
+ * Documents without a version field are version 0.
+ *
+ * @param {Object} data - Parsed JSON (not modified)
+ * @param {Array<{version: number, description: string, up: Function}>} migrations - Ascending by version; up(data) returns the migrated document
+ * @param {string} [versionKey] - Field holding the version
+ * @returns {{data: Object, fromVersion: number, toVersion: number, applied: string[]}}
+ * @throws {Error} If the document is newer than the newest migration
+ */
+export function runMigrations(data, migrations, versionKey = 'schemaVersion') {
+    const fromVersion = Number.isInteger(data[versionKey]) ? data[versionKey] : 0;
+    const toVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    if (fromVersion > toVersion) {
+        throw new Error(`${versionKey} ${fromVersion} is newer than this version of the proxy supports (${toVersion}); upgrade the proxy`);
+    }
+
+    let migrated = structuredClone(data);
+    const applied = [];
+    for (const migration of migrations) {
+        if (migration.version <= fromVersion) continue;
+        migrated = migration.up(migrated);
+        migrated[versionKey] = migration.version;
+        applied.push(`v${migration.version}: ${migration.description}`);
+    }
+
+    return { data: migrated, fromVersion, toVersion, applied };
+}
+
+/**
+ * Format diagnostics as one line each
+ * @param {Array<{path: string, message: string}>} diagnostics
+ * @returns {string[]} "path: message" lines
+ */
+export function formatDiagnostics(diagnostics) {
+    return diagnostics.map(d => `${d.path}: ${d.message}`);
+}
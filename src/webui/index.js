@@ -3,7 +3,7 @@
  *
  * This module provides a web-based UI for:
  * - Dashboard with real-time model quota visualization
- * - Account management (add via OAuth, enable/disable, refresh, remove)
+ * - Account management (add or re-authenticate via OAuth, enable/disable, groups, refresh, remove)
  * - Live server log streaming with filtering
  * - Claude CLI configuration editor
  *
@@ -18,13 +18,20 @@ import { getPublicConfig, saveConfig, config } from '../config.js';
 import { DEFAULT_PORT, ACCOUNT_CONFIG_PATH } from '../constants.js';
 import { readClaudeConfig, updateClaudeConfig, getClaudeConfigPath } from '../utils/claude-config.js';
 import { logger } from '../utils/logger.js';
-import { getAuthorizationUrl, completeOAuthFlow, startCallbackServer } from '../auth/oauth.js';
-import { loadAccounts, saveAccounts } from '../account-manager/storage.js';
+import { getAuthorizationUrl, completeOAuthFlow, startCallbackServer, extractCodeFromInput } from '../auth/oauth.js';
+import { loadAccounts, saveAccounts, importAccounts } from '../account-manager/storage.js';
+import { getSignatureCacheStats, clearSignatureCache } from '../format/signature-cache.js';
 
-// OAuth state storage (state -> { server, verifier, state, timestamp })
-// Maps state ID to active OAuth flow data
+// OAuth state storage (state -> { verifier, state, timestamp, status, email, reauthEmail, error, stopCallback })
+// Maps state ID to active OAuth flow data; finished flows are kept so clients can poll the result
 const pendingOAuthFlows = new Map();
 
+// How long an OAuth flow (and its result) is kept
+const OAUTH_FLOW_TTL_MS = 10 * 60 * 1000;
+
+// How long the callback server on port 51121 waits for the browser
+const OAUTH_CALLBACK_TIMEOUT_MS = 120000;
+
 /**
  * WebUI Helper Functions - Direct account manipulation
  * These functions work around AccountManager's limited API by directly
@@ -61,6 +68,31 @@ async function removeAccount(email) {
     logger.info(`[WebUI] Account ${email} removed`);
 }
 
+/**
+ * Build the accountGroups map with an account moved into the given groups.
+ * Groups left empty are kept, so rules and API keys that name them keep working.
+ * @param {string} email - Account email
+ * @param {string[]} groups - Group names
+ * @returns {Object} New accountGroups map
+ * @throws {Error} If a group name is invalid
+ */
+function withAccountGroups(email, groups) {
+    if (!Array.isArray(groups) || groups.some(g => typeof g !== 'string' || !/^[\w.-]+$/.test(g.trim()))) {
+        throw new Error('groups must be a list of names (letters, digits, ".", "_" and "-")');
+    }
+
+    const target = email.toLowerCase();
+    const wanted = new Set(groups.map(g => g.trim()));
+    const accountGroups = {};
+    for (const [name, members] of Object.entries(config.accountGroups || {})) {
+        accountGroups[name] = (Array.isArray(members) ? members : []).filter(m => m.toLowerCase() !== target);
+    }
+    for (const name of wanted) {
+        accountGroups[name] = [...(accountGroups[name] || []), email];
+    }
+    return accountGroups;
+}
+
 /**
  * Add new account to config
  */
@@ -97,6 +129,119 @@ async function addAccount(accountData) {
     await saveAccounts(ACCOUNT_CONFIG_PATH, accounts, settings, activeIndex);
 }
 
+/**
+ * Start an OAuth flow: build the authorization URL and listen for the
+ * browser's redirect on port 51121 (same as the CLI). The code can also be
+ * pasted instead (POST /api/accounts/oauth/:flowId/complete), for browsers on another
+ * machine.
+ *
+ * @param {AccountManager} accountManager - Account manager to update once the account is added
+ * @param {string|null} [reauthEmail] - Existing account to re-authenticate instead of adding one
+ * @returns {{url: string, state: string}} Authorization URL and flow ID
+ */
+function startOAuthFlow(accountManager, reauthEmail = null) {
+    // Clean up old flows
+    const now = Date.now();
+    for (const [key, val] of pendingOAuthFlows.entries()) {
+        if (now - val.timestamp > OAUTH_FLOW_TTL_MS) {
+            val.stopCallback.abort();
+            pendingOAuthFlows.delete(key);
+        }
+    }
+
+    // Generate OAuth URL using default redirect URI (localhost:51121)
+    const { url, verifier, state } = getAuthorizationUrl(null, reauthEmail);
+    const flow = {
+        verifier,
+        state,
+        timestamp: now,
+        status: 'pending',
+        email: null,
+        reauthEmail,
+        error: null,
+        stopCallback: new AbortController()
+    };
+    pendingOAuthFlows.set(state, flow);
+
+    startCallbackServer(state, OAUTH_CALLBACK_TIMEOUT_MS, flow.stopCallback.signal)
+        .then(code => {
+            logger.info('[WebUI] Received OAuth callback, completing flow...');
+            return finishOAuthFlow(flow, code, accountManager);
+        })
+        .catch(err => {
+            // A pasted code may still complete the flow
+            if (flow.status === 'pending') logger.warn(`[WebUI] OAuth callback server: ${err.message}`);
+        });
+
+    return { url, state };
+}
+
+/**
+ * Get an OAuth flow by ID, dropping it once it has expired
+ * @param {string} flowId - Flow ID (the OAuth state)
+ * @returns {Object|null} Flow, or null if unknown or expired
+ */
+function getFlow(flowId) {
+    const flow = pendingOAuthFlows.get(flowId);
+    if (flow && Date.now() - flow.timestamp > OAUTH_FLOW_TTL_MS) {
+        flow.stopCallback.abort();
+        pendingOAuthFlows.delete(flowId);
+        return null;
+    }
+    return flow || null;
+}
+
+/**
+ * Exchange a flow's authorization code and add (or update) the account.
+ * A re-authentication flow only replaces the account's refresh token, and
+ * fails if the user signed in with a different account.
+ *
+ * @param {Object} flow - Pending OAuth flow
+ * @param {string} code - Authorization code
+ * @param {AccountManager} accountManager - Account manager to update
+ * @returns {Promise<string>} Email of the added or re-authenticated account
+ * @throws {Error} If the flow is not pending or the exchange fails
+ */
+async function finishOAuthFlow(flow, code, accountManager) {
+    if (flow.status !== 'pending') {
+        throw new Error(flow.status === 'done' ? `Flow already completed for ${flow.email}` : `Flow is ${flow.status}`);
+    }
+    flow.status = 'completing';
+    flow.stopCallback.abort();
+
+    try {
+        const accountData = await completeOAuthFlow(code, flow.verifier);
+
+        if (flow.reauthEmail) {
+            if (accountData.email.toLowerCase() !== flow.reauthEmail.toLowerCase()) {
+                throw new Error(`Signed in as ${accountData.email}, not ${flow.reauthEmail}`);
+            }
+            // Updated in place: a reload could race saves that still hold the old token
+            await accountManager.replaceRefreshToken(flow.reauthEmail, accountData.refreshToken);
+        } else {
+            // Add or update the account
+            await addAccount({
+                email: accountData.email,
+                refreshToken: accountData.refreshToken,
+                projectId: accountData.projectId,
+                source: 'oauth'
+            });
+
+            // Reload AccountManager to pick up the new account
+            await accountManager.reload();
+        }
+
+        const email = flow.reauthEmail || accountData.email;
+        Object.assign(flow, { status: 'done', email });
+        logger.success(`[WebUI] Account ${email} ${flow.reauthEmail ? 're-authenticated' : 'added'} successfully`);
+        return email;
+    } catch (err) {
+        Object.assign(flow, { status: 'failed', error: err.message });
+        logger.error('[WebUI] OAuth flow completion error:', err);
+        throw err;
+    }
+}
+
 /**
  * Auth Middleware - Optional password protection for WebUI
  * Password can be set via WEBUI_PASSWORD env var or config.json
@@ -108,8 +253,8 @@ function createAuthMiddleware() {
 
         // Determine if this path should be protected
         const isApiRoute = req.path.startsWith('/api/');
-        const isException = req.path === '/api/auth/url' || req.path === '/api/config';
-        const isProtected = (isApiRoute && !isException) || req.path === '/account-limits' || req.path === '/health';
+        const isException = req.path === '/api/config';
+        const isProtected = (isApiRoute && !isException) || req.path === '/account-limits' || req.path === '/health' || req.path === '/metrics';
 
         if (isProtected) {
             const providedPassword = req.headers['x-webui-password'] || req.query.password;
@@ -121,6 +266,23 @@ function createAuthMiddleware() {
     };
 }
 
+/**
+ * Reject requests while no WebUI password is set. For routes that must not be
+ * open to anyone who can reach the port; once a password is set,
+ * createAuthMiddleware checks it as for every other API route.
+ * @param {string} purpose - What the route is for (ends the 403 message)
+ * @returns {Function} Express middleware
+ */
+export function requireWebuiPassword(purpose) {
+    return (req, res, next) => {
+        if (config.webuiPassword) return next();
+        res.status(403).json({
+            status: 'error',
+            error: `Set a WebUI password (WEBUI_PASSWORD or webuiPassword in config.json) to ${purpose}`
+        });
+    };
+}
+
 /**
  * Mount WebUI routes and middleware on Express app
  * @param {Express} app - Express application instance
@@ -134,6 +296,10 @@ export function mountWebUI(app, dirname, accountManager) {
     // Serve static files from public directory
     app.use(express.static(path.join(dirname, '../public')));
 
+    // Adding or re-authenticating accounts puts credentials in the pool, so never without a password
+    app.use(['/api/auth/url', '/api/accounts/oauth', '/api/accounts/import'], requireWebuiPassword('add accounts'));
+    app.use(/^\/api\/accounts\/[^/]+\/reauth$/, requireWebuiPassword('re-authenticate accounts'));
+
     // ==========================================
     // Account Management API
     // ==========================================
@@ -202,6 +368,35 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * POST /api/accounts/:email/groups - Set the account groups of an account
+     * Body: { groups: ["team", "reserve"] }
+     */
+    app.post('/api/accounts/:email/groups', async (req, res) => {
+        try {
+            const { email } = req.params;
+            if (!accountManager.getAllAccounts().some(a => a.email === email)) {
+                return res.status(404).json({ status: 'error', error: `Account ${email} not found` });
+            }
+
+            let accountGroups;
+            try {
+                accountGroups = withAccountGroups(email, req.body?.groups);
+            } catch (error) {
+                return res.status(400).json({ status: 'error', error: error.message });
+            }
+
+            if (!saveConfig({ accountGroups })) {
+                throw new Error('Failed to save configuration file');
+            }
+            logger.info(`[WebUI] Account ${email} groups: ${req.body.groups.join(', ') || 'none'}`);
+
+            res.json({ status: 'ok', accountGroups, reserveAccountGroup: config.reserveAccountGroup || null });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     /**
      * DELETE /api/accounts/:email - Remove account
      */
@@ -222,6 +417,33 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * POST /api/accounts/import - Add accounts from exported refresh tokens
+     * Body: { accounts: [{ email, refreshToken, projectId?, enabled? }] }
+     */
+    app.post('/api/accounts/import', async (req, res) => {
+        try {
+            const entries = req.body?.accounts;
+            if (!Array.isArray(entries)) {
+                return res.status(400).json({ status: 'error', error: 'accounts must be an array' });
+            }
+
+            let result;
+            try {
+                result = await importAccounts(ACCOUNT_CONFIG_PATH, entries);
+            } catch (error) {
+                return res.status(400).json({ status: 'error', error: error.message });
+            }
+
+            // Reload AccountManager to pick up changes
+            await accountManager.reload();
+
+            res.json({ status: 'ok', ...result });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     /**
      * POST /api/accounts/reload - Reload accounts from disk
      */
@@ -267,7 +489,7 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.post('/api/config', (req, res) => {
         try {
-            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs } = req.body;
+            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, fallback } = req.body;
 
             // Only allow updating specific fields (security)
             const updates = {};
@@ -293,6 +515,9 @@ export function mountWebUI(app, dirname, accountManager) {
             if (typeof maxWaitBeforeErrorMs === 'number' && maxWaitBeforeErrorMs >= 0 && maxWaitBeforeErrorMs <= 600000) {
                 updates.maxWaitBeforeErrorMs = maxWaitBeforeErrorMs;
             }
+            if (typeof fallback === 'boolean') {
+                updates.fallback = fallback;
+            }
 
             if (Object.keys(updates).length === 0) {
                 return res.status(400).json({
@@ -306,7 +531,7 @@ export function mountWebUI(app, dirname, accountManager) {
             if (success) {
                 res.json({
                     status: 'ok',
-                    message: 'Configuration saved. Restart server to apply some changes.',
+                    message: 'Configuration saved and applied.',
                     updates: updates,
                     config: getPublicConfig()
                 });
@@ -434,8 +659,8 @@ export function mountWebUI(app, dirname, accountManager) {
                 return res.status(400).json({ status: 'error', error: 'Invalid parameters' });
             }
 
-            // Load current config
-            const currentMapping = config.modelMapping || {};
+            // Copy so saveConfig sees the change (it reports and applies changed keys)
+            const currentMapping = { ...config.modelMapping };
 
             // Update specific model config
             currentMapping[modelId] = {
@@ -447,8 +672,6 @@ export function mountWebUI(app, dirname, accountManager) {
             const success = saveConfig({ modelMapping: currentMapping });
 
             if (success) {
-                // Update in-memory config reference
-                config.modelMapping = currentMapping;
                 res.json({ status: 'ok', modelConfig: currentMapping[modelId] });
             } else {
                 throw new Error('Failed to save configuration');
@@ -458,6 +681,31 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    // ==========================================
+    // Signature Cache API
+    // ==========================================
+
+    /**
+     * GET /api/signature-cache - Cache settings, entry counts and recently used entries
+     */
+    app.get('/api/signature-cache', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+        res.json({ status: 'ok', cache: getSignatureCacheStats({ limit }) });
+    });
+
+    /**
+     * DELETE /api/signature-cache - Drop all cached signatures (memory and disk)
+     */
+    app.delete('/api/signature-cache', (req, res) => {
+        try {
+            const removed = clearSignatureCache();
+            logger.info(`[WebUI] Cleared signature cache (${removed} entries)`);
+            res.json({ status: 'ok', removed });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Logs API
     // ==========================================
@@ -514,62 +762,91 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.get('/api/auth/url', async (req, res) => {
         try {
-            // Clean up old flows (> 10 mins)
-            const now = Date.now();
-            for (const [key, val] of pendingOAuthFlows.entries()) {
-                if (now - val.timestamp > 10 * 60 * 1000) {
-                    pendingOAuthFlows.delete(key);
-                }
-            }
+            const { url } = startOAuthFlow(accountManager);
+            res.json({ status: 'ok', url });
+        } catch (error) {
+            logger.error('[WebUI] Error generating auth URL:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
 
-            // Generate OAuth URL using default redirect URI (localhost:51121)
-            const { url, verifier, state } = getAuthorizationUrl();
+    /**
+     * POST /api/accounts/oauth - Start adding an account from another client (the CLI)
+     * Device-style: open the URL in any browser, then either let the redirect
+     * reach this machine's port 51121 or paste it to /api/accounts/oauth/:flowId/complete.
+     * Poll GET /api/accounts/oauth/:flowId for the result.
+     */
+    app.post('/api/accounts/oauth', (req, res) => {
+        try {
+            const { url, state } = startOAuthFlow(accountManager);
+            res.json({ status: 'ok', flowId: state, url, expiresAt: new Date(Date.now() + OAUTH_FLOW_TTL_MS).toISOString() });
+        } catch (error) {
+            logger.error('[WebUI] Error starting OAuth flow:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
 
-            // Start callback server on port 51121 (same as CLI)
-            const serverPromise = startCallbackServer(state, 120000); // 2 min timeout
+    /**
+     * POST /api/accounts/:email/reauth - Start re-authenticating an existing OAuth account
+     * Works like POST /api/accounts/oauth, but the sign-in page is preselected
+     * for the account and only its refresh token is replaced.
+     */
+    app.post('/api/accounts/:email/reauth', (req, res) => {
+        const { email } = req.params;
+        const account = accountManager.getAllAccounts().find(a => a.email === email);
+        if (!account) {
+            return res.status(404).json({ status: 'error', error: `Account ${email} not found` });
+        }
+        if (account.source !== 'oauth') {
+            return res.status(400).json({ status: 'error', error: `Account ${email} does not sign in with OAuth` });
+        }
 
-            // Store the flow data
-            pendingOAuthFlows.set(state, {
-                serverPromise,
-                verifier,
-                state,
-                timestamp: Date.now()
-            });
+        try {
+            const { url, state } = startOAuthFlow(accountManager, email);
+            res.json({ status: 'ok', flowId: state, url, expiresAt: new Date(Date.now() + OAUTH_FLOW_TTL_MS).toISOString() });
+        } catch (error) {
+            logger.error('[WebUI] Error starting OAuth flow:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
 
-            // Start async handler for the OAuth callback
-            serverPromise
-                .then(async (code) => {
-                    try {
-                        logger.info('[WebUI] Received OAuth callback, completing flow...');
-                        const accountData = await completeOAuthFlow(code, verifier);
-
-                        // Add or update the account
-                        await addAccount({
-                            email: accountData.email,
-                            refreshToken: accountData.refreshToken,
-                            projectId: accountData.projectId,
-                            source: 'oauth'
-                        });
-
-                        // Reload AccountManager to pick up the new account
-                        await accountManager.reload();
-
-                        logger.success(`[WebUI] Account ${accountData.email} added successfully`);
-                    } catch (err) {
-                        logger.error('[WebUI] OAuth flow completion error:', err);
-                    } finally {
-                        pendingOAuthFlows.delete(state);
-                    }
-                })
-                .catch((err) => {
-                    logger.error('[WebUI] OAuth callback server error:', err);
-                    pendingOAuthFlows.delete(state);
-                });
+    /**
+     * GET /api/accounts/oauth/:flowId - Status of an OAuth flow (pending, completing, done, failed)
+     */
+    app.get('/api/accounts/oauth/:flowId', (req, res) => {
+        const flow = getFlow(req.params.flowId);
+        if (!flow) {
+            return res.status(404).json({ status: 'error', error: 'Unknown or expired OAuth flow' });
+        }
+        res.json({ status: 'ok', flow: { status: flow.status, email: flow.email, error: flow.error } });
+    });
 
-            res.json({ status: 'ok', url });
+    /**
+     * POST /api/accounts/oauth/:flowId/complete - Finish a flow with the pasted redirect URL or code
+     * Body: { input }
+     */
+    app.post('/api/accounts/oauth/:flowId/complete', async (req, res) => {
+        const flow = getFlow(req.params.flowId);
+        if (!flow) {
+            return res.status(404).json({ status: 'error', error: 'Unknown or expired OAuth flow' });
+        }
+
+        let code;
+        try {
+            const extracted = extractCodeFromInput(req.body?.input);
+            if (extracted.state && extracted.state !== flow.state) {
+                throw new Error('State mismatch: the redirect URL belongs to another sign-in');
+            }
+            code = extracted.code;
         } catch (error) {
-            logger.error('[WebUI] Error generating auth URL:', error);
-            res.status(500).json({ status: 'error', error: error.message });
+            return res.status(400).json({ status: 'error', error: error.message });
+        }
+
+        try {
+            const email = await finishOAuthFlow(flow, code, accountManager);
+            res.json({ status: 'ok', email });
+        } catch (error) {
+            res.status(400).json({ status: 'error', error: error.message });
         }
     });
 
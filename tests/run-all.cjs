@@ -3,11 +3,20 @@
  * Test Runner
  *
  * Runs all tests in sequence and reports results.
- * Usage: node tests/run-all.cjs
+ * Usage: node tests/run-all.cjs [test name] [--offline]
+ *
+ * --offline starts the mock Cloud Code server and a proxy pointed at it
+ * (throwaway HOME, two fake accounts), so no Google account is needed.
  */
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+const ROOT = path.join(__dirname, '..');
+const PROXY_PORT = 8080;
+const MOCK_PORT = parseInt(process.env.MOCK_UPSTREAM_PORT || '8099', 10);
+
 const tests = [
     { name: 'Thinking Signatures', file: 'test-thinking-signatures.cjs' },
     { name: 'Multi-turn Tools (Non-Streaming)', file: 'test-multiturn-thinking-tools.cjs' },
@@ -15,14 +24,109 @@ const tests = [
     { name: 'Interleaved Thinking', file: 'test-interleaved-thinking.cjs' },
     { name: 'Image Support', file: 'test-images.cjs' },
     { name: 'Prompt Caching', file: 'test-caching-streaming.cjs' },
-    { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' }
+    { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' },
+    { name: 'OpenAI Converter', file: 'test-openai-converter.cjs' },
+    { name: 'Token Counter', file: 'test-token-counter.cjs' },
+    { name: 'Usage Ledger', file: 'test-usage-ledger.cjs' },
+    { name: 'Session Affinity', file: 'test-session-affinity.cjs' },
+    { name: 'Selection Strategies', file: 'test-selection-strategies.cjs' },
+    { name: 'Signature Cache', file: 'test-signature-cache.cjs' },
+    { name: 'Response Cache', file: 'test-response-cache.cjs' },
+    { name: 'Capture Replay', file: 'test-capture-replay.cjs' },
+    { name: 'Endpoint Health', file: 'test-endpoint-health.cjs' },
+    { name: 'Config Reload', file: 'test-config-reload.cjs' },
+    { name: 'Config Schema', file: 'test-config-schema.cjs' },
+    { name: 'Account Encryption', file: 'test-account-encryption.cjs' },
+    { name: 'Model Routing', file: 'test-model-routing.cjs' },
+    { name: 'Accounts CLI', file: 'test-accounts-cli.cjs' },
+    { name: 'Account Groups', file: 'test-account-groups.cjs' },
+    { name: 'Token Monitor', file: 'test-token-monitor.cjs' },
+    { name: 'Quota Poller', file: 'test-quota-poller.cjs' },
+    { name: 'Metrics', file: 'test-metrics.cjs' },
+    { name: 'WebUI OAuth', file: 'test-webui-oauth.cjs' },
+    { name: 'API Keys (offline only)', file: 'test-api-keys.cjs' },
+    { name: 'Native Gemini API (offline only)', file: 'test-gemini-native.cjs' },
+    { name: 'Failover (offline only)', file: 'test-failover.cjs' }
 ];
 
-async function runTest(test) {
+/**
+ * Poll a URL until it answers
+ * @param {string} url - URL to poll
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(url, timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(url);
+            if (response.status < 500) return;
+        } catch (e) { }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Timed out waiting for ${url}`);
+}
+
+/**
+ * Start the mock Cloud Code server and a proxy that uses it
+ * @returns {Promise<{env: Object, stop: Function}>} Env for the tests and a shutdown function
+ */
+async function startOfflineStack() {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-offline-'));
+    const configDir = path.join(home, '.config', 'antigravity-proxy');
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(path.join(configDir, 'accounts.json'), JSON.stringify({
+        accounts: [
+            { email: 'mock-a@example.com', source: 'manual', apiKey: 'mock-token-a' },
+            { email: 'mock-b@example.com', source: 'manual', apiKey: 'mock-token-b' }
+        ],
+        settings: {},
+        activeIndex: 0
+    }, null, 2));
+
+    const mockUrl = `http://127.0.0.1:${MOCK_PORT}`;
+    const log = fs.openSync(path.join(home, 'offline.log'), 'a');
+    const mock = spawn('node', [path.join(ROOT, 'bin', 'cli.js'), 'mock-upstream', '--port', String(MOCK_PORT)], {
+        stdio: ['ignore', log, log]
+    });
+    // Two path prefixes on the same mock stand in for the daily and prod endpoints
+    const proxy = spawn('node', [path.join(ROOT, 'src', 'index.js')], {
+        cwd: home,
+        stdio: ['ignore', log, log],
+        env: {
+            ...process.env,
+            HOME: home,
+            PORT: String(PROXY_PORT),
+            ANTIGRAVITY_ENDPOINT_FALLBACKS: `${mockUrl}/daily,${mockUrl}/prod`
+        }
+    });
+
+    // Logs are kept for inspection unless every test passed
+    const stop = (clean = false) => {
+        proxy.kill();
+        mock.kill();
+        fs.closeSync(log);
+        if (clean) fs.rmSync(home, { recursive: true, force: true });
+    };
+
+    try {
+        await waitFor(`${mockUrl}/mock/requests`);
+        await waitFor(`http://localhost:${PROXY_PORT}/health`);
+    } catch (error) {
+        stop();
+        console.error(`${error.message} (see ${path.join(home, 'offline.log')})`);
+        process.exit(1);
+    }
+
+    console.log(`Offline mode: mock upstream at ${mockUrl}, logs in ${path.join(home, 'offline.log')}`);
+    return { env: { MOCK_UPSTREAM_URL: mockUrl, PROXY_CONFIG_DIR: configDir }, stop };
+}
+
+async function runTest(test, env = {}) {
     return new Promise((resolve) => {
         const testPath = path.join(__dirname, test.file);
         const child = spawn('node', [testPath], {
-            stdio: 'inherit'
+            stdio: 'inherit',
+            env: { ...process.env, ...env }
         });
 
         child.on('close', (code) => {
@@ -41,11 +145,15 @@ async function main() {
     console.log('║              ANTIGRAVITY PROXY TEST SUITE                    ║');
     console.log('╚══════════════════════════════════════════════════════════════╝');
     console.log('');
-    console.log('Make sure the server is running on port 8080 before running tests.');
-    console.log('');
+    const offline = process.argv.includes('--offline');
+    if (!offline) {
+        console.log('Make sure the server is running on port 8080 before running tests.');
+        console.log('(Or run with --offline to test against the mock upstream.)');
+        console.log('');
+    }
 
     // Check if running specific test
-    const specificTest = process.argv[2];
+    const specificTest = process.argv.slice(2).find(arg => !arg.startsWith('--'));
     let testsToRun = tests;
 
     if (specificTest) {
@@ -60,6 +168,7 @@ async function main() {
         }
     }
 
+    const stack = offline ? await startOfflineStack() : null;
     const results = [];
 
     for (const test of testsToRun) {
@@ -69,12 +178,14 @@ async function main() {
         console.log('╚' + '═'.repeat(60) + '╝');
         console.log('');
 
-        const result = await runTest(test);
+        const result = await runTest(test, stack?.env);
         results.push(result);
 
         console.log('\n');
     }
 
+    if (stack) stack.stop(results.every(r => r.passed));
+
     // Summary
     console.log('╔══════════════════════════════════════════════════════════════╗');
     console.log('║                      FINAL RESULTS                           ║');
@@ -0,0 +1,193 @@
+/**
+ * Account Encryption Unit Tests
+ *
+ * Tests encryption at rest of accounts.json secrets: round trips through
+ * loadAccounts/saveAccounts, wrong or missing passphrases, and that a
+ * locked file is never overwritten.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   createEncryptionHeader / encryptAccounts / decryptAccounts / sealAccounts
+ *   unlockAccountsFile(configPath)
+ *   loadAccounts / saveAccounts (storage)
+ *
+ * Run: node tests/test-account-encryption.cjs
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the account modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ACCOUNT ENCRYPTION UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const ENV = 'ACCOUNTS_ENCRYPTION_KEY';
+    delete process.env[ENV];
+
+    const {
+        createEncryptionHeader,
+        encryptAccounts,
+        decryptAccounts,
+        sealAccounts,
+        unlockAccountsFile,
+        isEncryptedValue
+    } = await import('../src/account-manager/encryption.js');
+    const { loadAccounts, saveAccounts } = await import('../src/account-manager/storage.js');
+    const { AccountsLockedError } = await import('../src/errors.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    // Keep expected load/save errors out of the test output
+    logger.setLevel('error');
+    const quiet = async fn => {
+        const log = console.log;
+        console.log = () => {};
+        try { return await fn(); } finally { console.log = log; }
+    };
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-encryption-'));
+    const file = path.join(dir, 'accounts.json');
+    const readFile = () => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    const plain = {
+        schemaVersion: 1,
+        accounts: [
+            { email: 'a@example.com', source: 'oauth', enabled: true, refreshToken: 'refresh-secret' },
+            { email: 'b@example.com', source: 'manual', enabled: true, apiKey: 'api-secret' }
+        ],
+        settings: {},
+        activeIndex: 0
+    };
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    console.log('\n--- Format ---');
+
+    await test('Only secret fields are encrypted, and they decrypt back', () => {
+        const encrypted = encryptAccounts(plain, createEncryptionHeader('correct horse'));
+        const [a, b] = encrypted.accounts;
+        const decrypted = decryptAccounts(encrypted);
+        const passed = isEncryptedValue(a.refreshToken) && isEncryptedValue(b.apiKey) &&
+            a.email === 'a@example.com' && !JSON.stringify(encrypted).includes('secret') &&
+            decrypted.accounts[0].refreshToken === 'refresh-secret' && decrypted.accounts[1].apiKey === 'api-secret' &&
+            decrypted.encryption === undefined;
+        return { passed, message: a.refreshToken.slice(0, 24) + '…' };
+    });
+
+    await test('Plaintext files pass through unchanged without a key', () => {
+        const passed = decryptAccounts(plain) === plain && sealAccounts(plain) === plain;
+        return { passed };
+    });
+
+    console.log('\n--- Storage ---');
+
+    await test('saveAccounts encrypts a new file when ACCOUNTS_ENCRYPTION_KEY is set', async () => {
+        process.env[ENV] = 'correct horse';
+        await saveAccounts(file, plain.accounts, {}, 0);
+        const onDisk = readFile();
+        const mode = fs.statSync(file).mode & 0o777;
+        const passed = Boolean(onDisk.encryption) && !fs.readFileSync(file, 'utf-8').includes('secret') &&
+            (process.platform === 'win32' || mode === 0o600);
+        return { passed, message: `mode=${mode.toString(8)}` };
+    });
+
+    await test('loadAccounts decrypts with the key from the environment', async () => {
+        const { accounts } = await loadAccounts(file);
+        const passed = accounts.length === 2 && accounts[0].refreshToken === 'refresh-secret' && accounts[1].apiKey === 'api-secret';
+        return { passed, message: accounts.map(a => a.email).join(', ') };
+    });
+
+    await test('Saves keep an encrypted file encrypted with the same header', async () => {
+        const before = readFile().encryption.salt;
+        const { accounts } = await loadAccounts(file);
+        accounts[0].lastUsed = 123;
+        await saveAccounts(file, accounts, {}, 0);
+        const onDisk = readFile();
+        const passed = onDisk.encryption.salt === before && onDisk.accounts[0].lastUsed === 123 &&
+            isEncryptedValue(onDisk.accounts[0].refreshToken);
+        return { passed };
+    });
+
+    /**
+     * Write an encrypted file whose key this process has never derived.
+     * createEncryptionHeader remembers the key for its salt, so the file is
+     * sealed under a throwaway salt and then given a fresh one.
+     * @param {string} name - File name
+     * @returns {string} Path
+     */
+    function writeUnknownFile(name) {
+        const header = createEncryptionHeader('throwaway');
+        const data = encryptAccounts(plain, header);
+        const unknownFile = path.join(dir, name);
+        const encryption = { ...header, salt: Buffer.from(name.padEnd(16, '!')).toString('base64') };
+        fs.writeFileSync(unknownFile, JSON.stringify({ ...data, encryption }));
+        return unknownFile;
+    }
+
+    await test('A wrong ACCOUNTS_ENCRYPTION_KEY is rejected', async () => {
+        process.env[ENV] = 'wrong';
+        let error = null;
+        try { await unlockAccountsFile(writeUnknownFile('wrong.json'), { prompt: false }); } catch (e) { error = e; }
+        delete process.env[ENV];
+        const passed = error instanceof AccountsLockedError && /does not match/.test(error.message);
+        return { passed, message: error?.message };
+    });
+
+    await test('Without the key a file is not loaded and not overwritten', async () => {
+        const lockedFile = writeUnknownFile('locked.json');
+        const original = fs.readFileSync(lockedFile, 'utf-8');
+        let error = null;
+        try { decryptAccounts(JSON.parse(original)); } catch (e) { error = e; }
+        const { accounts } = await quiet(() => loadAccounts(lockedFile));
+        let saveError = null;
+        await quiet(() => saveAccounts(lockedFile, [], {}, 0)).catch(e => { saveError = e; });
+        const passed = error instanceof AccountsLockedError && accounts.length === 0 &&
+            saveError instanceof AccountsLockedError && fs.readFileSync(lockedFile, 'utf-8') === original;
+        return { passed, message: error?.message };
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,178 @@
+/**
+ * Account Groups Unit Tests
+ *
+ * Tests model and API key group assignment, and the reserve group that is
+ * only used once a request's primary accounts are exhausted.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   getAccountPools(accounts, modelId, group)
+ *   AccountManager.pickStickyAccount(modelId, sessionId, accountGroup)
+ *   AccountManager.pickNext(modelId, sessionId, accountGroup)
+ *   AccountManager.isAllRateLimited(modelId, accountGroup)
+ *
+ * Run: node tests/test-account-groups.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the account manager is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ACCOUNT GROUPS UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { getAccountPools } = await import('../src/account-manager/groups.js');
+    const { config } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    const emails = ['me@example.com', 'team-1@example.com', 'team-2@example.com', 'spare@example.com'];
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-groups-test-'));
+    const configPath = path.join(tmpDir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: emails.map(email => ({ email, source: 'oauth', refreshToken: 'test' })),
+        settings: {},
+        activeIndex: 0
+    }));
+
+    const manager = new AccountManager(configPath);
+    await manager.initialize();
+
+    config.accountGroups = {
+        personal: ['me@example.com'],
+        team: ['team-1@example.com', 'team-2@example.com'],
+        reserve: ['spare@example.com'],
+        empty: ['gone@example.com']
+    };
+    config.modelAccountGroups = { 'claude-opus-*': ['team'] };
+    config.reserveAccountGroup = 'reserve';
+    config.reserveExcludedModels = ['claude-opus-*'];
+
+    const opus = 'claude-opus-4-6-thinking';
+    const sonnet = 'claude-sonnet-4-6-thinking';
+    const accounts = manager.getAllAccounts();
+    const names = list => list.map(a => a.email.split('@')[0]).join(', ');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    console.log('\n--- Pools ---');
+
+    await test('Requests without groups use every account except the reserve', () => {
+        const { primary, reserve } = getAccountPools(accounts, sonnet);
+        return { passed: primary.length === 3 && names(reserve) === 'spare', message: `${names(primary)} | ${names(reserve)}` };
+    });
+
+    await test('modelAccountGroups assigns a pool by model pattern', () => {
+        const { primary, reserve } = getAccountPools(accounts, opus);
+        return { passed: names(primary) === 'team-1, team-2' && reserve.length === 0, message: names(primary) };
+    });
+
+    await test('Groups from a rule or API key win over the model\'s groups', () => {
+        const { primary } = getAccountPools(accounts, opus, ['personal']);
+        const reserveByName = getAccountPools(accounts, sonnet, 'reserve');
+        const passed = names(primary) === 'me' && names(reserveByName.primary) === 'spare' && reserveByName.reserve.length === 0;
+        return { passed, message: `${names(primary)} | ${names(reserveByName.primary)}` };
+    });
+
+    await test('A rule or API key group without accounts gets an empty pool', () => {
+        const missing = getAccountPools(accounts, sonnet, 'missing');
+        const empty = getAccountPools(accounts, sonnet, ['empty']);
+        const passed = missing.primary.length === 0 && missing.reserve.length === 0 &&
+            empty.primary.length === 0 && empty.reserve.length === 0;
+        return { passed, message: `${names(missing.primary)} | ${names(missing.reserve)}` };
+    });
+
+    await test('A modelAccountGroups group without accounts falls back to all accounts', () => {
+        config.modelAccountGroups = { 'claude-opus-*': ['team'], 'gemini-*': ['missing'] };
+        const { primary, reserve } = getAccountPools(accounts, 'gemini-3-flash');
+        config.modelAccountGroups = { 'claude-opus-*': ['team'] };
+        return { passed: primary.length === 3 && names(reserve) === 'spare', message: names(primary) };
+    });
+
+    console.log('\n--- Selection ---');
+
+    await test('pickStickyAccount stays on the primary pool while it has accounts', () => {
+        const picked = new Set();
+        for (let i = 0; i < 5; i++) picked.add(manager.pickNext(sonnet).email);
+        const { account } = manager.pickStickyAccount(sonnet);
+        return { passed: !picked.has('spare@example.com') && account.email !== 'spare@example.com', message: [...picked].join(', ') };
+    });
+
+    await test('The reserve takes over once the primary accounts are rate-limited', () => {
+        for (const email of emails.slice(0, 3)) manager.markRateLimited(email, 60000, sonnet);
+        const { account } = manager.pickStickyAccount(sonnet);
+        const next = manager.pickNext(sonnet);
+        const passed = account?.email === 'spare@example.com' && next?.email === 'spare@example.com' &&
+            !manager.isAllRateLimited(sonnet);
+        return { passed, message: `${account?.email}, ${next?.email}` };
+    });
+
+    await test('Excluded models never use the reserve', () => {
+        for (const email of ['team-1@example.com', 'team-2@example.com']) manager.markRateLimited(email, 60000, opus);
+        const { account } = manager.pickStickyAccount(opus);
+        const passed = account === null && manager.isAllRateLimited(opus) && manager.getMinWaitTimeMs(opus) > 0;
+        return { passed, message: String(account?.email) };
+    });
+
+    await test('Selection returns to the primary pool when it recovers', () => {
+        manager.resetAllRateLimits();
+        const { account } = manager.pickStickyAccount(sonnet);
+        return { passed: account && account.email !== 'spare@example.com', message: account?.email };
+    });
+
+    await test('A group without accounts selects nothing and is not reported as rate-limited', () => {
+        const { account, waitMs } = manager.pickStickyAccount(sonnet, null, 'missing');
+        const next = manager.pickNext(sonnet, null, 'missing');
+        const passed = account === null && waitMs === 0 && next === null && !manager.isAllRateLimited(sonnet, 'missing');
+        return { passed, message: `${account?.email}, ${next?.email}, wait ${waitMs}` };
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,277 @@
+/**
+ * Accounts CLI Tests
+ *
+ * Runs the scriptable account commands against a throwaway HOME (with no
+ * server running, so they edit accounts.json directly) and checks their
+ * output and exit codes.
+ *
+ * COMMANDS UNDER TEST:
+ *   accounts import <file|->, export [file]
+ *   accounts list --json
+ *   accounts enable/disable/remove <email>
+ *   accounts reauth <email> (argument checks; the sign-in itself needs a browser)
+ *   replaceRefreshToken(configPath, email, refreshToken)
+ *   AccountManager.replaceRefreshToken(email, refreshToken)
+ *   accounts clear --yes
+ *   accounts encrypt/decrypt while the server is running
+ *   saveAccounts(configPath, accounts, settings, activeIndex) under concurrent saves
+ *   and failed writes (which reject, and make the commands exit with code 1)
+ *
+ * Run: node tests/test-accounts-cli.cjs
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cli.js');
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-accounts-cli-'));
+
+/**
+ * Run an accounts subcommand
+ * @param {string[]} args - Arguments after "accounts"
+ * @param {string} [input] - stdin
+ * @param {Object} [env] - Environment overrides (HOME, PORT)
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function accounts(args, input, env = {}) {
+    // PORT points at a closed port by default, so the CLI never finds a running server
+    const result = spawnSync('node', [CLI, 'accounts', ...args], {
+        input,
+        encoding: 'utf-8',
+        timeout: 30000,
+        env: { ...process.env, HOME: home, PORT: '1', WEBUI_PASSWORD: '', ...env }
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+const list = () => JSON.parse(accounts(['list', '--json']).stdout);
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ACCOUNTS CLI TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('import reads refresh tokens from stdin', () => {
+        const input = JSON.stringify([
+            { email: 'a@example.com', refreshToken: 'rt-a' },
+            { email: 'b@example.com', refreshToken: 'rt-b', enabled: false }
+        ]);
+        const result = accounts(['import', '-'], input);
+        const listed = list();
+        const passed = result.status === 0 && listed.length === 2 &&
+            listed[0].enabled === true && listed[1].enabled === false && !('refreshToken' in listed[0]);
+        return { passed, message: result.stdout.trim() };
+    });
+
+    await test('Entries without a refresh token are rejected with exit code 1', () => {
+        const result = accounts(['import', '-'], JSON.stringify([{ email: 'c@example.com' }]));
+        return { passed: result.status === 1 && list().length === 2, message: result.stderr.trim() };
+    });
+
+    await test('enable, disable and remove act on one account by email', () => {
+        const disabled = accounts(['disable', 'a@example.com']).status;
+        const enabled = accounts(['enable', 'b@example.com']).status;
+        const removed = accounts(['remove', 'b@example.com']).status;
+        const listed = list();
+        const passed = disabled === 0 && enabled === 0 && removed === 0 &&
+            listed.length === 1 && listed[0].email === 'a@example.com' && listed[0].enabled === false;
+        return { passed, message: JSON.stringify(listed.map(a => [a.email, a.enabled])) };
+    });
+
+    await test('Unknown accounts and commands exit with code 1', () => {
+        const missing = accounts(['remove', 'nobody@example.com']);
+        const unknown = accounts(['frobnicate']);
+        return { passed: missing.status === 1 && unknown.status === 1, message: missing.stderr.trim() };
+    });
+
+    await test('export output imports back, keeping the enabled state', () => {
+        const exportFile = path.join(home, 'export.json');
+        const exported = accounts(['export', exportFile]).status;
+        const cleared = accounts(['clear', '--yes']).status;
+        const empty = list().length;
+        const imported = accounts(['import', exportFile]).status;
+        const listed = list();
+        const mode = fs.statSync(exportFile).mode & 0o777;
+        const passed = exported === 0 && cleared === 0 && empty === 0 && imported === 0 &&
+            listed.length === 1 && listed[0].enabled === false && mode === 0o600;
+        return { passed, message: `mode ${mode.toString(8)}, ${listed.length} account(s)` };
+    });
+
+    await test('clear keeps the settings in accounts.json', () => {
+        const file = path.join(home, '.config', 'antigravity-proxy', 'accounts.json');
+        const before = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        fs.writeFileSync(file, JSON.stringify({ ...before, settings: { cooldownDurationMs: 5000, custom: true } }));
+        const cleared = accounts(['clear', '--yes']).status;
+        const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const passed = cleared === 0 && saved.accounts.length === 0 && saved.settings.custom === true &&
+            saved.settings.cooldownDurationMs === 5000 && saved.schemaVersion === before.schemaVersion;
+        return { passed, message: JSON.stringify(saved.settings) };
+    });
+
+    await test('reauth rejects unknown accounts before opening a sign-in', () => {
+        const missing = accounts(['reauth', 'nobody@example.com']);
+        const usage = accounts(['reauth']);
+        const passed = missing.status === 1 && /not found/.test(missing.stderr) && usage.status === 1;
+        return { passed, message: missing.stderr.trim() };
+    });
+
+    await test('encrypt and decrypt refuse to run while the server is running', async () => {
+        // Any listener on PORT counts as a running server
+        const server = require('net').createServer(socket => socket.destroy());
+        await new Promise(resolve => server.listen(0, resolve));
+        const file = path.join(home, '.config', 'antigravity-proxy', 'accounts.json');
+        const before = fs.readFileSync(file, 'utf-8');
+        let encrypt, decrypt;
+        try {
+            const env = { PORT: String(server.address().port), ACCOUNTS_ENCRYPTION_KEY: 'passphrase' };
+            encrypt = accounts(['encrypt'], undefined, env);
+            decrypt = accounts(['decrypt'], undefined, env);
+        } finally {
+            server.close();
+        }
+        const passed = encrypt.status === 1 && decrypt.status === 1 && /Stop it before running encrypt/.test(encrypt.stderr) &&
+            fs.readFileSync(file, 'utf-8') === before;
+        return { passed, message: encrypt.stderr.trim() };
+    });
+
+    await test('replaceRefreshToken keeps the account\'s settings and clears the invalid flag', async () => {
+        const { replaceRefreshToken, loadAccounts } = await import('../src/account-manager/storage.js');
+        const file = path.join(home, 'reauth.json');
+        fs.writeFileSync(file, JSON.stringify({
+            accounts: [{
+                email: 'a@example.com', source: 'oauth', refreshToken: 'rt-old', projectId: 'p-1', enabled: false,
+                addedAt: '2025-01-01T00:00:00.000Z', isInvalid: true, invalidReason: 'invalid_grant',
+                modelRateLimits: { 'claude-sonnet-4-6': { isRateLimited: true, resetTime: Date.now() + 60000 } }
+            }],
+            settings: {},
+            activeIndex: 0
+        }));
+        await replaceRefreshToken(file, 'a@example.com', 'rt-new');
+        const saved = JSON.parse(fs.readFileSync(file, 'utf-8')).accounts[0];
+        const { accounts: [loaded] } = await loadAccounts(file);
+        const passed = saved.refreshToken === 'rt-new' && saved.isInvalid === false && saved.enabled === false &&
+            saved.projectId === 'p-1' && saved.addedAt === '2025-01-01T00:00:00.000Z' &&
+            Object.keys(loaded.modelRateLimits).length === 1;
+        return { passed, message: JSON.stringify({ refreshToken: saved.refreshToken, enabled: saved.enabled, isInvalid: saved.isInvalid }) };
+    });
+
+    await test('AccountManager.replaceRefreshToken updates the live account, even with a save under way', async () => {
+        const { AccountManager } = await import('../src/account-manager/index.js');
+        const file = path.join(home, 'live-reauth.json');
+        fs.writeFileSync(file, JSON.stringify({
+            accounts: [
+                { email: 'a@example.com', source: 'oauth', refreshToken: 'rt-old', enabled: false },
+                { email: 'm@example.com', source: 'manual', apiKey: 'key' }
+            ],
+            settings: {},
+            activeIndex: 0
+        }));
+        const manager = new AccountManager(file);
+        await manager.initialize();
+        manager.markInvalid('a@example.com', 'invalid_grant');
+
+        // A save queued before the new token arrives must not win
+        const pending = manager.saveToDisk();
+        await manager.replaceRefreshToken('a@example.com', 'rt-new');
+        await pending;
+        const manual = await manager.replaceRefreshToken('m@example.com', 'rt').catch(error => error.message);
+
+        const live = manager.getAllAccounts().find(a => a.email === 'a@example.com');
+        const saved = JSON.parse(fs.readFileSync(file, 'utf-8')).accounts[0];
+        const passed = live.refreshToken === 'rt-new' && live.isInvalid === false &&
+            saved.refreshToken === 'rt-new' && saved.isInvalid === false && saved.enabled === false &&
+            /does not sign in with OAuth/.test(manual);
+        return { passed, message: JSON.stringify({ refreshToken: saved.refreshToken, isInvalid: saved.isInvalid, manual }) };
+    });
+
+    await test('Concurrent saves leave a complete file with the last snapshot', async () => {
+        const { saveAccounts } = await import('../src/account-manager/storage.js');
+        const file = path.join(home, 'concurrent.json');
+        const account = { email: 'a@example.com', source: 'oauth', refreshToken: 'rt-a', lastUsed: 0 };
+        const saves = [];
+        for (let i = 1; i <= 20; i++) {
+            account.lastUsed = i;
+            saves.push(saveAccounts(file, [account], {}, 0));
+        }
+        await Promise.all(saves);
+        const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const leftovers = fs.readdirSync(home).filter(name => name.endsWith('.tmp'));
+        const passed = saved.accounts[0].lastUsed === 20 && leftovers.length === 0;
+        return { passed, message: `lastUsed ${saved.accounts[0].lastUsed}, ${leftovers.length} temp file(s)` };
+    });
+
+    await test('A save that cannot be written rejects, and later saves still run', async () => {
+        const { saveAccounts } = await import('../src/account-manager/storage.js');
+        // A file where the config directory should be: mkdir fails even as root
+        const blocker = path.join(home, 'blocker');
+        fs.writeFileSync(blocker, '');
+        const account = { email: 'a@example.com', source: 'oauth', refreshToken: 'rt-a' };
+        let error = null;
+        try {
+            await saveAccounts(path.join(blocker, 'accounts.json'), [account], {}, 0);
+        } catch (err) {
+            error = err;
+        }
+        const file = path.join(home, 'after-failure.json');
+        await saveAccounts(file, [account], {}, 0);
+        const passed = error instanceof Error && JSON.parse(fs.readFileSync(file, 'utf-8')).accounts.length === 1;
+        return { passed, message: error?.message };
+    });
+
+    await test('Commands exit with code 1 when accounts.json cannot be written', () => {
+        const brokenHome = path.join(home, 'broken-home');
+        fs.mkdirSync(brokenHome);
+        fs.writeFileSync(path.join(brokenHome, '.config'), '');
+        const result = accounts(['import', '-'], JSON.stringify([{ email: 'a@example.com', refreshToken: 'rt-a' }]), { HOME: brokenHome });
+        const passed = result.status === 1 && !/✓/.test(result.stdout) && /ENOTDIR/.test(result.stderr);
+        return { passed, message: result.stderr.trim().split('\n').pop() };
+    });
+
+    fs.rmSync(home, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * Proxy API Keys Test (offline only)
+ *
+ * Creates keys through /api/keys on the offline proxy and checks how
+ * /v1/* and /v1beta/* requests are admitted or rejected:
+ * - /api/keys is refused (403) while no WebUI password is set
+ * - missing, unknown or disabled keys → 401
+ * - models outside the key's allow-list → 403, also when the model is left
+ *   out or a routing rule picks it
+ * - an allowed model that modelMapping renames is still served
+ * - more requests than the key's rpm → 429 with retry-after; requests
+ *   rejected after routing do not count
+ * - a spent tokensPerDay budget → 400
+ *
+ * Keys are revoked and config.json removed afterwards, so later tests run
+ * against an open proxy again.
+ *
+ * Needs the mock upstream: run with `node tests/run-all.cjs api-keys --offline`.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PORT } = require('./helpers/http-client.cjs');
+
+const MOCK_URL = process.env.MOCK_UPSTREAM_URL;
+const CONFIG_DIR = process.env.PROXY_CONFIG_DIR;
+const BASE = `http://localhost:${PORT}`;
+const PASSWORD = 'api-keys-test';
+const MODEL = 'gemini-3-flash';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call a /api/keys route
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api/keys
+ * @param {Object} [body] - JSON body
+ * @param {string|null} [password] - WebUI password
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+async function keysApi(method, path, body, password = PASSWORD) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (password) headers['x-webui-password'] = password;
+    const response = await fetch(`${BASE}/api/keys${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Send a small Anthropic-format request
+ * @param {Object} headers - Auth headers
+ * @param {string} [model] - Model ID
+ * @returns {Promise<{status: number, headers: Headers, data: Object}>}
+ */
+async function ask(headers, model = MODEL) {
+    const response = await fetch(`${BASE}/v1/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'anthropic-version': '2023-06-01', ...headers },
+        body: JSON.stringify({ model, max_tokens: 64, messages: [{ role: 'user', content: 'api keys test' }] })
+    });
+    return { status: response.status, headers: response.headers, data: await response.json() };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('PROXY API KEYS TEST (mock upstream)');
+    console.log('='.repeat(60));
+    console.log('');
+
+    if (!MOCK_URL) {
+        console.log('  Skipped: needs the mock upstream (node tests/run-all.cjs api-keys --offline)');
+        process.exit(0);
+    }
+
+    let allPassed = true;
+    const results = [];
+    const configFile = path.join(CONFIG_DIR, 'config.json');
+    const secrets = {};
+
+    async function test(name, fn) {
+        try {
+            const { passed, message } = await fn();
+            results.push({ name, passed });
+            console.log(`  [${passed ? 'PASS' : 'FAIL'}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    try {
+        await test('Keys cannot be managed while no WebUI password is set', async () => {
+            const list = await keysApi('GET', '', undefined, null);
+            const create = await keysApi('POST', '', { label: 'sneaky' }, null);
+            const passed = list.status === 403 && create.status === 403 && /WebUI password/.test(create.data.error);
+            return { passed, message: create.data.error };
+        });
+
+        fs.writeFileSync(configFile, JSON.stringify({
+            webuiPassword: PASSWORD,
+            modelRouting: [
+                { name: 'escalate', match: { headers: { 'x-test-route': 'escalate' } }, target: 'claude-sonnet-4-6-thinking' }
+            ],
+            modelMapping: { 'claude-sonnet-4-5': { mapping: MODEL } }
+        }));
+        await sleep(500); // Let the proxy pick up the change
+
+        await test('With a password set, /api/keys checks it and creates keys', async () => {
+            const wrong = await keysApi('GET', '', undefined, 'nope');
+            const limited = await keysApi('POST', '', { label: 'limited', models: 'gemini-*', rpm: 2 });
+            const budget = await keysApi('POST', '', { label: 'budget', tokensPerDay: 1 });
+            const routed = await keysApi('POST', '', { label: 'routed', models: 'gemini-*' });
+            const mapped = await keysApi('POST', '', { label: 'mapped', models: 'claude-sonnet-4-5' });
+            const strict = await keysApi('POST', '', { label: 'strict', models: 'gemini-*', rpm: 1 });
+            const disabled = await keysApi('POST', '', { label: 'disabled' });
+            await keysApi('PATCH', `/${disabled.data.key.id}`, { enabled: false });
+            const invalid = await keysApi('POST', '', { label: 'bad', rpm: -1 });
+            Object.assign(secrets, {
+                limited: limited.data.secret,
+                budget: budget.data.secret,
+                routed: routed.data.secret,
+                mapped: mapped.data.secret,
+                strict: strict.data.secret,
+                disabled: disabled.data.secret
+            });
+            const passed = wrong.status === 401 && limited.status === 200 && /^agp-/.test(limited.data.secret) &&
+                budget.status === 200 && invalid.status === 400;
+            return { passed, message: `wrong password ${wrong.status}, invalid rpm ${invalid.status}` };
+        });
+
+        await test('Missing, unknown and disabled keys are rejected with 401', async () => {
+            const missing = await ask({});
+            const unknown = await ask({ 'x-api-key': 'agp-unknown' });
+            const disabled = await ask({ 'x-api-key': secrets.disabled });
+            const gemini = await fetch(`${BASE}/v1beta/models/${MODEL}:generateContent?key=agp-unknown`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] })
+            });
+            const geminiError = (await gemini.json()).error;
+            const passed = missing.status === 401 && missing.data.error?.type === 'authentication_error' &&
+                unknown.status === 401 && disabled.status === 401 && /disabled/.test(disabled.data.error?.message) &&
+                gemini.status === 401 && geminiError?.status === 'UNAUTHENTICATED';
+            return { passed, message: disabled.data.error?.message };
+        });
+
+        await test('Models outside the allow-list are rejected with 403', async () => {
+            const denied = await ask({ 'x-api-key': secrets.limited }, 'claude-sonnet-4-6-thinking');
+            const passed = denied.status === 403 && denied.data.error?.type === 'permission_error';
+            return { passed, message: denied.data.error?.message };
+        });
+
+        await test('The allow-list applies to the model a request is routed to', async () => {
+            const headers = { 'Content-Type': 'application/json', 'anthropic-version': '2023-06-01', 'x-api-key': secrets.routed };
+            // No model: the proxy's default model is used
+            const noModel = await fetch(`${BASE}/v1/messages`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ max_tokens: 64, messages: [{ role: 'user', content: 'api keys test' }] })
+            });
+            const escalated = await ask({ 'x-api-key': secrets.routed, 'x-test-route': 'escalate' });
+            const gemini = await fetch(`${BASE}/v1beta/models/${MODEL}:generateContent`, {
+                method: 'POST',
+                headers: { ...headers, 'x-test-route': 'escalate' },
+                body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] })
+            });
+            const allowed = await ask({ 'x-api-key': secrets.routed });
+            const geminiError = (await gemini.json()).error;
+            const passed = noModel.status === 403 && (await noModel.json()).error?.type === 'permission_error' &&
+                escalated.status === 403 && /claude-sonnet-4-6-thinking/.test(escalated.data.error?.message) &&
+                gemini.status === 403 && geminiError?.status === 'PERMISSION_DENIED' &&
+                allowed.status === 200;
+            return { passed, message: `${noModel.status} ${escalated.status} ${gemini.status} ${allowed.status}: ${escalated.data.error?.message}` };
+        });
+
+        await test('A model renamed by modelMapping is allowed by its requested name', async () => {
+            const mapped = await ask({ 'x-api-key': secrets.mapped }, 'claude-sonnet-4-5');
+            const direct = await ask({ 'x-api-key': secrets.mapped }, MODEL);
+            const escalated = await ask({ 'x-api-key': secrets.mapped, 'x-test-route': 'escalate' }, 'claude-sonnet-4-5');
+            const passed = mapped.status === 200 && mapped.data.model === MODEL &&
+                direct.status === 403 && escalated.status === 403 &&
+                /claude-sonnet-4-6-thinking \(requested as claude-sonnet-4-5\)/.test(escalated.data.error?.message);
+            return { passed, message: `${mapped.status} ${direct.status} ${escalated.status}: ${escalated.data.error?.message}` };
+        });
+
+        await test('Requests over the rpm limit get 429 with retry-after', async () => {
+            // Bearer and x-goog-api-key are accepted too
+            const first = await ask({ 'authorization': `Bearer ${secrets.limited}` });
+            const second = await ask({ 'x-goog-api-key': secrets.limited });
+            const third = await ask({ 'x-api-key': secrets.limited });
+            const passed = first.status === 200 && second.status === 200 && third.status === 429 &&
+                third.data.error?.type === 'rate_limit_error' && Number(third.headers.get('retry-after')) > 0;
+            return { passed, message: `${first.status} ${second.status} ${third.status}, retry-after ${third.headers.get('retry-after')}` };
+        });
+
+        await test('Requests rejected after routing do not use up the rpm limit', async () => {
+            const rejected = [];
+            for (let i = 0; i < 3; i++) {
+                rejected.push((await ask({ 'x-api-key': secrets.strict, 'x-test-route': 'escalate' })).status);
+            }
+            const allowed = await ask({ 'x-api-key': secrets.strict });
+            const { data } = await keysApi('GET', '');
+            const usage = data.keys.find(k => k.label === 'strict')?.usage;
+            const passed = rejected.every(status => status === 403) && allowed.status === 200 && usage?.totalRequests === 1;
+            return { passed, message: `${rejected.join(' ')} then ${allowed.status}, ${usage?.totalRequests} request(s) counted` };
+        });
+
+        await test('A spent tokensPerDay budget is rejected with 400', async () => {
+            const first = await ask({ 'x-api-key': secrets.budget });
+            const second = await ask({ 'x-api-key': secrets.budget });
+            const passed = first.status === 200 && second.status === 400 && /daily budget/.test(second.data.error?.message);
+            return { passed, message: second.data.error?.message };
+        });
+    } finally {
+        // Leave the proxy open for the tests that follow
+        const { data } = await keysApi('GET', '').catch(() => ({ data: {} }));
+        for (const key of data.keys || []) await keysApi('DELETE', `/${key.id}`);
+        fs.rmSync(configFile, { force: true });
+        await sleep(500);
+    }
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    for (const result of results) {
+        console.log(`  [${result.passed ? 'PASS' : 'FAIL'}] ${result.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
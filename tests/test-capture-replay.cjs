@@ -0,0 +1,179 @@
+/**
+ * Capture / Replay Unit Tests
+ *
+ * Tests secret redaction, teeing upstream responses into a capture,
+ * writing the JSONL file, and replaying a capture offline.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   redact(value)
+ *   capture.start / recordPayload / tapResponse / finish / readCaptures
+ *   replayCapture(entry)
+ *
+ * Run: node tests/test-capture-replay.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the capture module is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('CAPTURE / REPLAY UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { config } = await import('../src/config.js');
+    const { default: capture, redact, REDACTED } = await import('../src/modules/capture.js');
+    const { replayCapture } = await import('../src/cloudcode/replay.js');
+    const { buildCloudCodeRequest } = await import('../src/cloudcode/request-builder.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+    const capturePath = path.join(tmpDir, 'captures.jsonl');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const anthropicRequest = {
+        model: 'gemini-3-flash',
+        stream: true,
+        max_tokens: 256,
+        messages: [{ role: 'user', content: 'List the files' }]
+    };
+
+    const sseLines = [
+        { response: { candidates: [{ content: { parts: [{ text: 'Sure.' }] } }] } },
+        { response: { candidates: [{ content: { parts: [{ text: ' Done' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3 } } }
+    ].map(chunk => `data: ${JSON.stringify(chunk)}`);
+
+    const readAll = response => response.text();
+
+    console.log('\n--- Redaction ---');
+
+    await test('Token-like strings and secret keys are redacted', () => {
+        const result = redact({
+            text: 'use ya29.a0AfH6SMBx and sk-ant-REDACTED please',
+            nested: [{ refreshToken: '1//abc', apiKey: 'x' }],
+            harmless: 'task-management-system-design-doc'
+        });
+        const passed = result.text === `use ${REDACTED} and ${REDACTED} please` &&
+            result.nested[0].refreshToken === REDACTED &&
+            result.nested[0].apiKey === REDACTED &&
+            result.harmless === 'task-management-system-design-doc';
+        return { passed, message: JSON.stringify(result) };
+    });
+
+    console.log('\n--- Recording ---');
+
+    await test('Capture is off unless enabled', () => {
+        config.capture = undefined;
+        return { passed: capture.start(anthropicRequest, '/v1/messages') === null, message: '' };
+    });
+
+    await test('Tapped responses read unchanged and record their lines', async () => {
+        config.capture = { enabled: true, path: capturePath };
+        const session = capture.start(anthropicRequest, '/v1/messages');
+        const body = sseLines.join('\n\n') + '\n\n';
+        const upstream = new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+        const tapped = capture.tapResponse(session, upstream, 'https://example.test');
+        const text = await readAll(tapped);
+        const passed = text === body && session.upstream.lines.length === 2 && session.upstream.lines[0] === sseLines[0];
+        return { passed, message: `lines=${session.upstream.lines.length}` };
+    });
+
+    await test('Finished captures are written once, with the project redacted', async () => {
+        const record = { capture: capture.start(anthropicRequest, '/v1/messages') };
+        capture.recordPayload(record.capture, buildCloudCodeRequest(anthropicRequest, 'my-project-123'));
+        const upstream = new Response(sseLines.join('\n\n') + '\n\n', { status: 200, headers: { 'content-type': 'text/event-stream' } });
+        await readAll(capture.tapResponse(record.capture, upstream, 'https://example.test'));
+        capture.finish(record);
+        capture.finish(record);
+
+        const raw = fs.readFileSync(capturePath, 'utf8');
+        const entries = capture.readCaptures(capturePath);
+        const passed = entries.length === 1 && !raw.includes('my-project-123') &&
+            entries[0].payload.project === REDACTED && entries[0].upstream.lines.length === 2;
+        return { passed, message: `entries=${entries.length}` };
+    });
+
+    console.log('\n--- Replay ---');
+
+    await test('Replay rebuilds a matching payload and converts the recorded stream', async () => {
+        const [entry] = capture.readCaptures(capturePath);
+        const result = await replayCapture(entry);
+        const text = result.output.events
+            .filter(e => e.delta?.type === 'text_delta')
+            .map(e => e.delta.text)
+            .join('');
+        const passed = result.payloadDiffs.length === 0 && text === 'Sure. Done' &&
+            result.output.events.at(-1).type === 'message_stop';
+        return { passed, message: `diffs=${result.payloadDiffs.length} text=${JSON.stringify(text)}` };
+    });
+
+    await test('Replay reports payload differences', async () => {
+        const [entry] = capture.readCaptures(capturePath);
+        entry.payload.request.generationConfig.maxOutputTokens = 999;
+        const result = await replayCapture(entry);
+        const diff = result.payloadDiffs[0];
+        const passed = result.payloadDiffs.length === 1 &&
+            diff.path === 'request.generationConfig.maxOutputTokens' && diff.expected === 999 && diff.actual === 256;
+        return { passed, message: JSON.stringify(diff) };
+    });
+
+    await test('Non-streaming JSON captures convert to a message', async () => {
+        const [entry] = capture.readCaptures(capturePath);
+        entry.stream = false;
+        entry.upstream = {
+            status: 200,
+            contentType: 'application/json',
+            lines: [JSON.stringify({ response: { candidates: [{ content: { parts: [{ text: 'hi' }] }, finishReason: 'STOP' }] } })]
+        };
+        const result = await replayCapture(entry);
+        const passed = result.output.message.content[0].text === 'hi';
+        return { passed, message: JSON.stringify(result.output.message.content) };
+    });
+
+    config.capture = undefined;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,185 @@
+/**
+ * Config Hot-Reload Unit Tests
+ *
+ * Tests that the live config object picks up edits to config.json, from
+ * saveConfig() and from the file watcher, and that settings read per use
+ * (retries, cooldowns, fallback map, log level) follow it.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   reloadConfig() / watchConfig() / saveConfig(updates)
+ *   configEvents 'change'
+ *   getMaxRetries / getDefaultCooldownMs / getMaxWaitBeforeErrorMs
+ *   getFallbackModel(model)
+ *
+ * Run: node tests/test-config-reload.cjs
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the config module is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('CONFIG HOT-RELOAD UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    // Point the config dir at a temp HOME before the module reads it
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-config-'));
+    process.env.HOME = home;
+    const configDir = path.join(home, '.config', 'antigravity-proxy');
+    const configFile = path.join(configDir, 'config.json');
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(configFile, JSON.stringify({ maxRetries: 3, logLevel: 'info' }));
+
+    const { config, configEvents, reloadConfig, watchConfig, unwatchConfig, saveConfig } = await import('../src/config.js');
+    const { getMaxRetries, getDefaultCooldownMs, getMaxWaitBeforeErrorMs } = await import('../src/constants.js');
+    const { getFallbackModel } = await import('../src/fallback-config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const writeConfig = values => fs.writeFileSync(configFile, JSON.stringify(values, null, 2));
+
+    // Collect change events for each test
+    let events = [];
+    configEvents.on('change', (changed, source) => events.push({ changed, source }));
+
+    // Keep reload log lines out of the test output
+    logger.setLevel('error');
+
+    console.log('\n--- Reload ---');
+
+    await test('Initial load merges config.json over the defaults', () => {
+        const passed = config.maxRetries === 3 && getMaxRetries() === 3 &&
+            getDefaultCooldownMs() === 60000 && getMaxWaitBeforeErrorMs() === 120000;
+        return { passed, message: `maxRetries=${getMaxRetries()} cooldown=${getDefaultCooldownMs()}` };
+    });
+
+    await test('reloadConfig applies edits in place and reports the changed keys', () => {
+        events = [];
+        const before = config;
+        writeConfig({ maxRetries: 7, logLevel: 'info', maxWaitBeforeErrorMs: 0 });
+        const changed = reloadConfig();
+        const passed = before === config && getMaxRetries() === 7 && getMaxWaitBeforeErrorMs() === 0 &&
+            changed.sort().join() === 'maxRetries,maxWaitBeforeErrorMs' &&
+            events.length === 1 && events[0].source === 'file';
+        return { passed, message: `changed=${changed.join(',')} events=${events.length}` };
+    });
+
+    await test('Keys removed from the file go back to their defaults', () => {
+        writeConfig({ maxRetries: 7, logLevel: 'info' });
+        const changed = reloadConfig();
+        return { passed: changed.join() === 'maxWaitBeforeErrorMs' && getMaxWaitBeforeErrorMs() === 120000, message: changed.join(',') };
+    });
+
+    await test('An unchanged file emits nothing', () => {
+        events = [];
+        const changed = reloadConfig();
+        return { passed: changed.length === 0 && events.length === 0 };
+    });
+
+    await test('Invalid JSON is ignored and the running config is kept', () => {
+        fs.writeFileSync(configFile, '{ "maxRetries": 9,');
+        const changed = reloadConfig();
+        return { passed: changed.length === 0 && getMaxRetries() === 7, message: `maxRetries=${getMaxRetries()}` };
+    });
+
+    await test('Fallback overrides from config apply on the next lookup', () => {
+        const builtIn = getFallbackModel('gemini-3-flash');
+        writeConfig({ maxRetries: 7, logLevel: 'info', modelFallbacks: { 'gemini-3-flash': 'gemini-3-1-pro-low' } });
+        reloadConfig();
+        const passed = builtIn === 'claude-sonnet-4-5-thinking' && getFallbackModel('gemini-3-flash') === 'gemini-3-1-pro-low' &&
+            getFallbackModel('gpt-oss-120b') === 'gemini-3-flash';
+        return { passed, message: `${builtIn} -> ${getFallbackModel('gemini-3-flash')}` };
+    });
+
+    console.log('\n--- Sources ---');
+
+    await test('File watcher reloads a hand edit', async () => {
+        events = [];
+        watchConfig();
+        await sleep(100);
+        writeConfig({ maxRetries: 11, logLevel: 'warn' });
+        for (let i = 0; i < 30 && getMaxRetries() !== 11; i++) await sleep(100);
+        const passed = getMaxRetries() === 11 && config.logLevel === 'warn' &&
+            events.length === 1 && events[0].source === 'file';
+        return { passed, message: `maxRetries=${getMaxRetries()} events=${events.map(e => e.changed.join('+')).join(' ')}` };
+    });
+
+    await test('saveConfig writes the file and emits one api change', async () => {
+        events = [];
+        const saved = saveConfig({ defaultCooldownMs: 5000 });
+        // Let the watcher see the write; it must not report it a second time
+        await sleep(600);
+        const onDisk = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        const passed = saved && getDefaultCooldownMs() === 5000 && onDisk.defaultCooldownMs === 5000 &&
+            events.length === 1 && events[0].source === 'api' && events[0].changed.join() === 'defaultCooldownMs';
+        return { passed, message: events.map(e => `${e.source}:${e.changed.join('+')}`).join(' ') };
+    });
+
+    unwatchConfig();
+
+    console.log('\n--- Logger ---');
+
+    await test('logLevel filters lower levels; debug needs debug mode or logLevel debug', () => {
+        const checks = [];
+        logger.setDebug(false);
+        logger.setLevel('warn');
+        checks.push(!logger.isLevelEnabled('info'), logger.isLevelEnabled('warn'), !logger.isLevelEnabled('debug'));
+        logger.setLevel('debug');
+        checks.push(logger.isLevelEnabled('debug'), logger.isLevelEnabled('info'));
+        logger.setLevel('info');
+        logger.setDebug(true);
+        checks.push(logger.isLevelEnabled('debug'));
+        logger.setLevel('bogus');
+        checks.push(logger.level === 'info');
+        logger.setDebug(false);
+        return { passed: checks.every(Boolean), message: checks.join(',') };
+    });
+
+    fs.rmSync(home, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * Config Schema Unit Tests
+ *
+ * Tests validation and migration of config.json and accounts.json:
+ * unknown keys, wrong types, out-of-range values, unusable accounts and
+ * upgrades from unversioned files.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   validateSchema(value, schema) / runMigrations(data, migrations)
+ *   checkConfig(raw)
+ *   checkAccounts(raw)
+ *
+ * Run: node tests/test-config-schema.cjs
+ */
+
+// Note: Using dynamic import because the schema modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('CONFIG SCHEMA UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { validateSchema, runMigrations } = await import('../src/utils/schema.js');
+    const { checkConfig, CONFIG_SCHEMA_VERSION } = await import('../src/config-schema.js');
+    const { checkAccounts, ACCOUNTS_SCHEMA_VERSION } = await import('../src/account-manager/schema.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const paths = diagnostics => diagnostics.map(d => d.path).sort().join(',');
+
+    console.log('\n--- Validator ---');
+
+    await test('Invalid values are reported and left out; valid ones are kept', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                retries: { type: 'integer', min: 1, max: 5 },
+                ratio: { type: 'number', min: 0, max: 1 },
+                level: { type: 'string', enum: ['info', 'warn'] },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        };
+        const { value, errors } = validateSchema({ retries: 9, ratio: 0.5, level: 'loud', tags: ['a', 1] }, schema);
+        const passed = paths(errors) === 'level,retries,tags[1]' &&
+            JSON.stringify(value) === JSON.stringify({ ratio: 0.5, tags: ['a'] });
+        return { passed, message: errors.map(e => `${e.path}: ${e.message}`).join(' | ') };
+    });
+
+    await test('Unknown keys are warnings with a suggestion; _comments are ignored', () => {
+        const schema = { type: 'object', properties: { maxRetries: { type: 'integer' } } };
+        const { value, errors, warnings } = validateSchema({ maxRetrys: 3, _comment: 'x', zzz: 1 }, schema);
+        const passed = errors.length === 0 && warnings.length === 2 &&
+            warnings[0].message.includes('"maxRetries"') && !warnings[1].message.includes('did you mean') &&
+            value.maxRetrys === 3;
+        return { passed, message: warnings.map(w => `${w.path}: ${w.message}`).join(' | ') };
+    });
+
+    await test('Migrations run in order from the file version and stamp the new version', () => {
+        const migrations = [
+            { version: 1, description: 'one', up: d => ({ ...d, a: 1 }) },
+            { version: 2, description: 'two', up: d => ({ ...d, b: d.a + 1 }) }
+        ];
+        const fromZero = runMigrations({}, migrations);
+        const fromOne = runMigrations({ schemaVersion: 1, a: 5 }, migrations);
+        let tooNew = null;
+        try { runMigrations({ schemaVersion: 3 }, migrations); } catch (e) { tooNew = e.message; }
+        const passed = fromZero.data.b === 2 && fromZero.data.schemaVersion === 2 && fromZero.applied.length === 2 &&
+            fromOne.data.b === 6 && fromOne.applied.length === 1 && /newer/.test(tooNew);
+        return { passed, message: fromZero.applied.join('; ') };
+    });
+
+    console.log('\n--- config.json ---');
+
+    await test('The example config is valid and current', () => {
+        const example = require('../config.example.json');
+        const { errors, warnings, applied } = checkConfig(example);
+        const passed = errors.length === 0 && warnings.length === 0 && applied.length === 0;
+        return { passed, message: [...errors, ...warnings].map(d => `${d.path}: ${d.message}`).join(' | ') };
+    });
+
+    await test('Typos, wrong types and out-of-range values are caught', () => {
+        const { config, errors, warnings } = checkConfig({
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            maxRetrys: 3,
+            port: '8080',
+            defaultCooldownMs: 10,
+            quotaRouting: { threshold: 2, enabled: true }
+        });
+        const passed = paths(errors) === 'defaultCooldownMs,port,quotaRouting.threshold' &&
+            warnings.length === 1 && warnings[0].path === 'maxRetrys' &&
+            config.port === undefined && config.quotaRouting.enabled === true;
+        return { passed, message: paths(errors) };
+    });
+
+    await test('Unversioned shorthand settings are migrated', () => {
+        const { config, migrated, fromVersion, errors } = checkConfig({
+            accountSelection: 'round-robin',
+            endpoints: 'https://a.example, https://b.example'
+        });
+        const passed = fromVersion === 0 && errors.length === 0 && migrated.schemaVersion === CONFIG_SCHEMA_VERSION &&
+            config.accountSelection.default === 'round-robin' && config.endpoints.length === 2;
+        return { passed, message: JSON.stringify(config.endpoints) };
+    });
+
+    console.log('\n--- accounts.json ---');
+
+    await test('Unversioned accounts get a source and enabled flag', () => {
+        const { data, fromVersion } = checkAccounts({
+            accounts: [
+                { email: 'a@example.com', refreshToken: 'r' },
+                { email: 'b@example.com', apiKey: 'k', enabled: false }
+            ]
+        });
+        const [a, b] = data.accounts;
+        const passed = fromVersion === 0 && data.schemaVersion === ACCOUNTS_SCHEMA_VERSION &&
+            a.source === 'oauth' && a.enabled === true && b.source === 'manual' && b.enabled === false;
+        return { passed, message: data.accounts.map(acc => `${acc.email}:${acc.source}`).join(' ') };
+    });
+
+    await test('Accounts without an email or their credential are skipped', () => {
+        const { data, errors } = checkAccounts({
+            schemaVersion: ACCOUNTS_SCHEMA_VERSION,
+            accounts: [
+                { email: 'ok@example.com', source: 'oauth', refreshToken: 'r' },
+                { email: 'nokey@example.com', source: 'oauth' },
+                { source: 'manual', apiKey: 'k' },
+                { email: 'bad@example.com', source: 'oauth', refreshToken: 'r', lastUsed: 'yesterday' }
+            ],
+            activeIndex: -1
+        });
+        const passed = data.accounts.length === 2 && data.activeIndex === undefined &&
+            data.accounts[1].lastUsed === undefined &&
+            paths(errors) === 'accounts[1],accounts[2],accounts[3].lastUsed,activeIndex';
+        return { passed, message: paths(errors) };
+    });
+
+    await test('A file that is not an object is rejected', () => {
+        let message = null;
+        try { checkAccounts([]); } catch (e) { message = e.message; }
+        return { passed: /must contain a JSON object/.test(message), message };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,170 @@
+/**
+ * Endpoint Health Unit Tests
+ *
+ * Tests the per-endpoint circuit breaker: opening after consecutive
+ * failures, skipping open endpoints, half-open probing and recovery,
+ * plus the success rate and latency reported on /health.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   getEndpointOrder(endpoints)
+ *   recordEndpointResponse / recordEndpointSuccess / recordEndpointFailure
+ *   getEndpointHealth(endpoints)
+ *
+ * Run: node tests/test-endpoint-health.cjs
+ */
+
+// Note: Using dynamic import because the endpoint health module is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ENDPOINT HEALTH UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    // Short cool-down so half-open probing can be tested (read when constants load)
+    const { config } = await import('../src/config.js');
+    config.endpointHealth = { failureThreshold: 3, openMs: 50, window: 4 };
+
+    const {
+        getEndpointOrder,
+        recordEndpointResponse,
+        recordEndpointSuccess,
+        recordEndpointFailure,
+        getEndpointHealth,
+        resetEndpointHealth
+    } = await import('../src/cloudcode/endpoint-health.js');
+
+    const DAILY = 'https://daily.example.test';
+    const PROD = 'https://prod.example.test';
+    const ENDPOINTS = [DAILY, PROD];
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const health = endpoint => getEndpointHealth(ENDPOINTS).find(e => e.endpoint === endpoint);
+
+    console.log('\n--- Circuit breaker ---');
+
+    await test('Endpoints are tried in configured order while healthy', () => {
+        resetEndpointHealth();
+        const order = getEndpointOrder(ENDPOINTS);
+        return { passed: order.join() === ENDPOINTS.join(), message: order.join(' → ') };
+    });
+
+    await test('4xx responses do not count against an endpoint', () => {
+        resetEndpointHealth();
+        for (let i = 0; i < 5; i++) recordEndpointResponse(DAILY, 429, Date.now());
+        const entry = health(DAILY);
+        return { passed: entry.state === 'closed' && entry.successRate === 1, message: entry.state };
+    });
+
+    await test('Consecutive failures open the circuit and the endpoint is skipped', () => {
+        resetEndpointHealth();
+        recordEndpointFailure(DAILY, 'HTTP 503');
+        recordEndpointFailure(DAILY, 'HTTP 503');
+        const stillClosed = health(DAILY).state === 'closed';
+        recordEndpointResponse(DAILY, 500, Date.now());
+        const order = getEndpointOrder(ENDPOINTS);
+        const entry = health(DAILY);
+        const passed = stillClosed && entry.state === 'open' && entry.retryInMs > 0 &&
+            entry.lastError === 'HTTP 500' && order.join() === PROD;
+        return { passed, message: `state=${entry.state} order=${order.join(' → ')}` };
+    });
+
+    await test('A success resets the consecutive failure count', () => {
+        resetEndpointHealth();
+        recordEndpointFailure(DAILY, 'ECONNRESET');
+        recordEndpointFailure(DAILY, 'ECONNRESET');
+        recordEndpointSuccess(DAILY, 100);
+        recordEndpointFailure(DAILY, 'ECONNRESET');
+        const entry = health(DAILY);
+        return { passed: entry.state === 'closed' && entry.consecutiveFailures === 1, message: entry.state };
+    });
+
+    await test('After the cool-down one probe is let through, first in order', async () => {
+        resetEndpointHealth();
+        for (let i = 0; i < 3; i++) recordEndpointFailure(DAILY, 'HTTP 503');
+        await sleep(60);
+        const first = getEndpointOrder(ENDPOINTS);
+        const second = getEndpointOrder(ENDPOINTS);
+        const passed = health(DAILY).state === 'half_open' &&
+            first.join() === [DAILY, PROD].join() && second.join() === PROD;
+        return { passed, message: `first=${first.join(' → ')} second=${second.join(' → ')}` };
+    });
+
+    await test('A failed probe reopens the circuit', () => {
+        recordEndpointFailure(DAILY, 'HTTP 503');
+        const entry = health(DAILY);
+        return { passed: entry.state === 'open' && getEndpointOrder(ENDPOINTS).join() === PROD, message: entry.state };
+    });
+
+    await test('A successful probe closes the circuit', async () => {
+        await sleep(60);
+        getEndpointOrder(ENDPOINTS);
+        recordEndpointSuccess(DAILY, 120);
+        const entry = health(DAILY);
+        return { passed: entry.state === 'closed' && getEndpointOrder(ENDPOINTS).join() === ENDPOINTS.join(), message: entry.state };
+    });
+
+    await test('All endpoints are returned when every circuit is open', () => {
+        resetEndpointHealth();
+        for (const endpoint of ENDPOINTS) {
+            for (let i = 0; i < 3; i++) recordEndpointFailure(endpoint, 'HTTP 503');
+        }
+        const order = getEndpointOrder(ENDPOINTS);
+        return { passed: order.join() === ENDPOINTS.join(), message: order.join(' → ') };
+    });
+
+    console.log('\n--- Reporting ---');
+
+    await test('Success rate covers the recent window and latency is averaged', () => {
+        resetEndpointHealth();
+        recordEndpointFailure(PROD, 'HTTP 500');
+        for (const latency of [100, 200, 200, 200]) recordEndpointSuccess(PROD, latency);
+        const entry = health(PROD);
+        const passed = entry.successRate === 1 && entry.requests === 5 && entry.failures === 1 &&
+            entry.lastLatencyMs === 200 && entry.avgLatencyMs > 100 && entry.avgLatencyMs < 200;
+        return { passed, message: `successRate=${entry.successRate} avgLatencyMs=${entry.avgLatencyMs}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,242 @@
+/**
+ * Failover Test (offline only)
+ *
+ * Injects upstream errors into the mock Cloud Code server and checks that
+ * the proxy recovers the way it does against the real API:
+ * - 429 on one account → the request moves to the next account
+ * - 5xx on the first endpoint → the next endpoint is tried
+ * - 401 → the token is refreshed and the next endpoint is tried
+ * - every account rate-limited → the proxy waits for the reset and retries
+ * - a fallback chain moves past a rate-limited and a slow model
+ * - a chain timeout interrupts the wait for rate-limited accounts
+ * - repeated 5xx from one endpoint → its circuit opens and it is skipped
+ *
+ * Needs the mock upstream: run with `node tests/run-all.cjs failover --offline`.
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { makeRequest, PORT } = require('./helpers/http-client.cjs');
+
+const MOCK_URL = process.env.MOCK_UPSTREAM_URL;
+const CONFIG_DIR = process.env.PROXY_CONFIG_DIR;
+const MODEL = 'gemini-3-flash';
+
+/**
+ * Call the mock server's control API
+ * @param {string} path - Control path (e.g. /mock/errors)
+ * @param {Object} [body] - JSON body (POST when given)
+ * @returns {Promise<Object>} Parsed response
+ */
+async function mock(path, body) {
+    const response = await fetch(`${MOCK_URL}${path}`, body === undefined ? {} : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+/**
+ * @returns {Promise<Object[]>} Generate requests the mock has seen since the last reset
+ */
+async function generateRequests() {
+    const { requests } = await mock('/mock/requests');
+    return requests.filter(r => r.method.endsWith('enerateContent'));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @returns {Promise<Object>} The proxy's /health report
+ */
+function getHealth() {
+    return new Promise((resolve, reject) => {
+        http.get({ host: 'localhost', port: PORT, path: '/health' }, res => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve(JSON.parse(data)));
+        }).on('error', reject);
+    });
+}
+
+const ask = text => makeRequest({
+    model: MODEL,
+    max_tokens: 1024,
+    stream: false,
+    messages: [{ role: 'user', content: text }]
+});
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('FAILOVER TEST (mock upstream)');
+    console.log('='.repeat(60));
+    console.log('');
+
+    if (!MOCK_URL) {
+        console.log('  Skipped: needs the mock upstream (node tests/run-all.cjs failover --offline)');
+        process.exit(0);
+    }
+
+    let allPassed = true;
+    const results = [];
+
+    async function test(name, fn) {
+        await mock('/mock/reset', {});
+        try {
+            const { passed, message } = await fn();
+            results.push({ name, passed });
+            console.log(`  [${passed ? 'PASS' : 'FAIL'}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('429 on both endpoints moves the request to another account', async () => {
+        await mock('/mock/errors', { status: 429, method: '*enerateContent', count: 2, resetDelayMs: 2000 });
+        const response = await ask('failover: rate limit');
+        const requests = await generateRequests();
+        const limited = requests.filter(r => r.status === 429);
+        const served = requests.find(r => r.status === 200);
+        const passed = response.statusCode === 200 && limited.length === 2 &&
+            limited[0].token === limited[1].token && served && served.token !== limited[0].token;
+        return { passed, message: requests.map(r => `${r.endpoint}:${r.token}:${r.status}`).join(' ') };
+    });
+
+    // Let the rate limit from the previous test expire
+    await sleep(2500);
+
+    await test('503 on the first endpoint falls through to the next one', async () => {
+        await mock('/mock/errors', { status: 503, endpoint: 'daily', method: '*enerateContent' });
+        const response = await ask('failover: unavailable');
+        const requests = await generateRequests();
+        const passed = response.statusCode === 200 && requests.length === 2 &&
+            requests[0].endpoint === 'daily' && requests[0].status === 503 &&
+            requests[1].endpoint === 'prod' && requests[1].status === 200 &&
+            requests[0].token === requests[1].token;
+        return { passed, message: requests.map(r => `${r.endpoint}:${r.status}`).join(' ') };
+    });
+
+    await test('401 refreshes the token and retries', async () => {
+        await mock('/mock/errors', { status: 401, endpoint: 'daily', method: '*enerateContent' });
+        const response = await ask('failover: unauthenticated');
+        const requests = await generateRequests();
+        const passed = response.statusCode === 200 && requests.at(-1).status === 200 &&
+            requests.some(r => r.status === 401);
+        return { passed, message: requests.map(r => `${r.endpoint}:${r.status}`).join(' ') };
+    });
+
+    await test('When every account is rate-limited the proxy waits and retries', async () => {
+        await mock('/mock/errors', { status: 429, method: '*enerateContent', count: 4, resetDelayMs: 2000 });
+        const started = Date.now();
+        const response = await ask('failover: all limited');
+        const requests = await generateRequests();
+        const tokens = new Set(requests.filter(r => r.status === 429).map(r => r.token));
+        const passed = response.statusCode === 200 && tokens.size === 2 && requests.at(-1).status === 200;
+        return { passed, message: `${requests.length} upstream calls, ${Date.now() - started}ms` };
+    });
+
+    await test('A fallback chain skips a rate-limited model and a slow one', async () => {
+        const configFile = path.join(CONFIG_DIR, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            fallbackChains: {
+                'gemini-3-1-pro-low': { models: ['gemini-3-1-pro-high', MODEL], on: ['quota', 'timeout'], timeoutMs: 1000 }
+            }
+        }));
+        await sleep(500); // Let the proxy pick up the change
+
+        try {
+            await mock('/mock/errors', { status: 429, model: 'gemini-3-1-pro-low', count: 0, resetDelayMs: 300000 });
+            await mock('/mock/responses', { model: 'gemini-3-1-pro-high', text: 'too late', delayMs: 3000 });
+            const response = await fetch(`http://localhost:${PORT}/v1/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-api-key': 'test', 'anthropic-version': '2023-06-01' },
+                body: JSON.stringify({
+                    model: 'gemini-3-1-pro-low',
+                    max_tokens: 1024,
+                    messages: [{ role: 'user', content: 'failover: chain' }]
+                })
+            });
+            await response.json();
+            const { fallbacks } = await getHealth();
+            const served = response.headers.get('x-model');
+            const passed = response.status === 200 && served === MODEL &&
+                response.headers.get('x-fallback-from') === 'gemini-3-1-pro-low' && fallbacks.total >= 2;
+            return { passed, message: `${response.status} from ${served}, ${fallbacks.routes.map(r => `${r.from}->${r.to}:${r.reason}`).join(' ')}` };
+        } finally {
+            fs.rmSync(configFile, { force: true });
+        }
+    });
+
+    await test('A chain timeout cuts short the wait for rate-limited accounts', async () => {
+        const configFile = path.join(CONFIG_DIR, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            fallbackChains: {
+                'gemini-3-1-pro-low': { models: [MODEL], on: ['timeout'], timeoutMs: 1000 }
+            }
+        }));
+        await sleep(500); // Let the proxy pick up the change
+
+        try {
+            // Every account is limited for 10s, short enough that the proxy would wait it out
+            await mock('/mock/errors', { status: 429, model: 'gemini-3-1-pro-low', count: 0, resetDelayMs: 10000 });
+            const started = Date.now();
+            const response = await fetch(`http://localhost:${PORT}/v1/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-api-key': 'test', 'anthropic-version': '2023-06-01' },
+                body: JSON.stringify({
+                    model: 'gemini-3-1-pro-low',
+                    max_tokens: 1024,
+                    messages: [{ role: 'user', content: 'failover: timeout while waiting' }]
+                })
+            });
+            await response.json();
+            const elapsed = Date.now() - started;
+            const served = response.headers.get('x-model');
+            const passed = response.status === 200 && served === MODEL && elapsed < 5000;
+            return { passed, message: `${response.status} from ${served} after ${elapsed}ms` };
+        } finally {
+            fs.rmSync(configFile, { force: true });
+        }
+    });
+
+    // Last: leaves the daily circuit open for the rest of the run
+    await test('Repeated 5xx from an endpoint opens its circuit and it is skipped', async () => {
+        await mock('/mock/errors', { status: 503, endpoint: 'daily', method: '*enerateContent', count: 0 });
+        for (let i = 0; i < 3; i++) await ask(`failover: circuit ${i}`);
+        await mock('/mock/reset', {});
+        const response = await ask('failover: circuit open');
+        const requests = await generateRequests();
+        const daily = (await getHealth()).endpoints.find(e => e.endpoint.endsWith('/daily'));
+        const passed = response.statusCode === 200 && daily?.state === 'open' &&
+            requests.length === 1 && requests[0].endpoint === 'prod';
+        return { passed, message: `daily=${daily?.state} calls=${requests.map(r => r.endpoint).join(' ')}` };
+    });
+
+    await mock('/mock/reset', {});
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    for (const result of results) {
+        console.log(`  [${result.passed ? 'PASS' : 'FAIL'}] ${result.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,206 @@
+/**
+ * Native Gemini API Test (offline only)
+ *
+ * Drives the /v1beta routes against the mock Cloud Code server:
+ * - generateContent unwraps the Cloud Code envelope
+ * - streamGenerateContent answers as SSE with ?alt=sse, else as a JSON array
+ * - a request without contents, or one upstream rejects, gets a Gemini-format error
+ * - a 429 moves the request to another account like /v1/messages does
+ * - a non-thinking model on /v1/messages goes through the mock's
+ *   (non-streaming) generateContent path
+ *
+ * Needs the mock upstream: run with `node tests/run-all.cjs gemini-native --offline`.
+ */
+const { makeRequest, PORT } = require('./helpers/http-client.cjs');
+
+const MOCK_URL = process.env.MOCK_UPSTREAM_URL;
+const BASE = `http://localhost:${PORT}`;
+const MODEL = 'gemini-3-flash';
+
+/**
+ * Call the mock server's control API
+ * @param {string} path - Control path (e.g. /mock/errors)
+ * @param {Object} [body] - JSON body (POST when given)
+ * @returns {Promise<Object>} Parsed response
+ */
+async function mock(path, body) {
+    const response = await fetch(`${MOCK_URL}${path}`, body === undefined ? {} : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+/**
+ * @returns {Promise<Object[]>} Generate requests the mock has seen since the last reset
+ */
+async function generateRequests() {
+    const { requests } = await mock('/mock/requests');
+    return requests.filter(r => r.method.endsWith('enerateContent'));
+}
+
+/**
+ * POST a Gemini request to the proxy
+ * @param {string} method - generateContent or streamGenerateContent
+ * @param {Object} body - Gemini request body
+ * @param {string} [query] - Query string (e.g. ?alt=sse)
+ * @returns {Promise<{status: number, contentType: string, text: string}>}
+ */
+async function gemini(method, body, query = '') {
+    const response = await fetch(`${BASE}/v1beta/models/${MODEL}:${method}${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': 'test' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, contentType: response.headers.get('content-type') || '', text: await response.text() };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const ask = text => ({ contents: [{ role: 'user', parts: [{ text }] }] });
+
+/**
+ * @param {Object[]} chunks - GenerateContentResponse chunks
+ * @returns {string} Concatenated non-thought text
+ */
+const textOf = chunks => chunks
+    .flatMap(chunk => chunk.candidates?.[0]?.content?.parts || [])
+    .filter(part => !part.thought)
+    .map(part => part.text || '')
+    .join('');
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('NATIVE GEMINI API TEST (mock upstream)');
+    console.log('='.repeat(60));
+    console.log('');
+
+    if (!MOCK_URL) {
+        console.log('  Skipped: needs the mock upstream (node tests/run-all.cjs gemini-native --offline)');
+        process.exit(0);
+    }
+
+    let allPassed = true;
+    const results = [];
+
+    async function test(name, fn) {
+        await mock('/mock/reset', {});
+        try {
+            const { passed, message } = await fn();
+            results.push({ name, passed });
+            console.log(`  [${passed ? 'PASS' : 'FAIL'}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('generateContent returns the unwrapped Gemini response', async () => {
+        await mock('/mock/responses', { model: MODEL, text: 'native hello' });
+        const { status, text } = await gemini('generateContent', ask('native: plain'));
+        const data = JSON.parse(text);
+        const requests = await generateRequests();
+        const passed = status === 200 && !data.response &&
+            textOf([data]) === 'native hello' &&
+            data.candidates[0].finishReason === 'STOP' &&
+            data.usageMetadata?.totalTokenCount > 0 &&
+            requests.length === 1 && requests[0].method === 'generateContent' && requests[0].model === MODEL;
+        return { passed, message: `status=${status} text=${textOf([data])} upstream=${requests.map(r => r.method).join(',')}` };
+    });
+
+    await test('streamGenerateContent?alt=sse streams SSE chunks', async () => {
+        await mock('/mock/responses', { model: MODEL, text: 'streamed over sse' });
+        const { status, contentType, text } = await gemini('streamGenerateContent', ask('native: sse'), '?alt=sse');
+        const chunks = text.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => JSON.parse(line.slice(5)));
+        const requests = await generateRequests();
+        const passed = status === 200 && contentType.includes('text/event-stream') &&
+            chunks.length > 1 && chunks.every(chunk => !chunk.response) &&
+            textOf(chunks) === 'streamed over sse' &&
+            chunks.at(-1).candidates[0].finishReason === 'STOP' &&
+            requests[0]?.method === 'streamGenerateContent';
+        return { passed, message: `status=${status} chunks=${chunks.length} text=${textOf(chunks)}` };
+    });
+
+    await test('streamGenerateContent without alt=sse returns a JSON array', async () => {
+        await mock('/mock/responses', { model: MODEL, text: 'streamed as array' });
+        const { status, contentType, text } = await gemini('streamGenerateContent', ask('native: array'));
+        const chunks = JSON.parse(text);
+        const passed = status === 200 && contentType.includes('application/json') &&
+            Array.isArray(chunks) && chunks.length > 1 && textOf(chunks) === 'streamed as array';
+        return { passed, message: `status=${status} chunks=${chunks.length}` };
+    });
+
+    await test('A request without contents is rejected in the Gemini error format', async () => {
+        const { status, text } = await gemini('generateContent', { contents: [] });
+        const { error } = JSON.parse(text);
+        const requests = await generateRequests();
+        const passed = status === 400 && error?.code === 400 && error.status === 'INVALID_ARGUMENT' &&
+            requests.length === 0;
+        return { passed, message: `status=${status} ${error?.message}` };
+    });
+
+    await test('An upstream error reaches the client as a Gemini error', async () => {
+        await mock('/mock/errors', { status: 400, method: '*enerateContent', model: MODEL, count: 2, message: 'bad request from mock' });
+        const { status, text } = await gemini('generateContent', ask('native: bad request'));
+        const { error } = JSON.parse(text);
+        const passed = status === 400 && error?.code === 400 && /bad request from mock/.test(error.message);
+        return { passed, message: `status=${status} ${error?.message}` };
+    });
+
+    await test('A non-thinking model on /v1/messages uses the mock generateContent path', async () => {
+        await mock('/mock/responses', { model: 'claude-sonnet-4-5', text: 'plain claude answer' });
+        const response = await makeRequest({
+            model: 'claude-sonnet-4-5',
+            max_tokens: 256,
+            stream: false,
+            messages: [{ role: 'user', content: 'native: non-thinking' }]
+        });
+        const requests = await generateRequests();
+        const text = (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+        const passed = response.statusCode === 200 && text === 'plain claude answer' &&
+            requests.length === 1 && requests[0].method === 'generateContent';
+        return { passed, message: `status=${response.statusCode} text=${text} upstream=${requests.map(r => r.method).join(',')}` };
+    });
+
+    await test('429 on both endpoints moves a native request to another account', async () => {
+        await mock('/mock/errors', { status: 429, method: '*enerateContent', count: 2, resetDelayMs: 2000 });
+        const { status } = await gemini('generateContent', ask('native: rate limit'));
+        const requests = await generateRequests();
+        const limited = requests.filter(r => r.status === 429);
+        const served = requests.find(r => r.status === 200);
+        const passed = status === 200 && limited.length === 2 &&
+            limited[0].token === limited[1].token && served && served.token !== limited[0].token;
+        return { passed, message: requests.map(r => `${r.endpoint}:${r.token}:${r.status}`).join(' ') };
+    });
+
+    // Let the rate limit expire before the next suite
+    await sleep(2500);
+    await mock('/mock/reset', {});
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    for (const result of results) {
+        console.log(`  [${result.passed ? 'PASS' : 'FAIL'}] ${result.name}`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test failed with error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,235 @@
+/**
+ * Metrics Unit Tests
+ *
+ * Tests the Prometheus exposition at /metrics: HELP and TYPE lines, the
+ * latency histogram buckets, label escaping, the account gauges (from a
+ * fake AccountManager) and the WebUI password on the route.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   metrics.render(accountManager)
+ *   metrics.recordRequest(record, status)
+ *   metrics.recordUpstreamError(endpoint, status, model)
+ *   metrics.recordFallback(from, to, reason)
+ *   GET /metrics
+ *
+ * Run: node tests/test-metrics.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.json is read from HOME, so point it somewhere empty before loading the modules
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+process.env.HOME = home;
+
+/**
+ * Parse exposition text into HELP/TYPE declarations and samples
+ * @param {string} text - Exposition text
+ * @returns {{help: Map<string, string>, type: Map<string, string>, samples: Array<{name: string, labels: Object, value: number}>, invalid: string[]}}
+ */
+function parseExposition(text) {
+    const help = new Map();
+    const type = new Map();
+    const samples = [];
+    const invalid = [];
+
+    for (const line of text.split('\n')) {
+        if (!line) continue;
+        let match = line.match(/^# (HELP|TYPE) (\w+) (.+)$/);
+        if (match) {
+            (match[1] === 'HELP' ? help : type).set(match[2], match[3]);
+            continue;
+        }
+        match = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+        if (!match || Number.isNaN(Number(match[3]))) {
+            invalid.push(line);
+            continue;
+        }
+        const labels = {};
+        // Label values may hold escaped quotes, backslashes and newlines
+        for (const [, key, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+            labels[key] = value.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c));
+        }
+        samples.push({ name: match[1], labels, value: Number(match[3]) });
+    }
+    return { help, type, samples, invalid };
+}
+
+// Note: Using dynamic import because the modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('METRICS UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { default: express } = await import('express');
+    const { default: metrics } = await import('../src/modules/metrics.js');
+    const { mountWebUI } = await import('../src/webui/index.js');
+    const { config } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    const now = Date.now();
+    const fakeManager = {
+        getAllAccounts: () => [
+            { email: 'free@example.com', modelRateLimits: {} },
+            {
+                email: 'limited@example.com',
+                modelRateLimits: {
+                    'gemini-3-flash': { isRateLimited: true, resetTime: now + 60000 },
+                    'claude-sonnet-4-5': { isRateLimited: true, resetTime: now - 1000 }
+                }
+            }
+        ],
+        getStatus: () => ({ total: 2, available: 1, rateLimited: 1, invalid: 0 })
+    };
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('Every family has HELP and TYPE lines, even without samples', async () => {
+        const { help, type, invalid } = parseExposition(metrics.render(fakeManager));
+        const expected = {
+            antigravity_requests_total: 'counter',
+            antigravity_request_duration_seconds: 'histogram',
+            antigravity_upstream_errors_total: 'counter',
+            antigravity_upstream_rate_limits_total: 'counter',
+            antigravity_fallback_activations_total: 'counter',
+            antigravity_signature_cache_entries: 'gauge',
+            antigravity_endpoint_circuit_open: 'gauge',
+            antigravity_accounts: 'gauge',
+            antigravity_account_rate_limited: 'gauge',
+            antigravity_account_rate_limit_remaining_seconds: 'gauge'
+        };
+        const missing = Object.entries(expected).filter(([name, kind]) => type.get(name) !== kind || !help.get(name));
+        return { passed: missing.length === 0 && invalid.length === 0, message: missing.map(([name]) => name).join(', ') || undefined };
+    });
+
+    await test('Request latency lands in cumulative histogram buckets', async () => {
+        metrics.recordRequest({ endpoint: '/v1/messages', model: 'gemini-3-flash', account: 'free@example.com', stream: false, startedAt: Date.now() - 3000 }, 200);
+        metrics.recordRequest({ endpoint: '/v1/messages', model: 'gemini-3-flash', account: 'free@example.com', stream: false, startedAt: Date.now() - 100 }, 200);
+        const { samples } = parseExposition(metrics.render());
+        const histogram = samples.filter(s => s.labels.model === 'gemini-3-flash' && s.labels.route === '/v1/messages');
+        const bucket = le => histogram.find(s => s.name === 'antigravity_request_duration_seconds_bucket' && s.labels.le === le)?.value;
+        const buckets = histogram.filter(s => s.name.endsWith('_bucket')).map(s => s.value);
+        const sum = histogram.find(s => s.name === 'antigravity_request_duration_seconds_sum')?.value;
+        const count = histogram.find(s => s.name === 'antigravity_request_duration_seconds_count')?.value;
+        const requests = samples.find(s => s.name === 'antigravity_requests_total' && s.labels.model === 'gemini-3-flash');
+        const passed = bucket('0.25') === 1 && bucket('2.5') === 1 && bucket('5') === 2 && bucket('+Inf') === 2 &&
+            buckets.every((value, i) => i === 0 || value >= buckets[i - 1]) &&
+            count === 2 && sum >= 3 && sum < 4 &&
+            requests?.value === 2 && requests.labels.status === '200' && requests.labels.stream === 'false';
+        return { passed, message: `buckets=${buckets.join(',')} sum=${sum} count=${count}` };
+    });
+
+    await test('Label values are escaped', async () => {
+        const model = 'odd "model"\\name\nline2';
+        metrics.recordFallback(model, 'gemini-3-flash', 'quota');
+        const text = metrics.render();
+        const line = text.split('\n').find(l => l.startsWith('antigravity_fallback_activations_total{') && l.includes('odd'));
+        const { samples, invalid } = parseExposition(text);
+        const sample = samples.find(s => s.name === 'antigravity_fallback_activations_total' && s.labels.from?.startsWith('odd'));
+        const passed = line === 'antigravity_fallback_activations_total{from="odd \\"model\\"\\\\name\\nline2",to="gemini-3-flash",reason="quota"} 1' &&
+            sample?.labels.from === model && invalid.length === 0;
+        return { passed, message: line };
+    });
+
+    await test('Upstream 429s count as errors and rate limits, by endpoint', async () => {
+        metrics.recordUpstreamError('https://daily-cloudcode-pa.googleapis.com', 429, 'gemini-3-flash');
+        metrics.recordUpstreamError('https://cloudcode-pa.googleapis.com', 503, 'gemini-3-flash');
+        metrics.recordUpstreamError('https://cloudcode-pa.googleapis.com', 'network');
+        const { samples } = parseExposition(metrics.render());
+        const errors = samples.filter(s => s.name === 'antigravity_upstream_errors_total')
+            .map(s => `${s.labels.endpoint}:${s.labels.status}`).sort();
+        const limits = samples.filter(s => s.name === 'antigravity_upstream_rate_limits_total');
+        const passed = errors.join(' ') === 'daily:429 prod:503 prod:network' &&
+            limits.length === 1 && limits[0].labels.endpoint === 'daily' && limits[0].labels.model === 'gemini-3-flash';
+        return { passed, message: errors.join(' ') };
+    });
+
+    await test('Account gauges show only rate limits that have not reset', async () => {
+        const { samples } = parseExposition(metrics.render(fakeManager));
+        const limited = Object.fromEntries(samples.filter(s => s.name === 'antigravity_account_rate_limited')
+            .map(s => [s.labels.account, s.value]));
+        const remaining = samples.filter(s => s.name === 'antigravity_account_rate_limit_remaining_seconds');
+        const available = samples.find(s => s.name === 'antigravity_accounts' && s.labels.state === 'available');
+        const passed = limited['free@example.com'] === 0 && limited['limited@example.com'] === 1 &&
+            remaining.length === 1 && remaining[0].labels.model === 'gemini-3-flash' &&
+            remaining[0].value > 50 && remaining[0].value <= 60 && available?.value === 1;
+        return { passed, message: `limited=${JSON.stringify(limited)} remaining=${remaining.map(s => s.value).join(',')}` };
+    });
+
+    await test('/metrics needs the WebUI password once one is set', async () => {
+        const app = express();
+        mountWebUI(app, path.join(__dirname, '../src'), fakeManager);
+        metrics.setupRoutes(app, fakeManager);
+        const server = await new Promise(resolve => {
+            const s = app.listen(0, '127.0.0.1', () => resolve(s));
+        });
+        const url = `http://127.0.0.1:${server.address().port}/metrics`;
+
+        try {
+            config.webuiPassword = '';
+            const open = await fetch(url);
+            config.webuiPassword = 'scrape-secret';
+            const anonymous = await fetch(url);
+            const wrong = await fetch(url, { headers: { 'x-webui-password': 'guess' } });
+            const header = await fetch(url, { headers: { 'x-webui-password': 'scrape-secret' } });
+            const query = await fetch(`${url}?password=scrape-secret`);
+            const body = await header.text();
+            const passed = open.status === 200 && anonymous.status === 401 && wrong.status === 401 &&
+                header.status === 200 && query.status === 200 &&
+                /^text\/plain;.*version=0\.0\.4/.test(header.headers.get('content-type')) &&
+                body.includes('# TYPE antigravity_requests_total counter');
+            return { passed, message: `open=${open.status} anonymous=${anonymous.status} wrong=${wrong.status} header=${header.status} query=${query.status}` };
+        } finally {
+            config.webuiPassword = '';
+            server.close();
+        }
+    });
+
+    fs.rmSync(home, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,187 @@
+/**
+ * Model Routing Unit Tests
+ *
+ * Tests the modelRouting rules engine: matching on model patterns, tools,
+ * thinking, request size and headers, generation overrides, the modelMapping
+ * fallback and account groups.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   routeRequest(request, headers)
+ *   routeGeminiRequest(model, body, headers)
+ *   getGroupAccounts(accounts, group, fallBackToAll)
+ *
+ * Run: node tests/test-model-routing.cjs
+ */
+
+// Note: Using dynamic import because the routing modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('MODEL ROUTING UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { routeRequest, routeGeminiRequest } = await import('../src/model-routing.js');
+    const { buildCloudCodeRequest } = await import('../src/cloudcode/request-builder.js');
+    const { getGroupAccounts } = await import('../src/account-manager/groups.js');
+    const { config } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const request = (extra = {}) => ({
+        model: 'claude-haiku-4-5',
+        max_tokens: 32000,
+        messages: [{ role: 'user', content: 'Summarize this conversation in five words.' }],
+        ...extra
+    });
+    const tool = { name: 'read_file', description: 'Read a file', input_schema: { type: 'object' } };
+    const thinking = { type: 'enabled', budget_tokens: 10000 };
+
+    config.modelMapping = { 'claude-sonnet-4-5': { mapping: 'claude-sonnet-4-6-thinking' } };
+    config.modelRouting = [
+        { name: 'off', enabled: false, match: {}, target: 'never' },
+        {
+            name: 'background',
+            match: { model: 'claude-*haiku*', tools: false, thinking: false },
+            target: 'gemini-3-flash',
+            overrides: { maxTokens: 8192 },
+            accountGroup: 'background'
+        },
+        { name: 'big', match: { model: '/^claude-haiku/', minInputTokens: 1000 }, target: 'gemini-3-1-pro-high' },
+        { name: 'cli', match: { headers: { 'User-Agent': 'claude-cli/*' } }, target: 'claude-opus-4-6-thinking', overrides: { thinkingBudget: 2048 } },
+        { name: 'no-thinking', match: { model: 'gemini-*', thinking: true }, target: 'gemini-3-flash', overrides: { thinkingBudget: 0 } },
+        { name: 'no-claude-thinking', match: { model: 'claude-opus-*', thinking: true }, target: 'claude-opus-4-6-thinking', overrides: { thinkingBudget: 0 } }
+    ];
+
+    console.log('\n--- Matching ---');
+
+    await test('First matching rule wins; disabled rules are skipped', () => {
+        const route = routeRequest(request());
+        const passed = route.rule === 'background' && route.model === 'gemini-3-flash' &&
+            route.request.model === 'gemini-3-flash' && route.accountGroup === 'background';
+        return { passed, message: `${route.rule}: ${route.model}` };
+    });
+
+    await test('tools and thinking conditions fall through to later rules', () => {
+        const withTools = routeRequest(request({ tools: [tool] }));
+        const withThinking = routeRequest(request({ thinking }));
+        const passed = withTools.rule === null && withTools.model === 'claude-haiku-4-5' &&
+            withThinking.rule === null;
+        return { passed, message: `tools: ${withTools.model}, thinking: ${withThinking.model}` };
+    });
+
+    await test('Regex model and minInputTokens match large requests', () => {
+        const big = request({ tools: [tool], messages: [{ role: 'user', content: 'word '.repeat(2000) }] });
+        const route = routeRequest(big);
+        return { passed: route.rule === 'big' && route.model === 'gemini-3-1-pro-high', message: route.rule };
+    });
+
+    await test('Base64 images do not count towards the input size', () => {
+        const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'A'.repeat(100000) } };
+        const route = routeRequest(request({ tools: [tool], messages: [{ role: 'user', content: [image] }] }));
+        return { passed: route.rule === null, message: String(route.rule) };
+    });
+
+    await test('Headers match case-insensitively by name', () => {
+        const route = routeRequest(request({ model: 'claude-sonnet-4-5', thinking }), { 'user-agent': 'claude-cli/2.0.1 (external)' });
+        const passed = route.rule === 'cli' && route.model === 'claude-opus-4-6-thinking' &&
+            route.request.thinking.budget_tokens === 2048 && route.request.thinking.type === 'enabled';
+        return { passed, message: `${route.rule}: budget ${route.request.thinking?.budget_tokens}` };
+    });
+
+    console.log('\n--- Overrides ---');
+
+    await test('maxTokens caps max_tokens but never raises it', () => {
+        const capped = routeRequest(request()).request.max_tokens;
+        const small = routeRequest(request({ max_tokens: 100 })).request.max_tokens;
+        return { passed: capped === 8192 && small === 100, message: `${capped}, ${small}` };
+    });
+
+    await test('thinkingBudget 0 turns thinking off in the upstream request', () => {
+        const route = routeRequest(request({ model: 'gemini-3-1-pro-high', thinking }));
+        const { thinkingConfig } = buildCloudCodeRequest(route.request, 'project').request.generationConfig;
+        const passed = route.rule === 'no-thinking' && route.request.thinking.type === 'disabled' &&
+            thinkingConfig?.thinkingBudget === 0 && thinkingConfig.includeThoughts === false;
+        return { passed, message: `${route.rule}: ${JSON.stringify(thinkingConfig)}` };
+    });
+
+    await test('thinkingBudget 0 leaves out the thinking config of Claude thinking models', () => {
+        const route = routeRequest(request({ model: 'claude-opus-4-6-thinking', thinking }));
+        const { generationConfig } = buildCloudCodeRequest(route.request, 'project').request;
+        const passed = route.rule === 'no-claude-thinking' && generationConfig.thinkingConfig === undefined;
+        return { passed, message: `${route.rule}: ${JSON.stringify(generationConfig.thinkingConfig)}` };
+    });
+
+    await test('Overrides apply to native Gemini generationConfig', () => {
+        const body = {
+            contents: [{ role: 'user', parts: [{ text: 'hi' }] }],
+            generationConfig: { maxOutputTokens: 65536, thinkingConfig: { thinkingBudget: 4096 } }
+        };
+        const route = routeGeminiRequest('gemini-3-1-pro-high', body);
+        const { thinkingConfig } = route.body.generationConfig;
+        const passed = route.rule === 'no-thinking' && thinkingConfig.thinkingBudget === 0 && thinkingConfig.includeThoughts === false &&
+            route.body.generationConfig.maxOutputTokens === 65536 && body.generationConfig.thinkingConfig.thinkingBudget === 4096;
+        return { passed, message: route.rule };
+    });
+
+    console.log('\n--- Fallbacks ---');
+
+    await test('Without a matching rule the modelMapping applies', () => {
+        const route = routeRequest(request({ model: 'claude-sonnet-4-5' }));
+        return { passed: route.rule === null && route.model === 'claude-sonnet-4-6-thinking', message: route.model };
+    });
+
+    await test('Account groups narrow the pool; unknown or empty groups are empty', () => {
+        config.accountGroups = { background: ['Spare@example.com'], empty: ['gone@example.com'] };
+        const accounts = [{ email: 'main@example.com' }, { email: 'spare@example.com' }];
+        const background = getGroupAccounts(accounts, 'background');
+        const passed = background.length === 1 && background[0].email === 'spare@example.com' &&
+            getGroupAccounts(accounts, 'empty').length === 0 && getGroupAccounts(accounts, 'missing').length === 0 &&
+            getGroupAccounts(accounts, 'missing', true) === accounts && getGroupAccounts(accounts, null) === accounts;
+        return { passed, message: background.map(a => a.email).join(', ') };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * OpenAI Converter Unit Tests
+ *
+ * Tests the conversion between OpenAI Chat Completions format and
+ * Anthropic Messages format used by POST /v1/chat/completions.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   convertOpenAIToAnthropic(openaiRequest)
+ *   convertAnthropicToOpenAI(anthropicResponse, model)
+ *   streamAnthropicToOpenAI(events, model, options)
+ *
+ * Run: node tests/test-openai-converter.cjs
+ */
+
+// Note: Using dynamic import because the converter is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('OPENAI CONVERTER UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const {
+        convertOpenAIToAnthropic,
+        convertAnthropicToOpenAI,
+        streamAnthropicToOpenAI
+    } = await import('../src/format/openai-converter.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    async function* toStream(events) {
+        for (const event of events) yield event;
+    }
+
+    // ===== Test Group 1: Request Conversion =====
+    console.log('\n--- Request Conversion ---');
+
+    await test('System and developer messages become the system prompt', () => {
+        const result = convertOpenAIToAnthropic({
+            model: 'claude-sonnet-4-6-thinking',
+            messages: [
+                { role: 'system', content: 'You are helpful.' },
+                { role: 'developer', content: [{ type: 'text', text: 'Be brief.' }] },
+                { role: 'user', content: 'Hi' }
+            ]
+        });
+        const passed = result.system === 'You are helpful.\n\nBe brief.' &&
+            result.messages.length === 1 &&
+            result.messages[0].role === 'user';
+        return { passed, message: `system=${JSON.stringify(result.system)}` };
+    });
+
+    await test('Assistant tool_calls become tool_use blocks with original ids', () => {
+        const result = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [
+                { role: 'user', content: 'Weather?' },
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{
+                        id: 'call_abc',
+                        type: 'function',
+                        function: { name: 'get_weather', arguments: '{"location":"Paris"}' }
+                    }]
+                },
+                { role: 'tool', tool_call_id: 'call_abc', content: 'Sunny' }
+            ]
+        });
+        const toolUse = result.messages[1].content[0];
+        const toolResult = result.messages[2].content[0];
+        const passed = toolUse.type === 'tool_use' &&
+            toolUse.id === 'call_abc' &&
+            toolUse.input.location === 'Paris' &&
+            toolResult.type === 'tool_result' &&
+            toolResult.tool_use_id === 'call_abc';
+        return { passed, message: `roles=${result.messages.map(m => m.role).join(',')}` };
+    });
+
+    await test('Consecutive tool results merge into one user message', () => {
+        const result = convertOpenAIToAnthropic({
+            messages: [
+                { role: 'user', content: 'Go' },
+                {
+                    role: 'assistant',
+                    tool_calls: [
+                        { id: 'a', type: 'function', function: { name: 'x', arguments: '{}' } },
+                        { id: 'b', type: 'function', function: { name: 'y', arguments: '{}' } }
+                    ]
+                },
+                { role: 'tool', tool_call_id: 'a', content: '1' },
+                { role: 'tool', tool_call_id: 'b', content: '2' }
+            ]
+        });
+        const passed = result.messages.length === 3 && result.messages[2].content.length === 2;
+        return { passed, message: `messages=${result.messages.length}` };
+    });
+
+    await test('Data URL images become base64 image blocks', () => {
+        const result = convertOpenAIToAnthropic({
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'What is this?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+                ]
+            }]
+        });
+        const image = result.messages[0].content[1];
+        const passed = image.type === 'image' &&
+            image.source.type === 'base64' &&
+            image.source.media_type === 'image/png' &&
+            image.source.data === 'AAAA';
+        return { passed, message: `source=${JSON.stringify(image.source)}` };
+    });
+
+    await test('Tools, tool_choice and stop are converted', () => {
+        const result = convertOpenAIToAnthropic({
+            messages: [{ role: 'user', content: 'Hi' }],
+            tools: [{
+                type: 'function',
+                function: { name: 'get_weather', description: 'Weather', parameters: { type: 'object' } }
+            }],
+            tool_choice: 'required',
+            stop: 'END',
+            max_completion_tokens: 123
+        });
+        const passed = result.tools[0].name === 'get_weather' &&
+            result.tools[0].input_schema.type === 'object' &&
+            result.tool_choice.type === 'any' &&
+            result.stop_sequences[0] === 'END' &&
+            result.max_tokens === 123;
+        return { passed, message: `tool_choice=${JSON.stringify(result.tool_choice)}` };
+    });
+
+    await test('reasoning_effort enables thinking only for thinking models', () => {
+        const thinking = convertOpenAIToAnthropic({
+            model: 'claude-opus-4-6-thinking',
+            messages: [{ role: 'user', content: 'Hi' }],
+            reasoning_effort: 'high'
+        });
+        const plain = convertOpenAIToAnthropic({
+            model: 'gpt-oss-120b',
+            messages: [{ role: 'user', content: 'Hi' }],
+            reasoning_effort: 'high'
+        });
+        const passed = thinking.thinking?.budget_tokens > 0 && plain.thinking === undefined;
+        return { passed, message: `budget=${thinking.thinking?.budget_tokens}` };
+    });
+
+    // ===== Test Group 2: Response Conversion =====
+    console.log('\n--- Response Conversion ---');
+
+    await test('Text, thinking and tool_use blocks map to an OpenAI message', () => {
+        const result = convertAnthropicToOpenAI({
+            content: [
+                { type: 'thinking', thinking: 'Let me think', signature: 'sig' },
+                { type: 'text', text: 'Checking.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { location: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 90 }
+        }, 'claude-sonnet-4-6-thinking');
+        const choice = result.choices[0];
+        const passed = choice.message.content === 'Checking.' &&
+            choice.message.reasoning_content === 'Let me think' &&
+            choice.message.tool_calls[0].function.arguments === '{"location":"Paris"}' &&
+            choice.finish_reason === 'tool_calls' &&
+            result.usage.prompt_tokens === 100 &&
+            result.usage.prompt_tokens_details.cached_tokens === 90;
+        return { passed, message: `finish_reason=${choice.finish_reason}, usage=${JSON.stringify(result.usage)}` };
+    });
+
+    await test('max_tokens stop reason maps to length', () => {
+        const result = convertAnthropicToOpenAI({
+            content: [{ type: 'text', text: 'Cut' }],
+            stop_reason: 'max_tokens',
+            usage: {}
+        }, 'gemini-3-flash');
+        const passed = result.choices[0].finish_reason === 'length';
+        return { passed, message: `finish_reason=${result.choices[0].finish_reason}` };
+    });
+
+    // ===== Test Group 3: Stream Conversion =====
+    console.log('\n--- Stream Conversion ---');
+
+    await test('Anthropic stream events become chat.completion.chunk deltas', async () => {
+        const events = [
+            { type: 'message_start', message: { usage: { input_tokens: 7, cache_read_input_tokens: 3 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_9', name: 'read_file', input: {} } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"path":"a"}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 4 } },
+            { type: 'message_stop' }
+        ];
+
+        const chunks = [];
+        for await (const chunk of streamAnthropicToOpenAI(toStream(events), 'm', { includeUsage: true })) {
+            chunks.push(chunk);
+        }
+
+        const text = chunks.map(c => c.choices[0]?.delta?.content || '').join('');
+        const toolStart = chunks.find(c => c.choices[0]?.delta?.tool_calls?.[0]?.id === 'toolu_9');
+        const finish = chunks.find(c => c.choices[0]?.finish_reason);
+        const usage = chunks[chunks.length - 1].usage;
+        const passed = chunks[0].choices[0].delta.role === 'assistant' &&
+            text === 'Hello' &&
+            !!toolStart &&
+            finish.choices[0].finish_reason === 'tool_calls' &&
+            usage.prompt_tokens === 10 &&
+            usage.completion_tokens === 4;
+        return { passed, message: `chunks=${chunks.length}, text=${text}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,217 @@
+/**
+ * Quota Poller Unit Tests
+ *
+ * Tests the background quota poller against a fake AccountManager, with the
+ * fetchAvailableModels endpoint answered by a replaced fetch. Jitter is set
+ * to 0, so a started poller runs its first cycle right away.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   quotaPoller.start(accountManager) / stop()
+ *   quotaPoller.pollAll()
+ *   quotaPoller.refreshAccount(account)
+ *   quotaPoller.getQuotas(account, { fresh })
+ *
+ * Run: node tests/test-quota-poller.cjs
+ */
+
+/**
+ * A stand-in for AccountManager with just what the poller uses
+ * @param {Object[]} accounts - Account objects
+ */
+function createFakeManager(accounts) {
+    const snapshots = new Map();
+    return {
+        getAllAccounts: () => accounts,
+        getTokenForAccount: async account => `tok-${account.email}`,
+        updateQuotas(email, quotas) {
+            snapshots.set(email, { quotas, fetchedAt: Date.now(), error: null, errorAt: null });
+        },
+        recordQuotaError(email, error) {
+            snapshots.set(email, { quotas: {}, fetchedAt: null, ...snapshots.get(email), error, errorAt: Date.now() });
+        },
+        getQuotaSnapshot: email => snapshots.get(email) || null
+    };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<boolean>} Whether the condition held in time
+ */
+async function waitFor(condition, timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (condition()) return true;
+        await sleep(10);
+    }
+    return condition();
+}
+
+// Note: Using dynamic import because the modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('QUOTA POLLER UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { default: quotaPoller } = await import('../src/modules/quota-poller.js');
+    const { config, configEvents } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    // fetchAvailableModels answers per token; the "broken" account always fails
+    const calls = [];
+    let delayMs = 0;
+    globalThis.fetch = async (url, options) => {
+        const token = options.headers.Authorization.replace('Bearer tok-', '');
+        calls.push(token);
+        if (delayMs) await sleep(delayMs);
+        if (token.startsWith('broken')) return new Response('{"error":"unavailable"}', { status: 503 });
+        return Response.json({
+            models: { 'gemini-3-flash': { quotaInfo: { remainingFraction: 0.5, resetTime: '2030-01-01T00:00:00Z' } } }
+        });
+    };
+
+    const accounts = [
+        { email: 'a@example.com' },
+        { email: 'b@example.com' },
+        { email: 'broken@example.com' },
+        { email: 'disabled@example.com', enabled: false },
+        { email: 'invalid@example.com', isInvalid: true }
+    ];
+    const manager = createFakeManager(accounts);
+
+    /**
+     * Change quotaPolling the way a config.json edit does
+     * @param {Object} settings - New quotaPolling settings
+     */
+    function setPolling(settings) {
+        config.quotaPolling = settings;
+        configEvents.emit('change', ['quotaPolling'], 'file');
+    }
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        calls.length = 0;
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('A disabled poller does not poll', async () => {
+        config.quotaPolling = { enabled: false, jitterMs: 0 };
+        quotaPoller.start(manager);
+        await sleep(100);
+        return { passed: calls.length === 0, message: `${calls.length} fetch(es)` };
+    });
+
+    await test('Enabling quotaPolling in config starts the poller without a restart', async () => {
+        setPolling({ enabled: true, jitterMs: 0 });
+        const polled = await waitFor(() => manager.getQuotaSnapshot('b@example.com')?.fetchedAt);
+        const passed = polled && manager.getQuotaSnapshot('a@example.com').quotas['gemini-3-flash']?.remainingFraction === 0.5;
+        return { passed, message: `fetched for ${[...new Set(calls)].join(', ')}` };
+    });
+
+    await test('Disabled and invalid accounts are skipped, failures are recorded', async () => {
+        await waitFor(() => manager.getQuotaSnapshot('broken@example.com'));
+        const broken = manager.getQuotaSnapshot('broken@example.com');
+        const passed = !calls.some(token => token.startsWith('disabled') || token.startsWith('invalid')) &&
+            broken?.error && !broken.fetchedAt;
+        return { passed, message: `broken: ${broken?.error}` };
+    });
+
+    await test('Disabling quotaPolling stops the poller, enabling it again restarts it', async () => {
+        setPolling({ enabled: false, jitterMs: 0 });
+        await sleep(50);
+        calls.length = 0;
+        setPolling({ enabled: true, jitterMs: 0 });
+        // Only a fresh start polls again this soon: the interval is at least 30s
+        const restarted = await waitFor(() => calls.includes('a@example.com'));
+        return { passed: restarted, message: `${calls.length} fetch(es) after re-enabling` };
+    });
+
+    await test('stop() ignores later config changes', async () => {
+        quotaPoller.stop();
+        setPolling({ enabled: false, jitterMs: 0 });
+        setPolling({ enabled: true, jitterMs: 0 });
+        await sleep(100);
+        return { passed: calls.length === 0, message: `${calls.length} fetch(es)` };
+    });
+
+    await test('getQuotas serves the snapshot unless fresh is asked for', async () => {
+        const account = accounts[0];
+        const cached = await quotaPoller.getQuotas(account, { accountManager: manager });
+        const fetchesBefore = calls.length;
+        const fresh = await quotaPoller.getQuotas(account, { fresh: true, accountManager: manager });
+        const passed = cached.cached === true && fetchesBefore === 0 &&
+            fresh.cached === false && calls.length === 1 && fresh.quotas['gemini-3-flash'];
+        return { passed, message: `cached=${cached.cached} fresh=${fresh.cached} fetches=${calls.length}` };
+    });
+
+    await test('Concurrent refreshes of one account share a request', async () => {
+        delayMs = 50;
+        try {
+            const account = accounts[1];
+            await Promise.all([
+                quotaPoller.refreshAccount(account, manager),
+                quotaPoller.refreshAccount(account, manager),
+                quotaPoller.getQuotas(account, { fresh: true, accountManager: manager })
+            ]);
+        } finally {
+            delayMs = 0;
+        }
+        return { passed: calls.length === 1, message: `${calls.length} fetch(es)` };
+    });
+
+    await test('A failed live fetch throws and is recorded on the snapshot', async () => {
+        let failed = false;
+        try {
+            await quotaPoller.getQuotas(accounts[2], { fresh: true, accountManager: manager });
+        } catch {
+            failed = true;
+        }
+        const snapshot = manager.getQuotaSnapshot('broken@example.com');
+        return { passed: failed && !!snapshot.error, message: snapshot.error };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,224 @@
+/**
+ * Response Cache Unit Tests
+ *
+ * Tests cache eligibility, key normalization, storing and replaying
+ * responses (including streamed ones) and the TTL/size limits.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   computeCacheKey(request)
+ *   isCacheable(request, headers)
+ *   responseCache.lookup / send / stream / getStats / purge
+ *
+ * Run: node tests/test-response-cache.cjs
+ */
+
+// Note: Using dynamic import because the response cache is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('RESPONSE CACHE UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { config } = await import('../src/config.js');
+    const { default: responseCache, computeCacheKey, isCacheable } = await import('../src/modules/response-cache.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const request = (text, extra = {}) => ({
+        model: 'claude-sonnet-4-5',
+        messages: [{ role: 'user', content: text }],
+        max_tokens: 1024,
+        temperature: 0,
+        ...extra
+    });
+
+    const message = text => ({
+        id: 'msg_upstream',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-sonnet-4-5',
+        content: [
+            { type: 'thinking', thinking: 'hmm', signature: 's'.repeat(60) },
+            { type: 'text', text },
+            { type: 'tool_use', id: 'toolu_1', name: 'read', input: { path: 'a.txt' } }
+        ],
+        stop_reason: 'tool_use',
+        stop_sequence: null,
+        usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 }
+    });
+
+    // Replays a message through the cache's own SSE encoder to get a realistic upstream stream
+    async function* upstreamEvents(text) {
+        const seed = { key: 'seed', message: message(text) };
+        yield* responseCache.stream(seed, null);
+    }
+
+    const collect = async iterable => {
+        const events = [];
+        for await (const event of iterable) events.push(event);
+        return events;
+    };
+
+    console.log('\n--- Eligibility and keys ---');
+
+    await test('Disabled unless enabled in config', () => {
+        config.responseCache = undefined;
+        const off = isCacheable(request('hi'));
+        config.responseCache = { enabled: true };
+        const on = isCacheable(request('hi'));
+        return { passed: !off && on, message: `off=${off} on=${on}` };
+    });
+
+    await test('Only temperature 0 unless the header forces it', () => {
+        const warm = isCacheable(request('hi', { temperature: 0.7 }));
+        const forced = isCacheable(request('hi', { temperature: 0.7 }), { 'x-proxy-cache': '1' });
+        const bypass = isCacheable(request('hi'), { 'x-proxy-cache': '0' });
+        return { passed: !warm && forced && !bypass, message: `warm=${warm} forced=${forced} bypass=${bypass}` };
+    });
+
+    await test('Key ignores key order, string vs block content and cache_control', () => {
+        const a = computeCacheKey(request('hello', { system: 'be brief' }));
+        const b = computeCacheKey({
+            temperature: 0,
+            max_tokens: 1024,
+            system: [{ type: 'text', text: 'be brief', cache_control: { type: 'ephemeral' } }],
+            messages: [{ content: [{ text: 'hello', type: 'text' }], role: 'user' }],
+            model: 'claude-sonnet-4-5'
+        });
+        const c = computeCacheKey(request('hello', { system: 'be brief', max_tokens: 2048 }));
+        return { passed: a === b && a !== c, message: '' };
+    });
+
+    console.log('\n--- Non-streaming ---');
+
+    await test('Miss stores the response, hit replays it without calling upstream', async () => {
+        responseCache.purge();
+        let calls = 0;
+        const upstream = async () => { calls++; return message('first'); };
+
+        const miss = responseCache.lookup(request('q1'));
+        const first = await responseCache.send(miss, upstream);
+        const hit = responseCache.lookup(request('q1'));
+        const second = await responseCache.send(hit, upstream);
+
+        const passed = calls === 1 && miss.message === null && hit.message !== null &&
+            second.content[1].text === 'first' && second.id !== first.id;
+        return { passed, message: `calls=${calls}` };
+    });
+
+    console.log('\n--- Streaming ---');
+
+    await test('Streamed miss is assembled and stored', async () => {
+        responseCache.purge();
+        const miss = responseCache.lookup(request('q2'));
+        const events = await collect(responseCache.stream(miss, () => upstreamEvents('streamed')));
+        const hit = responseCache.lookup(request('q2'));
+        const stored = hit?.message;
+        const passed = events.at(-1).type === 'message_stop' &&
+            stored?.content[1].text === 'streamed' &&
+            stored.content[2].input.path === 'a.txt' &&
+            stored.content[0].signature === 's'.repeat(60) &&
+            stored.usage.output_tokens === 5;
+        return { passed, message: JSON.stringify(stored?.content.map(b => b.type)) };
+    });
+
+    await test('Hit on a stream replays a well-formed event sequence', async () => {
+        const hit = responseCache.lookup(request('q2'));
+        const events = await collect(responseCache.stream(hit, () => { throw new Error('upstream called'); }));
+        const types = events.map(e => e.type);
+        const passed = types[0] === 'message_start' &&
+            events[0].message.content.length === 0 &&
+            events[0].message.stop_reason === null &&
+            types.filter(t => t === 'content_block_start').length === 3 &&
+            types.filter(t => t === 'content_block_stop').length === 3 &&
+            events.at(-2).delta.stop_reason === 'tool_use' &&
+            types.at(-1) === 'message_stop';
+        return { passed, message: types.join(',') };
+    });
+
+    await test('Stream errors are not cached', async () => {
+        const miss = responseCache.lookup(request('q3'));
+        async function* failing() {
+            yield { type: 'message_start', message: { ...message('x'), content: [] } };
+            throw new Error('boom');
+        }
+        try {
+            await collect(responseCache.stream(miss, failing));
+        } catch {
+            // Expected
+        }
+        return { passed: responseCache.lookup(request('q3')).message === null, message: '' };
+    });
+
+    console.log('\n--- Limits ---');
+
+    await test('Least recently used entries are evicted past maxEntries', async () => {
+        responseCache.purge();
+        config.responseCache = { enabled: true, maxEntries: 2 };
+        for (const q of ['a', 'b']) {
+            await responseCache.send(responseCache.lookup(request(q)), async () => message(q));
+        }
+        responseCache.lookup(request('a')); // 'b' becomes least recently used
+        await responseCache.send(responseCache.lookup(request('c')), async () => message('c'));
+        const kept = ['a', 'b', 'c'].filter(q => responseCache.lookup(request(q)).message !== null);
+        const stats = responseCache.getStats();
+        return { passed: kept.join(',') === 'a,c' && stats.evictions === 1 && stats.entries === 2, message: kept.join(',') };
+    });
+
+    await test('Expired entries are treated as misses', async () => {
+        config.responseCache = { enabled: true, ttlMs: 1 };
+        await responseCache.send(responseCache.lookup(request('ttl')), async () => message('ttl'));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { passed: responseCache.lookup(request('ttl')).message === null, message: '' };
+    });
+
+    await test('Stats report hit rate', () => {
+        const stats = responseCache.getStats();
+        const expected = stats.hits / (stats.hits + stats.misses);
+        return { passed: stats.hitRate === expected && stats.hits > 0, message: `hits=${stats.hits} misses=${stats.misses}` };
+    });
+
+    config.responseCache = undefined;
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,215 @@
+/**
+ * Account Selection Strategy Unit Tests
+ *
+ * Tests the built-in strategies, per-family configuration and
+ * quota-aware routing.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   AccountManager.selectAccount(modelId, sessionId)
+ *   AccountManager.isQuotaDrained(modelId, accountGroup)
+ *   runWithFallback(model, accountManager, fallbackEnabled, accountGroup, attempt)
+ *   getStrategyName(modelId)
+ *   getStrategySummary()
+ *
+ * Run: node tests/test-selection-strategies.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the account manager is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('SELECTION STRATEGY UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { config } = await import('../src/config.js');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { getStrategyName, getStrategySummary } = await import('../src/account-manager/strategies.js');
+    const { runWithFallback } = await import('../src/cloudcode/fallback.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-test-'));
+    const configPath = path.join(tmpDir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: ['a@example.com', 'b@example.com', 'c@example.com'].map(email => ({
+            email,
+            source: 'oauth',
+            refreshToken: 'test'
+        })),
+        settings: {},
+        activeIndex: 0
+    }));
+
+    const manager = new AccountManager(configPath);
+    await manager.initialize();
+    const claude = 'claude-sonnet-4-5-thinking';
+    const gemini = 'gemini-3-flash';
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const pickEmails = (model, count) =>
+        Array.from({ length: count }, () => manager.selectAccount(model).account.email);
+
+    console.log('\n--- Configuration ---');
+
+    await test('Defaults to sticky and resolves per family', () => {
+        config.accountSelection = undefined;
+        const before = getStrategyName(claude);
+        config.accountSelection = { default: 'round-robin', gemini: 'quota-weighted' };
+        const passed = before === 'sticky' &&
+            getStrategyName(claude) === 'round-robin' &&
+            getStrategyName(gemini) === 'quota-weighted';
+        return { passed, message: `before=${before} claude=${getStrategyName(claude)} gemini=${getStrategyName(gemini)}` };
+    });
+
+    await test('Unknown strategy names fall back to sticky', () => {
+        config.accountSelection = { claude: 'fastest' };
+        const summary = getStrategySummary();
+        return { passed: summary.families.claude === 'sticky' && summary.available.length === 4, message: JSON.stringify(summary) };
+    });
+
+    console.log('\n--- Strategies ---');
+
+    await test('sticky keeps the same account', () => {
+        config.accountSelection = { default: 'sticky' };
+        const emails = pickEmails(claude, 3);
+        return { passed: new Set(emails).size === 1, message: emails.join(',') };
+    });
+
+    await test('round-robin rotates on every request', () => {
+        config.accountSelection = { claude: 'round-robin' };
+        const emails = pickEmails(claude, 3);
+        return { passed: new Set(emails).size === 3, message: emails.join(',') };
+    });
+
+    await test('least-recently-used picks the longest idle account', () => {
+        config.accountSelection = { claude: 'least-recently-used' };
+        const accounts = manager.getAllAccounts();
+        accounts[0].lastUsed = 3000;
+        accounts[1].lastUsed = 1000;
+        accounts[2].lastUsed = 2000;
+        const emails = pickEmails(claude, 3);
+        const passed = emails.join(',') === 'b@example.com,c@example.com,a@example.com';
+        return { passed, message: emails.join(',') };
+    });
+
+    await test('quota-weighted never picks an exhausted account', () => {
+        config.accountSelection = { gemini: 'quota-weighted' };
+        manager.updateQuotas('a@example.com', { [gemini]: { remainingFraction: 0 } });
+        manager.updateQuotas('b@example.com', { [gemini]: { remainingFraction: 0.8 } });
+        manager.updateQuotas('c@example.com', { [gemini]: { remainingFraction: 0.2 } });
+        const emails = pickEmails(gemini, 50);
+        const counts = emails.reduce((acc, e) => ({ ...acc, [e]: (acc[e] || 0) + 1 }), {});
+        const passed = !counts['a@example.com'] && counts['b@example.com'] > (counts['c@example.com'] || 0);
+        return { passed, message: JSON.stringify(counts) };
+    });
+
+    await test('Strategies skip rate-limited accounts', () => {
+        config.accountSelection = { claude: 'least-recently-used' };
+        manager.markRateLimited('a@example.com', 10 * 60 * 1000, claude);
+        manager.markRateLimited('b@example.com', 10 * 60 * 1000, claude);
+        const emails = pickEmails(claude, 2);
+        return { passed: emails.every(e => e === 'c@example.com'), message: emails.join(',') };
+    });
+
+
+    console.log('\n--- Quota routing ---');
+
+    await test('Accounts at or below the quota threshold are skipped', () => {
+        config.accountSelection = { default: 'sticky' };
+        config.quotaRouting = { threshold: 0.05 };
+        const emails = [
+            ...pickEmails(gemini, 3),
+            ...Array.from({ length: 3 }, (_, i) => manager.selectAccount(gemini, `session-${i}`).account.email)
+        ];
+        return { passed: !emails.includes('a@example.com'), message: emails.join(',') };
+    });
+
+    await test('All accounts drained is detected, and selection still returns one', () => {
+        const drainedBefore = manager.isQuotaDrained(gemini);
+        manager.updateQuotas('b@example.com', { [gemini]: { remainingFraction: 0 } });
+        manager.updateQuotas('c@example.com', { [gemini]: { remainingFraction: 0.05 } });
+        const drainedAfter = manager.isQuotaDrained(gemini);
+        const account = manager.selectAccount(gemini).account;
+        config.quotaRouting = { enabled: false };
+        const drainedDisabled = manager.isQuotaDrained(gemini);
+        config.quotaRouting = undefined;
+        const passed = !drainedBefore && drainedAfter && !!account && !drainedDisabled;
+        return { passed, message: `before=${drainedBefore} after=${drainedAfter} disabled=${drainedDisabled}` };
+    });
+
+    await test('Snapshots past their reset time are ignored', () => {
+        const past = new Date(Date.now() - 1000).toISOString();
+        manager.updateQuotas('a@example.com', { [gemini]: { remainingFraction: 0, resetTime: past } });
+        return { passed: manager.getQuotaFraction('a@example.com', gemini) === null, message: '' };
+    });
+
+    await test('Drained quota is judged on the accounts of the request\'s group', async () => {
+        config.accountGroups = { drained: ['a@example.com', 'b@example.com'], fresh: ['c@example.com'] };
+        config.fallbackChains = { [gemini]: { models: ['gemini-3-pro-high'], on: ['quota'] } };
+        manager.updateQuotas('a@example.com', { [gemini]: { remainingFraction: 0 } });
+        manager.updateQuotas('b@example.com', { [gemini]: { remainingFraction: 0.01 } });
+        manager.updateQuotas('c@example.com', { [gemini]: { remainingFraction: 0.9 } });
+        try {
+            const drained = {
+                all: manager.isQuotaDrained(gemini),
+                drained: manager.isQuotaDrained(gemini, 'drained'),
+                fresh: manager.isQuotaDrained(gemini, 'fresh')
+            };
+            const servedBy = async group => runWithFallback(gemini, manager, false, group, async model => model);
+            const served = { drained: await servedBy('drained'), fresh: await servedBy('fresh') };
+            const passed = !drained.all && drained.drained && !drained.fresh &&
+                served.drained === 'gemini-3-pro-high' && served.fresh === gemini;
+            return { passed, message: `${JSON.stringify(drained)} ${JSON.stringify(served)}` };
+        } finally {
+            config.accountGroups = undefined;
+            config.fallbackChains = undefined;
+        }
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
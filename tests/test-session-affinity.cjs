@@ -0,0 +1,148 @@
+/**
+ * Session Affinity Unit Tests
+ *
+ * Tests that conversations are bound to their own accounts, spread across
+ * accounts, fail over independently, and expire after the TTL.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   AccountManager.pickStickyAccount(modelId, sessionId)
+ *   AccountManager.pickNext(modelId, sessionId)
+ *   pruneExpiredSessions(affinity, ttlMs)
+ *
+ * Run: node tests/test-session-affinity.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the account manager is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('SESSION AFFINITY UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { pruneExpiredSessions, bindSession } = await import('../src/account-manager/session-affinity.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'affinity-test-'));
+    const configPath = path.join(tmpDir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: ['a@example.com', 'b@example.com', 'c@example.com'].map(email => ({
+            email,
+            source: 'oauth',
+            refreshToken: 'test'
+        })),
+        settings: {},
+        activeIndex: 0
+    }));
+
+    const manager = new AccountManager(configPath);
+    await manager.initialize();
+    const model = 'claude-sonnet-4-5-thinking';
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    console.log('\n--- Binding ---');
+
+    await test('New sessions are spread across accounts', () => {
+        const emails = ['s1', 's2', 's3'].map(s => manager.pickStickyAccount(model, s).account.email);
+        return { passed: new Set(emails).size === 3, message: `accounts=${emails.join(',')}` };
+    });
+
+    await test('A session sticks to its account across turns', () => {
+        const first = manager.pickStickyAccount(model, 's2').account.email;
+        const again = manager.pickStickyAccount(model, 's2').account.email;
+        return { passed: first === again, message: `first=${first} again=${again}` };
+    });
+
+    await test('Requests without a session keep the global sticky index', () => {
+        const before = manager.pickStickyAccount(model).account.email;
+        manager.pickStickyAccount(model, 's3');
+        const after = manager.pickStickyAccount(model).account.email;
+        return { passed: before === after, message: `before=${before} after=${after}` };
+    });
+
+    console.log('\n--- Failover ---');
+
+    await test('A rate-limited session moves without disturbing other sessions', () => {
+        const s1Before = manager.pickStickyAccount(model, 's1').account.email;
+        const s2Before = manager.pickStickyAccount(model, 's2').account.email;
+        manager.markRateLimited(s1Before, 10 * 60 * 1000, model);
+
+        const s1After = manager.pickStickyAccount(model, 's1').account.email;
+        const s2After = manager.pickStickyAccount(model, 's2').account.email;
+        const s1Again = manager.pickStickyAccount(model, 's1').account.email;
+        const passed = s1After !== s1Before && s1Again === s1After && s2After === s2Before;
+        return { passed, message: `s1 ${s1Before} -> ${s1After}, s2 ${s2Before} -> ${s2After}` };
+    });
+
+    await test('pickNext rebinds only the given session', () => {
+        const s3Before = manager.pickStickyAccount(model, 's3').account.email;
+        const next = manager.pickNext(model, 's3').email;
+        const s3After = manager.pickStickyAccount(model, 's3').account.email;
+        return { passed: next !== s3Before && s3After === next, message: `s3 ${s3Before} -> ${s3After}` };
+    });
+
+    await test('Status reports live session counts', () => {
+        const status = manager.getStatus();
+        const bound = status.accounts.reduce((sum, a) => sum + a.activeSessions, 0);
+        return { passed: status.sessions === 3 && bound === 3, message: `sessions=${status.sessions} bound=${bound}` };
+    });
+
+    console.log('\n--- Expiry ---');
+
+    await test('Bindings older than the TTL are pruned', () => {
+        const affinity = new Map();
+        bindSession(affinity, 'old', 'a@example.com');
+        bindSession(affinity, 'new', 'b@example.com');
+        affinity.get('old').lastSeen -= 2000;
+        const removed = pruneExpiredSessions(affinity, 1000);
+        return { passed: removed === 1 && affinity.has('new') && !affinity.has('old'), message: `removed=${removed}` };
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * Signature Cache Unit Tests
+ *
+ * Tests the in-memory LRU cap and the optional SQLite store.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   cacheSignature / getCachedSignature
+ *   cacheThinkingSignature / getCachedSignatureFamily
+ *   initSignatureCache, getSignatureCacheStats, clearSignatureCache
+ *   signatureStore.prune (TTL + LRU eviction), with memory hits keeping rows in use
+ *
+ * Run: node tests/test-signature-cache.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the signature cache is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('SIGNATURE CACHE UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const cache = await import('../src/format/signature-cache.js');
+    const { default: signatureStore } = await import('../src/format/signature-store.js');
+    const { GEMINI_SIGNATURE_CACHE_TTL_MS } = await import('../src/constants.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-cache-test-'));
+    const dbPath = path.join(tmpDir, 'signature-cache.db');
+    const thinkingSig = 'x'.repeat(64);
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    console.log('\n--- Memory only ---');
+
+    await test('Store is off unless enabled in config', () => {
+        const enabled = cache.initSignatureCache();
+        cache.cacheSignature('toolu_1', 'sig-1');
+        const stats = cache.getSignatureCacheStats();
+        const passed = !enabled && !stats.persistent && stats.memory.tool === 1 && stats.persisted === null;
+        return { passed, message: JSON.stringify(stats.memory) };
+    });
+
+    await test('Clear drops memory entries', () => {
+        const removed = cache.clearSignatureCache();
+        return { passed: removed === 1 && cache.getCachedSignature('toolu_1') === null, message: `removed=${removed}` };
+    });
+
+    console.log('\n--- Persistent store ---');
+
+    await test('Entries are written through to SQLite', () => {
+        const enabled = cache.initSignatureCache({ dbPath });
+        cache.cacheSignature('toolu_2', 'sig-2');
+        cache.cacheThinkingSignature(thinkingSig, 'gemini');
+        const counts = signatureStore.counts();
+        return { passed: enabled && counts.tool === 1 && counts.thinking === 1, message: JSON.stringify(counts) };
+    });
+
+    await test('Entries missing from memory are read back from disk (restart)', () => {
+        // Simulates a restart: rows exist on disk but not in the in-memory maps
+        const createdAt = Date.now();
+        signatureStore.put('tool', 'toolu_3', 'sig-3', createdAt);
+        signatureStore.put('thinking', 'y'.repeat(64), 'claude', createdAt);
+        const sig = cache.getCachedSignature('toolu_3');
+        const family = cache.getCachedSignatureFamily('y'.repeat(64));
+        return { passed: sig === 'sig-3' && family === 'claude', message: `${sig} ${family}` };
+    });
+
+    await test('Expired rows are not returned and are deleted', () => {
+        signatureStore.put('tool', 'toolu_old', 'sig-old', Date.now() - GEMINI_SIGNATURE_CACHE_TTL_MS - 1000);
+        const sig = cache.getCachedSignature('toolu_old');
+        const row = signatureStore.get('tool', 'toolu_old');
+        return { passed: sig === null && row === null, message: '' };
+    });
+
+    await test('Prune evicts least recently used rows over the cap', () => {
+        cache.clearSignatureCache();
+        const now = Date.now();
+        ['a', 'b', 'c'].forEach((id, i) => signatureStore.put('tool', id, `sig-${id}`, now - 3000 + i * 1000));
+        signatureStore.get('tool', 'a'); // touch: 'b' becomes least recently used
+        signatureStore.initialize({ ttlMs: GEMINI_SIGNATURE_CACHE_TTL_MS, maxEntries: 2 });
+        const removed = signatureStore.prune();
+        const keys = signatureStore.list('tool', 10).map(r => r.key).sort().join(',');
+        return { passed: removed === 1 && keys === 'a,c', message: `removed=${removed} kept=${keys}` };
+    });
+
+    await test('Stats report persisted counts and previews', () => {
+        const stats = cache.getSignatureCacheStats({ limit: 1 });
+        const passed = stats.persistent && stats.persisted.tool === 2 && stats.recent.tool.length === 1;
+        return { passed, message: JSON.stringify(stats.persisted) };
+    });
+
+    await test('Memory hits keep the stored row from being evicted', () => {
+        cache.clearSignatureCache();
+        const realNow = Date.now;
+        Date.now = () => realNow() - 5 * 60 * 1000;
+        try {
+            cache.cacheSignature('hot', 'sig-hot');
+        } finally {
+            Date.now = realNow;
+        }
+        signatureStore.put('tool', 'cold', 'sig-cold', Date.now() - 4 * 60 * 1000);
+        const hit = cache.getCachedSignature('hot'); // from memory
+        const lastUsed = () => signatureStore.list('tool', 10).find(r => r.key === 'hot')?.lastUsed;
+        const touched = lastUsed();
+        cache.getCachedSignature('hot'); // within the interval: no second write
+        const throttled = lastUsed() === touched;
+        signatureStore.put('tool', 'new', 'sig-new', Date.now());
+        signatureStore.prune();
+        const keys = signatureStore.list('tool', 10).map(r => r.key).sort().join(',');
+        const passed = hit === 'sig-hot' && touched >= Date.now() - 1000 && throttled && keys === 'hot,new';
+        return { passed, message: `kept=${keys}` };
+    });
+
+    await test('Clear empties the store', () => {
+        cache.clearSignatureCache();
+        const counts = signatureStore.counts();
+        return { passed: counts.tool === 0 && counts.thinking === 0, message: JSON.stringify(counts) };
+    });
+
+    await test('A store that starts failing is closed and the cache keeps working in memory', async () => {
+        // Break the store from a second connection, as a deleted or corrupted file would
+        const { default: Database } = await import('better-sqlite3');
+        const other = new Database(dbPath);
+        other.exec('DROP TABLE signatures');
+        other.close();
+
+        cache.cacheSignature('toolu_broken', 'sig-broken');
+        const stats = cache.getSignatureCacheStats();
+        const passed = !signatureStore.isEnabled() && !stats.persistent &&
+            cache.getCachedSignature('toolu_broken') === 'sig-broken' &&
+            signatureStore.counts().tool === 0;
+        return { passed, message: `enabled=${signatureStore.isEnabled()} persistent=${stats.persistent}` };
+    });
+
+    signatureStore.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
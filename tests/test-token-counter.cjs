@@ -0,0 +1,210 @@
+/**
+ * Token Counter Unit Tests
+ *
+ * Tests the local token estimate used by /v1/messages/count_tokens
+ * when the upstream countTokens endpoint is unavailable.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   estimateTextTokens(text)
+ *   getImageDimensions(base64)
+ *   estimateGoogleRequestTokens(googleRequest, model)
+ *   countTokens(anthropicRequest, accountManager) with a replaced fetch
+ *   (timeouts, endpoint health)
+ *
+ * Run: node tests/test-token-counter.cjs
+ */
+
+// Note: Using dynamic import because the token counter is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('TOKEN COUNTER UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const {
+        estimateTextTokens,
+        getImageDimensions,
+        estimateGoogleRequestTokens,
+        countTokens
+    } = await import('../src/cloudcode/token-counter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/index.js');
+    const { ANTIGRAVITY_ENDPOINT_FALLBACKS, ENDPOINT_FAILURE_THRESHOLD } = await import('../src/constants.js');
+    const { getEndpointHealth, resetEndpointHealth } = await import('../src/cloudcode/endpoint-health.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    // 1024x512 PNG header (signature + IHDR), enough for dimension parsing
+    const pngHeader = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(pngHeader, 0);
+    pngHeader.writeUInt32BE(13, 8);
+    pngHeader.write('IHDR', 12, 'ascii');
+    pngHeader.writeUInt32BE(1024, 16);
+    pngHeader.writeUInt32BE(512, 20);
+    const pngBase64 = pngHeader.toString('base64');
+
+    // ===== Test Group 1: Text =====
+    console.log('\n--- Text Estimates ---');
+
+    await test('ASCII text is ~4 characters per token', () => {
+        const tokens = estimateTextTokens('a'.repeat(400));
+        return { passed: tokens === 100, message: `tokens=${tokens}` };
+    });
+
+    await test('Non-ASCII characters count as one token each', () => {
+        const tokens = estimateTextTokens('日本語');
+        return { passed: tokens === 3, message: `tokens=${tokens}` };
+    });
+
+    // ===== Test Group 2: Media =====
+    console.log('\n--- Media Estimates ---');
+
+    await test('PNG dimensions are read from the IHDR chunk', () => {
+        const dims = getImageDimensions(pngBase64);
+        const passed = dims?.width === 1024 && dims?.height === 512;
+        return { passed, message: `dims=${JSON.stringify(dims)}` };
+    });
+
+    await test('Image tokens depend on model family', () => {
+        const googleRequest = {
+            contents: [{ role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: pngBase64 } }] }]
+        };
+        const claude = estimateGoogleRequestTokens(googleRequest, 'claude-sonnet-4-6');
+        const gemini = estimateGoogleRequestTokens(googleRequest, 'gemini-3-flash');
+        // Claude: 1024*512/750 = 700 (+4 overhead); Gemini: 2x1 tiles * 258 (+4 overhead)
+        const passed = claude === 704 && gemini === 520;
+        return { passed, message: `claude=${claude}, gemini=${gemini}` };
+    });
+
+    // ===== Test Group 3: Full Requests =====
+    console.log('\n--- Full Request Estimates ---');
+
+    await test('System prompt and tools are included in the estimate', () => {
+        const base = {
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'Hello there' }]
+        };
+        const plain = estimateGoogleRequestTokens(convertAnthropicToGoogle(base), base.model);
+        const withExtras = estimateGoogleRequestTokens(convertAnthropicToGoogle({
+            ...base,
+            system: 'You are a careful assistant.',
+            tools: [{
+                name: 'read_file',
+                description: 'Read contents of a file',
+                input_schema: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] }
+            }]
+        }), base.model);
+        return { passed: withExtras > plain, message: `plain=${plain}, withExtras=${withExtras}` };
+    });
+
+    await test('A timed-out upstream count falls back to the local estimate', async () => {
+        // Upstream never answers; a request sent with a signal times out at once
+        // (instead of after the real timeout), one without it hangs the test
+        const originalFetch = globalThis.fetch;
+        const signals = [];
+        globalThis.fetch = (url, options) => new Promise((resolve, reject) => {
+            signals.push(options.signal);
+            if (options.signal instanceof AbortSignal) {
+                reject(new DOMException('The operation was aborted due to timeout', 'TimeoutError'));
+            }
+        });
+        const account = { email: 'a@example.com' };
+        const accountManager = {
+            getCurrentStickyAccount: () => account,
+            getAvailableAccounts: () => [account],
+            getTokenForAccount: async () => 'token'
+        };
+        try {
+            const result = await Promise.race([
+                countTokens({
+                    model: 'gemini-3-flash',
+                    messages: [{ role: 'user', content: 'Hello there' }]
+                }, accountManager),
+                new Promise((resolve, reject) => setTimeout(() => reject(new Error('countTokens hung without a timeout')), 2000).unref())
+            ]);
+            const passed = result.estimated === true && result.input_tokens > 0 && signals.length > 0 &&
+                signals.every(signal => signal instanceof AbortSignal);
+            return { passed, message: JSON.stringify(result) };
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    });
+
+    await test('Upstream counts report to endpoint health and skip an open endpoint', async () => {
+        const [failing] = ANTIGRAVITY_ENDPOINT_FALLBACKS;
+        const originalFetch = globalThis.fetch;
+        const called = [];
+        globalThis.fetch = async url => {
+            called.push(url);
+            if (url.startsWith(failing)) return new Response('unavailable', { status: 503 });
+            return Response.json({ totalTokens: 42 });
+        };
+        const account = { email: 'a@example.com' };
+        const accountManager = {
+            getCurrentStickyAccount: () => account,
+            getAvailableAccounts: () => [account],
+            getTokenForAccount: async () => 'token'
+        };
+        const request = { model: 'gemini-3-flash', messages: [{ role: 'user', content: 'Hello there' }] };
+        resetEndpointHealth();
+        try {
+            const results = [];
+            for (let i = 0; i < ENDPOINT_FAILURE_THRESHOLD; i++) {
+                results.push(await countTokens(request, accountManager));
+            }
+            called.length = 0;
+            results.push(await countTokens(request, accountManager));
+            const state = getEndpointHealth().find(h => h.endpoint === failing)?.state;
+            const passed = results.every(r => r.input_tokens === 42 && r.estimated === false) &&
+                state === 'open' && !called.some(url => url.startsWith(failing));
+            return { passed, message: `state=${state}, then called ${called.length} endpoint(s)` };
+        } finally {
+            globalThis.fetch = originalFetch;
+            resetEndpointHealth();
+        }
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * Token Monitor Unit Tests
+ *
+ * Tests background token refresh and re-auth reporting, with the OAuth
+ * token endpoint and the webhook answered by a replaced fetch.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   tokenMonitor.checkAll()
+ *   tokenMonitor.getStatus()
+ *   AccountManager.getTokenForAccount(account, { force })
+ *   AccountManager.getTokenTiming(email)
+ *
+ * Run: node tests/test-token-monitor.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Note: Using dynamic import because the modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('TOKEN MONITOR UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { default: tokenMonitor } = await import('../src/modules/token-monitor.js');
+    const { config, configEvents } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    // Token endpoint answers per refresh token; everything else is the webhook
+    const tokenResponses = { 'rt-good': 200, 'rt-revoked': 400, 'rt-flaky': 200 };
+    const webhookCalls = [];
+    let tokenCalls = 0;
+    globalThis.fetch = async (url, options) => {
+        if (url === 'https://hooks.example.com/reauth') {
+            webhookCalls.push(JSON.parse(options.body));
+            return new Response('ok');
+        }
+        tokenCalls++;
+        const refreshToken = new URLSearchParams(options.body.toString()).get('refresh_token');
+        const status = tokenResponses[refreshToken];
+        if (status !== 200) return new Response('{"error":"invalid_grant"}', { status });
+        return Response.json({ access_token: `at-${tokenCalls}`, expires_in: 3599 });
+    };
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-monitor-test-'));
+    const configPath = path.join(tmpDir, 'accounts.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: [
+            { email: 'good@example.com', source: 'oauth', refreshToken: 'rt-good', projectId: 'p' },
+            { email: 'revoked@example.com', source: 'oauth', refreshToken: 'rt-revoked', projectId: 'p' },
+            { email: 'flaky@example.com', source: 'oauth', refreshToken: 'rt-flaky', projectId: 'p' }
+        ],
+        settings: {},
+        activeIndex: 0
+    }));
+
+    const manager = new AccountManager(configPath);
+    await manager.initialize();
+    config.tokenRefresh = { enabled: true, webhookUrl: 'https://hooks.example.com/reauth' };
+
+    const account = email => manager.getAllAccounts().find(a => a.email === email);
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    console.log('\n--- Token cache ---');
+
+    await test('Forced refresh replaces a cached token and records its expiry', async () => {
+        const first = await manager.getTokenForAccount(account('good@example.com'));
+        const cached = await manager.getTokenForAccount(account('good@example.com'));
+        const forced = await manager.getTokenForAccount(account('good@example.com'), { force: true });
+        const timing = manager.getTokenTiming('good@example.com');
+        const expiresIn = timing.expiresAt - timing.refreshedAt;
+        const passed = first === cached && forced !== first && expiresIn > 0 && expiresIn < 3599 * 1000;
+        return { passed, message: `${first}, ${cached}, ${forced}` };
+    });
+
+    console.log('\n--- Monitor ---');
+
+    // Attach the monitor without its timer
+    config.tokenRefresh.enabled = false;
+    tokenMonitor.start(manager);
+    config.tokenRefresh.enabled = true;
+
+    await test('A rejected refresh token is reported once, with a webhook', async () => {
+        await tokenMonitor.checkAll();
+        await tokenMonitor.checkAll();
+        const { needsReauth } = tokenMonitor.getStatus();
+        const passed = account('revoked@example.com').isInvalid && needsReauth.length === 1 &&
+            needsReauth[0].email === 'revoked@example.com' && webhookCalls.length === 1 &&
+            webhookCalls[0].event === 'account.needs_reauth';
+        return { passed, message: JSON.stringify(needsReauth) };
+    });
+
+    await test('Token endpoint 5xx errors do not mark an account invalid', async () => {
+        tokenResponses['rt-flaky'] = 503;
+        let failed = false;
+        try {
+            await manager.getTokenForAccount(account('flaky@example.com'), { force: true });
+        } catch {
+            failed = true;
+        }
+        tokenResponses['rt-flaky'] = 200;
+        return { passed: failed && !account('flaky@example.com').isInvalid, message: String(account('flaky@example.com').invalidReason) };
+    });
+
+    await test('An account whose flag was cleared is re-checked and dropped from needsReauth', async () => {
+        // As after a reload from disk, which resets the invalid flag
+        tokenResponses['rt-revoked'] = 200;
+        const acc = account('revoked@example.com');
+        acc.isInvalid = false;
+        acc.invalidReason = null;
+        await tokenMonitor.checkAll();
+        const { needsReauth } = tokenMonitor.getStatus();
+        return { passed: needsReauth.length === 0 && webhookCalls.length === 1, message: JSON.stringify(needsReauth) };
+    });
+
+    await test('Enabling tokenRefresh in config starts the monitor without a restart', async () => {
+        const before = tokenMonitor.getStatus().lastCheckAt;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        // The monitor was attached while disabled; a config.json edit turns it on
+        configEvents.emit('change', ['tokenRefresh'], 'file');
+        let after = before;
+        for (let i = 0; i < 100 && after === before; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            after = tokenMonitor.getStatus().lastCheckAt;
+        }
+        return { passed: after !== before, message: `lastCheckAt ${before} -> ${after}` };
+    });
+
+    tokenMonitor.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
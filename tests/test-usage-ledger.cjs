@@ -0,0 +1,165 @@
+/**
+ * Usage Ledger Unit Tests
+ *
+ * Tests per-request recording and aggregated totals using an in-memory
+ * SQLite database.
+ *
+ * FUNCTIONS UNDER TEST:
+ *   startRecord / observeEvent / observeResponse / finishRecord
+ *   getTotals(options)
+ *   getRecent(options)
+ *   pruning of rows past retentionDays while the server runs
+ *
+ * Run: node tests/test-usage-ledger.cjs
+ */
+
+// Note: Using dynamic import because the ledger is ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('USAGE LEDGER UNIT TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { default: usageLedger } = await import('../src/modules/usage-ledger.js');
+    const { config } = await import('../src/config.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    config.usageLedger = {
+        pricing: { 'claude-sonnet-4-6-thinking': { input: 3, output: 15, cacheRead: 0.3 } }
+    };
+
+    await test('Ledger opens an in-memory database', () => {
+        const ok = usageLedger.initialize(':memory:');
+        return { passed: ok === true, message: `initialized=${ok}` };
+    });
+
+    // ===== Test Group 1: Recording =====
+    console.log('\n--- Recording ---');
+
+    await test('Streaming events are recorded with account and stop reason', () => {
+        const record = usageLedger.startRecord({ endpoint: '/v1/messages', model: 'claude-sonnet-4-6-thinking', stream: true });
+        record.account = 'a@example.com';
+        usageLedger.observeEvent(record, { type: 'message_start', message: { usage: { input_tokens: 100, cache_read_input_tokens: 900 } } });
+        usageLedger.observeEvent(record, { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { input_tokens: 100, output_tokens: 50, cache_read_input_tokens: 900 } });
+        usageLedger.finishRecord(record);
+        usageLedger.finishRecord(record); // second call is ignored
+
+        const rows = usageLedger.getRecent();
+        const row = rows[0];
+        const passed = rows.length === 1 &&
+            row.account === 'a@example.com' &&
+            row.input_tokens === 100 &&
+            row.output_tokens === 50 &&
+            row.cache_read_tokens === 900 &&
+            row.stop_reason === 'end_turn' &&
+            row.outcome === 'success';
+        return { passed, message: `rows=${rows.length}, row=${JSON.stringify(row)}` };
+    });
+
+    await test('Failed requests are recorded with the error', () => {
+        const record = usageLedger.startRecord({ endpoint: '/v1/chat/completions', model: 'gemini-3-flash', stream: false });
+        record.account = 'b@example.com';
+        usageLedger.finishRecord(record, new Error('RESOURCE_EXHAUSTED'));
+        const row = usageLedger.getRecent({ account: 'b@example.com' })[0];
+        const passed = row.outcome === 'error' && row.error === 'RESOURCE_EXHAUSTED';
+        return { passed, message: `outcome=${row.outcome}` };
+    });
+
+    // ===== Test Group 2: Totals =====
+    console.log('\n--- Totals ---');
+
+    await test('Totals by account include cost and cache hit rate', () => {
+        const record = usageLedger.startRecord({ endpoint: '/v1/messages', model: 'claude-sonnet-4-6-thinking', stream: false });
+        record.account = 'a@example.com';
+        usageLedger.observeResponse(record, { stop_reason: 'end_turn', usage: { input_tokens: 100, output_tokens: 50, cache_read_input_tokens: 900 } });
+        usageLedger.finishRecord(record);
+
+        const totals = usageLedger.getTotals({ groupBy: 'account' });
+        const a = totals.find(t => t.key === 'a@example.com');
+        // (200*3 + 100*15 + 1800*0.3) / 1e6
+        const expectedCost = (600 + 1500 + 540) / 1e6;
+        const passed = a.requests === 2 &&
+            a.outputTokens === 100 &&
+            Math.abs(a.costUsd - expectedCost) < 1e-12 &&
+            a.cacheHitRate === 0.9;
+        return { passed, message: `totals=${JSON.stringify(a)}` };
+    });
+
+    await test('Totals by model and invalid groupBy', () => {
+        const byModel = usageLedger.getTotals({ groupBy: 'model' });
+        let threw = false;
+        try {
+            usageLedger.getTotals({ groupBy: 'endpoint; DROP TABLE requests' });
+        } catch (e) {
+            threw = true;
+        }
+        return { passed: byModel.length === 2 && threw, message: `models=${byModel.map(t => t.key).join(',')}` };
+    });
+
+    // ===== Test Group 3: Retention =====
+    console.log('\n--- Retention ---');
+
+    await test('Rows older than retentionDays are pruned as new rows come in', () => {
+        const day = 24 * 60 * 60 * 1000;
+        for (const age of [100, 91]) {
+            const record = usageLedger.startRecord({ endpoint: '/v1/messages', model: 'gemini-3-flash', stream: false });
+            record.startedAt = Date.now() - age * day;
+            record.account = 'old@example.com';
+            usageLedger.finishRecord(record);
+        }
+        const stored = usageLedger.getTotals({ groupBy: 'account', account: 'old@example.com' })[0]?.requests;
+
+        // Enough inserts to pass the prune interval at least once
+        for (let i = 0; i < 1000; i++) {
+            const record = usageLedger.startRecord({ endpoint: '/v1/messages', model: 'gemini-3-flash', stream: false });
+            record.account = 'fresh@example.com';
+            usageLedger.finishRecord(record);
+        }
+        const left = usageLedger.getTotals({ groupBy: 'account', account: 'old@example.com' }).length;
+        const fresh = usageLedger.getTotals({ groupBy: 'account', account: 'fresh@example.com' })[0]?.requests;
+        return { passed: stored === 2 && left === 0 && fresh === 1000, message: `stored=${stored} left=${left} fresh=${fresh}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
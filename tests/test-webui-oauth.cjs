@@ -0,0 +1,243 @@
+/**
+ * WebUI OAuth Flow Tests
+ *
+ * Drives the WebUI's add-account routes in-process, with Google's token,
+ * userinfo and Cloud Code endpoints answered by a replaced fetch:
+ * - the routes refuse to run while no WebUI password is set
+ * - start → poll → complete (pasted redirect URL) adds the account
+ * - a redirect URL from another sign-in is rejected and the flow stays open
+ * - a flow past its 10-minute lifetime is gone
+ * - re-authentication only accepts the account it was started for
+ *
+ * ROUTES UNDER TEST:
+ *   GET  /api/auth/url (the WebUI's add-account button)
+ *   POST /api/accounts/oauth
+ *   GET  /api/accounts/oauth/:flowId
+ *   POST /api/accounts/oauth/:flowId/complete
+ *   POST /api/accounts/:email/reauth
+ *   POST /api/accounts/import
+ *
+ * Run: node tests/test-webui-oauth.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Accounts are written under HOME, so point it somewhere disposable before loading the modules
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'webui-oauth-test-'));
+process.env.HOME = home;
+
+const PASSWORD = 'webui-secret';
+
+// Note: Using dynamic import because the modules are ESM
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('WEBUI OAUTH FLOW TESTS');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { default: express } = await import('express');
+    const { AccountManager } = await import('../src/account-manager/index.js');
+    const { mountWebUI } = await import('../src/webui/index.js');
+    const { ACCOUNT_CONFIG_PATH } = await import('../src/constants.js');
+    const { config } = await import('../src/config.js');
+    const { logger } = await import('../src/utils/logger.js');
+
+    logger.setLevel('error');
+
+    // Google answers per authorization code: the code decides who signed in
+    const users = { 'code-new': 'new@example.com', 'code-other': 'other@example.com', 'code-existing': 'existing@example.com' };
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, options) => {
+        url = String(url);
+        if (url === 'https://oauth2.googleapis.com/token') {
+            const code = new URLSearchParams(options.body.toString()).get('code');
+            if (!users[code]) return new Response('{"error":"invalid_grant"}', { status: 400 });
+            return Response.json({ access_token: `at-${code}`, refresh_token: `rt-${code}`, expires_in: 3599 });
+        }
+        if (url.startsWith('https://www.googleapis.com/oauth2/v1/userinfo')) {
+            const code = options.headers.Authorization.replace('Bearer at-', '');
+            return Response.json({ email: users[code] });
+        }
+        if (url.endsWith('/v1internal:loadCodeAssist')) {
+            return Response.json({ cloudaicompanionProject: 'test-project' });
+        }
+        return realFetch(url, options);
+    };
+
+    fs.mkdirSync(path.dirname(ACCOUNT_CONFIG_PATH), { recursive: true });
+    fs.writeFileSync(ACCOUNT_CONFIG_PATH, JSON.stringify({
+        accounts: [
+            { email: 'existing@example.com', source: 'oauth', refreshToken: 'rt-old', projectId: 'p' }
+        ],
+        settings: {},
+        activeIndex: 0
+    }));
+
+    const manager = new AccountManager(ACCOUNT_CONFIG_PATH);
+    await manager.initialize();
+
+    const app = express();
+    app.use(express.json());
+    mountWebUI(app, path.join(__dirname, '../src'), manager);
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Call a WebUI route
+     * @param {string} method - HTTP method
+     * @param {string} route - Path under the WebUI
+     * @param {Object} [body] - JSON body
+     * @param {string} [password] - WebUI password to send (the configured one by default)
+     * @returns {Promise<{status: number, data: Object}>}
+     */
+    async function api(method, route, body, password = config.webuiPassword) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (password) headers['x-webui-password'] = password;
+        const response = await realFetch(`${base}${route}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, data: await response.json() };
+    }
+
+    const redirectUrl = (code, state) =>
+        `http://localhost:51121/oauth-callback?code=${code}&state=${encodeURIComponent(state)}`;
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    await test('Adding accounts is refused while no WebUI password is set', async () => {
+        config.webuiPassword = '';
+        const start = await api('POST', '/api/accounts/oauth');
+        const authUrl = await api('GET', '/api/auth/url');
+        const reauth = await api('POST', '/api/accounts/existing%40example.com/reauth');
+        const imported = await api('POST', '/api/accounts/import', {
+            accounts: [{ email: 'imported@example.com', refreshToken: 'rt-imported' }]
+        });
+        const passed = [start, authUrl, reauth, imported].every(r => r.status === 403 && /WebUI password/.test(r.data.error)) &&
+            manager.getAccountCount() === 1;
+        return { passed, message: `${start.status} ${authUrl.status} ${reauth.status} ${imported.status}: ${start.data.error}` };
+    });
+
+    config.webuiPassword = PASSWORD;
+
+    await test('The WebUI\'s sign-in URL needs the WebUI password', async () => {
+        const anonymous = await api('GET', '/api/auth/url', undefined, '');
+        const wrong = await api('GET', '/api/auth/url', undefined, 'guess');
+        const allowed = await api('GET', '/api/auth/url');
+        const passed = anonymous.status === 401 && wrong.status === 401 &&
+            allowed.status === 200 && allowed.data.url?.startsWith('https://accounts.google.com/');
+        return { passed, message: `anonymous=${anonymous.status} wrong=${wrong.status} allowed=${allowed.status}` };
+    });
+
+    await test('Start, poll and complete a flow with the pasted redirect URL', async () => {
+        const start = await api('POST', '/api/accounts/oauth');
+        const { flowId, url } = start.data;
+        const pending = await api('GET', `/api/accounts/oauth/${flowId}`);
+        const complete = await api('POST', `/api/accounts/oauth/${flowId}/complete`, { input: redirectUrl('code-new', flowId) });
+        const done = await api('GET', `/api/accounts/oauth/${flowId}`);
+        const added = manager.getAllAccounts().find(a => a.email === 'new@example.com');
+        const passed = start.status === 200 && url.includes(`state=${encodeURIComponent(flowId)}`) &&
+            pending.data.flow?.status === 'pending' &&
+            complete.status === 200 && complete.data.email === 'new@example.com' &&
+            done.data.flow?.status === 'done' && done.data.flow.email === 'new@example.com' &&
+            added?.refreshToken === 'rt-code-new' && added.source === 'oauth';
+        return { passed, message: `start=${start.status} complete=${complete.status} flow=${done.data.flow?.status}` };
+    });
+
+    await test('A redirect URL with another state is rejected and the flow stays pending', async () => {
+        const { data: { flowId } } = await api('POST', '/api/accounts/oauth');
+        const complete = await api('POST', `/api/accounts/oauth/${flowId}/complete`, { input: redirectUrl('code-other', 'someone-else') });
+        const poll = await api('GET', `/api/accounts/oauth/${flowId}`);
+        const passed = complete.status === 400 && /State mismatch/.test(complete.data.error) &&
+            poll.data.flow?.status === 'pending' &&
+            !manager.getAllAccounts().some(a => a.email === 'other@example.com');
+        return { passed, message: `complete=${complete.status} ${complete.data.error}` };
+    });
+
+    await test('A flow past its lifetime can no longer be polled or completed', async () => {
+        const { data: { flowId } } = await api('POST', '/api/accounts/oauth');
+        const realNow = Date.now;
+        Date.now = () => realNow() + 11 * 60 * 1000;
+        let poll, complete;
+        try {
+            poll = await api('GET', `/api/accounts/oauth/${flowId}`);
+            complete = await api('POST', `/api/accounts/oauth/${flowId}/complete`, { input: redirectUrl('code-other', flowId) });
+        } finally {
+            Date.now = realNow;
+        }
+        const passed = poll.status === 404 && complete.status === 404 &&
+            !manager.getAllAccounts().some(a => a.email === 'other@example.com');
+        return { passed, message: `poll=${poll.status} complete=${complete.status}` };
+    });
+
+    await test('Re-authentication fails for another account and keeps the old token', async () => {
+        const { data: { flowId } } = await api('POST', '/api/accounts/existing%40example.com/reauth');
+        const complete = await api('POST', `/api/accounts/oauth/${flowId}/complete`, { input: redirectUrl('code-other', flowId) });
+        const poll = await api('GET', `/api/accounts/oauth/${flowId}`);
+        const existing = manager.getAllAccounts().find(a => a.email === 'existing@example.com');
+        const passed = complete.status === 400 && /not existing@example.com/.test(complete.data.error) &&
+            poll.data.flow?.status === 'failed' && existing.refreshToken === 'rt-old';
+        return { passed, message: `complete=${complete.status} ${complete.data.error}` };
+    });
+
+    await test('Re-authentication replaces the refresh token of the same account', async () => {
+        const { data: { flowId } } = await api('POST', '/api/accounts/existing%40example.com/reauth');
+        const complete = await api('POST', `/api/accounts/oauth/${flowId}/complete`, { input: redirectUrl('code-existing', flowId) });
+        const existing = manager.getAllAccounts().find(a => a.email === 'existing@example.com');
+        const saved = JSON.parse(fs.readFileSync(ACCOUNT_CONFIG_PATH, 'utf8')).accounts.find(a => a.email === 'existing@example.com');
+        const passed = complete.status === 200 && existing.refreshToken === 'rt-code-existing' &&
+            saved.refreshToken === 'rt-code-existing';
+        return { passed, message: `complete=${complete.status} token=${existing.refreshToken}` };
+    });
+
+    server.close();
+    fs.rmSync(home, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    // The flow left pending above still holds the callback server on port 51121
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});